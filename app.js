@@ -19,6 +19,9 @@ import {
 
 // ============== Globals & initial state ==============
 let pollTimer = null;
+let statusStream = null;
+let bookingTimer = null;
+let account = null; // GET /me once signed in; its guest_profile prefills booking
 
 const initialDate = new Date().toISOString().split('T')[0];
 
@@ -26,12 +29,93 @@ let formState = {
   cuisine: 'any',           // dropdown fallback; we primarily use cuisine_notes from mood
   cuisine_notes: '',
   location: 'near me',
+  coordinates: null,        // { lat, lng, accuracy_m } from browser geolocation or a picked choice
   party_size: 2,
   date: initialDate,
   time: '19:00',
   intent: 'specific_time',  // or 'next_available'
+  flexibility: 'exact',     // 'exact' | minutes either side ('15' | '30' | '60') | 'window'
+  window_start: '18:30',
+  window_end: '20:30',
+  auto_accept: true,        // let the caller take offered times inside the window
+  policy: 'parallel',       // 'parallel' | 'sequential' | 'first_confirmed'
 };
 
+const POLICY_LABELS = {
+  parallel: 'Calling them all at once',
+  sequential: 'Calling one at a time, best match first',
+  first_confirmed: 'Stopping at the first confirmed table',
+};
+
+// Why a call is waiting (item.schedule_reason)
+const SCHEDULE_REASONS = {
+  calling_hours: "it's outside calling hours there",
+  rush_hour: "it's their rush hour",
+  restaurant_closed: "they're closed right now",
+  retry: 'trying again',
+};
+
+// What happened to the attempt before a retry (item.retry_after)
+const RETRY_AFTER = {
+  no_answer: 'no one answered',
+  voicemail: 'we left a voicemail',
+  dial_failed: "the call didn't go through",
+};
+
+// Offer statuses while a callback to the restaurant is still running
+const SETTLING_OFFERS = ['accepting', 'releasing'];
+
+// Reservation statuses while we're on the phone with the restaurant
+const CALLING_RESERVATION = {
+  pending: 'Confirming with',
+  modifying: 'Asking about your change with',
+  cancelling: 'Cancelling with',
+};
+
+// Location text the server can't geocode; it needs coordinates
+const NEAR_ME = /^(near me|nearby|near by|around me|around here|here|current location|my location|close by)$/i;
+
+// Our own clients sign in with an API key (see /me/api_keys) kept in local
+// storage; without one the server treats us as anonymous
+const API_KEY_STORAGE = 'rezkyoo_api_key';
+
+function apiKey() {
+  try {
+    return globalThis.localStorage?.getItem(API_KEY_STORAGE) || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+function apiFetch(path, init = {}) {
+  const key = apiKey();
+  if (!key) return fetch(path, init);
+  return fetch(path, { ...init, headers: { ...(init.headers || {}), Authorization: `Bearer ${key}` } });
+}
+
+// Error text for a failed request; rate limits and budgets say when to retry
+function errorMessage(error, fallback) {
+  const message = error.message || fallback;
+  if (!['rate_limited', 'budget_exceeded'].includes(error.code) || !error.retry_after) return message;
+  const minutes = Math.ceil(error.retry_after / 60);
+  return `${message}. Try again in ${minutes >= 120 ? `${Math.round(minutes / 60)} hours` : minutes === 1 ? 'a minute' : `${minutes} minutes`}.`;
+}
+
+// The .ics download; a plain link can't send headers, so the key rides in the URL
+function calendarUrl(reservation) {
+  const key = apiKey();
+  return `/reservations/${reservation.id}/calendar.ics${key ? `?access_token=${encodeURIComponent(key)}` : ''}`;
+}
+
+async function loadAccount() {
+  try {
+    const r = await apiFetch('/me');
+    account = r.ok ? (await r.json()).user : null;
+  } catch (e) {
+    account = null;
+  }
+}
+
 // Holds the conversational “mood” step
 let moodState = {
   user_text: '',
@@ -67,7 +151,9 @@ function Chips({ items, onToggle }) {
 // ============ ENTRY =============================================
 // ================================================================
 export default async function main() {
-  if (pollTimer) clearInterval(pollTimer);
+  stopWatching();
+  if (bookingTimer) clearInterval(bookingTimer);
+  loadAccount();
   renderMoodScreen();
 }
 
@@ -86,7 +172,7 @@ function renderMoodScreen(error) {
         }
         render(<Spinner label="Understanding your taste..." />);
         try {
-          const r = await fetch('/nlp/parse_query', {
+          const r = await apiFetch('/nlp/parse_query', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ text: moodState.user_text }),
@@ -119,13 +205,46 @@ function renderMoodScreen(error) {
 // ================================================================
 // ============ SCREEN 0.5: Chips confirmation ====================
 // ================================================================
-function renderChipsConfirm() {
+// A follow-up ("make it cheaper, skip anything spicy") refines the current parse;
+// the reply's diff updates the chips in place, so toggles the guest set stay put
+async function refineMood(text) {
+  render(<Spinner label="Updating your taste..." />);
+  try {
+    const r = await apiFetch('/nlp/parse_query', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, previous: moodState.parsed }),
+    });
+    if (!r.ok) {
+      const err = await r.json().catch(() => ({}));
+      return renderChipsConfirm(err.error || 'Could not update your preferences. Try again.');
+    }
+    const data = await r.json();
+    const removed = data.diff?.removed || [];
+    const added = (data.diff?.added || []).filter(label => !moodState.chips.some(c => c.label === label));
+    moodState.user_text = `${moodState.user_text}. ${text}`;
+    moodState.parsed = data.parsed || moodState.parsed;
+    moodState.chips = [
+      ...moodState.chips.filter(c => !removed.includes(c.label)),
+      ...added.map(label => ({ label, active: true }))
+    ];
+    renderChipsConfirm();
+  } catch (e) {
+    renderChipsConfirm('Network error updating your preferences. Please try again.');
+  }
+}
+
+function renderChipsConfirm(error) {
   render(
     <Form
       title="Looks right?"
-      description="Toggle off anything that doesn’t matter. You can add more notes next."
-      onSubmit={() => renderSearchForm()}
+      description="Toggle off anything that doesn’t matter, or tell us what to change. You can add more notes next."
+      onSubmit={({ refine_text }) => {
+        const text = (refine_text || '').trim();
+        return text ? refineMood(text) : renderSearchForm();
+      }}
     >
+      {error && <Text style={{ color: '#d92d20' }}>{error}</Text>}
       <Chips
         items={moodState.chips}
         onToggle={(i) => {
@@ -133,6 +252,10 @@ function renderChipsConfirm() {
           renderChipsConfirm();
         }}
       />
+      <TextField
+        name="refine_text"
+        placeholder="Anything to change? e.g. make it cheaper, skip anything spicy"
+      />
       <Button type="submit" style={{ marginTop: 12 }}>Next</Button>
     </Form>
   );
@@ -165,6 +288,28 @@ function renderSearchForm(overrides = {}, options = {}) {
         <Text size="small">
           We’ll only use the time if you chose “Book a specific time.”
         </Text>
+
+        <label htmlFor="flexibility">How flexible are you?</label>
+        <select id="flexibility" name="flexibility" defaultValue={formState.flexibility}>
+          <option value="exact">Only that time</option>
+          <option value="15">Within 15 minutes</option>
+          <option value="30">Within 30 minutes</option>
+          <option value="60">Within an hour</option>
+          <option value="window">Anywhere in a window…</option>
+        </select>
+        <TimePicker name="window_start" label="Window from" defaultValue={formState.window_start} />
+        <TimePicker name="window_end" label="Window until" defaultValue={formState.window_end} />
+        <label>
+          <input type="checkbox" name="auto_accept" defaultChecked={formState.auto_accept} />
+          {' '}Hold a time in my window right away if they offer one
+        </label>
+
+        <label htmlFor="policy">How should we call?</label>
+        <select id="policy" name="policy" defaultValue={formState.policy}>
+          <option value="parallel">All at once</option>
+          <option value="sequential">One at a time, best match first</option>
+          <option value="first_confirmed">Stop at the first confirmed table</option>
+        </select>
       </Card>
 
       <Card title="Party & notes">
@@ -191,6 +336,17 @@ function renderSearchForm(overrides = {}, options = {}) {
           defaultValue={formState.location}
           required
         />
+        {canGeolocate() && (
+          <Button type="button" variant="secondary" onClick={() => handleUseMyLocation()}>
+            Use my current location
+          </Button>
+        )}
+        {formState.coordinates && (
+          <Text size="small">
+            Searching around {formState.coordinates.lat.toFixed(4)}, {formState.coordinates.lng.toFixed(4)}
+            {formState.coordinates.accuracy_m ? ` (±${formState.coordinates.accuracy_m} m)` : ''}
+          </Text>
+        )}
       </Card>
 
       <Button type="submit">Start calling restaurants</Button>
@@ -198,34 +354,111 @@ function renderSearchForm(overrides = {}, options = {}) {
   );
 }
 
+// ============== Location helpers ==============
+// Some hosts sandbox the widget without geolocation permission
+function canGeolocate() {
+  return typeof navigator !== 'undefined' && !!navigator.geolocation;
+}
+
+function currentPosition() {
+  return new Promise((resolve, reject) => {
+    navigator.geolocation.getCurrentPosition(
+      (pos) => resolve({
+        lat: pos.coords.latitude,
+        lng: pos.coords.longitude,
+        accuracy_m: Math.round(pos.coords.accuracy || 0) || undefined,
+      }),
+      reject,
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+  });
+}
+
+async function handleUseMyLocation() {
+  render(<Spinner label="Finding your location..." />);
+  try {
+    const coordinates = await currentPosition();
+    renderSearchForm({ location: 'near me', coordinates });
+  } catch (err) {
+    renderSearchForm({ coordinates: null }, { error: 'We couldn’t get your location. Please type an address instead.' });
+  }
+}
+
+// The server found several places by that name; pick one and search again
+function renderLocationChoices(choices, payload) {
+  render(
+    <Card title="Which one did you mean?">
+      {choices.map((choice, i) => (
+        <Button
+          key={i}
+          variant="secondary"
+          onClick={() => {
+            formState = { ...formState, location: choice.label, coordinates: { lat: choice.lat, lng: choice.lng } };
+            startSearch({ ...payload, location: choice.label, coordinates: formState.coordinates });
+          }}
+        >
+          {choice.label}
+        </Button>
+      ))}
+      <Button variant="secondary" onClick={() => renderSearchForm()}>
+        Change the location
+      </Button>
+    </Card>
+  );
+}
+
 async function handleSearchSubmit(formData) {
-  if (pollTimer) clearInterval(pollTimer);
+  stopWatching();
 
   const locationInput = typeof formData.location === 'string' ? formData.location.trim() : '';
   const cuisineNotesInput = typeof formData.cuisine_notes === 'string' ? formData.cuisine_notes.trim() : '';
   const intentInput = typeof formData.intent === 'string' ? formData.intent : formState.intent;
   const timeInput = typeof formData.time === 'string' ? formData.time : '';
   const partySizeInput = parseInt(formData.party_size, 10);
+  const flexibilityInput = typeof formData.flexibility === 'string' ? formData.flexibility : formState.flexibility;
+
+  // Coordinates only stand for the text they came with
+  const keepCoordinates = !locationInput || locationInput === formState.location;
 
   formState = {
     ...formState,
     cuisine_notes: cuisineNotesInput,
     location: locationInput || formState.location,
+    coordinates: keepCoordinates ? formState.coordinates : null,
     party_size: Number.isNaN(partySizeInput) ? formState.party_size : Math.max(1, partySizeInput),
     date: formData.date || formState.date,
     time: timeInput || formState.time,
     intent: intentInput === 'next_available' ? 'next_available' : 'specific_time',
+    flexibility: flexibilityInput || 'exact',
+    window_start: formData.window_start || formState.window_start,
+    window_end: formData.window_end || formState.window_end,
+    auto_accept: formData.auto_accept === true || formData.auto_accept === 'on', // unchecked boxes are absent
+    policy: POLICY_LABELS[formData.policy] ? formData.policy : formState.policy,
   };
 
   if (!formState.location) {
     return renderSearchForm({}, { error: 'Please provide a location so we know where to search.' });
   }
+  if (NEAR_ME.test(formState.location) && !formState.coordinates) {
+    if (!canGeolocate()) {
+      return renderSearchForm({}, { error: 'We can’t see your location here. Please type an address or city.' });
+    }
+    render(<Spinner label="Finding your location..." />);
+    try {
+      formState.coordinates = await currentPosition();
+    } catch (err) {
+      return renderSearchForm({}, { error: 'We couldn’t get your location. Please type an address instead.' });
+    }
+  }
   if (!formState.date) {
     return renderSearchForm({}, { error: 'Please choose the date you want to dine.' });
   }
-  if (formState.intent === 'specific_time' && !formState.time) {
+  if (formState.intent === 'specific_time' && !formState.time && formState.flexibility !== 'window') {
     return renderSearchForm({}, { error: 'Please choose a preferred dining time or switch to “Next available table”.' });
   }
+  if (formState.flexibility === 'window' && (!formState.window_start || !formState.window_end)) {
+    return renderSearchForm({}, { error: 'Please choose when your time window starts and ends.' });
+  }
 
   const payload = {
     // NEW: craving context from mood step
@@ -241,12 +474,24 @@ async function handleSearchSubmit(formData) {
     date: formState.date,
     intent: formState.intent,
   };
+  if (formState.coordinates) payload.coordinates = formState.coordinates;
   if (formState.intent === 'specific_time') payload.time = formState.time;
+  if (formState.flexibility === 'window') {
+    payload.time_window = { start: formState.window_start, end: formState.window_end };
+  } else if (formState.flexibility !== 'exact' && formState.intent === 'specific_time') {
+    payload.flexibility_minutes = Number(formState.flexibility);
+  }
+  payload.auto_accept = formState.auto_accept;
+  payload.policy = { mode: formState.policy };
+
+  return startSearch(payload);
+}
 
+async function startSearch(payload) {
   render(<Spinner label="Finding restaurants and starting the calls..." />);
 
   try {
-    const searchResponse = await fetch('/restaurants/search_and_call', {
+    const searchResponse = await apiFetch('/restaurants/search_and_call', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload),
@@ -254,14 +499,20 @@ async function handleSearchSubmit(formData) {
 
     if (!searchResponse.ok) {
       const error = await searchResponse.json().catch(() => ({}));
-      return render(<Text>Error: {error.message || 'Could not start search.'}</Text>);
+      if (error.code === 'ambiguous_location' && Array.isArray(error.choices)) {
+        return renderLocationChoices(error.choices, payload);
+      }
+      if (error.code === 'location_required' || error.code === 'location_not_found') {
+        return renderSearchForm({ coordinates: null }, { error: error.message });
+      }
+      return render(<Text>Error: {errorMessage(error, 'Could not start search.')}</Text>);
     }
 
     // Response should provide batchId, mapUrl, restaurants[], query
     const { batchId, mapUrl, restaurants, query } = await searchResponse.json();
 
-    // Start polling for results
-    pollTimer = setInterval(() => pollForResults(batchId, mapUrl, restaurants, query), 2500);
+    // Start watching live results
+    watchBatch(batchId, mapUrl, restaurants, query);
 
   } catch (err) {
     render(<Text>Error: {err.message}</Text>);
@@ -269,47 +520,122 @@ async function handleSearchSubmit(formData) {
 }
 
 // ================================================================
-// ============ POLLING & RESULTS =================================
+// ============ LIVE STATUS & RESULTS =============================
 // ================================================================
+function stopWatching() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+  if (statusStream) statusStream.close();
+  statusStream = null;
+}
+
+// Merge static data (name, rating, etc.) with live status/result, keyed by place_id
+function mergeLive(staticRestaurants, liveByPlaceId) {
+  return staticRestaurants.map((staticResto) => ({
+    ...staticResto,
+    ...liveByPlaceId.get(staticResto.place_id), // id, status, result, raw transcript, outcome flags
+  }));
+}
+
+// Live updates over Server-Sent Events; falls back to polling when the host
+// has no EventSource or the stream never opens.
+function watchBatch(batchId, mapUrl, staticRestaurants, query) {
+  stopWatching();
+  if (typeof EventSource === 'undefined') {
+    return startPolling(batchId, mapUrl, staticRestaurants, query);
+  }
+
+  const liveItems = new Map(); // place_id -> live item
+  let batchStatus = 'in_progress';
+  let opened = false;
+
+  // EventSource can't send headers; the key rides along as ?access_token=
+  const key = apiKey();
+  const stream = new EventSource(`/status/${batchId}/stream${key ? `?access_token=${encodeURIComponent(key)}` : ''}`);
+  statusStream = stream;
+
+  const update = () => {
+    renderResultsScreen(batchId, mapUrl, mergeLive(staticRestaurants, liveItems), query, batchStatus);
+    if (batchStatus !== 'completed') return;
+    // The stream ends with the batch; a callback about an offered time that is
+    // still running is followed by polling, as pollForResults does
+    stopWatching();
+    const settling = [...liveItems.values()].some((live) => SETTLING_OFFERS.includes(live.offer?.status));
+    if (settling) startPolling(batchId, mapUrl, staticRestaurants, query);
+  };
+
+  stream.addEventListener('open', () => { opened = true; });
+  stream.addEventListener('snapshot', (e) => {
+    const data = JSON.parse(e.data);
+    liveItems.clear();
+    data.items.forEach((item) => liveItems.set(item.place_id, item));
+    batchStatus = data.status;
+    update();
+  });
+  stream.addEventListener('item', (e) => {
+    const item = JSON.parse(e.data);
+    liveItems.set(item.place_id, item);
+    update();
+  });
+  stream.addEventListener('batch', (e) => {
+    batchStatus = JSON.parse(e.data).status;
+    update();
+  });
+  stream.onerror = () => {
+    // Once connected, EventSource reconnects (sending Last-Event-ID) by itself
+    if (!opened && statusStream === stream) {
+      stopWatching();
+      startPolling(batchId, mapUrl, staticRestaurants, query);
+    }
+  };
+}
+
+function startPolling(batchId, mapUrl, staticRestaurants, query) {
+  pollTimer = setInterval(() => pollForResults(batchId, mapUrl, staticRestaurants, query), 2500);
+}
+
 async function pollForResults(batchId, mapUrl, staticRestaurants, query) {
   try {
-    const statusResponse = await fetch(`/status/${batchId}`);
+    const statusResponse = await apiFetch(`/status/${batchId}`);
     if (!statusResponse.ok) {
-      clearInterval(pollTimer);
+      stopWatching();
       return render(<Text>Error: Could not retrieve batch status.</Text>);
     }
 
     const { status: batchStatus, items: liveCallItems } = await statusResponse.json();
+    const liveByPlaceId = new Map(liveCallItems.map((live) => [live.place_id || live.id, live]));
 
-    // Merge static data (name, rating, etc.) with live status/result
-    const mergedItems = staticRestaurants.map((staticResto) => {
-      const liveData = liveCallItems.find((live) => live.phone === staticResto.formatted_phone_number);
-      return {
-        ...staticResto,
-        ...liveData, // id, status, result, raw transcript, outcome flags
-      };
-    });
-
-    renderResultsScreen(batchId, mapUrl, mergedItems, query, batchStatus);
+    renderResultsScreen(batchId, mapUrl, mergeLive(staticRestaurants, liveByPlaceId), query, batchStatus);
 
-    if (batchStatus === 'completed') {
-      clearInterval(pollTimer);
+    // Keep going while a callback about an offered time is still running
+    const settling = liveCallItems.some((live) => SETTLING_OFFERS.includes(live.offer?.status));
+    if (batchStatus === 'completed' && !settling) {
+      stopWatching();
     }
   } catch (err) {
-    clearInterval(pollTimer);
+    stopWatching();
     render(<Text>Error polling for results: {err.message}</Text>);
   }
 }
 
+// The server redraws the map from live outcomes; a new ?v= makes the host re-fetch it
+function liveMapUrl(mapUrl, items) {
+  const state = items.map(x => `${x.status || ''}.${x.result?.outcome || ''}.${x.offer?.status || ''}`).join('|');
+  let hash = 0;
+  for (let i = 0; i < state.length; i++) hash = (hash * 31 + state.charCodeAt(i)) | 0;
+  return `${mapUrl.split('?')[0]}?v=${(hash >>> 0).toString(36)}`;
+}
+
 function renderResultsScreen(batchId, mapUrl, mergedItems, query, batchStatus) {
   render(
     <Card>
-      {mapUrl && <Image src={mapUrl} alt="Map of restaurants" />}
+      {mapUrl && <Image src={liveMapUrl(mapUrl, mergedItems)} alt="Map of restaurants (numbers match the list below)" />}
       {batchStatus !== 'completed' && <Spinner label="Live status: Calls in progress..." />}
       {batchStatus === 'completed' && <Text>✅ All calls are complete.</Text>}
+      {query?.policy?.mode && <Text>{POLICY_LABELS[query.policy.mode]}</Text>}
 
       {mergedItems.map((item, index) => (
-        <Card key={item.id || index} title={item.name || 'Restaurant'}>
+        <Card key={item.id || index} title={`${index + 1}. ${item.name || 'Restaurant'}`}>
           <Text>{item.rating ? `${item.rating} ⭐` : '—'} {item.user_ratings_total ? `(${item.user_ratings_total} reviews)` : ''}</Text>
           <Text>Status: {item.status || 'Pending...'}</Text>
 
@@ -318,15 +644,17 @@ function renderResultsScreen(batchId, mapUrl, mergedItems, query, batchStatus) {
             <Card>
               <Text>Outcome: {item.result.ai_summary || item.result.outcome || '—'}</Text>
 
-              {item.result.outcome === 'available' && (
-                <Button onClick={() => renderBookingForm(item, query)}>Book Now</Button>
+              {(item.result.outcome === 'available' || ['held', 'accepted'].includes(item.offer?.status)) && (
+                <Button onClick={() => renderBookingForm(batchId, item, query)}>Book Now</Button>
               )}
 
-              {item.result.outcome === 'alternative_offered' && (
-                <Text>Offered: {item.result.alternative_time}</Text>
-              )}
+              {item.offer
+                ? renderOffer(batchId, mapUrl, mergedItems, query, item)
+                : item.result.outcome === 'alternative_offered' && (
+                  <Text>Offered: {item.result.alternative_time}</Text>
+                )}
 
-              {item.result.outcome === 'credit_card_required' && (
+              {(item.result.outcome === 'credit_card_required' || item.result.credit_card_required) && (
                 <Text>💳 Requires Credit Card to hold.</Text>
               )}
 
@@ -339,9 +667,25 @@ function renderResultsScreen(batchId, mapUrl, mergedItems, query, batchStatus) {
           )}
 
           {/* Other statuses */}
-          {item.status === 'machine_detected' && <Text>Outcome: Answering machine, skipped.</Text>}
-          {item.status === 'error' && <Text>Outcome: Call failed.</Text>}
-          {item.status === 'skipped' && <Text>Outcome: Skipped (on Do Not Call list).</Text>}
+          {item.status === 'in_progress' && item.call?.direction === 'inbound' && <Text>📞 They called us back.</Text>}
+          {item.attempt > 1 && <Text>Attempt {item.attempt}</Text>}
+          {item.status === 'machine_detected' && <Text>Outcome: Left a voicemail with our callback number.</Text>}
+          {item.status === 'error' && <Text>Outcome: {item.error_code === 'no_answer' ? 'No answer.' : 'Call failed.'}</Text>}
+          {item.status === 'scheduled' && (
+            <Text>
+              🕘 Will call at {new Date(item.scheduled_for).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+              {SCHEDULE_REASONS[item.schedule_reason] ? `; ${SCHEDULE_REASONS[item.schedule_reason]}` : ''}
+              {RETRY_AFTER[item.retry_after] ? ` (${RETRY_AFTER[item.retry_after]})` : ''}.
+            </Text>
+          )}
+          {item.status === 'skipped' && (
+            <Text>
+              {item.skip_reason === 'outside_calling_hours'
+                ? 'Outcome: Not called; no good time to call before your reservation.'
+                : 'Outcome: Skipped (on Do Not Call list).'}
+            </Text>
+          )}
+          {item.status === 'cancelled' && <Text>Outcome: Not called; another restaurant already confirmed.</Text>}
         </Card>
       ))}
 
@@ -352,6 +696,65 @@ function renderResultsScreen(batchId, mapUrl, mergedItems, query, batchStatus) {
   );
 }
 
+// An offered time: held on the call, or waiting for the guest to decide
+function renderOffer(batchId, mapUrl, mergedItems, query, item) {
+  const { offer } = item;
+  const decide = (decision) => handleOfferDecision(batchId, mapUrl, mergedItems, query, item, decision);
+  switch (offer.status) {
+    case 'holding':
+    case 'held':
+      return (
+        <Card>
+          <Text>🕒 Holding {offer.time} for you (inside your window).</Text>
+          <Button variant="secondary" onClick={() => decide('reject')}>Release it</Button>
+        </Card>
+      );
+    case 'awaiting_decision':
+      return (
+        <Card>
+          <Text>Offered: {offer.time}{offer.in_window ? '' : ' (outside your window)'}</Text>
+          <Button onClick={() => decide('accept')}>Take {offer.time}</Button>
+          <Button variant="secondary" onClick={() => decide('reject')}>No thanks</Button>
+        </Card>
+      );
+    case 'accepting':
+      return <Spinner label={`Calling back to take ${offer.time}...`} />;
+    case 'releasing':
+      return <Spinner label={`Calling back to release ${offer.time}...`} />;
+    case 'accepted':
+      return <Text>You accepted {offer.time}.</Text>;
+    case 'released':
+    case 'rejected':
+      return offer.release_reason === 'confirmed_elsewhere'
+        ? <Text>Released {offer.time}; another restaurant confirmed first.</Text>
+        : <Text>Passed on {offer.time}.</Text>;
+    case 'unavailable':
+      return <Text>{offer.time} is no longer available.</Text>;
+    default:
+      return <Text>We couldn’t reach them about {offer.time}.</Text>;
+  }
+}
+
+async function handleOfferDecision(batchId, mapUrl, mergedItems, query, item, decision) {
+  stopWatching();
+  try {
+    const r = await apiFetch(`/batches/${batchId}/items/${item.id || item.place_id}/offer`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ decision }),
+    });
+    if (!r.ok) {
+      const error = await r.json().catch(() => ({}));
+      return render(<Text>Error: {errorMessage(error, 'Could not record your choice.')}</Text>);
+    }
+    // Any callback updates the same batch; poll until it settles
+    pollForResults(batchId, mapUrl, mergedItems, query);
+    startPolling(batchId, mapUrl, mergedItems, query);
+  } catch (err) {
+    render(<Text>Error: {err.message}</Text>);
+  }
+}
+
 // ================================================================
 // ============ Transcript Modal ==================================
 // ================================================================
@@ -367,11 +770,11 @@ function renderTranscript(name, transcript) {
 // ============ Search More =======================================
 // ================================================================
 async function handleSearchMore(batchId) {
-  if (pollTimer) clearInterval(pollTimer);
+  stopWatching();
   render(<Spinner label="Finding and calling more restaurants..." />);
 
   try {
-    const searchResponse = await fetch('/restaurants/search_more', {
+    const searchResponse = await apiFetch('/restaurants/search_more', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ original_batch_id: batchId, craving: {
@@ -383,11 +786,11 @@ async function handleSearchMore(batchId) {
 
     if (!searchResponse.ok) {
       const error = await searchResponse.json().catch(() => ({}));
-      return render(<Text>Error: {error.message || 'No more restaurants to search.'}</Text>);
+      return render(<Text>Error: {errorMessage(error, 'No more restaurants to search.')}</Text>);
     }
 
     const { batchId: newBatchId, mapUrl, restaurants, query } = await searchResponse.json();
-    pollTimer = setInterval(() => pollForResults(newBatchId, mapUrl, restaurants, query), 2500);
+    watchBatch(newBatchId, mapUrl, restaurants, query);
 
   } catch (err) {
     render(<Text>Error: {err.message}</Text>);
@@ -395,24 +798,200 @@ async function handleSearchMore(batchId) {
 }
 
 // ================================================================
-// ============ Booking (stub) ====================================
+// ============ Booking ===========================================
 // ================================================================
-function renderBookingForm(restaurantItem, query) {
+function renderBookingForm(batchId, restaurantItem, query, error) {
+  const profile = account?.guest_profile;
   render(
     <Form
       title={`Book at ${restaurantItem.name || 'Restaurant'}`}
-      onSubmit={(bookingData) => handleConfirmBooking(restaurantItem, query, bookingData)}
+      onSubmit={(bookingData) => handleConfirmBooking(batchId, restaurantItem, query, bookingData)}
     >
+      {error && <Text style={{ color: '#d92d20' }}>{error}</Text>}
       <Text>Please provide your details to finalize the reservation.</Text>
-      <TextField name="user_name" label="Full Name" required />
-      <TextField name="user_phone" label="Contact Phone Number" required />
+      <TextField name="user_name" label="Full Name" defaultValue={profile?.name || ''} required />
+      <TextField name="user_phone" label="Contact Phone Number" defaultValue={profile?.phone || ''} required />
+      {account && (
+        <label>
+          <input type="checkbox" name="save_profile" defaultChecked={!profile} />
+          {' '}Remember my name and number for next time
+        </label>
+      )}
       <Button type="submit">Confirm Reservation</Button>
     </Form>
   );
 }
 
-async function handleConfirmBooking(_restaurantItem, _query, _bookingData) {
+async function handleConfirmBooking(batchId, restaurantItem, query, bookingData) {
+  if (bookingTimer) clearInterval(bookingTimer);
+
+  const guestName = typeof bookingData.user_name === 'string' ? bookingData.user_name.trim() : '';
+  const guestPhone = typeof bookingData.user_phone === 'string' ? bookingData.user_phone.trim() : '';
+  const saveProfile = !!account && (bookingData.save_profile === true || bookingData.save_profile === 'on');
+  if (!guestName || !guestPhone) {
+    return renderBookingForm(batchId, restaurantItem, query, 'Please enter your name and a phone number.');
+  }
+
   render(<Spinner label="Contacting the restaurant to confirm your booking..." />);
-  // Implement /reservations/book on the server to complete this
-  render(<Text>✅ Booking feature not yet implemented.</Text>);
+
+  try {
+    const bookResponse = await apiFetch('/reservations/book', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        batch_id: batchId,
+        item_id: restaurantItem.id || restaurantItem.place_id,
+        guest_name: guestName,
+        guest_phone: guestPhone,
+        save_guest_profile: saveProfile,
+      }),
+    });
+
+    if (!bookResponse.ok) {
+      const error = await bookResponse.json().catch(() => ({}));
+      return renderBookingForm(batchId, restaurantItem, query, errorMessage(error, 'Could not start the booking.'));
+    }
+
+    const { reservation } = await bookResponse.json();
+    if (saveProfile) account = { ...account, guest_profile: { name: guestName, phone: guestPhone } };
+    bookingTimer = setInterval(() => pollReservation(reservation.id), 2500);
+  } catch (err) {
+    render(<Text>Error: {err.message}</Text>);
+  }
+}
+
+async function pollReservation(reservationId) {
+  try {
+    const r = await apiFetch(`/reservations/${reservationId}`);
+    if (!r.ok) {
+      clearInterval(bookingTimer);
+      return render(<Text>Error: Could not retrieve booking status.</Text>);
+    }
+    const { reservation } = await r.json();
+    const calling = CALLING_RESERVATION[reservation.status];
+    if (calling) {
+      return render(<Spinner label={`${calling} ${reservation.restaurant?.name || 'the restaurant'}...`} />);
+    }
+    clearInterval(bookingTimer);
+    renderReservationScreen(reservation);
+  } catch (err) {
+    clearInterval(bookingTimer);
+    render(<Text>Error checking your booking: {err.message}</Text>);
+  }
+}
+
+// Epoch ms on the restaurant's clock
+function restaurantTime(reservation, at) {
+  const options = { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+  try {
+    return new Date(at).toLocaleString([], { ...options, timeZone: reservation.time_zone || undefined });
+  } catch (e) {
+    return new Date(at).toLocaleString([], options);
+  }
+}
+
+// How the last modify / cancel call went, when it didn't go through
+function ChangeOutcome({ change }) {
+  if (!change || !['declined', 'failed'].includes(change.status)) return null;
+  const what = change.action === 'cancel' ? 'cancel' : 'change';
+  return change.status === 'declined'
+    ? <Text>The restaurant couldn’t {what} the booking{change.reply ? `: “${change.reply}”` : '.'}</Text>
+    : <Text>We couldn’t reach the restaurant to {what} the booking; it stands as before.</Text>;
+}
+
+function renderReservationScreen(reservation, error) {
+  const confirmed = reservation.status === 'confirmed';
+  const cancelled = reservation.status === 'cancelled';
+  const policy = reservation.cancellation_policy;
+  const sentReminders = (reservation.reminders || []).filter(r => r.sent_at);
+  const texted = (reservation.notifications || []).find(n => n.kind === 'confirmed' && n.channel === 'sms' && n.status === 'sent');
+  const title = confirmed ? '✅ Reservation confirmed' : cancelled ? 'Reservation cancelled' : 'We could not confirm your table';
+  render(
+    <Card title={title}>
+      <Text>{reservation.restaurant?.name || 'Restaurant'}</Text>
+      <Text>
+        {reservation.date}{reservation.time ? ` at ${reservation.time}` : ''} · Party of {reservation.party_size}
+      </Text>
+      <Text>Under: {reservation.guest?.name}</Text>
+      {confirmed && reservation.confirmation?.code && (
+        <Text>Confirmation #: {reservation.confirmation.code}</Text>
+      )}
+      {!confirmed && !cancelled && reservation.failure_reason && (
+        <Text>Reason: {reservation.failure_reason}</Text>
+      )}
+      {error && <Text style={{ color: '#d92d20' }}>{error}</Text>}
+      <ChangeOutcome change={reservation.change} />
+      {confirmed && policy && (
+        <Text size="small">
+          {policy.free
+            ? 'No cancellation fee.'
+            : `Cancellation: “${policy.text}”${policy.deadline ? ` Free to cancel until ${restaurantTime(reservation, policy.deadline)}.` : ''}`}
+        </Text>
+      )}
+      {sentReminders.map((r, i) => <Text key={i} size="small">🔔 {r.message}</Text>)}
+      {confirmed && texted && <Text size="small">📨 We texted the details to {texted.to}.</Text>}
+      {confirmed && <a href={calendarUrl(reservation)} download>📅 Add to calendar</a>}
+      <Text size="small">Reference: {reservation.id}</Text>
+      {reservation.raw && (
+        <Button variant="secondary" onClick={() => renderTranscript(reservation.restaurant?.name || 'Restaurant', reservation.raw)}>
+          View Transcript
+        </Button>
+      )}
+      {confirmed && <Button variant="secondary" onClick={() => renderModifyForm(reservation)}>Change booking</Button>}
+      {confirmed && <Button variant="secondary" onClick={() => handleCancelReservation(reservation)}>Cancel booking</Button>}
+      {!confirmed && <Button onClick={() => main()}>Start a new search</Button>}
+    </Card>
+  );
+}
+
+function renderModifyForm(reservation, error) {
+  render(
+    <Form
+      title={`Change your table at ${reservation.restaurant?.name || 'Restaurant'}`}
+      onSubmit={(changes) => handleModifyReservation(reservation, changes)}
+    >
+      {error && <Text style={{ color: '#d92d20' }}>{error}</Text>}
+      <Text>We’ll call the restaurant to ask; your booking stays as it is if they can’t do it.</Text>
+      <Stepper name="party_size" label="Party Size" defaultValue={reservation.party_size} min={1} max={20} />
+      <DatePicker name="date" label="Date" defaultValue={reservation.date} />
+      <TimePicker name="time" label="Time" defaultValue={reservation.time} />
+      <Button type="submit">Ask the restaurant</Button>
+      <Button variant="secondary" onClick={() => renderReservationScreen(reservation)}>Keep my booking</Button>
+    </Form>
+  );
+}
+
+// Only what the guest actually changed goes to the server
+async function handleModifyReservation(reservation, changes) {
+  const body = {};
+  const partySize = Number(changes.party_size);
+  if (partySize && partySize !== reservation.party_size) body.party_size = partySize;
+  if (changes.date && changes.date !== reservation.date) body.date = changes.date;
+  if (changes.time && changes.time !== reservation.time) body.time = changes.time;
+  if (!Object.keys(body).length) return renderModifyForm(reservation, 'Nothing changed yet.');
+  await startReservationChange(reservation, 'modify', body, error => renderModifyForm(reservation, error));
+}
+
+async function handleCancelReservation(reservation) {
+  await startReservationChange(reservation, 'cancel', {}, error => renderReservationScreen(reservation, error));
+}
+
+// POST the change, then poll the reservation while we call the restaurant
+async function startReservationChange(reservation, action, body, onError) {
+  if (bookingTimer) clearInterval(bookingTimer);
+  render(<Spinner label={action === 'cancel' ? 'Cancelling your booking...' : 'Asking the restaurant about your change...'} />);
+  try {
+    const r = await apiFetch(`/reservations/${reservation.id}/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (!r.ok) {
+      const error = await r.json().catch(() => ({}));
+      return onError(errorMessage(error, action === 'cancel' ? 'Could not cancel the booking.' : 'Could not change the booking.'));
+    }
+    bookingTimer = setInterval(() => pollReservation(reservation.id), 2500);
+  } catch (err) {
+    render(<Text>Error: {err.message}</Text>);
+  }
 }
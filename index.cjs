@@ -0,0 +1,459 @@
+// index.cjs
+// RezKyoo backend: conversational "mood" -> hybrid Places search -> call batches
+
+require('dotenv').config();
+
+const express = require('express');
+const cors = require('cors');
+
+const app = express();
+// Quotas key anonymous callers by client IP; behind a load balancer set
+// TRUST_PROXY (e.g. 1, or its address) so req.ip is the client's
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
+app.use(cors());
+app.use(express.json({
+  // keep the raw body around for webhook signature checks
+  verify: (req, _res, buf) => { req.rawBody = buf; }
+}));
+
+/* ==================== Config ==================== */
+const PORT = Number(process.env.PORT || 3000);
+
+/* ==================== Batches & calls ==================== */
+const { listBatches } = require('./lib/batches.cjs');
+const { telephony, handleCallEvent, resumeScheduledCalls } = require('./lib/calls.cjs');
+const { resumeReminders } = require('./lib/reminders.cjs');
+const { addToDnc, listDnc, removeDnc } = require('./lib/dnc.cjs');
+const { normalizePhone } = require('./lib/phone.cjs');
+const { subscribeBatch } = require('./lib/events.cjs');
+const { attachStatusSocket } = require('./lib/status-socket.cjs');
+const { placesCacheStats } = require('./lib/places.cjs');
+const { hasMap, renderBatchMap } = require('./lib/map.cjs');
+const { isSandbox } = require('./lib/sandbox/index.cjs');
+const { authRequired, canAccess, identify } = require('./lib/auth.cjs');
+const {
+  ServiceError, getBatchContext, ownBatch, parseQuery, searchAndCall, searchMore,
+  getBatchStatus, decideOffer, bookReservation, getReservationStatus, getReservationCalendar,
+  modifyReservation, cancelReservation, getQuota,
+  compareRanking, listRankingProfiles, getPlaceHistory,
+  getAccount, updateGuestProfile, listAccountApiKeys, createAccountApiKey, revokeAccountApiKey, createAccount
+} = require('./lib/service.cjs');
+
+// ServiceErrors carry their own status; anything else is logged as a 500
+function sendError(res, err, label, message) {
+  if (err instanceof ServiceError) {
+    if (err.details?.retry_after) res.set('Retry-After', String(err.details.retry_after));
+    return res.status(err.status).json({ message: err.message, ...(err.details || {}) });
+  }
+  console.error(`${label} error`, err);
+  res.status(500).json({ message });
+}
+
+// Sets req.user from an API key or OAuth token (see lib/auth.cjs);
+// anonymous callers are turned away unless AUTH_REQUIRED=false
+async function authenticate(req, res, next) {
+  const who = await identify(req);
+  if (who.error) return res.status(who.status).json({ message: who.error });
+  if (!who.user && authRequired()) return res.status(401).json({ message: 'Sign in required' });
+  req.user = who.user;
+  next();
+}
+
+// Second argument of every service call that acts for the caller
+const caller = (req) => ({ user: req.user, ip: req.ip });
+
+/* ==================== Health ==================== */
+app.get('/health', (_req, res) => res.json({ ok: true, at: Date.now(), sandbox: isSandbox() }));
+
+/* ==================== NLP: mood -> normalized JSON + chips ==================== */
+app.post('/nlp/parse_query', authenticate, async (req, res) => {
+  try {
+    const { parsed, chips, diff, source } = await parseQuery(req.body || {}, caller(req));
+    res.json({ ok: true, parsed, chips, diff, source });
+  } catch (err) {
+    if (err instanceof ServiceError) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error('parse_query error', err);
+    res.status(500).json({ ok: false, error: 'NLP parse failed' });
+  }
+});
+
+/* ==================== Core endpoints ==================== */
+
+// Start a new search + call batch (returns 5 to call; ?debug=1 explains exclusions)
+app.post('/restaurants/search_and_call', authenticate, async (req, res) => {
+  try {
+    res.json(await searchAndCall({ ...req.body, debug: req.body?.debug === true || req.query.debug === '1' }, caller(req)));
+  } catch (err) {
+    sendError(res, err, 'search_and_call', 'Internal error starting search');
+  }
+});
+
+// Continue searching (avoid duplicates; return next 5)
+app.post('/restaurants/search_more', authenticate, async (req, res) => {
+  try {
+    res.json(await searchMore({ ...req.body, debug: req.body?.debug === true || req.query.debug === '1' }, caller(req)));
+  } catch (err) {
+    sendError(res, err, 'search_more', 'Internal error finding more restaurants');
+  }
+});
+
+// Poll batch status
+app.get('/status/:batchId', authenticate, async (req, res) => {
+  try {
+    res.json(await getBatchStatus(req.params.batchId, caller(req)));
+  } catch (err) {
+    sendError(res, err, 'status', 'Could not load batch');
+  }
+});
+
+// Map of the batch (Static Maps PNG or SVG fallback); mapUrl's ?v= changes with
+// outcomes, and its ?key= stands in for credentials
+app.get('/status/:batchId/map', async (req, res) => {
+  try {
+    const batch = await getBatchContext(req.params.batchId);
+    const keyed = batch?.map_key && req.query.key === batch.map_key;
+    if (!keyed && !canAccess(batch, (await identify(req)).user)) return res.status(404).json({ message: 'Batch not found' });
+    if (!hasMap(batch)) return res.status(404).json({ message: 'Nothing to map for this batch' });
+    const { contentType, body } = await renderBatchMap(batch);
+    res.set('Cache-Control', 'no-cache').type(contentType).send(body);
+  } catch (err) {
+    sendError(res, err, 'map', 'Could not draw map');
+  }
+});
+
+// Stream batch status as Server-Sent Events (resumable via Last-Event-ID or ?lastEventId=)
+app.get('/status/:batchId/stream', authenticate, async (req, res) => {
+  const { batchId } = req.params;
+  const batch = await getBatchContext(batchId);
+  if (!canAccess(batch, req.user)) return res.status(404).json({ message: 'Batch not found' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let done = false;
+  let finished = batch.status === 'completed';
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  function close() {
+    if (done) return;
+    done = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  }
+
+  // Registered first: a client can leave while we subscribe
+  req.on('close', close);
+
+  try {
+    unsubscribe = await subscribeBatch(batchId, {
+      lastEventId: req.get('last-event-id') || req.query.lastEventId,
+      loadBatch: getBatchContext,
+      onEvent: (evt) => {
+        if (done) return;
+        res.write(`id: ${evt.id}\nevent: ${evt.event}\ndata: ${JSON.stringify(evt.data)}\n\n`);
+        if (evt.data?.status === 'completed' && evt.event !== 'item') {
+          finished = true;
+          if (unsubscribe) close();
+        }
+      }
+    });
+  } catch (err) {
+    console.error('status stream error', err);
+    return close();
+  }
+  // Gone already: close() ran before there was anything to unsubscribe
+  if (done) return unsubscribe?.();
+
+  // Proxies drop idle connections; a comment line keeps them open
+  heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  if (!unsubscribe || finished) close();
+});
+
+// The caller's recent batches, newest first (optionally ?status=in_progress|completed)
+app.get('/batches', authenticate, async (req, res) => {
+  // Only an account has batches to list; an anonymous caller can still open
+  // an unowned batch by its id, but not browse everyone's
+  if (!req.user) return res.status(401).json({ message: 'Sign in required' });
+  try {
+    const { status } = req.query;
+    const limit = Math.min(200, Number(req.query.limit) || 50);
+    const list = await listBatches({ status, owner_id: req.user.id, limit });
+    res.json({
+      ok: true,
+      batches: list.map(b => ({
+        id: b.id,
+        status: b.status,
+        created_at: b.created_at,
+        expires_at: b.expires_at,
+        query: b.query,
+        items: b.items.map(x => ({ id: x.id, name: x.name, status: x.status }))
+      }))
+    });
+  } catch (err) {
+    console.error('list batches error', err);
+    res.status(500).json({ message: 'Could not list batches' });
+  }
+});
+
+// Accept or reject a time a restaurant offered ({ decision: 'accept' | 'reject', callback? })
+app.post('/batches/:batchId/items/:itemId/offer', authenticate, async (req, res) => {
+  try {
+    const { decision, callback } = req.body || {};
+    res.json(await decideOffer({ batch_id: req.params.batchId, item_id: req.params.itemId, decision, callback }, caller(req)));
+  } catch (err) {
+    sendError(res, err, 'offer decision', 'Could not record the decision');
+  }
+});
+
+/* ==================== Places ==================== */
+
+// What past calls taught us about a restaurant (answer rate, policies, lead times)
+app.get('/places/:placeId/history', authenticate, async (req, res) => {
+  try {
+    res.json(await getPlaceHistory(req.params.placeId));
+  } catch (err) {
+    sendError(res, err, 'place history', 'Could not load place history');
+  }
+});
+
+/* ==================== Reservations ==================== */
+
+// Book a table at a restaurant from a batch; places a confirmation call
+app.post('/reservations/book', authenticate, async (req, res) => {
+  try {
+    res.json(await bookReservation(req.body || {}, caller(req)));
+  } catch (err) {
+    sendError(res, err, 'book', 'Internal error booking reservation');
+  }
+});
+
+// Poll a reservation ('pending' until the confirmation call wraps up)
+app.get('/reservations/:reservationId', authenticate, async (req, res) => {
+  try {
+    res.json(await getReservationStatus(req.params.reservationId, caller(req)));
+  } catch (err) {
+    sendError(res, err, 'reservation status', 'Could not load reservation');
+  }
+});
+
+// The booked table as an iCalendar event, in the restaurant's time zone
+app.get('/reservations/:reservationId/calendar.ics', authenticate, async (req, res) => {
+  try {
+    const { filename, ics } = await getReservationCalendar(req.params.reservationId, caller(req));
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(ics);
+  } catch (err) {
+    sendError(res, err, 'reservation calendar', 'Could not export the reservation');
+  }
+});
+
+// Change party size, date and/or time of a confirmed reservation (status
+// 'modifying' while we call the restaurant; poll the reservation for the outcome)
+app.post('/reservations/:reservationId/modify', authenticate, async (req, res) => {
+  try {
+    res.json(await modifyReservation({ ...req.body, reservation_id: req.params.reservationId }, caller(req)));
+  } catch (err) {
+    sendError(res, err, 'modify reservation', 'Could not change the reservation');
+  }
+});
+
+// Cancel a confirmed reservation (status 'cancelling' while we call the restaurant)
+app.post('/reservations/:reservationId/cancel', authenticate, async (req, res) => {
+  try {
+    res.json(await cancelReservation({ ...req.body, reservation_id: req.params.reservationId }, caller(req)));
+  } catch (err) {
+    sendError(res, err, 'cancel reservation', 'Could not cancel the reservation');
+  }
+});
+
+/* ==================== Quota ==================== */
+
+// Searches and dials left in each window, and today's spend against the budget
+app.get('/quota', authenticate, async (req, res) => {
+  try {
+    res.json(await getQuota(caller(req)));
+  } catch (err) {
+    sendError(res, err, 'quota', 'Could not load quota');
+  }
+});
+
+/* ==================== Account ==================== */
+
+// Who the credentials belong to, and their saved guest profile
+app.get('/me', authenticate, async (req, res) => {
+  try {
+    res.json(await getAccount(caller(req)));
+  } catch (err) {
+    sendError(res, err, 'account', 'Could not load account');
+  }
+});
+
+// Name and callback phone that booking prefills ({ name, phone })
+app.put('/me/guest_profile', authenticate, async (req, res) => {
+  try {
+    res.json(await updateGuestProfile(req.body || {}, caller(req)));
+  } catch (err) {
+    sendError(res, err, 'guest profile', 'Could not save guest profile');
+  }
+});
+
+app.get('/me/api_keys', authenticate, async (req, res) => {
+  try {
+    res.json(await listAccountApiKeys(caller(req)));
+  } catch (err) {
+    sendError(res, err, 'list api keys', 'Could not list API keys');
+  }
+});
+
+// The new key's secret is only ever shown in this response
+app.post('/me/api_keys', authenticate, async (req, res) => {
+  try {
+    res.json(await createAccountApiKey(req.body || {}, caller(req)));
+  } catch (err) {
+    sendError(res, err, 'create api key', 'Could not create API key');
+  }
+});
+
+app.delete('/me/api_keys/:keyId', authenticate, async (req, res) => {
+  try {
+    res.json(await revokeAccountApiKey(req.params.keyId, caller(req)));
+  } catch (err) {
+    sendError(res, err, 'revoke api key', 'Could not revoke API key');
+  }
+});
+
+/* ==================== Admin: Do-Not-Call registry ==================== */
+
+// Admin routes need ADMIN_API_KEY in the x-admin-key header; disabled if unset
+function requireAdmin(req, res, next) {
+  const key = process.env.ADMIN_API_KEY;
+  if (!key) return res.status(503).json({ message: 'Admin API is not configured' });
+  if (req.get('x-admin-key') !== key) return res.status(401).json({ message: 'Unauthorized' });
+  next();
+}
+
+app.get('/admin/dnc', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(1000, Number(req.query.limit) || 200);
+    res.json({ ok: true, entries: await listDnc({ limit }) });
+  } catch (err) {
+    console.error('list dnc error', err);
+    res.status(500).json({ message: 'Could not list Do-Not-Call entries' });
+  }
+});
+
+app.post('/admin/dnc', requireAdmin, async (req, res) => {
+  try {
+    const { place_id, phone, name, reason } = req.body || {};
+    if (!place_id && !phone) return res.status(400).json({ message: 'Missing place_id or phone' });
+    if (phone && !normalizePhone(phone)) return res.status(400).json({ message: 'Invalid phone' });
+    const entries = await addToDnc({ place_id, phone, name, reason, source: 'admin' });
+    res.json({ ok: true, entries });
+  } catch (err) {
+    console.error('add dnc error', err);
+    res.status(500).json({ message: 'Could not add Do-Not-Call entry' });
+  }
+});
+
+app.delete('/admin/dnc/:entryId', requireAdmin, async (req, res) => {
+  try {
+    const removed = await removeDnc(req.params.entryId);
+    if (!removed) return res.status(404).json({ message: 'Entry not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('remove dnc error', err);
+    res.status(500).json({ message: 'Could not remove Do-Not-Call entry' });
+  }
+});
+
+/* ==================== Admin: Accounts ==================== */
+
+// An account for one of our own clients; the response carries its first API key
+app.post('/admin/users', requireAdmin, async (req, res) => {
+  try {
+    res.json(await createAccount(req.body || {}));
+  } catch (err) {
+    sendError(res, err, 'create user', 'Could not create account');
+  }
+});
+
+/* ==================== Admin: Places cache ==================== */
+
+// Hit/miss counters per kind (geocode, textsearch, details)
+app.get('/admin/cache', requireAdmin, (_req, res) => {
+  res.json({ ok: true, places: placesCacheStats() });
+});
+
+/* ==================== Admin: Ranking ==================== */
+
+// Weight profiles (built in + RANKING_PROFILES_JSON)
+app.get('/admin/ranking/profiles', requireAdmin, (_req, res) => {
+  res.json(listRankingProfiles());
+});
+
+// Rank one search's candidates under profiles a and b; nothing is dialed
+app.post('/admin/ranking/compare', requireAdmin, async (req, res) => {
+  try {
+    res.json(await compareRanking(req.body || {}));
+  } catch (err) {
+    sendError(res, err, 'ranking compare', 'Could not compare ranking profiles');
+  }
+});
+
+/* ==================== Telephony webhook ==================== */
+
+// Call events from the telephony provider (Telnyx Call Control), including
+// restaurants calling us back
+app.post('/voice/webhook', async (req, res) => {
+  try {
+    if (!telephony.verifyWebhook(req)) {
+      return res.status(401).json({ message: 'Invalid webhook signature' });
+    }
+    const evt = telephony.parseWebhook(req.body);
+    if (evt) await handleCallEvent(evt);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('voice webhook error', err);
+    res.status(500).json({ message: 'Webhook handling failed' });
+  }
+});
+
+// Simulated provider only: pretend a restaurant is calling us back from `from`
+app.post('/voice/simulated/inbound', async (req, res) => {
+  if (!telephony.ring) return res.status(404).json({ message: 'Only available with the simulated provider' });
+  const from = normalizePhone(req.body?.from);
+  if (!from) return res.status(400).json({ message: 'Missing from' });
+  try {
+    const { callId } = await telephony.ring({ from });
+    res.json({ ok: true, callId });
+  } catch (err) {
+    sendError(res, err, 'simulated inbound', 'Could not place the inbound call');
+  }
+});
+
+/* ==================== Start server ==================== */
+const server = app.listen(PORT, () => {
+  console.log(`✅ RezKyoo server running on http://localhost:${PORT}`);
+  if (isSandbox()) console.log('🧪 Sandbox mode: fixture restaurants, canned parsing and simulated calls only');
+  resumeScheduledCalls().catch(err => console.error('resume scheduled calls error', err));
+  resumeReminders().catch(err => console.error('resume reminders error', err));
+});
+
+attachStatusSocket(server, {
+  loadBatch: getBatchContext,
+  authorize: async (req, batchId) => {
+    const who = await identify(req);
+    if (who.error || (!who.user && authRequired())) return false;
+    return ownBatch(batchId, who.user).then(() => true, () => false);
+  }
+});
@@ -0,0 +1,186 @@
+// lib/auth.cjs
+// Who is calling. Requests carry `Authorization: Bearer <token>` (or
+// ?access_token= where no header can be set: EventSource, WebSocket, a
+// calendar download link):
+//   rzk_...          an API key (lib/users.cjs), for our own clients
+//   anything else    an OAuth access token from OAUTH_ISSUER, checked against
+//                    its userinfo endpoint and issued to OAUTH_CLIENT_ID; the
+//                    ChatGPT plugin and the MCP connector sign in this way
+// Anonymous callers are turned away unless AUTH_REQUIRED=false (the default in
+// sandbox mode); then they get through, but only see batches nobody owns.
+//
+// Batches and reservations carry `owner_id`; canAccess() is the one check.
+
+const crypto = require('crypto');
+const { getUser, isApiKey, userForApiKey, userForOAuth } = require('./users.cjs');
+const { isSandbox } = require('./sandbox/index.cjs');
+
+const TOKEN_CACHE_MS = 5 * 60 * 1000;
+const MAX_CACHED_TOKENS = 1000;
+const DEFAULT_SCOPES = 'openid email profile';
+
+// On outside sandbox mode unless AUTH_REQUIRED says otherwise
+function authRequired() {
+  const raw = String(process.env.AUTH_REQUIRED || '').trim();
+  return raw ? /^(1|true|yes|on)$/i.test(raw) : !isSandbox();
+}
+
+// Anonymous callers may only touch ownerless records, and only while auth is optional
+function canAccess(doc, user) {
+  if (!doc) return false;
+  return doc.owner_id ? doc.owner_id === user?.id : !authRequired();
+}
+
+/* ==================== OAuth ==================== */
+
+let discovery = null;
+
+// OpenID discovery for OAUTH_ISSUER (OAUTH_*_URL override single endpoints), or null
+async function oauthConfig() {
+  const issuer = String(process.env.OAUTH_ISSUER || '').replace(/\/$/, '');
+  if (!issuer) return null;
+  if (!discovery) {
+    discovery = fetch(`${issuer}/.well-known/openid-configuration`)
+      .then(r => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.json();
+      })
+      .catch(err => {
+        console.warn('OAuth discovery failed:', err.message);
+        discovery = null; // try again next time
+        return {};
+      });
+  }
+  const meta = await discovery;
+  return {
+    issuer,
+    authorization_endpoint: process.env.OAUTH_AUTHORIZE_URL || meta.authorization_endpoint || null,
+    token_endpoint: process.env.OAUTH_TOKEN_URL || meta.token_endpoint || null,
+    userinfo_endpoint: process.env.OAUTH_USERINFO_URL || meta.userinfo_endpoint || null,
+    introspection_endpoint: process.env.OAUTH_INTROSPECTION_URL || meta.introspection_endpoint || null,
+    client_id: process.env.OAUTH_CLIENT_ID || null,
+    scopes: String(process.env.OAUTH_SCOPES || DEFAULT_SCOPES).split(/\s+/).filter(Boolean)
+  };
+}
+
+// sha256(token) -> { userId, expires }; saves a userinfo round trip per request
+const tokenCache = new Map();
+
+// Claims of a token the provider already accepted: RFC 7662 introspection when
+// OAUTH_CLIENT_SECRET is set and the provider has an endpoint, else the payload
+// of a JWT access token. null for an opaque token we cannot look into.
+async function tokenClaims(token, config) {
+  const secret = process.env.OAUTH_CLIENT_SECRET;
+  if (config.introspection_endpoint && secret) {
+    const r = await fetch(config.introspection_endpoint, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${config.client_id}:${secret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ token, token_type_hint: 'access_token' })
+    });
+    if (!r.ok) throw new Error(`introspection HTTP ${r.status}`);
+    const claims = await r.json();
+    return claims?.active ? claims : null;
+  }
+  const [, payload] = token.split('.');
+  if (!payload) return null;
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (_e) {
+    return null;
+  }
+}
+
+// Was the token issued to us? A token the provider minted for another app
+// passes its userinfo endpoint just as well.
+function issuedToUs(claims, clientId) {
+  if (!claims || !clientId) return false;
+  const aud = [].concat(claims.aud || []);
+  return aud.includes(clientId) || claims.azp === clientId || claims.client_id === clientId;
+}
+
+async function userForAccessToken(token) {
+  const id = crypto.createHash('sha256').update(token).digest('hex');
+  const hit = tokenCache.get(id);
+  if (hit && hit.expires > Date.now()) return getUser(hit.userId);
+
+  const config = await oauthConfig();
+  if (!config?.userinfo_endpoint) return null;
+  if (!config.client_id) {
+    console.warn('OAUTH_CLIENT_ID is not set; refusing OAuth access tokens');
+    return null;
+  }
+  const r = await fetch(config.userinfo_endpoint, { headers: { Authorization: `Bearer ${token}` } });
+  if (r.status === 401 || r.status === 403) return null;
+  if (!r.ok) throw new Error(`userinfo HTTP ${r.status}`);
+  const info = await r.json();
+  if (!info?.sub) return null;
+
+  const claims = await tokenClaims(token, config);
+  if (!issuedToUs(claims, config.client_id)) return null;
+  if (claims.sub && String(claims.sub) !== String(info.sub)) return null;
+
+  const user = await userForOAuth({ issuer: config.issuer, sub: String(info.sub), email: info.email, name: info.name });
+  if (tokenCache.size >= MAX_CACHED_TOKENS) tokenCache.delete(tokenCache.keys().next().value);
+  tokenCache.set(id, { userId: user.id, expires: Date.now() + TOKEN_CACHE_MS });
+  return user;
+}
+
+// `auth` block for ai-plugin.json: OAuth when OAUTH_ISSUER is set, else null
+async function pluginAuth() {
+  const config = await oauthConfig();
+  if (!config?.authorization_endpoint || !config.token_endpoint) return null;
+  return {
+    type: 'oauth',
+    client_url: config.authorization_endpoint,
+    authorization_url: config.token_endpoint,
+    authorization_content_type: 'application/x-www-form-urlencoded',
+    scope: config.scopes.join(' '),
+    verification_tokens: { openai: process.env.OPENAI_VERIFICATION_TOKEN || '' }
+  };
+}
+
+// OAuth protected resource metadata (RFC 9728) for the MCP endpoint, or null
+async function protectedResource(resource) {
+  const config = await oauthConfig();
+  if (!config) return null;
+  return {
+    resource,
+    authorization_servers: [config.issuer],
+    scopes_supported: config.scopes,
+    bearer_methods_supported: ['header']
+  };
+}
+
+/* ==================== Requests ==================== */
+
+// Bearer header, x-api-key header or ?access_token= (Express or plain Node request)
+function tokenFrom(req) {
+  const bearer = String(req.headers?.authorization || '').match(/^Bearer\s+(\S+)/i);
+  if (bearer) return bearer[1];
+  if (req.headers?.['x-api-key']) return String(req.headers['x-api-key']).trim();
+  return new URL(req.url || '/', 'http://localhost').searchParams.get('access_token') || null;
+}
+
+// -> { user } (null for an anonymous caller) | { status, error } for bad credentials
+async function identify(req) {
+  const token = tokenFrom(req);
+  if (!token) return { user: null };
+  try {
+    const user = isApiKey(token) ? await userForApiKey(token) : await userForAccessToken(token);
+    return user ? { user, token } : { status: 401, error: 'Invalid or expired credentials' };
+  } catch (err) {
+    console.error('auth error', err);
+    return { status: 503, error: 'Could not verify credentials' };
+  }
+}
+
+module.exports = {
+  authRequired,
+  canAccess,
+  identify,
+  pluginAuth,
+  protectedResource,
+};
@@ -0,0 +1,89 @@
+// lib/batch-policy.cjs
+// How a batch works through its restaurants:
+//   parallel         dial up to `concurrency` at once (default: all of them)
+//   sequential       one at a time, in rank order
+//   first_confirmed  up to `concurrency` at once (default 2); the first table
+//                    confirmed wins, queued calls are cancelled and any other
+//                    hold is released with a polite callback
+//
+// planStep() is pure: it looks at a batch and says what to do next. calls.cjs
+// applies the plan and dials.
+
+const POLICY_MODES = ['parallel', 'sequential', 'first_confirmed'];
+const MAX_CONCURRENCY = 10;
+const FIRST_CONFIRMED_CONCURRENCY = 2;
+const CANCEL_REASON = 'confirmed_elsewhere';
+
+function defaultMode() {
+  const mode = String(process.env.BATCH_POLICY || 'parallel').toLowerCase();
+  return POLICY_MODES.includes(mode) ? mode : 'parallel';
+}
+
+// policy = { mode?, concurrency? } -> error message or null
+function validatePolicy(policy) {
+  if (policy === undefined || policy === null) return null;
+  if (typeof policy !== 'object' || Array.isArray(policy)) return 'policy must be an object';
+  if (policy.mode !== undefined && !POLICY_MODES.includes(policy.mode)) {
+    return `policy.mode must be one of ${POLICY_MODES.join(', ')}`;
+  }
+  if (policy.concurrency !== undefined && policy.concurrency !== null) {
+    const n = Number(policy.concurrency);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_CONCURRENCY) {
+      return `policy.concurrency must be an integer from 1 to ${MAX_CONCURRENCY}`;
+    }
+    if (policy.mode === 'sequential' && n !== 1) return 'policy.concurrency must be 1 for sequential';
+  }
+  return null;
+}
+
+// Requested policy -> the one stored on the batch: { mode, concurrency, winner }
+function resolvePolicy(policy = {}, itemCount = MAX_CONCURRENCY) {
+  const mode = policy?.mode || defaultMode();
+  const asked = Number(policy?.concurrency) || null;
+  let concurrency;
+  if (mode === 'sequential') concurrency = 1;
+  else if (mode === 'first_confirmed') concurrency = asked || FIRST_CONFIRMED_CONCURRENCY;
+  else concurrency = asked || Math.max(1, itemCount);
+  return { mode, concurrency: Math.min(concurrency, MAX_CONCURRENCY), winner: null };
+}
+
+// A table we could book right now
+function isConfirmed(item) {
+  return item.result?.outcome === 'available' || ['held', 'accepted'].includes(item.offer?.status);
+}
+
+// batch -> { winner, dial: [itemId], cancel: [itemId], release: [itemId] }
+// Batches created before policies existed dial everything, as they always did.
+function planStep(batch) {
+  const items = batch.items || [];
+  const policy = batch.policy || { mode: 'parallel', concurrency: items.length, winner: null };
+  const plan = { winner: policy.winner || null, dial: [], cancel: [], release: [] };
+
+  if (policy.mode === 'first_confirmed') {
+    // Rank order breaks a tie between calls that confirmed at the same time
+    if (!plan.winner) plan.winner = items.find(isConfirmed)?.id || null;
+    if (plan.winner) {
+      plan.cancel = items.filter(x => x.status === 'pending' || x.status === 'scheduled').map(x => x.id);
+      plan.release = items
+        // Holds the guest asked for themselves (decision set) are theirs to keep;
+        // one made on a call still in progress is released when that call ends
+        .filter(x => x.id !== plan.winner && x.offer?.status === 'held' && !x.offer.decision && x.status !== 'in_progress')
+        .map(x => x.id);
+      return plan;
+    }
+  }
+
+  const active = items.filter(x => x.status === 'in_progress').length;
+  const free = Math.max(0, policy.concurrency - active);
+  plan.dial = items.filter(x => x.status === 'pending').slice(0, free).map(x => x.id);
+  return plan;
+}
+
+module.exports = {
+  POLICY_MODES,
+  CANCEL_REASON,
+  validatePolicy,
+  resolvePolicy,
+  isConfirmed,
+  planStep,
+};
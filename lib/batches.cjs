@@ -0,0 +1,137 @@
+// lib/batches.cjs
+// Call batches: { id, owner_id, status, query, policy, restaurants, items: [], created_at, expires_at }
+
+const { store } = require('./store/index.cjs');
+const { publishBatchEvent, itemEventData } = require('./events.cjs');
+
+const COLLECTION = 'batches';
+const BATCH_TTL_MS = Number(process.env.BATCH_TTL_HOURS || 72) * 60 * 60 * 1000;
+const MAX_HISTORY = 30;
+
+// Item statuses that will not change again without a new call
+const TERMINAL_STATUSES = new Set(['completed', 'error', 'skipped', 'machine_detected', 'cancelled']);
+
+function isTerminal(status) {
+  return TERMINAL_STATUSES.has(status);
+}
+
+function newBatchId() {
+  return 'batch_' + Math.random().toString(36).slice(2, 10);
+}
+
+// item.status_history gets an entry per status change, so every attempt
+// (and what ended it) stays visible after a retry
+function historyEntry(item, at) {
+  const entry = { status: item.status, at, attempt: item.attempt || 0 };
+  if (item.status === 'in_progress' && item.call?.direction === 'inbound') entry.direction = 'inbound';
+  if (item.status === 'scheduled') {
+    Object.assign(entry, { reason: item.schedule_reason || null, scheduled_for: item.scheduled_for || null });
+    if (item.retry_after) entry.after = item.retry_after;
+  }
+  if (item.status === 'error') entry.error_code = item.error_code || null;
+  if (item.status === 'completed' || item.status === 'machine_detected') entry.outcome = item.result?.outcome || null;
+  if (item.status === 'skipped') entry.reason = item.skip_reason || null;
+  if (item.status === 'cancelled') entry.reason = item.cancel_reason || null;
+  return entry;
+}
+
+function withHistory(prev, next, at) {
+  if (prev && prev.status === next.status) return next;
+  return { ...next, status_history: [...(prev?.status_history || []), historyEntry(next, at)].slice(-MAX_HISTORY) };
+}
+
+function rollUpStatus(items) {
+  return items.every(x => isTerminal(x.status)) ? 'completed' : 'in_progress';
+}
+
+async function createBatch(batch) {
+  const id = batch.id || newBatchId();
+  const now = Date.now();
+  const items = (batch.items || []).map(x => (x.status_history ? x : withHistory(null, x, now)));
+  const stored = { ...batch, id, items, created_at: now, updated_at: now, expires_at: now + BATCH_TTL_MS };
+  return store.set(COLLECTION, id, stored);
+}
+
+async function getBatch(batchId) {
+  if (!batchId) return null;
+  return store.get(COLLECTION, batchId);
+}
+
+async function updateBatch(batchId, patch) {
+  let prevStatus = null;
+  const updated = await store.mutate(COLLECTION, batchId, batch => {
+    if (!batch) return undefined;
+    prevStatus = batch.status;
+    const next = typeof patch === 'function' ? patch(batch) : { ...batch, ...patch };
+    return { ...next, updated_at: Date.now() };
+  });
+  if (updated && updated.status !== prevStatus) {
+    publishBatchEvent(batchId, 'batch', { status: updated.status });
+  }
+  return updated;
+}
+
+// Patch one item (object, or fn(item) -> item) and roll the batch status up:
+// the batch is 'completed' once every item is terminal.
+async function updateItem(batchId, itemId, patch) {
+  let item = null;
+  let prevStatus = null;
+  const batch = await store.mutate(COLLECTION, batchId, current => {
+    const idx = current ? current.items.findIndex(x => x.id === itemId) : -1;
+    if (idx === -1) return undefined;
+    prevStatus = current.status;
+
+    const prev = current.items[idx];
+    const next = typeof patch === 'function' ? patch(prev) : { ...prev, ...patch };
+    const now = Date.now();
+    item = withHistory(prev, { ...next, updated_at: now }, now);
+
+    const items = current.items.slice();
+    items[idx] = item;
+    return { ...current, items, status: rollUpStatus(items), updated_at: Date.now() };
+  });
+
+  if (!item) return null;
+  publishBatchEvent(batchId, 'item', itemEventData(item));
+  if (batch.status !== prevStatus) publishBatchEvent(batchId, 'batch', { status: batch.status });
+  return { batch, item };
+}
+
+// Patch several items at once: fn(batch) -> batch with new items (and any
+// other fields). Rolls the status up and publishes the items that changed.
+async function updateItems(batchId, fn) {
+  let prev = null;
+  const batch = await store.mutate(COLLECTION, batchId, current => {
+    if (!current) return undefined;
+    prev = current;
+    const next = fn(current);
+    if (next === undefined) return undefined; // nothing to change
+    const now = Date.now();
+    const items = next.items.map((x, i) => (x === current.items[i] ? x : withHistory(current.items[i], { ...x, updated_at: now }, now)));
+    return { ...next, items, status: rollUpStatus(items), updated_at: now };
+  });
+
+  if (!batch) return null;
+  batch.items.forEach((item, i) => {
+    if (item !== prev.items[i]) publishBatchEvent(batchId, 'item', itemEventData(item));
+  });
+  if (batch.status !== prev.status) publishBatchEvent(batchId, 'batch', { status: batch.status });
+  return batch;
+}
+
+async function listBatches({ status, owner_id, limit = 50 } = {}) {
+  const where = { ...(status ? { status } : {}), ...(owner_id ? { owner_id } : {}) };
+  return store.list(COLLECTION, { where, limit });
+}
+
+module.exports = {
+  TERMINAL_STATUSES,
+  isTerminal,
+  newBatchId,
+  createBatch,
+  getBatch,
+  updateBatch,
+  updateItem,
+  updateItems,
+  listBatches,
+};
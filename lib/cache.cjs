@@ -0,0 +1,121 @@
+// lib/cache.cjs
+// TTL cache for upstream API responses: an in-process LRU, optionally backed
+// by the shared document store so entries survive restarts and are shared
+// between instances.
+//
+//   const cache = createCache({ name: 'places', ttls: { details: 86400000 } });
+//   const value = await cache.wrap('details', placeId, () => fetchDetails(placeId));
+//
+// wrap() also joins concurrent misses for the same key, so one upstream call
+// serves every caller that asked while it was in flight.
+
+const crypto = require('crypto');
+const { store } = require('./store/index.cjs');
+
+const DEFAULT_MAX_ENTRIES = 2000;
+
+function createCache({ name, ttls = {}, maxEntries = DEFAULT_MAX_ENTRIES, persistent = false }) {
+  const lru = new Map();       // "kind:key" -> { value, expires_at }; Map order = recency
+  const inflight = new Map();  // "kind:key" -> Promise
+  const stats = {};            // kind -> { hits, misses, store_hits, joined }
+  const collection = `cache_${name}`;
+
+  const statsFor = (kind) => {
+    if (!stats[kind]) stats[kind] = { hits: 0, misses: 0, store_hits: 0, joined: 0 };
+    return stats[kind];
+  };
+
+  // Store ids must be short and path-safe (Firestore), so keys are hashed
+  const storeId = (kind, key) => `${kind}_${crypto.createHash('sha1').update(key).digest('hex')}`;
+
+  function remember(id, value, expires_at) {
+    lru.delete(id);
+    lru.set(id, { value, expires_at });
+    while (lru.size > maxEntries) lru.delete(lru.keys().next().value);
+  }
+
+  async function get(kind, key) {
+    const id = `${kind}:${key}`;
+    const hit = lru.get(id);
+    if (hit && hit.expires_at > Date.now()) {
+      remember(id, hit.value, hit.expires_at);
+      return hit.value;
+    }
+    if (hit) lru.delete(id);
+
+    if (persistent) {
+      try {
+        const doc = await store.get(collection, storeId(kind, key));
+        if (doc) {
+          remember(id, doc.value, doc.expires_at);
+          statsFor(kind).store_hits++;
+          return doc.value;
+        }
+      } catch (err) {
+        console.error(`cache ${name} read error`, err.message);
+      }
+    }
+    return undefined;
+  }
+
+  async function set(kind, key, value, ttlMs = ttls[kind]) {
+    if (!ttlMs) return value;
+    const now = Date.now();
+    const expires_at = now + ttlMs;
+    remember(`${kind}:${key}`, value, expires_at);
+    if (persistent) {
+      try {
+        await store.set(collection, storeId(kind, key), { kind, value, created_at: now, expires_at });
+      } catch (err) {
+        console.error(`cache ${name} write error`, err.message);
+      }
+    }
+    return value;
+  }
+
+  // Cached value, or fn()'s result (cached unless null/undefined)
+  async function wrap(kind, key, fn) {
+    const id = `${kind}:${key}`;
+    const s = statsFor(kind);
+
+    const cached = await get(kind, key);
+    if (cached !== undefined) {
+      s.hits++;
+      return cached;
+    }
+    if (inflight.has(id)) {
+      s.joined++;
+      return inflight.get(id);
+    }
+
+    s.misses++;
+    const pending = (async () => {
+      try {
+        const value = await fn();
+        if (value !== undefined && value !== null) await set(kind, key, value);
+        return value;
+      } finally {
+        inflight.delete(id);
+      }
+    })();
+    inflight.set(id, pending);
+    return pending;
+  }
+
+  function getStats() {
+    const kinds = {};
+    for (const [kind, s] of Object.entries(stats)) {
+      const lookups = s.hits + s.misses + s.joined;
+      kinds[kind] = { ...s, hit_rate: lookups ? Number(((s.hits + s.joined) / lookups).toFixed(3)) : 0 };
+    }
+    return { name, persistent, entries: lru.size, max_entries: maxEntries, kinds };
+  }
+
+  function clear() {
+    lru.clear();
+  }
+
+  return { get, set, wrap, stats: getStats, clear };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,128 @@
+// lib/calendar.cjs
+// iCalendar (RFC 5545) export of a booked table, served as
+// GET /reservations/:reservationId/calendar.ics. The event starts at the
+// reservation's local time in the restaurant's time zone (TZID), so calendars
+// show it right wherever the guest is. Without a zone name it falls back to
+// UTC from the stored offset, and without a time to an all-day event.
+//
+// Pure like lib/cancellation-policy.cjs: service.cjs checks access and status.
+
+const { localMinutes, fromLocalMinutes } = require('./hours.cjs');
+const { reservationStart } = require('./cancellation-policy.cjs');
+
+// How long a table is blocked out in the calendar
+const DINING_MINUTES = 120;
+const PRODID = '-//RezKyoo//Reservations//EN';
+
+// Text values escape \ ; , and newlines
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const out = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+// 2025-05-01 + 19:30 -> 20250501T193000
+const localStamp = (date, time) => `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+const utcStamp = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Minutes east of UTC -> +HHMM / -HHMM
+function offsetText(minutes) {
+  const abs = Math.abs(minutes);
+  const hh = String(Math.floor(abs / 60)).padStart(2, '0');
+  const mm = String(abs % 60).padStart(2, '0');
+  return `${minutes < 0 ? '-' : '+'}${hh}${mm}`;
+}
+
+// Local date and time `minutes` later (past midnight moves the date)
+const addMinutes = (date, time, minutes) => fromLocalMinutes(localMinutes(date, time) + minutes);
+
+// DTSTART / DTEND lines, plus the VTIMEZONE they refer to
+function eventTimes(reservation) {
+  const { date, time, time_zone: zone } = reservation;
+  if (!time) {
+    const next = addMinutes(date, '00:00', 1440).date;
+    return { timezone: [], times: [`DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`, `DTEND;VALUE=DATE:${next.replace(/-/g, '')}`] };
+  }
+  const start = reservationStart(reservation);
+  const end = addMinutes(date, time, DINING_MINUTES);
+  if (!zone) {
+    return { timezone: [], times: [`DTSTART:${utcStamp(start)}`, `DTEND:${utcStamp(start + DINING_MINUTES * 60000)}`] };
+  }
+  // The zone's offset on the night; one event needs no DST rules
+  const offset = offsetText(localMinutes(date, time) - Math.round(start / 60000));
+  return {
+    timezone: [
+      'BEGIN:VTIMEZONE', `TZID:${zone}`,
+      'BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD',
+      'END:VTIMEZONE'
+    ],
+    times: [`DTSTART;TZID=${zone}:${localStamp(date, time)}`, `DTEND;TZID=${zone}:${localStamp(end.date, end.time)}`]
+  };
+}
+
+function eventDescription(reservation) {
+  const policy = reservation.cancellation_policy;
+  return [
+    `Party of ${reservation.party_size || '?'}${reservation.guest?.name ? ` under ${reservation.guest.name}` : ''}`,
+    reservation.confirmation?.code ? `Confirmation: ${reservation.confirmation.code}` : null,
+    reservation.restaurant?.phone ? `Restaurant phone: ${reservation.restaurant.phone}` : null,
+    policy?.free ? 'No cancellation fee' : policy?.text ? `Cancellation policy: ${policy.text}` : null,
+    `Booked with RezKyoo (${reservation.id})`
+  ].filter(Boolean).join('\n');
+}
+
+// Reservation -> .ics text (CRLF line endings)
+function reservationCalendar(reservation, now = Date.now()) {
+  const name = reservation.restaurant?.name || 'Restaurant';
+  const { timezone, times } = eventTimes(reservation);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...timezone,
+    'BEGIN:VEVENT',
+    `UID:${reservation.id}@rezkyoo`,
+    `DTSTAMP:${utcStamp(now)}`,
+    `LAST-MODIFIED:${utcStamp(reservation.updated_at || now)}`,
+    ...times,
+    `SUMMARY:${escapeText(`Table for ${reservation.party_size || '?'} at ${name}`)}`,
+    ...(reservation.restaurant?.address ? [`LOCATION:${escapeText(`${name}, ${reservation.restaurant.address}`)}`] : []),
+    `DESCRIPTION:${escapeText(eventDescription(reservation))}`,
+    'STATUS:CONFIRMED',
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// "Thai Orchid" on 2025-05-01 -> thai-orchid-2025-05-01.ics
+function calendarFilename(reservation) {
+  const slug = String(reservation.restaurant?.name || 'reservation')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'reservation';
+  return `${slug}${reservation.date ? `-${reservation.date}` : ''}.ics`;
+}
+
+module.exports = {
+  reservationCalendar,
+  calendarFilename,
+};
@@ -0,0 +1,321 @@
+// lib/call-agent.cjs
+// What our side of a reservation call says, turn by turn
+
+const { resolveWindow } = require('./time-window.cjs');
+
+const AGENT_NAME = process.env.CALL_AGENT_NAME || 'RezKyoo';
+
+function formatDate(dateISO) {
+  if (!dateISO) return 'today';
+  const [y, m, d] = String(dateISO).split('-').map(Number);
+  if (!y || !m || !d) return dateISO;
+  return new Date(Date.UTC(y, m - 1, d)).toLocaleDateString('en-US', {
+    timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric'
+  });
+}
+
+function formatTime(timeHHMM) {
+  const [h, m] = String(timeHHMM || '').split(':').map(Number);
+  if (Number.isNaN(h) || Number.isNaN(m)) return timeHHMM || '';
+  const suffix = h >= 12 ? 'PM' : 'AM';
+  const hour12 = h % 12 || 12;
+  return m ? `${hour12}:${String(m).padStart(2, '0')} ${suffix}` : `${hour12} ${suffix}`;
+}
+
+function describeWindow(window) {
+  return `between ${formatTime(window.start)} and ${formatTime(window.end)}`;
+}
+
+// "a table for 4 on Friday, May 2 at 7 PM" (no date clause without a date)
+function describeRequest(query = {}) {
+  const party = Number(query.party_size) || 2;
+  const on = query.date ? ` on ${formatDate(query.date)}` : '';
+  const window = resolveWindow(query);
+  if (query.intent === 'specific_time' && query.time) {
+    return `a table for ${party}${on} at ${formatTime(query.time)}`;
+  }
+  if (query.intent === 'specific_time' && window) {
+    return `a table for ${party}${on} ${describeWindow(window)}`;
+  }
+  return `the next available table for ${party}${on}${window ? ` ${describeWindow(window)}` : ''}`;
+}
+
+function openingLine({ query, item }) {
+  const window = resolveWindow(query);
+  // For next_available we know (from their hours) the earliest time worth asking about
+  const slot = query?.intent !== 'specific_time' && !window && item?.next_open_slot;
+  let extra = slot && (!query.date || slot.date === query.date)
+    ? ` Anything from ${formatTime(slot.time)} on would work.`
+    : '';
+  if (window && query.intent === 'specific_time' && query.time) {
+    extra = ` If not, anything ${describeWindow(window)} would work.`;
+  }
+  // Past calls to this place (item.call_hints, see place-history) say what to ask up front
+  const hints = item?.call_hints;
+  if (hints?.ask_next_opening) extra += " If you're full, when is your next opening?";
+  if (hints?.ask_card) extra += ' Do you need a card to hold the table?';
+  // A restaurant returning our call (after a voicemail or a missed call)
+  const greeting = item?.call?.direction === 'inbound'
+    ? `Thanks for calling us back! I'm an automated assistant for a ${AGENT_NAME} guest. `
+    : `Hi! I'm an automated assistant calling on behalf of a ${AGENT_NAME} guest. `;
+  return `${greeting}Do you have ${describeRequest(query)}?${extra}`;
+}
+
+// Left after the beep when we reach an answering machine
+function voicemailMessage({ query, callbackNumber }) {
+  const back = callbackNumber
+    ? ` Please call us back at ${spokenPhone(callbackNumber)}, or we'll try you again a little later.`
+    : " We'll try you again a little later.";
+  return `Hi, this is an automated assistant calling on behalf of a ${AGENT_NAME} guest. ` +
+    `We're hoping to book ${describeRequest(query)}.${back} Thank you!`;
+}
+
+// turns: [{ speaker: 'agent' | 'restaurant', text }]
+// -> { say, hangup } for the next thing our side should do
+// `offered` is a time the restaurant just proposed instead (HH:MM), and
+// `acceptOffer` whether it falls inside the guest's window. An accepted offer
+// comes back as `offer` for the caller to record as a hold.
+// -> { say, hangup, offer? }
+function nextTurn({ query = {}, item = {}, turns = [], offered = null, acceptOffer = false }) {
+  const replies = turns.filter(t => t.speaker === 'restaurant');
+  if (!replies.length) return { say: null, hangup: false };
+  const last = replies[replies.length - 1];
+
+  // We asked them to hold a time: only a clear yes holds it. An unclear reply
+  // is asked once more, then the time is left for the guest to decide on.
+  if (item.offer?.status === 'holding') {
+    const reply = interpretBookingReply(last.text);
+    if (reply === 'confirmed') {
+      return {
+        say: "Perfect, thank you! We'll confirm the guest's name shortly. Have a great day!",
+        hangup: true,
+        offer: { ...item.offer, status: 'held' }
+      };
+    }
+    if (reply === 'declined') {
+      return {
+        say: 'No problem at all, thank you for checking. Goodbye!',
+        hangup: true,
+        offer: { ...item.offer, status: 'unavailable' }
+      };
+    }
+    const sinceAsked = replies.filter(t => !(t.at <= item.offer.at));
+    if (sinceAsked.length < 2) {
+      const party = Number(query.party_size) || 2;
+      return { say: `Sorry, just to check: can you hold ${formatTime(item.offer.time)} for a party of ${party}?`, hangup: false };
+    }
+    return {
+      say: `No worries, I'll check ${formatTime(item.offer.time)} with our guest and call back if it works. Thank you!`,
+      hangup: true,
+      offer: { ...item.offer, status: 'awaiting_decision' }
+    };
+  }
+
+  if (replies.length === 1 && offered && acceptOffer) {
+    const party = Number(query.party_size) || 2;
+    return {
+      say: `${formatTime(offered)} works for us. Could you please hold that for a party of ${party}? ` +
+        `The reservation will be under our guest's name; we'll confirm it shortly.`,
+      hangup: false,
+      offer: { time: offered, in_window: true, status: 'holding', source: 'call', at: Date.now() }
+    };
+  }
+
+  if (replies.length === 1 && offered) {
+    return {
+      say: `Thank you! I'll check ${formatTime(offered)} with our guest and call back if it works. Have a great day!`,
+      hangup: true
+    };
+  }
+
+  return {
+    say: "Thank you so much, I'll pass that along to our guest. Have a great day!",
+    hangup: true
+  };
+}
+
+// The restaurant asked us to stop calling: apologise and get off the line
+function optOutReply() {
+  return { say: "Understood, we won't call again. Sorry for the trouble, goodbye!", hangup: true };
+}
+
+/* ==================== Booking calls ==================== */
+
+const CONFIRM_RE = /\b(yes|yep|sure|confirmed|booked|all set|got (it|you)|see you|we'll see|that works|no problem)\b/i;
+const DECLINE_RE = /\b(sorry|no longer|can't|cannot|unable|fully booked|full|no tables?|not available)\b/i;
+const CODE_RE = /\b(?:confirmation|reference)(?:\s+(?:number|code|#))?(?:\s+is)?\s*:?\s*([A-Z0-9-]{3,})\b/i;
+
+function describeReservation(reservation = {}) {
+  return describeRequest({
+    party_size: reservation.party_size,
+    date: reservation.date,
+    time: reservation.time,
+    intent: reservation.time ? 'specific_time' : 'next_available'
+  });
+}
+
+// Read digits out one at a time so TTS doesn't say "four billion..."
+function spokenPhone(phone) {
+  return String(phone || '').replace(/\D/g, '').split('').join(' ');
+}
+
+function bookingOpeningLine({ reservation }) {
+  return `Hi! I'm an automated assistant calling on behalf of a ${AGENT_NAME} guest. ` +
+    `I'd like to book ${describeReservation(reservation)} under the name ${reservation.guest?.name}. ` +
+    `Their phone number is ${spokenPhone(reservation.guest?.phone)}. Can you confirm that booking?`;
+}
+
+// 'confirmed' | 'declined' | null (unclear)
+function interpretBookingReply(text = '') {
+  if (DECLINE_RE.test(text) && !/\bno problem\b/i.test(text)) return 'declined';
+  if (CONFIRM_RE.test(text)) return 'confirmed';
+  return null;
+}
+
+function extractConfirmationCode(text = '') {
+  const m = String(text).match(CODE_RE);
+  return m ? m[1] : null;
+}
+
+const POLICY_QUESTION = 'Is there a cancellation deadline or a no-show fee we should let our guest know about?';
+
+// Once the table is confirmed we ask about the cancellation policy; the
+// reply to that is the last turn.
+// -> { say, hangup, outcome: 'confirmed' | 'declined' | null }
+function nextBookingTurn({ reservation, turns = [] }) {
+  const replies = turns.filter(t => t.speaker === 'restaurant');
+  const last = replies[replies.length - 1];
+  if (!last) return { say: null, hangup: false, outcome: null };
+
+  if (reservation.status === 'confirmed') {
+    return { say: "Got it, we'll pass that on. Thank you so much, have a great day!", hangup: true, outcome: null };
+  }
+  const outcome = interpretBookingReply(last.text);
+  if (outcome === 'confirmed') {
+    return { say: `Wonderful, thank you so much! ${POLICY_QUESTION}`, hangup: false, outcome };
+  }
+  if (outcome === 'declined') {
+    return { say: 'No problem at all, thank you for checking.', hangup: true, outcome };
+  }
+  if (replies.length < 2) {
+    return {
+      say: `Just to confirm: ${describeReservation(reservation)} under ${reservation.guest?.name}. Is that booked?`,
+      hangup: false,
+      outcome: null
+    };
+  }
+  return { say: "Thanks for your help, we'll follow up. Goodbye!", hangup: true, outcome: null };
+}
+
+/* ==================== Reservation changes ==================== */
+
+// Restaurants confirm a cancellation or change in words a booking reply doesn't use
+const CHANGE_DONE_RE = /\b(cancel+ed|changed|updated|moved|taken care of|done|took care)\b/i;
+// ...unless they deny it: "not done", "haven't changed anything", "won't be able to move it", "no, ..."
+const CHANGE_DENIED_RE = /(\b(not|never|nothing|unable|cannot)|n't)\s+(?:[\w'-]+\s+){0,3}?(cancel|change|update|move|taken care|done|take care|took care)|^\W*no\b(?!\s+problem)/i;
+
+// change: { action: 'modify' | 'cancel', requested: { party_size?, date?, time? } }
+function changeOpeningLine({ reservation, change }) {
+  const code = reservation.confirmation?.code ? `, confirmation ${reservation.confirmation.code}` : '';
+  const intro = `Hi! I'm an automated assistant calling on behalf of a ${AGENT_NAME} guest about their booking: ` +
+    `${describeReservation(reservation)} under the name ${reservation.guest?.name}${code}. `;
+  if (change.action === 'cancel') {
+    return intro + "Unfortunately they can't make it. Could you please cancel that booking?";
+  }
+  return intro + `Could we change it to ${describeReservation({ ...reservation, ...change.requested })} instead?`;
+}
+
+// 'confirmed' | 'declined' | null (unclear)
+function interpretChangeReply(text = '') {
+  if (CHANGE_DENIED_RE.test(text)) {
+    // A denial is never a confirmation, whatever else was said ("yes, sorry, it's not done")
+    const outcome = interpretBookingReply(text);
+    return outcome === 'confirmed' ? null : outcome;
+  }
+  if (CHANGE_DONE_RE.test(text)) return 'confirmed';
+  return interpretBookingReply(text);
+}
+
+// -> { say, hangup, outcome: 'confirmed' | 'declined' | null }
+function nextChangeTurn({ reservation, change, turns = [] }) {
+  const replies = turns.filter(t => t.speaker === 'restaurant');
+  const last = replies[replies.length - 1];
+  if (!last) return { say: null, hangup: false, outcome: null };
+
+  const outcome = interpretChangeReply(last.text);
+  if (outcome === 'confirmed') {
+    return { say: 'Wonderful, thank you so much for your help! Have a great day.', hangup: true, outcome };
+  }
+  if (outcome === 'declined') {
+    return { say: "No problem, thank you for checking. We'll let our guest know.", hangup: true, outcome };
+  }
+  if (replies.length < 2) {
+    const ask = change.action === 'cancel'
+      ? `Sorry, just to confirm: is the booking under ${reservation.guest?.name} cancelled?`
+      : `Sorry, just to confirm: is it now ${describeReservation({ ...reservation, ...change.requested })}?`;
+    return { say: ask, hangup: false, outcome: null };
+  }
+  return { say: "Thanks for your help, we'll follow up. Goodbye!", hangup: true, outcome: null };
+}
+
+/* ==================== Offer callbacks ==================== */
+
+// Call back about a time the restaurant offered: take it (accept) or give back a hold (release)
+function callbackOpeningLine({ action, offer, query = {} }) {
+  const party = Number(query.party_size) || 2;
+  const when = `${formatTime(offer.time)}${query.date ? ` on ${formatDate(query.date)}` : ''}`;
+  const intro = `Hi! I'm an automated assistant calling back on behalf of a ${AGENT_NAME} guest. `;
+  if (action === 'release') {
+    return intro + `You kindly held a table for ${party} at ${when}. ` +
+      `Our guest can't make it after all, so please release it. Sorry for the trouble!`;
+  }
+  return intro + `Earlier you offered a table for ${party} at ${when}. ` +
+    `Our guest would love to take it. Could you hold that for us?`;
+}
+
+// -> { say, hangup, status: next offer status | null }
+function nextCallbackTurn({ action, turns = [] }) {
+  const replies = turns.filter(t => t.speaker === 'restaurant');
+  const last = replies[replies.length - 1];
+  if (!last) return { say: null, hangup: false, status: null };
+
+  if (action === 'release') {
+    return { say: 'Thank you so much, have a great day!', hangup: true, status: 'released' };
+  }
+  const reply = interpretBookingReply(last.text);
+  if (reply === 'confirmed') {
+    return { say: "Wonderful, thank you! We'll confirm the name shortly. Goodbye!", hangup: true, status: 'held' };
+  }
+  if (reply === 'declined') {
+    return { say: 'No problem at all, thank you for checking.', hangup: true, status: 'unavailable' };
+  }
+  if (replies.length < 2) {
+    return { say: 'Sorry, just to confirm: can you hold that table for us?', hangup: false, status: null };
+  }
+  return { say: "Thanks for your help, we'll follow up. Goodbye!", hangup: true, status: 'callback_failed' };
+}
+
+function transcriptText(turns = []) {
+  return turns
+    .map(t => `${t.speaker === 'agent' ? 'Agent' : 'Restaurant'}: ${t.text}`)
+    .join('\n');
+}
+
+module.exports = {
+  formatDate,
+  formatTime,
+  describeRequest,
+  openingLine,
+  voicemailMessage,
+  nextTurn,
+  optOutReply,
+  callbackOpeningLine,
+  nextCallbackTurn,
+  bookingOpeningLine,
+  nextBookingTurn,
+  changeOpeningLine,
+  nextChangeTurn,
+  interpretBookingReply,
+  extractConfirmationCode,
+  transcriptText,
+};
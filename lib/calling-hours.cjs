@@ -0,0 +1,163 @@
+// lib/calling-hours.cjs
+// When a batch may ring a restaurant, judged in the restaurant's own time:
+//   - the global calling hours (CALLING_HOURS, default 09:00-21:00)
+//   - rush-hour blackouts (CALL_BLACKOUTS, default Friday and Saturday dinner),
+//     waived when they would leave no time to call before the reservation
+//   - the restaurant's own hours: from an hour before it opens until half an
+//     hour before it closes (places without hours get the global rules only)
+// CALLING_HOURS=off dials straight away, whatever the time.
+//
+// Like planStep(), scheduleItems() is pure: calls.cjs queues items that can't
+// be called yet as 'scheduled', with an ETA, and wakes the batch up then.
+
+const { DAY_MIN, hasHours, openIntervals, placeUtcOffset, localNow, localMinutes } = require('./hours.cjs');
+
+const DEFAULT_CALLING_HOURS = '09:00-21:00';
+const DEFAULT_BLACKOUTS = 'fri,sat 18:00-20:30';
+const OPEN_LEAD_MIN = 60;     // staff are usually in before the doors open
+const CLOSE_BUFFER_MIN = 30;  // nobody wants the phone at closing time
+const DEADLINE_LEAD_MIN = 30; // a call after this close to the reservation is pointless
+const STEP_MIN = 5;
+const HORIZON_DAYS = 2;
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/* ==================== Config ==================== */
+
+// "HH:MM-HH:MM" -> [start, end] minutes of the day (end < start runs past midnight)
+function parseRange(text) {
+  const m = String(text || '').trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const start = Number(m[1]) * 60 + Number(m[2]);
+  const end = Number(m[3]) * 60 + Number(m[4]);
+  return start <= DAY_MIN && end <= DAY_MIN && start !== end ? [start, end] : null;
+}
+
+// null when the scheduler is off
+function callingHours() {
+  const raw = String(process.env.CALLING_HOURS ?? DEFAULT_CALLING_HOURS).trim();
+  if (/^(off|none|always)$/i.test(raw)) return null;
+  const range = parseRange(raw);
+  if (range) return range;
+  console.warn(`Ignoring CALLING_HOURS "${raw}"; using ${DEFAULT_CALLING_HOURS}`);
+  return parseRange(DEFAULT_CALLING_HOURS);
+}
+
+// "fri,sat 18:00-20:30; * 12:00-13:00" -> [{ days: Set<0..6>, range }]
+function blackouts() {
+  const raw = String(process.env.CALL_BLACKOUTS ?? DEFAULT_BLACKOUTS);
+  return raw.split(';').map(s => s.trim()).filter(Boolean).flatMap(entry => {
+    const [first, ...rest] = entry.split(/\s+/);
+    const dayList = rest.length ? first : '*';
+    const range = parseRange(rest.length ? rest.join(' ') : first);
+    const days = dayList === '*'
+      ? [0, 1, 2, 3, 4, 5, 6]
+      : dayList.toLowerCase().split(',').map(d => DAYS.indexOf(d.slice(0, 3)));
+    if (!range || days.includes(-1)) {
+      console.warn(`Ignoring CALL_BLACKOUTS entry "${entry}"`);
+      return [];
+    }
+    return [{ days: new Set(days), range }];
+  });
+}
+
+/* ==================== Windows ==================== */
+
+const weekday = (local) => (Math.floor(local / DAY_MIN) + 4) % 7; // 1970-01-01 was a Thursday
+
+// Is minute-of-day `m` inside [start, end], which may run past midnight?
+function inRange(m, [start, end]) {
+  return start < end ? m >= start && m < end : m >= start || m < end;
+}
+
+// A range past midnight belongs to the day it started on
+function inBlackout(local, { days, range }) {
+  const m = local % DAY_MIN;
+  const [start, end] = range;
+  if (start < end || m >= start) return days.has(weekday(local)) && inRange(m, range);
+  return days.has(weekday(local - DAY_MIN)) && m < end;
+}
+
+// Why `local` is off limits, or null when we may call
+function blockedBy(local, { hours, rules, quiet }) {
+  if (!inRange(local % DAY_MIN, hours)) return 'calling_hours';
+  if (rules.some(b => inBlackout(local, b))) return 'rush_hour';
+  if (quiet && !quiet.some(([s, e]) => local >= s && local < e)) return 'restaurant_closed';
+  return null;
+}
+
+// First local minute after `from` and up to `last` that we may call at, or null
+function firstAllowed(from, last, ctx) {
+  for (let t = Math.ceil((from + 1) / STEP_MIN) * STEP_MIN; t <= last; t += STEP_MIN) {
+    if (!blockedBy(t, ctx)) return t;
+  }
+  return null;
+}
+
+// The last local minute worth calling at for this query, or null
+function deadlineFor(query = {}) {
+  const at = query.time_window?.end || query.time;
+  return query.date && at ? localMinutes(query.date, at) - DEADLINE_LEAD_MIN : null;
+}
+
+// -> { ok: true } | { ok: false, reason, eta } where eta (epoch ms) is the
+// first allowed moment, or null when there is none before the deadline
+function callWindow(place, { timeZoneId, now = Date.now(), deadline = null } = {}) {
+  const hours = callingHours();
+  if (!hours) return { ok: true };
+  const utcOffsetMinutes = placeUtcOffset(place);
+  // Without a zone or an offset there is no telling what time it is there
+  if (!timeZoneId && utcOffsetMinutes === undefined) return { ok: true };
+
+  const nowLocal = localNow({ timeZoneId, utcOffsetMinutes }, now);
+  const today = Math.floor(nowLocal / DAY_MIN);
+  const quiet = hasHours(place)
+    ? openIntervals(place, today - 1, today + HORIZON_DAYS).map(([s, e]) => [s - OPEN_LEAD_MIN, e - CLOSE_BUFFER_MIN])
+    : null;
+  const ctx = { hours, rules: blackouts(), quiet };
+
+  let reason = blockedBy(nowLocal, ctx);
+  if (!reason) return { ok: true };
+  const last = Math.min(nowLocal + HORIZON_DAYS * DAY_MIN, deadline ?? Infinity);
+  let t = firstAllowed(nowLocal, last, ctx);
+
+  // Waiting out the rush would miss the reservation: ringing during it beats never ringing
+  if (t === null && deadline !== null && ctx.rules.length) {
+    const relaxed = { ...ctx, rules: [] };
+    reason = blockedBy(nowLocal, relaxed);
+    if (!reason) return { ok: true };
+    t = firstAllowed(nowLocal, last, relaxed);
+  }
+  return { ok: false, reason, eta: t === null ? null : now + (t - nowLocal) * 60000 };
+}
+
+/* ==================== Batches ==================== */
+
+// Pending items that can't be called yet become 'scheduled' (scheduled_for =
+// ETA in epoch ms, schedule_reason = why), scheduled ones that are due go back
+// to 'pending', and ones with no window before the reservation are skipped.
+// Unchanged items keep their identity, so callers can spot what changed.
+function scheduleItems(batch, now = Date.now()) {
+  const places = new Map((batch.restaurants || []).map(r => [r.place_id, r]));
+  const deadline = deadlineFor(batch.query);
+  return (batch.items || []).map(x => {
+    if (x.status !== 'pending' && x.status !== 'scheduled') return x;
+    if (x.status === 'scheduled' && x.scheduled_for > now) return x;
+
+    const w = callWindow(places.get(x.place_id || x.id), { timeZoneId: batch.query?.time_zone, now, deadline });
+    if (w.ok) return x.status === 'pending' ? x : { ...x, status: 'pending', scheduled_for: null, schedule_reason: null };
+    if (!w.eta) return { ...x, status: 'skipped', skip_reason: 'outside_calling_hours', scheduled_for: null, schedule_reason: w.reason };
+    return { ...x, status: 'scheduled', scheduled_for: w.eta, schedule_reason: w.reason };
+  });
+}
+
+// Earliest ETA among scheduled items, or null
+function nextCallAt(items = []) {
+  const etas = items.filter(x => x.status === 'scheduled' && x.scheduled_for).map(x => x.scheduled_for);
+  return etas.length ? Math.min(...etas) : null;
+}
+
+module.exports = {
+  callWindow,
+  scheduleItems,
+  nextCallAt,
+};
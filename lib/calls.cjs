@@ -0,0 +1,812 @@
+// lib/calls.cjs
+// Outbound call pipeline: dials batch items and moves them through
+// pending -> in_progress -> completed | error | machine_detected
+// as provider call events arrive (webhook or simulated). The batch policy
+// (lib/batch-policy.cjs) decides when each pending item is dialed, or whether
+// it is cancelled instead; items outside calling hours (lib/calling-hours.cjs)
+// wait as 'scheduled' until their ETA.
+// Calls that reach nobody are retried (lib/retry-policy.cjs), and a restaurant
+// calling back is matched to its item by phone number (see handleInbound).
+// Booking confirmation calls ride the same event loop, and so do the calls
+// that modify or cancel a reservation afterwards.
+
+const { createTelephonyProvider } = require('./telephony/index.cjs');
+const { getBatch, updateItem, updateItems, isTerminal, listBatches } = require('./batches.cjs');
+const { planStep, CANCEL_REASON } = require('./batch-policy.cjs');
+const { scheduleItems, nextCallAt } = require('./calling-hours.cjs');
+const { withRetry } = require('./retry-policy.cjs');
+const { recordCall } = require('./place-history.cjs');
+const { getReservation, listReservations, updateReservation } = require('./reservations.cjs');
+const { parseCancellationPolicy, reservationStart, withCancellationPolicy, withoutPendingReminders } = require('./cancellation-policy.cjs');
+const { scheduleReminders } = require('./reminders.cjs');
+const { notifyGuest } = require('./notifications.cjs');
+const { normalizePhone } = require('./phone.cjs');
+const { classifyTranscript, classifyByRules } = require('./classify.cjs');
+const { checkDnc, addToDnc } = require('./dnc.cjs');
+const { transcribeRecording } = require('./transcribe.cjs');
+const { OUTCOMES } = require('./outcomes.cjs');
+const { recordUsage } = require('./quota.cjs');
+const { resolveWindow, inWindow, acceptsOnCall } = require('./time-window.cjs');
+const {
+  openingLine, voicemailMessage, nextTurn, optOutReply, bookingOpeningLine, nextBookingTurn,
+  changeOpeningLine, nextChangeTurn, callbackOpeningLine, nextCallbackTurn, extractConfirmationCode, transcriptText,
+  interpretBookingReply
+} = require('./call-agent.cjs');
+
+const telephony = createTelephonyProvider({
+  onEvent: evt => handleCallEvent(evt)
+});
+
+// The number a voicemail asks restaurants to call back on
+const callbackNumber = () => process.env.CALLBACK_NUMBER || process.env.TELNYX_FROM_NUMBER || null;
+
+// Items a restaurant may be returning our call about: dialed at least once
+// ('scheduled' alone may only mean calling hours have not started yet)
+const CALLBACK_STATUSES = ['scheduled', 'error', 'machine_detected'];
+const awaitsCallback = (x) => CALLBACK_STATUSES.includes(x.status) && (x.attempt || 0) >= 1;
+// A modify or cancel call is not retried this close to the reservation
+const CHANGE_CUTOFF_MS = 30 * 60 * 1000;
+
+// A fresh attempt on an item; the last one's outcome lives on in status_history
+function startAttempt(x, call) {
+  return {
+    ...x,
+    status: 'in_progress',
+    attempt: (x.attempt || 0) + 1,
+    call,
+    scheduled_for: null,
+    schedule_reason: null,
+    retry_after: null,
+    error: null,
+    error_code: null,
+    ...(x.attempt ? { result: null, raw: null, turns: [] } : {})
+  };
+}
+
+// Did the restaurant just ask us to stop calling?
+function askedToOptOut(record) {
+  const last = [...(record.turns || [])].reverse().find(t => t.speaker === 'restaurant');
+  return !!last && classifyByRules(`Restaurant: ${last.text}`).outcome === OUTCOMES.OPT_OUT;
+}
+
+// A time the restaurant just offered instead of the one we asked for, if any
+function offeredTime(record, query) {
+  const result = classifyByRules(record.raw, { query });
+  return result.outcome === OUTCOMES.ALTERNATIVE_OFFERED ? result.alternative_time : null;
+}
+
+// After classification: settle a hold asked for on the call, or surface an
+// offered time for the guest to accept or reject
+function settleOffer(item, result, query) {
+  if (item.offer?.status === 'holding') {
+    // Only a yes to the hold makes it ours; a call that ended first leaves the time offered
+    const reply = (item.turns || []).filter(t => t.speaker === 'restaurant' && t.at >= item.offer.at).pop();
+    const held = !!reply && interpretBookingReply(reply.text) === 'confirmed';
+    return { ...item.offer, status: held ? 'held' : 'awaiting_decision' };
+  }
+  if (item.offer || !result?.alternative_time) return item.offer || null;
+  return {
+    time: result.alternative_time,
+    in_window: inWindow(resolveWindow(query), result.alternative_time),
+    status: 'awaiting_decision',
+    source: result.source,
+    at: Date.now()
+  };
+}
+
+/* ==================== Call targets ==================== */
+// Each kind of call knows how to load/patch the record it belongs to
+// (which carries `call`, `turns` and `raw`), what to say, and how to wrap up.
+
+const itemTarget = {
+  async load({ batchId, itemId }) {
+    const batch = await getBatch(batchId);
+    const record = batch?.items.find(x => x.id === itemId);
+    return record ? { record, query: batch.query, policy: batch.policy } : null;
+  },
+  async patch({ batchId, itemId }, fn) {
+    const res = await updateItem(batchId, itemId, fn);
+    return res?.item || null;
+  },
+  opening: ({ query, record }) => openingLine({ query, item: record }),
+  voicemail: ({ query }) => voicemailMessage({ query, callbackNumber: callbackNumber() }),
+  async next(state, { query, policy, record }) {
+    if (askedToOptOut(record)) {
+      await recordOptOut(state, record);
+      return optOutReply();
+    }
+    const offered = offeredTime(record, query);
+    const next = nextTurn({
+      query,
+      item: record,
+      turns: record.turns,
+      offered,
+      // Once another restaurant has confirmed there is no point holding a second table
+      acceptOffer: !!offered && acceptsOnCall(query, offered) && !policy?.winner
+    });
+    if (next.offer) await itemTarget.patch(state, x => ({ ...x, offer: next.offer }));
+    return next;
+  },
+  async onMachine(state) {
+    await itemTarget.patch(state, x => ({
+      ...x,
+      status: 'machine_detected',
+      result: {
+        outcome: OUTCOMES.VOICEMAIL,
+        confidence: 0.95,
+        ai_summary: 'Reached voicemail.',
+        alternative_time: null,
+        credit_card_required: false,
+        source: 'amd'
+      }
+    }));
+  },
+  async finalize(state, evt) {
+    const loaded = await itemTarget.load(state);
+    const answered = !!loaded?.record.call?.answered_at;
+    const hasReply = (loaded?.record.turns || []).some(t => t.speaker === 'restaurant');
+
+    // Classify from the live transcript; recordings arrive later (see onRecording)
+    const result = answered && hasReply && !isTerminal(loaded.record.status)
+      ? await classifyTranscript(loaded.record.raw, { query: loaded.query })
+      : null;
+
+    const updated = await itemTarget.patch(state, x => {
+      const call = { ...x.call, state: 'ended', ended_at: Date.now(), hangup_cause: evt.cause };
+      // Voicemail (or an answered call that already ended) may still earn a retry
+      if (isTerminal(x.status)) return withRetry({ ...x, call });
+      if (!x.call?.answered_at) {
+        return withRetry({ ...x, call, status: 'error', error_code: 'no_answer', error: `Call not answered (${evt.cause})` });
+      }
+      return {
+        ...x,
+        call,
+        status: 'completed',
+        offer: settleOffer(x, result, loaded.query),
+        result: result || {
+          outcome: OUTCOMES.UNKNOWN,
+          confidence: 0,
+          ai_summary: 'Call finished; waiting for the recording to be transcribed.',
+          alternative_time: null,
+          credit_card_required: false,
+          source: 'pending'
+        }
+      };
+    });
+    if (updated?.result?.outcome === OUTCOMES.OPT_OUT) await recordOptOut(state, updated);
+    // A pending result is recorded once the recording has been classified
+    if (updated && updated.result?.source !== 'pending') await rememberCall(state, updated, loaded?.query);
+    await advanceBatch(state.batchId);
+  },
+  // No live transcript (e.g. transcription failed): fall back to Whisper on the recording
+  async onRecording(state, url) {
+    const loaded = await itemTarget.load(state);
+    if (!loaded || loaded.record.result?.source !== 'pending') return;
+    try {
+      const text = await transcribeRecording(url);
+      const raw = text ? `Restaurant: ${text}` : loaded.record.raw;
+      const result = await classifyTranscript(raw, { query: loaded.query });
+      const updated = await itemTarget.patch(state, x => ({
+        ...x, raw, result, offer: settleOffer(x, result, loaded.query), transcript_source: 'recording'
+      }));
+      if (result.outcome === OUTCOMES.OPT_OUT) await recordOptOut(state, updated);
+      await rememberCall(state, updated, loaded.query);
+      await advanceBatch(state.batchId);
+    } catch (err) {
+      console.error('recording transcription error', err.message);
+    }
+  }
+};
+
+const bookingTarget = {
+  async load({ reservationId }) {
+    const record = await getReservation(reservationId);
+    return record ? { record } : null;
+  },
+  patch: ({ reservationId }, fn) => updateReservation(reservationId, fn),
+  opening: ({ record }) => bookingOpeningLine({ reservation: record }),
+  async next(_state, { record }) {
+    const optedOut = askedToOptOut(record);
+    const next = optedOut
+      ? { ...optOutReply(), outcome: 'declined' }
+      : nextBookingTurn({ reservation: record, turns: record.turns });
+    if (optedOut) {
+      await addToDnc({
+        place_id: record.place_id,
+        phone: record.restaurant?.phone,
+        name: record.restaurant?.name,
+        reason: 'Asked not to be called during a booking call',
+        source: 'opt_out'
+      });
+    }
+    if (next.outcome) {
+      const lastReply = [...record.turns].reverse().find(t => t.speaker === 'restaurant');
+      const confirmed = next.outcome === 'confirmed';
+      await updateReservation(record.id, x => ({
+        ...x,
+        status: confirmed ? 'confirmed' : 'failed',
+        confirmation: confirmed
+          ? { confirmed_at: Date.now(), code: extractConfirmationCode(lastReply?.text), notes: lastReply?.text || null }
+          : x.confirmation,
+        failure_reason: confirmed ? null : (lastReply?.text || 'Restaurant declined')
+      }), confirmed ? 'Confirmed by restaurant' : 'Declined by restaurant');
+    }
+    // Once confirmed we ask about cancelling; the answer (or anything said before) sets the deadline
+    if (next.outcome === 'confirmed' || record.status === 'confirmed') await recordCancellationPolicy(record.id, record.turns);
+    return next;
+  },
+  async onMachine(state) {
+    await updateReservation(state.reservationId, x => ({
+      ...x, status: 'failed', failure_reason: 'Reached voicemail'
+    }), 'Reached voicemail');
+  },
+  async finalize(state, evt) {
+    const reservation = await updateReservation(state.reservationId, x => {
+      const call = { ...x.call, state: 'ended', ended_at: Date.now(), hangup_cause: evt.cause };
+      if (x.status !== 'pending') return { ...x, call };
+      return {
+        ...x,
+        call,
+        status: 'failed',
+        failure_reason: x.call?.answered_at ? 'Restaurant did not confirm' : `Call not answered (${evt.cause})`
+      };
+    }, 'Call ended without confirmation');
+
+    // A reused search call never sees its own hangup, so close the item out here
+    if (reservation?.reused_call) {
+      await itemTarget.finalize({ batchId: reservation.batch_id, itemId: reservation.item_id }, evt);
+    }
+    // Sent once the call is over, so the cancellation policy asked after confirming is in it
+    if (reservation?.status === 'confirmed') await notifyGuest(reservation, 'confirmed');
+  }
+};
+
+// What the restaurant said about cancelling, once a booking is confirmed
+async function recordCancellationPolicy(reservationId, turns = []) {
+  const said = turns.filter(t => t.speaker === 'restaurant').map(t => t.text).join('\n');
+  const policy = parseCancellationPolicy(said);
+  if (!policy) return;
+  scheduleReminders(await updateReservation(reservationId, x => withCancellationPolicy(x, policy)));
+}
+
+// Modify / cancel calls about a confirmed reservation. The call's own
+// call/turns/raw live on reservation.change.
+const changeTarget = {
+  async load({ reservationId }) {
+    const reservation = await getReservation(reservationId);
+    return reservation?.change ? { record: reservation.change, reservation } : null;
+  },
+  async patch({ reservationId }, fn) {
+    const updated = await updateReservation(reservationId, x => (x.change ? { ...x, change: fn(x.change) } : x));
+    return updated?.change || null;
+  },
+  opening: ({ record, reservation }) => changeOpeningLine({ reservation, change: record }),
+  async next(state, { record, reservation }) {
+    if (askedToOptOut(record)) {
+      await addToDnc({
+        place_id: reservation.place_id,
+        phone: reservation.restaurant?.phone,
+        name: reservation.restaurant?.name,
+        reason: 'Asked not to be called about a booking',
+        source: 'opt_out'
+      });
+      await settleChange(state, 'declined', 'Restaurant asked not to be called');
+      return optOutReply();
+    }
+    const next = nextChangeTurn({ reservation, change: record, turns: record.turns });
+    if (next.outcome) {
+      const lastReply = [...record.turns].reverse().find(t => t.speaker === 'restaurant');
+      await settleChange(state, next.outcome, lastReply?.text || null);
+    }
+    return next;
+  },
+  async onMachine(state) {
+    await changeTarget.patch(state, x => ({ ...x, reached: 'voicemail' }));
+  },
+  async finalize(state, evt) {
+    // The hangup of an earlier change's call must not settle this one
+    const change = await changeTarget.patch(state, x => (x.call?.id === evt.callId
+      ? { ...x, call: { ...x.call, state: 'ended', ended_at: Date.now(), hangup_cause: evt.cause } }
+      : x));
+    if (change?.status !== 'calling' || change.call?.id !== evt.callId) return;
+    if (change.reached === 'voicemail') return retryChange(state, 'voicemail', 'Reached voicemail');
+    if (!change.call?.answered_at) return retryChange(state, 'no_answer', `Call not answered (${evt.cause})`);
+    await settleChange(state, 'failed', 'Restaurant did not confirm');
+  }
+};
+
+// outcome 'confirmed' applies the change (or cancels); anything else leaves
+// the booking as it was, with the reason on the change
+async function settleChange({ reservationId }, outcome, reply) {
+  const current = await getReservation(reservationId);
+  const change = current?.change;
+  if (!change || !['calling', 'scheduled'].includes(change.status)) return;
+  const cancel = change.action === 'cancel';
+  const done = outcome === 'confirmed';
+  const note = done
+    ? (cancel ? 'Cancelled by restaurant' : 'Changed by restaurant')
+    : `${cancel ? 'Could not cancel' : 'Could not change the booking'}: ${reply || 'restaurant declined'}`;
+
+  let settledHere = false;
+  const updated = await updateReservation(reservationId, x => {
+    settledHere = false;
+    if (x.change?.status !== change.status) return x;
+    settledHere = true;
+    const settled = {
+      ...x.change,
+      status: done ? 'done' : outcome === 'declined' ? 'declined' : 'failed',
+      reply: reply || null,
+      settled_at: Date.now()
+    };
+    if (!done) return { ...x, status: 'confirmed', change: settled };
+    if (cancel) {
+      return { ...x, status: 'cancelled', cancelled_at: Date.now(), change: settled, reminders: withoutPendingReminders(x.reminders) };
+    }
+    const before = { party_size: x.party_size, date: x.date, time: x.time };
+    // A new time moves the free-cancellation deadline (and its reminder)
+    return withCancellationPolicy({ ...x, ...x.change.requested, status: 'confirmed', change: { ...settled, before } });
+  }, note);
+  scheduleReminders(updated);
+  if (settledHere) await notifyGuest(updated, !done ? 'change_failed' : cancel ? 'cancelled' : 'changed');
+}
+
+// An attempt that reached nobody: try again (lib/retry-policy.cjs) while there
+// is time before the reservation, else give up
+async function retryChange(state, kind, reason) {
+  const reservation = await getReservation(state.reservationId);
+  const change = reservation?.change;
+  if (change?.status !== 'calling') return;
+  const next = withRetry({ status: kind === 'voicemail' ? 'machine_detected' : 'error', error_code: kind, attempt: change.attempt || 1 });
+  const start = reservationStart(reservation);
+  if (next.status === 'scheduled' && (!start || next.scheduled_for < start - CHANGE_CUTOFF_MS)) {
+    await changeTarget.patch(state, x => ({ ...x, status: 'scheduled', retry_at: next.scheduled_for, retry_after: kind }));
+    wakeChangeAt(state.reservationId, next.scheduled_for);
+    return;
+  }
+  await settleChange(state, 'failed', reason);
+}
+
+// Callbacks about an offered time. The call's own call/turns/raw live on item.offer.callback.
+const offerCallbackTarget = {
+  async load({ batchId, itemId }) {
+    const batch = await getBatch(batchId);
+    const item = batch?.items.find(x => x.id === itemId);
+    return item?.offer?.callback ? { record: item.offer.callback, item, query: batch.query } : null;
+  },
+  async patch({ batchId, itemId }, fn) {
+    const res = await updateItem(batchId, itemId, x => x.offer
+      ? { ...x, offer: { ...x.offer, callback: fn(x.offer.callback || {}) } }
+      : x);
+    return res?.item?.offer?.callback || null;
+  },
+  opening: ({ record, item, query }) => callbackOpeningLine({ action: record.action, offer: item.offer, query }),
+  async next(state, { record }) {
+    if (askedToOptOut(record)) {
+      await recordOptOut(state, (await offerCallbackTarget.load(state)).item);
+      await setOfferStatus(state, 'callback_failed');
+      return optOutReply();
+    }
+    const next = nextCallbackTurn({ action: record.action, turns: record.turns });
+    if (next.status) await setOfferStatus(state, next.status);
+    return next;
+  },
+  async onMachine(state) {
+    await setOfferStatus(state, 'callback_failed');
+  },
+  async finalize(state, evt) {
+    await updateItem(state.batchId, state.itemId, x => {
+      if (!x.offer?.callback) return x;
+      const callback = { ...x.offer.callback, call: { ...x.offer.callback.call, state: 'ended', ended_at: Date.now(), hangup_cause: evt.cause } };
+      const unsettled = ['accepting', 'releasing'].includes(x.offer.status);
+      return { ...x, offer: { ...x.offer, callback, ...(unsettled ? { status: 'callback_failed' } : {}) } };
+    });
+  }
+};
+
+async function setOfferStatus({ batchId, itemId }, status) {
+  await updateItem(batchId, itemId, x => x.offer
+    ? { ...x, offer: { ...x.offer, status, settled_at: Date.now() } }
+    : x);
+}
+
+async function recordOptOut({ batchId }, item) {
+  try {
+    await addToDnc({
+      place_id: item.id,
+      phone: item.phone,
+      name: item.name,
+      reason: 'Asked not to be called (call transcript)',
+      source: 'opt_out',
+      batch_id: batchId
+    });
+  } catch (err) {
+    console.error('DNC add error', item.id, err.message);
+  }
+}
+
+// Feed the per-place history; a failure there must not break the call flow
+async function rememberCall({ batchId }, item, query) {
+  try {
+    await recordCall({ batchId, item, query });
+  } catch (err) {
+    console.error('place history error', item.id, err.message);
+  }
+}
+
+const CALL_TARGETS = {
+  batch_item: itemTarget,
+  booking: bookingTarget,
+  reservation_change: changeTarget,
+  offer_callback: offerCallbackTarget,
+};
+
+/* ==================== Dialing ==================== */
+
+// -> true once the provider has the call; false if the item ended without one
+async function dialItem(batch, item) {
+  const to = normalizePhone(item.phone);
+  if (!to) {
+    await updateItem(batch.id, item.id, { status: 'error', error_code: 'no_phone', error: 'No dialable phone number' });
+    return false;
+  }
+
+  // Last line of defence: the registry may have changed since the batch was built
+  if (await checkDnc({ place_id: item.id, phone: to })) {
+    await updateItem(batch.id, item.id, { status: 'skipped', skip_reason: 'do_not_call' });
+    return false;
+  }
+
+  const clientState = { kind: 'batch_item', batchId: batch.id, itemId: item.id };
+  try {
+    const { callId } = await telephony.dial({ to, clientState });
+    await updateItem(batch.id, item.id, x => ({
+      ...x,
+      status: 'in_progress',
+      call: { id: callId, provider: telephony.name, state: 'dialing', started_at: Date.now() }
+    }));
+    // The first dial was charged with the batch; automatic redials count as they happen
+    if (item.attempt > 1) await recordUsage(batch.quota_key, { dial: 1 });
+    return true;
+  } catch (err) {
+    console.error('dial error', item.id, err.message);
+    await updateItem(batch.id, item.id, x => withRetry({ ...x, status: 'error', error_code: 'dial_failed', error: err.message }));
+    return false;
+  }
+}
+
+// Longest single timer; a later ETA just re-arms when this one fires
+const MAX_WAKE_MS = 6 * 60 * 60 * 1000;
+const wakeups = new Map(); // 'batch:<id>' | 'change:<id>' -> { at, timer }
+
+// Run `fn` at `at` (epoch ms), unless an earlier wake-up is armed for `key`.
+// Past MAX_WAKE_MS it runs early, and `fn` re-arms.
+function wakeAt(key, at, fn) {
+  const current = wakeups.get(key);
+  if (!at || (current && current.at <= at)) return;
+  if (current) clearTimeout(current.timer);
+  const timer = setTimeout(() => {
+    wakeups.delete(key);
+    fn();
+  }, Math.min(MAX_WAKE_MS, Math.max(0, at - Date.now())));
+  timer.unref?.();
+  wakeups.set(key, { at, timer });
+}
+
+// Advance the batch again when its earliest scheduled item is due
+function wakeBatchAt(batchId, at) {
+  wakeAt(`batch:${batchId}`, at, () => {
+    advanceBatch(batchId).catch(err => console.error('scheduled advance error', batchId, err));
+  });
+}
+
+// Retry a modify / cancel call when it is due
+function wakeChangeAt(reservationId, at) {
+  wakeAt(`change:${reservationId}`, at, () => {
+    startReservationChange(reservationId).catch(err => console.error('change retry error', reservationId, err));
+  });
+}
+
+// Apply calling hours and the batch policy: queue items that can't be called
+// yet, claim the next items to dial, or (first_confirmed, once a table is
+// confirmed) cancel the queue and release the other holds.
+// Runs whenever a call ends or a scheduled item is due; claiming inside one
+// mutate keeps two runs from dialing the same item.
+async function advanceBatch(batchId) {
+  let plan = null;
+  let seen = null;
+  const batch = await updateItems(batchId, current => {
+    seen = current;
+    const scheduled = scheduleItems(current);
+    const rescheduled = scheduled.some((x, i) => x !== current.items[i]);
+    plan = planStep({ ...current, items: scheduled });
+    const winnerChanged = plan.winner && plan.winner !== current.policy?.winner;
+    if (!plan.dial.length && !plan.cancel.length && !plan.release.length && !winnerChanged && !rescheduled) return undefined;
+
+    const now = Date.now();
+    const items = scheduled.map(x => {
+      if (plan.dial.includes(x.id)) return startAttempt(x, { state: 'dialing', started_at: now });
+      if (plan.cancel.includes(x.id)) return { ...x, status: 'cancelled', cancel_reason: CANCEL_REASON };
+      if (plan.release.includes(x.id)) {
+        return { ...x, offer: { ...x.offer, status: 'releasing', release_reason: CANCEL_REASON, decided_at: now } };
+      }
+      return x;
+    });
+    return { ...current, items, ...(winnerChanged ? { policy: { ...current.policy, winner: plan.winner } } : {}) };
+  });
+  const latest = batch || seen;
+  if (latest) wakeBatchAt(batchId, nextCallAt(latest.items));
+  if (!batch || !plan) return;
+
+  for (const itemId of plan.release) {
+    startOfferCallback(batchId, itemId, 'release').catch(err => console.error('release callback error', itemId, err));
+  }
+  const dialed = await Promise.all(plan.dial.map(id => dialItem(batch, batch.items.find(x => x.id === id))));
+  // A slot that never got a call goes to the next item in line
+  if (dialed.includes(false)) await advanceBatch(batchId);
+}
+
+async function startBatchCalls(batchId) {
+  await advanceBatch(batchId);
+}
+
+// Timers don't survive a restart: pick up batches still waiting on scheduled
+// items, and modify / cancel calls waiting on a retry
+async function resumeScheduledCalls() {
+  const batches = await listBatches({ status: 'in_progress', limit: 200 });
+  for (const batch of batches) {
+    if (nextCallAt(batch.items)) await advanceBatch(batch.id);
+  }
+  for (const status of ['modifying', 'cancelling']) {
+    for (const reservation of await listReservations({ status, limit: 200 })) {
+      if (reservation.change?.status === 'scheduled') wakeChangeAt(reservation.id, reservation.change.retry_at || Date.now());
+    }
+  }
+}
+
+// Lock the table: reuse the item's call if it is still connected, otherwise dial again
+// A call still open on the item, which a booking can take over instead of dialing
+const reusableCall = (item) => !!item?.call && item.call.state === 'answered' && !item.call.closing;
+
+async function startBookingCall(reservation, item) {
+  const clientState = { kind: 'booking', reservationId: reservation.id };
+  if (await checkDnc({ place_id: reservation.place_id, phone: reservation.restaurant?.phone })) {
+    await updateReservation(reservation.id, {
+      status: 'failed', failure_reason: 'Restaurant is on the Do Not Call list'
+    }, 'Blocked by Do Not Call list');
+    return;
+  }
+
+  if (reusableCall(item)) {
+    const callId = item.call.id;
+    await updateReservation(reservation.id, x => ({
+      ...x,
+      reused_call: true,
+      call: { id: callId, provider: telephony.name, state: 'answered', answered_at: Date.now() }
+    }));
+    await say({ callId, clientState }, bookingTarget, bookingOpeningLine({ reservation }));
+    return;
+  }
+
+  const to = normalizePhone(reservation.restaurant?.phone);
+  if (!to) {
+    await updateReservation(reservation.id, { status: 'failed', failure_reason: 'No dialable phone number' });
+    return;
+  }
+  try {
+    const { callId } = await telephony.dial({ to, clientState });
+    await updateReservation(reservation.id, x => ({
+      ...x,
+      call: { id: callId, provider: telephony.name, state: 'dialing', started_at: Date.now() }
+    }));
+  } catch (err) {
+    console.error('booking dial error', reservation.id, err.message);
+    await updateReservation(reservation.id, { status: 'failed', failure_reason: err.message }, 'Dial failed');
+  }
+}
+
+// Place the call for reservation.change (modify or cancel). The service sets
+// the change up as 'scheduled'; a retry waits in that state until retry_at.
+async function startReservationChange(reservationId) {
+  const state = { reservationId };
+  let claimed = false;
+  const reservation = await updateReservation(reservationId, x => {
+    claimed = x.change?.status === 'scheduled' && !(x.change.retry_at > Date.now());
+    if (!claimed) return x;
+    return {
+      ...x,
+      change: { ...x.change, status: 'calling', attempt: (x.change.attempt || 0) + 1, retry_at: null, reached: null, call: null, turns: [], raw: null }
+    };
+  });
+  if (!claimed) {
+    if (reservation?.change?.status === 'scheduled') wakeChangeAt(reservationId, reservation.change.retry_at);
+    return;
+  }
+
+  const to = normalizePhone(reservation.restaurant?.phone);
+  if (!to || await checkDnc({ place_id: reservation.place_id, phone: to })) {
+    await settleChange(state, 'failed', to ? 'Restaurant is on the Do Not Call list' : 'No dialable phone number');
+    return;
+  }
+  try {
+    const { callId } = await telephony.dial({ to, clientState: { kind: 'reservation_change', reservationId } });
+    await changeTarget.patch(state, x => ({
+      ...x,
+      call: { id: callId, provider: telephony.name, state: 'dialing', started_at: Date.now() }
+    }));
+    // The first call was charged when the change was requested
+    if (reservation.change.attempt > 1) await recordUsage(reservation.quota_key, { dial: 1 });
+  } catch (err) {
+    console.error('change dial error', reservationId, err.message);
+    await retryChange(state, 'dial_failed', err.message);
+  }
+}
+
+// Call the restaurant back about item.offer; action is 'accept' or 'release'.
+// The offer must already be in 'accepting' / 'releasing'.
+async function startOfferCallback(batchId, itemId, action) {
+  const batch = await getBatch(batchId);
+  const item = batch?.items.find(x => x.id === itemId);
+  if (!item?.offer) return;
+
+  const to = normalizePhone(item.phone);
+  if (!to || await checkDnc({ place_id: item.id, phone: to })) {
+    await setOfferStatus({ batchId, itemId }, 'callback_failed');
+    return;
+  }
+
+  const clientState = { kind: 'offer_callback', batchId, itemId };
+  try {
+    await updateItem(batchId, itemId, x => ({ ...x, offer: { ...x.offer, callback: { action, turns: [], raw: null } } }));
+    const { callId } = await telephony.dial({ to, clientState });
+    await offerCallbackTarget.patch(clientState, x => ({
+      ...x,
+      call: { id: callId, provider: telephony.name, state: 'dialing', started_at: Date.now() }
+    }));
+  } catch (err) {
+    console.error('offer callback dial error', itemId, err.message);
+    await setOfferStatus({ batchId, itemId }, 'callback_failed');
+  }
+}
+
+/* ==================== Call events ==================== */
+
+// Keep `raw` (what the UI shows as the transcript) in sync with turns
+const withTranscript = (next) =>
+  ({ ...next, raw: next.turns?.length ? transcriptText(next.turns) : next.raw });
+
+const addTurn = (speaker, text) => x => withTranscript({
+  ...x,
+  turns: [...(x.turns || []), { speaker, text, at: Date.now() }]
+});
+
+async function say(evt, target, text) {
+  await telephony.speak(evt.callId, text, evt.clientState);
+  return target.patch(evt.clientState, addTurn('agent', text));
+}
+
+async function driveCall(target, evt) {
+  const loaded = await target.load(evt.clientState);
+  if (!loaded) return;
+  const { record } = loaded;
+
+  const setCallState = (state, extra = {}) =>
+    target.patch(evt.clientState, x => ({ ...x, call: { ...x.call, id: evt.callId, state, ...extra } }));
+
+  switch (evt.type) {
+    case 'initiated':
+      await setCallState('ringing');
+      break;
+
+    case 'answered':
+      await setCallState('answered', { answered_at: Date.now() });
+      await telephony.listen(evt.callId, evt.clientState);
+      await say(evt, target, target.opening(loaded));
+      break;
+
+    case 'machine_detected':
+      await target.onMachine(evt.clientState);
+      if (target.voicemail) {
+        // Leave a message once the greeting is over (machine_greeting_ended)
+        await setCallState('voicemail');
+      } else {
+        await setCallState('ending');
+        await telephony.hangup(evt.callId, evt.clientState);
+      }
+      break;
+
+    case 'machine_greeting_ended':
+      if (record.call?.state !== 'voicemail') break;
+      await setCallState('voicemail', { closing: true });
+      await say(evt, target, target.voicemail(loaded));
+      break;
+
+    case 'speech': {
+      if (!evt.final || !evt.text?.trim() || record.call?.closing) break;
+      const updated = await target.patch(evt.clientState, addTurn('restaurant', evt.text.trim()));
+      if (!updated) break;
+      const next = await target.next(evt.clientState, { ...loaded, record: updated });
+      if (next.hangup) await setCallState('answered', { closing: true });
+      if (next.say) await say(evt, target, next.say);
+      else if (next.hangup) await telephony.hangup(evt.callId, evt.clientState);
+      break;
+    }
+
+    case 'speak_ended':
+      // Hang up only after our closing line has been spoken
+      if (record.call?.closing) await telephony.hangup(evt.callId, evt.clientState);
+      break;
+
+    case 'recording_saved':
+      await target.patch(evt.clientState, x => ({ ...x, recording_url: evt.url }));
+      if (target.onRecording && evt.url) await target.onRecording(evt.clientState, evt.url);
+      break;
+
+    case 'hangup':
+      await target.finalize(evt.clientState, evt);
+      break;
+
+    default:
+      break;
+  }
+}
+
+/* ==================== Inbound calls ==================== */
+
+// Claim the newest item still waiting on this number for an inbound call
+async function claimCallbackItem(from, callId) {
+  const phone = normalizePhone(from);
+  if (!phone) return null;
+  const call = { id: callId, provider: telephony.name, direction: 'inbound', state: 'ringing', started_at: Date.now() };
+  for (const batch of await listBatches({ limit: 50 })) {
+    // Once another restaurant has confirmed there is nothing left to ask
+    if (batch.policy?.winner) continue;
+    for (const item of batch.items) {
+      if (!awaitsCallback(item) || item.error_code === 'no_phone') continue;
+      if (normalizePhone(item.phone) !== phone) continue;
+      const res = await updateItem(batch.id, item.id, x => (awaitsCallback(x) ? startAttempt(x, call) : x));
+      if (res?.item.call?.id === callId) return { batchId: batch.id, itemId: item.id };
+    }
+  }
+  return null;
+}
+
+// A restaurant calling back (after our voicemail or a missed call): answer
+// and pick the reservation conversation up as a new attempt on its item.
+// Calls we can't match to anything are declined.
+async function handleInbound(evt) {
+  const match = await claimCallbackItem(evt.from, evt.callId);
+  if (!match) {
+    await telephony.reject(evt.callId);
+    return;
+  }
+  await telephony.answer(evt.callId, { kind: 'batch_item', ...match });
+}
+
+async function handleCallEvent(evt) {
+  if (evt?.type === 'incoming') {
+    try {
+      await handleInbound(evt);
+    } catch (err) {
+      console.error('inbound call error', err);
+    }
+    return;
+  }
+  const target = CALL_TARGETS[evt?.clientState?.kind];
+  if (!target) return;
+  try {
+    await driveCall(target, evt);
+  } catch (err) {
+    console.error('call event error', evt.type, err);
+  }
+}
+
+module.exports = {
+  telephony,
+  startBatchCalls,
+  resumeScheduledCalls,
+  startBookingCall,
+  reusableCall,
+  startReservationChange,
+  startOfferCallback,
+  handleCallEvent,
+};
@@ -0,0 +1,101 @@
+// lib/cancellation-policy.cjs
+// What a restaurant told us about cancelling, heard on the booking call:
+//   "There's a $25 per person no-show fee if you cancel within 24 hours."
+//   -> { fee_usd: 25, per_person: true, notice_hours: 24, free: false, text }
+// The reservation keeps it as `cancellation_policy`, plus `deadline`: the last
+// moment (epoch ms) to cancel without the fee, in the restaurant's own time.
+// A fee quoted without a notice period is taken to need DEFAULT_NOTICE_HOURS.
+//
+// Pure like lib/retry-policy.cjs: calls.cjs records the policy when a booking or
+// a change is confirmed, and lib/reminders.cjs sends the reminder it schedules
+// CANCEL_REMINDER_HOURS (default 3) before the deadline.
+
+const { localMinutes, epochFromLocal } = require('./hours.cjs');
+
+const DEFAULT_NOTICE_HOURS = 24;
+const DEFAULT_REMINDER_HOURS = 3;
+const HOUR_MS = 60 * 60 * 1000;
+
+const TOPIC_RE = /\b(no[- ]?shows?|cancel\w*|fee|charge|penalty)\b/i;
+const FREE_RE = /\b(no (cancellation |no[- ]?show )?(fee|charge|penalty)|free to cancel|cancel (any ?time|whenever))\b/i;
+const FEE_RE = /\$\s?(\d+(?:\.\d{1,2})?)|\b(\d+(?:\.\d{1,2})?)\s*(?:dollars|bucks)\b/i;
+const PER_PERSON_RE = /\b(per|a|each) (person|guest|head|cover|diner)\b/i;
+const NOTICE_RE = /\b(\d+|one|two|three|a|an)\s*(hours?|hrs?|days?)\b/i;
+const DAY_BEFORE_RE = /\b(the )?(day|night) before\b/i;
+const NUMBER_WORDS = { one: 1, a: 1, an: 1, two: 2, three: 3 };
+
+// What the restaurant said (all of its lines) -> policy, or null when it said nothing about it
+function parseCancellationPolicy(text) {
+  const sentences = String(text || '').split(/(?<=[.!?])\s+|\n+/).filter(s => TOPIC_RE.test(s));
+  if (!sentences.length) return null;
+  const said = sentences.join(' ').trim();
+
+  const fee = said.match(FEE_RE);
+  const notice = said.match(NOTICE_RE);
+  let noticeHours = null;
+  if (notice) {
+    const n = NUMBER_WORDS[notice[1].toLowerCase()] ?? Number(notice[1]);
+    noticeHours = /^d/i.test(notice[2]) ? n * 24 : n;
+  } else if (DAY_BEFORE_RE.test(said)) {
+    noticeHours = 24;
+  }
+  // "No fee if you cancel 24 hours ahead, otherwise $50" is not free: only a
+  // "no fee" with no amount and no notice period is
+  if (FREE_RE.test(said) && !fee && noticeHours === null) {
+    return { fee_usd: 0, per_person: false, notice_hours: null, free: true, text: said };
+  }
+  if (!fee && noticeHours === null) return null;
+  return {
+    fee_usd: fee ? Number(fee[1] || fee[2]) : null,
+    per_person: !!fee && PER_PERSON_RE.test(said),
+    notice_hours: noticeHours,
+    free: false,
+    text: said
+  };
+}
+
+// Epoch ms of the reservation's start, in the restaurant's time zone
+function reservationStart(reservation) {
+  if (!reservation?.date) return null;
+  const zone = { timeZoneId: reservation.time_zone, utcOffsetMinutes: reservation.utc_offset_minutes ?? undefined };
+  return epochFromLocal(localMinutes(reservation.date, reservation.time || '00:00'), zone);
+}
+
+// Last moment to cancel for free, or null when there is no deadline
+function cancellationDeadline(reservation, policy = reservation?.cancellation_policy) {
+  if (!policy || policy.free) return null;
+  const notice = policy.notice_hours ?? (policy.fee_usd ? DEFAULT_NOTICE_HOURS : null);
+  const start = reservationStart(reservation);
+  return notice === null || start === null ? null : start - notice * HOUR_MS;
+}
+
+function reminderLeadMs() {
+  const hours = Number(process.env.CANCEL_REMINDER_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_REMINDER_HOURS) * HOUR_MS;
+}
+
+// The reservation with `policy` recorded, its deadline worked out for the
+// current date and time, and an unsent deadline reminder replaced by one
+// for the new deadline (if it is still ahead)
+function withCancellationPolicy(reservation, policy = reservation.cancellation_policy, now = Date.now()) {
+  if (!policy) return reservation;
+  const deadline = cancellationDeadline(reservation, policy);
+  const reminders = withoutPendingReminders(reservation.reminders);
+  if (deadline && deadline > now) {
+    reminders.push({ kind: 'cancel_deadline', due_at: Math.max(now, deadline - reminderLeadMs()), sent_at: null });
+  }
+  return { ...reservation, cancellation_policy: { ...policy, deadline }, reminders };
+}
+
+// Sent reminders stay as a record; unsent ones are dropped
+function withoutPendingReminders(reminders = []) {
+  return (reminders || []).filter(r => r.sent_at);
+}
+
+module.exports = {
+  parseCancellationPolicy,
+  reservationStart,
+  cancellationDeadline,
+  withCancellationPolicy,
+  withoutPendingReminders,
+};
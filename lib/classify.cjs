@@ -0,0 +1,165 @@
+// lib/classify.cjs
+// Transcript -> structured call result:
+// { outcome, confidence, ai_summary, alternative_time, credit_card_required, source }
+//
+// The LLM does the reading when it is reachable; classifyByRules is the
+// deterministic fallback (and is pure, so fixture transcripts can exercise it).
+
+const { getOpenAI } = require('./clients.cjs');
+const { isSandbox } = require('./sandbox/index.cjs');
+const { OUTCOMES, OUTCOME_VALUES, isOutcome } = require('./outcomes.cjs');
+const { formatTime } = require('./call-agent.cjs');
+const { resolveWindow } = require('./time-window.cjs');
+
+/* ==================== Rule-based fallback ==================== */
+
+const RULES = [
+  [OUTCOMES.OPT_OUT, 0.9, /\b(don'?t|do not|stop|never) call(ing)?\b|\b(take|remove|delete) (us|me|this number|our number)\b|\bdo not call list\b|\bno (more )?(robo|automated) calls\b/],
+  [OUTCOMES.VOICEMAIL, 0.85, /\bleave (us )?a message\b|\bafter the (tone|beep)\b|\bvoice ?mail\b|\bmailbox\b|\bunable to (take|answer) your call\b/],
+  [OUTCOMES.CLOSED, 0.8, /\bwe('re| are) closed\b|\bclosed (on|that|this|today|tonight|tomorrow|for)\b|\bnot open (on|that|this|today|tomorrow)\b/],
+  [OUTCOMES.NO_RESERVATIONS_POLICY, 0.85, /\b(don'?t|do not|doesn'?t) (take|accept|do) reservations\b|\bno reservations\b|\bfirst[- ]come,? first[- ]serve|\bwalk[- ]ins? only\b|\bonly (take|accept) reservations for (parties|groups)\b/],
+];
+
+const CARD_RE = /\bcredit card\b|\bcard (number|on file|to hold|to guarantee)\b|\bdeposit\b/;
+const FULL_RE = /\bfully booked\b|\bbooked (up|solid)\b|\bno (tables?|availability|room|openings)\b|\bwe('re| are) (completely )?full\b|\bnothing (available|left|open)\b/;
+const YES_RE = /\b(yes|yeah|yep|sure|absolutely|of course|we (do|can|have)|that works|no problem|available)\b/;
+const NO_RE = /\b(no|nope|sorry|unfortunately|can'?t|cannot|not available)\b/;
+const OFFER_RE = /\b(instead|how about|could do|can do|we have|i have|earliest|latest|only (have|got)|next available|would .* work)\b/;
+const TIME_RE = /\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?|o'?clock)?(?=\W|$)/g;
+
+// Only what the restaurant said counts; falls back to the whole text if unlabeled
+function restaurantSide(transcript = '') {
+  const lines = String(transcript).split('\n');
+  const theirs = lines.filter(l => /^restaurant:/i.test(l)).map(l => l.replace(/^restaurant:\s*/i, ''));
+  return (theirs.length ? theirs.join(' ') : String(transcript)).toLowerCase();
+}
+
+// "8:30", "8:30 pm", "eight thirty" is left to the LLM; dinner hours assume PM
+function extractTimes(text) {
+  const times = [];
+  for (const m of text.matchAll(TIME_RE)) {
+    let h = Number(m[1]);
+    const mm = Number(m[2] || 0);
+    const suffix = (m[3] || '').replace(/\./g, '');
+    if (!m[2] && !suffix) continue; // a bare number is usually a party size
+    if (h > 23 || mm > 59) continue;
+    if (suffix === 'pm' && h < 12) h += 12;
+    else if (suffix === 'am' && h === 12) h = 0;
+    else if (!suffix.endsWith('m') && h >= 1 && h <= 10) h += 12;
+    times.push(`${String(h).padStart(2, '0')}:${String(mm).padStart(2, '0')}`);
+  }
+  return times;
+}
+
+function summarize(outcome, { query = {}, alternative_time: alt } = {}) {
+  const party = query.party_size ? ` for ${query.party_size}` : '';
+  const at = query.time ? ` at ${formatTime(query.time)}` : '';
+  switch (outcome) {
+    case OUTCOMES.AVAILABLE: return `Table available${party}${at}.`;
+    case OUTCOMES.ALTERNATIVE_OFFERED: return `Requested time unavailable; offered ${alt ? formatTime(alt) : 'another time'}.`;
+    case OUTCOMES.CREDIT_CARD_REQUIRED: return 'Table available but a credit card is required to hold it.';
+    case OUTCOMES.FULLY_BOOKED: return 'Fully booked.';
+    case OUTCOMES.UNAVAILABLE: return 'No table available.';
+    case OUTCOMES.CLOSED: return 'Closed at the requested time.';
+    case OUTCOMES.NO_RESERVATIONS_POLICY: return 'Does not take reservations.';
+    case OUTCOMES.VOICEMAIL: return 'Reached voicemail.';
+    case OUTCOMES.OPT_OUT: return 'Asked not to be called again.';
+    default: return 'Could not determine the outcome.';
+  }
+}
+
+function classifyByRules(transcript, { query = {} } = {}) {
+  const text = restaurantSide(transcript);
+  const result = (outcome, confidence, extra = {}) => ({
+    outcome,
+    confidence,
+    alternative_time: null,
+    credit_card_required: false,
+    ...extra,
+    ai_summary: summarize(outcome, { query, ...extra }),
+    source: 'rules'
+  });
+
+  if (!text.trim()) return result(OUTCOMES.UNKNOWN, 0.1);
+
+  for (const [outcome, confidence, re] of RULES) {
+    if (re.test(text)) return result(outcome, confidence);
+  }
+
+  const cardRequired = CARD_RE.test(text);
+  const requested = query.time || null;
+  const offered = extractTimes(text).find(t => t !== requested) || null;
+
+  if (offered && (OFFER_RE.test(text) || FULL_RE.test(text) || NO_RE.test(text))) {
+    return result(OUTCOMES.ALTERNATIVE_OFFERED, 0.75, { alternative_time: offered, credit_card_required: cardRequired });
+  }
+  if (FULL_RE.test(text)) return result(OUTCOMES.FULLY_BOOKED, 0.8);
+  if (YES_RE.test(text) && !/\b(no|sorry|unfortunately)\b/.test(text)) {
+    return cardRequired
+      ? result(OUTCOMES.CREDIT_CARD_REQUIRED, 0.75, { credit_card_required: true })
+      : result(OUTCOMES.AVAILABLE, 0.7);
+  }
+  if (NO_RE.test(text)) return result(OUTCOMES.UNAVAILABLE, 0.6);
+  return result(OUTCOMES.UNKNOWN, 0.2);
+}
+
+/* ==================== LLM classification ==================== */
+
+async function classifyWithLLM(transcript, { query = {} } = {}) {
+  const window = resolveWindow(query);
+  const system = `You read transcripts of calls where an assistant asks a restaurant for a table.
+Return ONLY JSON with keys:
+outcome (one of: ${OUTCOME_VALUES.join(', ')}),
+confidence (0..1), summary (one short sentence for the diner),
+alternative_time ("HH:MM" 24h or null), credit_card_required (boolean).
+Use "credit_card_required" as the outcome only when a table is available but needs a card to hold.
+Use "opt_out" if the restaurant asks not to be called again, whatever else was said.`;
+
+  const resp = await getOpenAI().chat.completions.create({
+    model: 'gpt-4o-mini',
+    messages: [
+      { role: 'system', content: system },
+      {
+        role: 'user',
+        content: `Request: party of ${query.party_size || '?'} on ${query.date || '?'}` +
+          `${query.time ? ` at ${query.time}` : ' (next available)'}` +
+          `${window ? ` (anything ${window.start}-${window.end} is acceptable)` : ''}` +
+          `\nTranscript:\n"""${transcript}"""`
+      }
+    ],
+    temperature: 0,
+    response_format: { type: 'json_object' }
+  });
+
+  const out = JSON.parse(resp.choices?.[0]?.message?.content || '{}');
+  if (!isOutcome(out.outcome)) throw new Error(`LLM returned unknown outcome "${out.outcome}"`);
+
+  const alt = /^\d{2}:\d{2}$/.test(out.alternative_time || '') ? out.alternative_time : null;
+  return {
+    outcome: out.outcome,
+    confidence: Math.max(0, Math.min(1, Number(out.confidence) || 0.5)),
+    alternative_time: alt,
+    credit_card_required: !!out.credit_card_required,
+    ai_summary: out.summary || summarize(out.outcome, { query, alternative_time: alt }),
+    source: 'llm'
+  };
+}
+
+// Rules always run; the LLM result wins when it is available (never in sandbox mode).
+async function classifyTranscript(transcript, ctx = {}) {
+  const fallback = classifyByRules(transcript, ctx);
+  if (!process.env.OPENAI_API_KEY || isSandbox() || !String(transcript || '').trim()) return fallback;
+  try {
+    return await classifyWithLLM(transcript, ctx);
+  } catch (err) {
+    console.error('LLM classification failed, using rules', err.message);
+    return fallback;
+  }
+}
+
+module.exports = {
+  classifyTranscript,
+  classifyByRules,
+  classifyWithLLM,
+  extractTimes,
+};
@@ -0,0 +1,25 @@
+// lib/clients.cjs
+// Shared API clients (one instance per process)
+
+const OpenAI = require('openai');
+const { Client: GoogleMapsClient } = require('@googlemaps/google-maps-services-js');
+const { isSandbox } = require('./sandbox/index.cjs');
+const { createSandboxMaps } = require('./sandbox/maps.cjs');
+
+// Sandbox mode answers Maps calls from fixtures instead
+const gmaps = isSandbox() ? createSandboxMaps() : new GoogleMapsClient({});
+
+// Maps key for request params; the sandbox needs none
+function mapsKey() {
+  return process.env.GOOGLE_MAPS_API_KEY || (isSandbox() ? 'sandbox' : null);
+}
+
+// Created on first use: the OpenAI constructor throws without a key, and
+// the rule-based fallbacks must keep working in that case.
+let openaiClient = null;
+function getOpenAI() {
+  if (!openaiClient) openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return openaiClient;
+}
+
+module.exports = { getOpenAI, gmaps, mapsKey };
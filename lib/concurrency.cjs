@@ -0,0 +1,25 @@
+// lib/concurrency.cjs
+// Bounded parallelism for fan-out work (Places lookups, dialing).
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Like Promise.all(items.map(fn)) but with at most `limit` calls in flight.
+// Results keep the input order.
+async function mapLimit(items, limit, fn) {
+  const list = [...items];
+  const results = new Array(list.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++;
+      results[i] = await fn(list[i], i);
+    }
+  };
+
+  const n = Math.max(1, Math.min(Number(limit) || 1, list.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return results;
+}
+
+module.exports = { mapLimit, sleep };
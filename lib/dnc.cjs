@@ -0,0 +1,70 @@
+// lib/dnc.cjs
+// Do-Not-Call registry: place_ids and phone numbers we must never dial.
+// Fed automatically by opt_out call outcomes and by admins.
+
+const { store } = require('./store/index.cjs');
+const { normalizePhone } = require('./phone.cjs');
+
+const COLLECTION = 'dnc';
+
+// Entry ids are "<type>:<value>" so the same number/place can't be listed twice
+const entryId = (type, value) => `${type}:${value}`;
+
+function keysFor({ place_id, phone } = {}) {
+  const keys = [];
+  if (place_id) keys.push({ type: 'place_id', value: String(place_id) });
+  const e164 = normalizePhone(phone);
+  if (e164) keys.push({ type: 'phone', value: e164 });
+  return keys;
+}
+
+// -> the matching entry, or null if we may call
+async function checkDnc(target) {
+  for (const { type, value } of keysFor(target)) {
+    const entry = await store.get(COLLECTION, entryId(type, value));
+    if (entry) return entry;
+  }
+  return null;
+}
+
+// Adds one entry per identifier given; existing entries are kept as-is
+async function addToDnc({ place_id, phone, name, reason, source = 'admin', batch_id } = {}) {
+  const keys = keysFor({ place_id, phone });
+  if (!keys.length) throw new Error('place_id or a valid phone is required');
+
+  const now = Date.now();
+  const entries = [];
+  for (const { type, value } of keys) {
+    const id = entryId(type, value);
+    const entry = await store.mutate(COLLECTION, id, current => current || {
+      id,
+      type,
+      value,
+      name: name || null,
+      reason: reason || null,
+      source,
+      batch_id: batch_id || null,
+      created_at: now
+    });
+    entries.push(entry);
+  }
+  return entries;
+}
+
+async function listDnc({ limit = 200 } = {}) {
+  return store.list(COLLECTION, { limit });
+}
+
+async function removeDnc(id) {
+  const existing = await store.get(COLLECTION, id);
+  if (!existing) return false;
+  await store.remove(COLLECTION, id);
+  return true;
+}
+
+module.exports = {
+  checkDnc,
+  addToDnc,
+  listDnc,
+  removeDnc,
+};
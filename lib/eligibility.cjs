@@ -0,0 +1,169 @@
+// lib/eligibility.cjs
+// Which Places candidates we may call, and why the rest were dropped.
+// Besides the basics (operational restaurant with a phone) this enforces the
+// parsed craving: hard_excludes (widened through the cuisine taxonomy),
+// budget -> price_level bounds, and dietary needs checked against reviews and
+// the editorial summary.
+//
+// Reasons are { code, detail } so the debug output reads on its own.
+
+const { expandExcludes } = require('./taxonomy.cjs');
+
+// parse_query budget -> allowed Places price_level range (0 = free .. 4 = very expensive)
+const BUDGET_PRICE_BOUNDS = {
+  '$': { min: 0, max: 1 },
+  '$$': { min: 1, max: 2 },
+  '$$$': { min: 2, max: 3 },
+  '$$$$': { min: 3, max: 4 },
+};
+
+// What counts as evidence for a dietary need
+const DIETARY_TERMS = {
+  vegan: ['vegan', 'plant-based', 'plant based'],
+  vegetarian: ['vegetarian', 'veggie', 'vegan', 'meatless', 'plant-based'],
+  'gluten-free': ['gluten-free', 'gluten free', 'celiac', 'coeliac'],
+  'dairy-free': ['dairy-free', 'dairy free', 'lactose-free', 'lactose free'],
+  'nut-free': ['nut-free', 'nut free', 'nut allergy', 'nut allergies'],
+  halal: ['halal'],
+  kosher: ['kosher'],
+};
+
+// A review mention alone is weak ("better than the sushi place next door"),
+// so it takes this many reviews to exclude on review text (excludes and
+// contradicted dietary needs alike)
+const REVIEW_EXCLUDE_MIN_MENTIONS = 2;
+
+const NEGATION = "(?:no|not|zero|without(?: any)?|lack(?:s|ed|ing)?(?: of)?|isn'?t|aren'?t|wasn'?t|nothing)";
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "bars" also matches "bar"; "bbq" stays as is
+function termPattern(term) {
+  const t = term.trim().toLowerCase();
+  const stem = t.length > 3 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t;
+  return new RegExp(`\\b${escapeRe(stem)}(?:e?s)?\\b`, 'i');
+}
+
+const lower = (s) => String(s || '').toLowerCase();
+const normalizeTerm = (s) => lower(s).replace(/^not\s+/, '').trim();
+
+/* ==================== Preferences ==================== */
+
+// craving ({ parsed, chips }) -> the constraints eligibility enforces
+function preferencesFrom(craving = {}) {
+  const parsed = craving?.parsed || {};
+  const hardExcludes = new Set((parsed.hard_excludes || []).map(normalizeTerm).filter(Boolean));
+  // "not x" chips the user kept active are excludes too
+  for (const chip of craving?.chips || []) {
+    if (/^not\s+/i.test(chip)) hardExcludes.add(normalizeTerm(chip));
+  }
+  const budget = BUDGET_PRICE_BOUNDS[String(parsed.budget || '').trim()] ? String(parsed.budget).trim() : null;
+  return {
+    hardExcludes: [...hardExcludes],
+    // [{ term, from }]: the excludes plus what the taxonomy says they imply
+    excludes: expandExcludes([...hardExcludes]),
+    dietary: [...new Set((parsed.dietary || []).map(lower).map(s => s.trim()).filter(Boolean))],
+    budget,
+    priceBounds: budget ? BUDGET_PRICE_BOUNDS[budget] : null,
+  };
+}
+
+/* ==================== Checks ==================== */
+
+function isRestaurantType(types = []) {
+  const t = types.map(lower);
+  return t.includes('restaurant') || t.includes('food') || t.includes('bar');
+}
+function isFastFoodOrTakeaway(types = []) {
+  const t = types.map(lower);
+  return t.includes('fast_food') || t.includes('meal_takeaway') || t.includes('meal_delivery');
+}
+function hasPhone(p) {
+  return !!(p.formatted_phone_number || p.international_phone_number);
+}
+function isOperational(p) {
+  return (p.business_status || '').toUpperCase() === 'OPERATIONAL' || !p.business_status;
+}
+
+function reviewTexts(p) {
+  return (p.reviews || []).map(r => lower(r?.text)).filter(Boolean);
+}
+
+// -> { field, detail } for the first place where `term` shows up, or null.
+// Implied terms (`strong` only) need the name or types; review text is too loose.
+function excludeMatch(p, term, { strong = false } = {}) {
+  const re = termPattern(term);
+  const typeTerm = term.replace(/\s+/g, '_');
+  if ((p.types || []).some(t => lower(t) === typeTerm || lower(t).startsWith(`${typeTerm}_`))) {
+    return { field: 'types', detail: `types include "${typeTerm}"` };
+  }
+  if (re.test(p.name || '')) return { field: 'name', detail: `name "${p.name}"` };
+  if (strong) return null;
+  if (re.test(p.editorial_summary?.overview || '')) return { field: 'editorial_summary', detail: 'editorial summary' };
+  const mentions = reviewTexts(p).filter(t => re.test(t)).length;
+  if (mentions >= REVIEW_EXCLUDE_MIN_MENTIONS) return { field: 'reviews', detail: `${mentions} reviews` };
+  return null;
+}
+
+// "no vegan options", "not much vegan": the negation has to sit right before the
+// term, so "no complaints at all, the vegan menu is great" still counts for it
+function negates(text, term) {
+  return new RegExp(`\\b${NEGATION}\\s+(?:[\\w'-]+\\s+){0,2}${escapeRe(term)}`, 'i').test(text);
+}
+
+// -> 'supported' | 'contradicted' | 'unknown'
+function dietaryEvidence(p, need) {
+  const terms = DIETARY_TERMS[need] || [need];
+  const denies = (text) => terms.some(t => negates(text, t));
+  const mentions = (text) => terms.some(t => new RegExp(`\\b${escapeRe(t)}`, 'i').test(text));
+  const summary = lower(p.editorial_summary?.overview);
+  const reviews = reviewTexts(p);
+
+  if (denies(summary) || reviews.filter(denies).length >= REVIEW_EXCLUDE_MIN_MENTIONS) return 'contradicted';
+  return [summary, ...reviews].some(t => mentions(t) && !denies(t)) ? 'supported' : 'unknown';
+}
+
+// -> { eligible, reasons: [{ code, detail }], dietary: { verified: [], unverified: [] } }
+function checkEligibility(p, prefs = {}) {
+  const reasons = [];
+  const reject = (code, detail) => reasons.push({ code, detail });
+
+  if (!isOperational(p)) reject('not_operational', `business_status ${p.business_status}`);
+  if (!isRestaurantType(p.types)) reject('not_a_restaurant', `types: ${(p.types || []).join(', ')}`);
+  if (isFastFoodOrTakeaway(p.types)) reject('fast_food_or_takeaway', `types: ${(p.types || []).join(', ')}`);
+  if (!hasPhone(p)) reject('no_phone', 'no phone number listed');
+
+  const excludes = prefs.excludes || (prefs.hardExcludes || []).map(term => ({ term, from: term }));
+  const matched = new Set(); // one reason per exclude; implied terms would only repeat it
+  for (const { term, from } of excludes) {
+    if (matched.has(from)) continue;
+    const hit = excludeMatch(p, term, { strong: term !== from });
+    if (!hit) continue;
+    matched.add(from);
+    reject('hard_exclude', `"${term}"${term !== from ? ` (from "${from}")` : ''} matched ${hit.detail}`);
+  }
+
+  // Places without a price_level get the benefit of the doubt
+  const bounds = prefs.priceBounds;
+  const price = p.price_level;
+  if (bounds && Number.isFinite(price) && (price < bounds.min || price > bounds.max)) {
+    reject(price > bounds.max ? 'over_budget' : 'under_budget',
+      `price_level ${price} outside ${prefs.budget} (${bounds.min}-${bounds.max})`);
+  }
+
+  // Unconfirmed dietary needs don't exclude (review samples are small); contradicted ones do
+  const dietary = { verified: [], unverified: [] };
+  for (const need of prefs.dietary || []) {
+    const evidence = dietaryEvidence(p, need);
+    if (evidence === 'contradicted') reject('dietary', `reviews suggest no ${need} options`);
+    else dietary[evidence === 'supported' ? 'verified' : 'unverified'].push(need);
+  }
+
+  return { eligible: reasons.length === 0, reasons, dietary };
+}
+
+module.exports = {
+  BUDGET_PRICE_BOUNDS,
+  preferencesFrom,
+  checkEligibility,
+};
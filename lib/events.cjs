@@ -0,0 +1,113 @@
+// lib/events.cjs
+// Batch status events for streaming clients (SSE / WebSocket).
+//
+// Events are { id, event, data } with a per-batch increasing id so clients can
+// resume (Last-Event-ID). Item events are keyed by place_id.
+//   snapshot  { status, items }       full state (on connect, or when we can't replay)
+//   item      { place_id, ...item }   one item changed
+//   batch     { status }              batch status changed
+//
+// The bus is process-local. Subscribers also reconcile against the store every
+// few seconds, so updates written by another instance still reach the client.
+
+const { EventEmitter } = require('events');
+
+const BUFFER_SIZE = 200;           // replayable events kept per batch
+const BUFFER_IDLE_MS = 30 * 60 * 1000;
+const RECONCILE_MS = 5000;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const buffers = new Map(); // batchId -> { seq, events: [], touched }
+
+function bufferFor(batchId) {
+  if (!buffers.has(batchId)) buffers.set(batchId, { seq: 0, events: [], touched: Date.now() });
+  return buffers.get(batchId);
+}
+
+function publishBatchEvent(batchId, event, data) {
+  const buf = bufferFor(batchId);
+  const evt = { id: String(++buf.seq), event, data };
+  buf.events.push(evt);
+  if (buf.events.length > BUFFER_SIZE) buf.events.shift();
+  buf.touched = Date.now();
+  bus.emit(batchId, evt);
+  return evt;
+}
+
+// Forget buffers nobody has touched in a while
+setInterval(() => {
+  const cutoff = Date.now() - BUFFER_IDLE_MS;
+  for (const [id, buf] of buffers) if (buf.touched < cutoff) buffers.delete(id);
+}, BUFFER_IDLE_MS).unref();
+
+const itemEventData = (item) => ({ place_id: item.id, ...item });
+
+// Subscribe to a batch. Replays after lastEventId when we still have it,
+// otherwise starts with a snapshot. Returns an unsubscribe function.
+async function subscribeBatch(batchId, { lastEventId, loadBatch, onEvent }) {
+  const buf = bufferFor(batchId);
+  const seen = new Map(); // place_id -> updated_at last sent
+  let batchStatus = null;
+
+  const send = (evt) => {
+    if (evt.event === 'item') seen.set(evt.data.place_id, evt.data.updated_at);
+    if (evt.event === 'batch') batchStatus = evt.data.status;
+    if (evt.event === 'snapshot') {
+      batchStatus = evt.data.status;
+      evt.data.items.forEach(x => seen.set(x.place_id, x.updated_at));
+    }
+    onEvent(evt);
+  };
+
+  const sendSnapshot = async () => {
+    const batch = await loadBatch(batchId);
+    if (!batch) return false;
+    send({
+      id: String(buf.seq),
+      event: 'snapshot',
+      data: { status: batch.status, items: batch.items.map(itemEventData) }
+    });
+    return true;
+  };
+
+  const idx = lastEventId ? buf.events.findIndex(e => e.id === String(lastEventId)) : -1;
+  if (idx !== -1) {
+    buf.events.slice(idx + 1).forEach(send);
+  } else if (!(await sendSnapshot())) {
+    return null;
+  }
+
+  const listener = (evt) => send(evt);
+  bus.on(batchId, listener);
+
+  // Catch changes the local bus never saw (other instances, restarts)
+  const reconcile = setInterval(async () => {
+    try {
+      const batch = await loadBatch(batchId);
+      if (!batch) return;
+      for (const item of batch.items) {
+        // published events come back to us (and other subscribers) through the bus
+        if (seen.get(item.id) !== item.updated_at) {
+          publishBatchEvent(batchId, 'item', itemEventData(item));
+        }
+      }
+      if (batch.status !== batchStatus) publishBatchEvent(batchId, 'batch', { status: batch.status });
+    } catch (err) {
+      console.error('stream reconcile error', err.message);
+    }
+  }, RECONCILE_MS);
+  reconcile.unref?.();
+
+  return () => {
+    clearInterval(reconcile);
+    bus.off(batchId, listener);
+  };
+}
+
+module.exports = {
+  publishBatchEvent,
+  subscribeBatch,
+  itemEventData,
+};
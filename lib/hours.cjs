@@ -0,0 +1,265 @@
+// lib/hours.cjs
+// Opening-hours evaluation in the restaurant's own timezone.
+//
+// All math is done on "local minutes": minutes since 1970-01-01 00:00 in the
+// restaurant's wall-clock time, so day-of-week and overnight periods never
+// depend on the server's TZ.
+
+const { gmaps, mapsKey } = require('./clients.cjs');
+
+const DAY_MIN = 24 * 60;
+const WEEK_MIN = 7 * DAY_MIN;
+const SLOT_STEP_MIN = 15;           // next_available slots snap to :00/:15/:30/:45
+const LEAD_MIN = 30;                // can't book a table that starts in 5 minutes
+const LAST_SEATING_BUFFER_MIN = 45; // nor one 10 minutes before close
+const HORIZON_DAYS = 7;
+
+/* ==================== Local time helpers ==================== */
+
+function dayIndex(dateISO) {
+  const [y, m, d] = String(dateISO).split('-').map(Number);
+  return Math.floor(Date.UTC(y, m - 1, d) / 86400000);
+}
+
+function dateFromDayIndex(idx) {
+  return new Date(idx * 86400000).toISOString().slice(0, 10);
+}
+
+// "HHMM" or "HH:MM" -> minutes; "2400" -> 1440
+function toMin(hm) {
+  const str = String(hm).replace(':', '').padStart(4, '0');
+  return Number(str.slice(0, 2)) * 60 + Number(str.slice(2, 4));
+}
+
+function toHHMM(min) {
+  const m = ((min % DAY_MIN) + DAY_MIN) % DAY_MIN;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+function localMinutes(dateISO, timeHHMM) {
+  return dayIndex(dateISO) * DAY_MIN + toMin(timeHHMM || '00:00');
+}
+
+function fromLocalMinutes(abs) {
+  return { date: dateFromDayIndex(Math.floor(abs / DAY_MIN)), time: toHHMM(abs) };
+}
+
+// Wall-clock "now" for the restaurant, from an IANA zone or a fixed UTC offset
+function localNow({ timeZoneId, utcOffsetMinutes } = {}, nowMs = Date.now()) {
+  if (timeZoneId) {
+    try {
+      const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: timeZoneId, year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+      }).formatToParts(new Date(nowMs)).map(p => [p.type, p.value]));
+      return localMinutes(`${parts.year}-${parts.month}-${parts.day}`, `${parts.hour}:${parts.minute}`);
+    } catch (_e) {
+      // unknown zone id: fall through to the offset
+    }
+  }
+  const offset = Number.isFinite(utcOffsetMinutes) ? utcOffsetMinutes : 0;
+  return Math.floor(nowMs / 60000) + offset;
+}
+
+// Restaurant wall-clock local minutes -> epoch ms (inverse of localNow)
+function epochFromLocal(abs, zone = {}) {
+  let guess = abs * 60000;
+  // Two corrections settle it, DST transitions included
+  for (let i = 0; i < 2; i++) guess += (abs - localNow(zone, guess)) * 60000;
+  return guess;
+}
+
+function placeUtcOffset(place) {
+  const v = place?.utc_offset_minutes ?? place?.utc_offset;
+  return Number.isFinite(Number(v)) && v !== null ? Number(v) : undefined;
+}
+
+/* ==================== Intervals ==================== */
+
+// Weekly periods -> [start, end) week-minutes; Sat->Sun overnights wrap past WEEK_MIN.
+// Google's 24/7 period (open on Sunday at 0000, no close) becomes seven whole
+// days, so every day has an interval that starts on it; openIntervals joins them.
+function weeklyIntervals(periods = []) {
+  const out = [];
+  for (const p of periods) {
+    if (!p?.open) continue;
+    const start = Number(p.open.day) * DAY_MIN + toMin(p.open.time);
+    if (!p.close || p.close.time === undefined) {
+      for (let d = 0; d < 7; d++) out.push([d * DAY_MIN, (d + 1) * DAY_MIN]);
+      continue;
+    }
+    let end = Number(p.close.day) * DAY_MIN + toMin(p.close.time);
+    if (end <= start) end += WEEK_MIN;
+    out.push([start, end]);
+  }
+  return out;
+}
+
+// Project weekly intervals onto absolute local minutes for [fromDay, toDay]
+function projectWeekly(periods, fromDay, toDay) {
+  const weekly = weeklyIntervals(periods);
+  const out = [];
+  // day index 4 (1970-01-01) was a Thursday; Sunday-based week start:
+  const weekStart = (day) => day - ((day + 4) % 7);
+  for (let ws = weekStart(fromDay) - 7; ws <= toDay; ws += 7) {
+    for (const [s, e] of weekly) out.push([ws * DAY_MIN + s, ws * DAY_MIN + e]);
+  }
+  return out.filter(([s, e]) => e > fromDay * DAY_MIN && s < (toDay + 1) * DAY_MIN);
+}
+
+// current_opening_hours periods carry explicit dates (and reflect holidays)
+function datedIntervals(periods = []) {
+  const out = [];
+  for (const p of periods) {
+    if (!p?.open?.date) continue;
+    const start = localMinutes(p.open.date, p.open.time);
+    const end = p.close?.date ? localMinutes(p.close.date, p.close.time) : start + DAY_MIN;
+    out.push([start, end > start ? end : end + DAY_MIN]);
+  }
+  return out;
+}
+
+// Days covered by current_opening_hours (its dated week, plus special_days)
+function datedCoverage(current) {
+  const days = new Set();
+  for (const p of current?.periods || []) {
+    if (p?.open?.date) days.add(dayIndex(p.open.date));
+  }
+  if (!days.size) return null;
+  const first = Math.min(...days);
+  const covered = new Set();
+  for (let d = first; d < first + 7; d++) covered.add(d);
+  for (const s of current?.special_days || []) if (s.date) covered.add(dayIndex(s.date));
+  return covered;
+}
+
+// All open intervals touching days [fromDay, toDay], special hours taking precedence
+function openIntervals(place, fromDay, toDay) {
+  const regular = place?.opening_hours?.periods || [];
+  const current = place?.current_opening_hours;
+  const covered = datedCoverage(current);
+  const dated = covered ? datedIntervals(current.periods) : [];
+
+  const out = [];
+  for (let day = fromDay; day <= toDay; day++) {
+    const dayStart = day * DAY_MIN;
+    const dayEnd = dayStart + DAY_MIN;
+    const source = covered?.has(day) ? dated : projectWeekly(regular, day, day);
+    for (const [s, e] of source) {
+      // keep intervals that start on this day; overnight tails come from the previous day
+      if (s >= dayStart && s < dayEnd) out.push([s, e]);
+    }
+  }
+  // pick up the tail of a period that started the day before fromDay
+  const prev = fromDay - 1;
+  const prevSource = covered?.has(prev) ? dated : projectWeekly(regular, prev, prev);
+  for (const [s, e] of prevSource) {
+    if (s >= prev * DAY_MIN && s < fromDay * DAY_MIN && e > fromDay * DAY_MIN) out.push([s, e]);
+  }
+  // Back-to-back intervals (24/7 days, lunch running straight into dinner) are one stretch
+  const merged = [];
+  for (const [s, e] of out.sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  }
+  return merged;
+}
+
+function hasHours(place) {
+  return !!(place?.opening_hours?.periods?.length || place?.current_opening_hours?.periods?.length);
+}
+
+/* ==================== Public API ==================== */
+
+// Is the place open at dateISO + timeHHMM (restaurant-local)? null if hours unknown.
+function isOpenAt(place, dateISO, timeHHMM) {
+  if (!hasHours(place) || !dateISO) return null;
+  const at = localMinutes(dateISO, timeHHMM || '00:00');
+  const day = dayIndex(dateISO);
+  return openIntervals(place, day, day).some(([s, e]) => at >= s && at < e);
+}
+
+// Earliest bookable slot at or after `fromLocal` (local minutes) -> { date, time } | null
+function nextOpenSlot(place, fromLocal, { horizonDays = HORIZON_DAYS } = {}) {
+  if (!hasHours(place)) return null;
+  const fromDay = Math.floor(fromLocal / DAY_MIN);
+  for (const [s, e] of openIntervals(place, fromDay, fromDay + horizonDays)) {
+    const lastSeating = e - LAST_SEATING_BUFFER_MIN;
+    let slot = Math.max(s, fromLocal);
+    slot = Math.ceil(slot / SLOT_STEP_MIN) * SLOT_STEP_MIN;
+    if (slot <= lastSeating) return fromLocalMinutes(slot);
+  }
+  return null;
+}
+
+// Search-time evaluation for one place.
+// -> { known, open, slot } where slot is the target (specific_time) or earliest (next_available) time;
+// with a window ({ start, end }) the place only has to open for a seating somewhere inside it
+function evaluateHours(place, { date, time, intent = 'specific_time', window, timeZoneId, now = Date.now() } = {}) {
+  if (!hasHours(place)) return { known: false, open: true, slot: null };
+
+  if (window && date) {
+    if (intent === 'specific_time' && time && isOpenAt(place, date, time)) {
+      return { known: true, open: true, slot: { date, time } };
+    }
+    const start = localMinutes(date, window.start);
+    let end = localMinutes(date, window.end);
+    if (end < start) end += DAY_MIN; // e.g. 22:00-00:30
+    const nowLocal = localNow({ timeZoneId, utcOffsetMinutes: placeUtcOffset(place) }, now) + LEAD_MIN;
+    const slot = nextOpenSlot(place, Math.max(start, nowLocal));
+    const fits = !!slot && localMinutes(slot.date, slot.time) <= end;
+    return { known: true, open: fits, slot: fits ? slot : null };
+  }
+
+  if (intent === 'specific_time') {
+    const open = isOpenAt(place, date, time);
+    return { known: true, open, slot: open ? { date, time } : null };
+  }
+
+  // next_available: from "now + lead" in the restaurant's zone, or the start of the requested day
+  const nowLocal = localNow({ timeZoneId, utcOffsetMinutes: placeUtcOffset(place) }, now) + LEAD_MIN;
+  const from = date ? Math.max(nowLocal, dayIndex(date) * DAY_MIN) : nowLocal;
+  const slot = nextOpenSlot(place, from);
+  const sameDay = !date || (slot && slot.date === date);
+  return { known: true, open: !!slot && sameDay, slot: sameDay ? slot : null };
+}
+
+// One Time Zone API lookup per search (all candidates share the search center)
+const tzCache = new Map();
+async function resolveTimeZone(center, dateISO) {
+  const apiKey = mapsKey();
+  if (!center || !apiKey) return null;
+  const lat = Number(center.lat ?? center.latitude);
+  const lng = Number(center.lng ?? center.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  const key = `${lat.toFixed(2)},${lng.toFixed(2)}`;
+  if (tzCache.has(key)) return tzCache.get(key);
+
+  try {
+    const timestamp = Math.floor((dateISO ? Date.parse(`${dateISO}T12:00:00Z`) : Date.now()) / 1000);
+    const resp = await gmaps.timezone({ params: { location: { lat, lng }, timestamp, key: apiKey } });
+    const tz = resp.data?.timeZoneId ? { timeZoneId: resp.data.timeZoneId } : null;
+    if (tz) tzCache.set(key, tz);
+    return tz;
+  } catch (err) {
+    console.error('timezone lookup failed', err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  DAY_MIN,
+  hasHours,
+  openIntervals,
+  placeUtcOffset,
+  isOpenAt,
+  nextOpenSlot,
+  evaluateHours,
+  resolveTimeZone,
+  localNow,
+  localMinutes,
+  fromLocalMinutes,
+  epochFromLocal,
+};
@@ -0,0 +1,100 @@
+// lib/location.cjs
+// Where to search: explicit coordinates (with an accuracy radius), "lat,lng"
+// text, or an address. "near me" only works with coordinates, and an address
+// that geocodes to several far-apart places comes back as choices instead of
+// silently taking the first one.
+
+const { geocodeCandidates } = require('./places.cjs');
+const { distanceKm } = require('./ranking.cjs');
+
+const NEAR_ME = /^(near me|nearby|near by|around me|around here|here|current location|my location|close by)$/i;
+const LAT_LNG = /^\s*(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)\s*$/;
+// Matches further apart than this are different places, not one fuzzy one
+const AMBIGUOUS_KM = 25;
+const MAX_CHOICES = 5;
+const MAX_ACCURACY_M = 50000;
+
+const isNearMe = (location) => NEAR_ME.test(String(location || '').trim());
+
+// coordinates = { lat, lng, accuracy_m? } -> error message or null
+function validateCoordinates(coordinates) {
+  if (coordinates === undefined || coordinates === null) return null;
+  const lat = Number(coordinates.lat);
+  const lng = Number(coordinates.lng);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) return 'coordinates.lat must be between -90 and 90';
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) return 'coordinates.lng must be between -180 and 180';
+  if (coordinates.accuracy_m !== undefined && coordinates.accuracy_m !== null) {
+    const acc = Number(coordinates.accuracy_m);
+    if (!Number.isFinite(acc) || acc < 0) return 'coordinates.accuracy_m must be a non-negative number';
+    if (acc > MAX_ACCURACY_M) return `coordinates.accuracy_m is too coarse (max ${MAX_ACCURACY_M})`;
+  }
+  return null;
+}
+
+// Stored on the batch query so later searches reuse it
+function centerFrom({ lat, lng, accuracy_m }, label, source) {
+  return {
+    lat: Number(lat),
+    lng: Number(lng),
+    accuracy_m: accuracy_m === undefined || accuracy_m === null ? null : Math.round(Number(accuracy_m)),
+    label: label || `${Number(lat).toFixed(5)},${Number(lng).toFixed(5)}`,
+    source
+  };
+}
+
+// Geocoder matches that name genuinely different places (first one kept as the anchor)
+function distinctChoices(candidates) {
+  const picked = [];
+  for (const c of candidates) {
+    if (picked.every(p => distanceKm(p, c) > AMBIGUOUS_KM)) picked.push(c);
+  }
+  return picked.slice(0, MAX_CHOICES);
+}
+
+// { location, coordinates } -> { center } | { error, code, status, choices? }
+async function resolveLocation({ location, coordinates } = {}) {
+  const text = typeof location === 'string' ? location.trim() : '';
+
+  if (coordinates) {
+    const coordError = validateCoordinates(coordinates);
+    if (coordError) return { status: 400, code: 'invalid_coordinates', error: coordError };
+    return { center: centerFrom(coordinates, text && !isNearMe(text) ? text : null, 'coordinates') };
+  }
+
+  const latLng = text.match(LAT_LNG);
+  if (latLng) {
+    const typed = { lat: Number(latLng[1]), lng: Number(latLng[2]) };
+    const coordError = validateCoordinates(typed);
+    if (coordError) return { status: 400, code: 'invalid_coordinates', error: coordError };
+    return { center: centerFrom(typed, null, 'coordinates') };
+  }
+
+  if (!text) return { status: 400, code: 'location_required', error: 'Missing location' };
+  if (isNearMe(text)) {
+    return {
+      status: 400,
+      code: 'location_required',
+      error: `"${text}" needs coordinates: share your location or enter an address`
+    };
+  }
+
+  const candidates = await geocodeCandidates(text);
+  if (!candidates.length) return { status: 400, code: 'location_not_found', error: 'Could not geocode location' };
+
+  const choices = distinctChoices(candidates);
+  if (choices.length > 1) {
+    return {
+      status: 409,
+      code: 'ambiguous_location',
+      error: `"${text}" matches several places; pick one and send its coordinates`,
+      choices: choices.map(c => ({ label: c.label, lat: c.lat, lng: c.lng, place_id: c.place_id }))
+    };
+  }
+  return { center: centerFrom(candidates[0], candidates[0].label, 'address') };
+}
+
+module.exports = {
+  isNearMe,
+  validateCoordinates,
+  resolveLocation,
+};
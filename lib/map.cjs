@@ -0,0 +1,222 @@
+// lib/map.cjs
+// Batch maps: the search center, the search radius and a numbered marker per
+// restaurant (batch item order), coloured by live call outcome.
+//
+// MAP_PROVIDER picks the renderer:
+//   static  Google Static Maps PNG, fetched server-side so the key stays private
+//   svg     local SVG drawing, no network needed
+//   auto    (default) static when GOOGLE_MAPS_API_KEY is set, svg otherwise or
+//           when Static Maps fails (and always in sandbox mode)
+//
+// mapUrl carries a version derived from the marker states, so clients re-fetch
+// the image whenever an outcome changes.
+
+const crypto = require('crypto');
+const { createCache } = require('./cache.cjs');
+const { isSandbox } = require('./sandbox/index.cjs');
+
+const WIDTH = 640;
+const HEIGHT = 400;
+const STATIC_MAPS_URL = 'https://maps.googleapis.com/maps/api/staticmap';
+const STATIC_TIMEOUT_MS = 5000;
+const CIRCLE_POINTS = 32;
+
+const images = createCache({ name: 'maps', maxEntries: 200, ttls: { static: 10 * 60 * 1000 } });
+
+/* ==================== Marker state ==================== */
+
+const COLORS = {
+  pending: '0x9ca3af',
+  calling: '0x2563eb',
+  scheduled: '0x7c3aed',
+  available: '0x16a34a',
+  offered: '0xf59e0b',
+  unavailable: '0xdc2626',
+  unreachable: '0x64748b',
+  skipped: '0x111827',
+};
+
+const LEGEND = [
+  ['available', 'Table available'],
+  ['offered', 'Other time offered'],
+  ['unavailable', 'No table'],
+  ['unreachable', 'No answer'],
+  ['calling', 'Calling'],
+  ['scheduled', 'Scheduled'],
+  ['pending', 'Waiting'],
+  ['skipped', 'Not called'],
+];
+
+const OUTCOME_STATES = {
+  available: 'available',
+  alternative_offered: 'offered',
+  credit_card_required: 'offered',
+  fully_booked: 'unavailable',
+  unavailable: 'unavailable',
+  closed: 'unavailable',
+  no_reservations_policy: 'unavailable',
+  opt_out: 'unavailable',
+  voicemail: 'unreachable',
+  unknown: 'unreachable',
+};
+
+// Batch item -> one of the COLORS keys
+function markerState(item) {
+  if (item.status === 'skipped' || item.status === 'cancelled') return 'skipped';
+  if (['held', 'accepted'].includes(item.offer?.status)) return 'available';
+  if (item.status === 'pending') return 'pending';
+  if (item.status === 'scheduled') return 'scheduled';
+  if (item.status === 'in_progress') return 'calling';
+  if (item.status === 'machine_detected' || item.status === 'error') return 'unreachable';
+  return OUTCOME_STATES[item.result?.outcome] || 'unreachable';
+}
+
+/* ==================== Geometry ==================== */
+
+// Restaurants with a known position, numbered in batch item order
+function markersFor(batch) {
+  const byId = new Map((batch.restaurants || []).map(r => [r.place_id, r]));
+  return (batch.items || []).map((item, i) => {
+    const loc = byId.get(item.place_id || item.id)?.geometry?.location;
+    if (!loc || !Number.isFinite(loc.lat) || !Number.isFinite(loc.lng)) return null;
+    return { n: i + 1, name: item.name, lat: loc.lat, lng: loc.lng, state: markerState(item) };
+  }).filter(Boolean);
+}
+
+function hasMap(batch) {
+  return !!batch?.query?.center || markersFor(batch || {}).length > 0;
+}
+
+// Points on a circle of `km` around `center`, as [lat, lng]
+function circlePoints(center, km) {
+  const latKm = 110.574;
+  const lngKm = 111.32 * Math.cos(center.lat * Math.PI / 180);
+  return Array.from({ length: CIRCLE_POINTS + 1 }, (_, i) => {
+    const a = (2 * Math.PI * i) / CIRCLE_POINTS;
+    return [center.lat + (km * Math.sin(a)) / latKm, center.lng + (km * Math.cos(a)) / lngKm];
+  });
+}
+
+/* ==================== URLs ==================== */
+
+function mapVersion(batch) {
+  const states = markersFor(batch).map(m => `${m.n}:${m.state}`).join(',');
+  return crypto.createHash('sha1').update(states).digest('hex').slice(0, 10);
+}
+
+// Public image URL for a batch, or null when there is nothing to plot
+function mapUrlFor(batch) {
+  if (!hasMap(batch)) return null;
+  const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+  const key = batch.map_key ? `&key=${encodeURIComponent(batch.map_key)}` : '';
+  return `${base}/status/${encodeURIComponent(batch.id)}/map?v=${mapVersion(batch)}${key}`;
+}
+
+const fixed = (n) => Number(n).toFixed(6);
+
+function staticMapUrl(batch) {
+  const params = new URLSearchParams({ size: `${WIDTH}x${HEIGHT}`, scale: '2', key: process.env.GOOGLE_MAPS_API_KEY });
+  const center = batch.query?.center;
+  if (center) {
+    params.append('markers', `size:tiny|color:0x111827|${fixed(center.lat)},${fixed(center.lng)}`);
+    if (batch.query.radius_km) {
+      const ring = circlePoints(center, batch.query.radius_km).map(([lat, lng]) => `${fixed(lat)},${fixed(lng)}`).join('|');
+      params.append('path', `color:0x2563eb99|weight:2|fillcolor:0x2563eb1a|${ring}`);
+    }
+  }
+  // Static Maps labels are one character, so markers past 9 go unlabeled
+  for (const m of markersFor(batch)) {
+    const label = m.n <= 9 ? `|label:${m.n}` : '';
+    params.append('markers', `color:${COLORS[m.state]}${label}|${fixed(m.lat)},${fixed(m.lng)}`);
+  }
+  return `${STATIC_MAPS_URL}?${params.toString()}`;
+}
+
+/* ==================== SVG ==================== */
+
+const escapeXml = (s) => String(s || '').replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+const hex = (color) => `#${color.slice(2)}`;
+
+function renderSvg(batch) {
+  const markers = markersFor(batch);
+  const center = batch.query?.center || markers[0];
+  const radiusKm = batch.query?.center ? Number(batch.query.radius_km) || 0 : 0;
+
+  // Local flat projection in km around the center; fine at city scale
+  const lngKm = 111.32 * Math.cos((center?.lat || 0) * Math.PI / 180);
+  const toKm = (p) => ({ x: (p.lng - center.lng) * lngKm, y: (p.lat - center.lat) * 110.574 });
+  const extent = Math.max(radiusKm, ...markers.map(m => Math.max(Math.abs(toKm(m).x), Math.abs(toKm(m).y))), 0.5);
+  const pad = 28;
+  const legendH = 24;
+  const scale = Math.min((WIDTH / 2 - pad) / extent, (HEIGHT - legendH) / 2 / (extent * 1.08));
+  const cx = WIDTH / 2;
+  const cy = (HEIGHT - legendH) / 2;
+  const toXY = (p) => { const k = toKm(p); return { x: cx + k.x * scale, y: cy - k.y * scale }; };
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="Helvetica, Arial, sans-serif">`,
+    `<rect width="${WIDTH}" height="${HEIGHT}" fill="#f8fafc"/>`,
+  ];
+  if (radiusKm) {
+    parts.push(`<circle cx="${cx}" cy="${cy}" r="${(radiusKm * scale).toFixed(1)}" fill="#2563eb" fill-opacity="0.08" stroke="#2563eb" stroke-opacity="0.6" stroke-dasharray="6 4"/>`);
+    parts.push(`<text x="${cx}" y="${(cy - radiusKm * scale - 6).toFixed(1)}" font-size="11" fill="#2563eb" text-anchor="middle">${radiusKm} km</text>`);
+  }
+  if (batch.query?.center) {
+    parts.push(`<g stroke="#111827" stroke-width="2"><line x1="${cx - 7}" y1="${cy}" x2="${cx + 7}" y2="${cy}"/><line x1="${cx}" y1="${cy - 7}" x2="${cx}" y2="${cy + 7}"/></g>`);
+  }
+  // Draw later numbers first so #1 ends up on top where markers overlap
+  for (const m of [...markers].reverse()) {
+    const { x, y } = toXY(m);
+    parts.push(
+      `<g><title>${m.n}. ${escapeXml(m.name)}</title>` +
+      `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="11" fill="${hex(COLORS[m.state])}" stroke="#fff" stroke-width="2"/>` +
+      `<text x="${x.toFixed(1)}" y="${(y + 4).toFixed(1)}" font-size="11" font-weight="bold" fill="#fff" text-anchor="middle">${m.n}</text></g>`
+    );
+  }
+  let lx = 10;
+  for (const [state, label] of LEGEND) {
+    parts.push(`<circle cx="${lx + 5}" cy="${HEIGHT - 12}" r="5" fill="${hex(COLORS[state])}"/><text x="${lx + 14}" y="${HEIGHT - 8}" font-size="11" fill="#334155">${label}</text>`);
+    lx += 16 + label.length * 5.5;
+  }
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/* ==================== Rendering ==================== */
+
+function providerName() {
+  if (isSandbox()) return 'svg';
+  const p = (process.env.MAP_PROVIDER || 'auto').toLowerCase();
+  if (p === 'svg' || p === 'static') return p;
+  return process.env.GOOGLE_MAPS_API_KEY ? 'static' : 'svg';
+}
+
+async function fetchStatic(batch) {
+  const key = `${batch.id}:${mapVersion(batch)}`;
+  return images.wrap('static', key, async () => {
+    const resp = await fetch(staticMapUrl(batch), { signal: AbortSignal.timeout(STATIC_TIMEOUT_MS) });
+    if (!resp.ok) throw new Error(`Static Maps HTTP ${resp.status}`);
+    return Buffer.from(await resp.arrayBuffer());
+  });
+}
+
+// -> { contentType, body }; Static Maps failures fall back to SVG
+async function renderBatchMap(batch) {
+  if (providerName() === 'static' && process.env.GOOGLE_MAPS_API_KEY) {
+    try {
+      return { contentType: 'image/png', body: await fetchStatic(batch) };
+    } catch (err) {
+      console.warn('static map failed; drawing SVG instead:', err.message);
+    }
+  }
+  return { contentType: 'image/svg+xml', body: renderSvg(batch) };
+}
+
+module.exports = {
+  markerState,
+  hasMap,
+  mapUrlFor,
+  staticMapUrl,
+  renderSvg,
+  renderBatchMap,
+};
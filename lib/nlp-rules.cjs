@@ -0,0 +1,199 @@
+// lib/nlp-rules.cjs
+// Deterministic parse_query: no model call, same output shape as lib/nlp.cjs.
+// Serves sandbox mode and stands in whenever OpenAI is missing or down.
+// Cuisines and dishes come from the cuisine taxonomy; budget ($ signs or
+// words), dietary needs, vibe, radius phrases and "not x" excludes from
+// simple patterns.
+//
+// Text is read as a change to a previous parse (empty on the first turn):
+//   "thai, $$, not sushi"              adds
+//   "actually korean instead"          overrides the cuisines and dishes
+//   "make it cheaper" / "fancier"      steps the budget down / up
+//   "skip anything spicy"              excludes it, and drops it from the wants
+//   "forget the patio", "sushi is fine"  takes something back
+//   "closer", "within 2 miles"         changes the radius
+
+const { resolveTerm } = require('./taxonomy.cjs');
+
+const DEFAULT_RADIUS_KM = 5;
+const MIN_RADIUS_KM = 1;
+const MAX_RADIUS_KM = 25;
+const BUDGETS = ['$', '$$', '$$$', '$$$$'];
+const LIST_FIELDS = ['cuisines', 'dishes', 'attributes', 'dietary', 'vibe', 'hard_excludes'];
+
+const DIETARY = {
+  vegan: ['vegan', 'plant-based', 'plant based'],
+  vegetarian: ['vegetarian', 'veggie', 'meatless'],
+  'gluten-free': ['gluten-free', 'gluten free', 'celiac', 'coeliac'],
+  'dairy-free': ['dairy-free', 'dairy free', 'lactose-free'],
+  halal: ['halal'],
+  kosher: ['kosher'],
+};
+const VIBES = ['romantic', 'quiet', 'cozy', 'lively', 'casual', 'fancy', 'elegant', 'family', 'date night', 'patio'];
+const ATTRIBUTES = ['spicy', 'healthy', 'late night', 'brunch', 'outdoor seating', 'kid friendly'];
+const BUDGET_WORDS = [
+  [/\b(cheap|inexpensive|budget)\b/, '$'],
+  [/\b(affordable|mid-range|moderate)\b/, '$$'],
+  [/\b(upscale|nice|special occasion)\b/, '$$$'],
+  [/\b(splurge|fine dining|expensive)\b/, '$$$$'],
+];
+const CHEAPER_RE = /\b(cheaper|less expensive|more affordable|lower budget)\b/;
+const PRICIER_RE = /\b(fancier|nicer|more upscale|pricier|more expensive)\b/;
+const CLOSER_RE = /\b(closer|nearer|not so far)\b/;
+const FARTHER_RE = /\b(further|farther|wider|more options)\b/;
+
+const LEAD_RE = /^(?:and|also|plus|but|please|oh|ok|okay|hmm|so)\s+/;
+const EXCLUDE_RE = /^(?:not|no|without|anything but|except|avoid|skip|hold the|nothing)\s+(.+)$/;
+const REMOVE_RE = /^(?:forget(?: about)?|drop|remove|never ?mind|don'?t care about|doesn'?t have to be|no need for)\s+(.+)$/;
+const ALLOW_RE = /^(?:(.+?)\s+(?:is|are)\s+(?:fine|ok|okay|good)(?: too)?|(?:fine|ok|okay) with\s+(.+))$/;
+const OVERRIDE_RE = /^(?:actually|instead|rather|make it|switch to|change (?:it )?to|let'?s do|how about)\b\s*(.*)$/;
+const NO_BUDGET_RE = /^(?:budget|price)(?: limit)?$/;
+const FILLER_RE = /^(?:anything|something|stuff|food|places?|the|any|a|an|that'?s|that is|too)\s+/;
+const MAX_NGRAM = 3;
+
+const has = (text, word) => new RegExp(`\\b${word.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')}\\b`).test(text);
+const uniq = (list) => [...new Set(list)];
+
+// Any parse (ours, the model's, or one sent back by a client) -> the standard shape
+function normalizeParsed(p = {}) {
+  const list = (v) => uniq((Array.isArray(v) ? v : []).map(x => String(x).toLowerCase().trim()).filter(Boolean));
+  const radius = Number(p?.radius_km);
+  return {
+    cuisines: list(p?.cuisines),
+    dishes: list(p?.dishes),
+    attributes: list(p?.attributes),
+    dietary: list(p?.dietary),
+    vibe: list(p?.vibe),
+    budget: BUDGETS.includes(p?.budget) ? p.budget : '',
+    hard_excludes: list(p?.hard_excludes),
+    radius_km: Number.isFinite(radius) && radius > 0 ? radius : DEFAULT_RADIUS_KM
+  };
+}
+
+/* ==================== Terms ==================== */
+
+// Longest taxonomy terms first, so "korean bbq" wins over "korean"
+function taxonomyTerms(clause) {
+  const words = clause.split(/\s+/).filter(Boolean);
+  const used = new Array(words.length).fill(false);
+  const found = [];
+  for (let n = Math.min(MAX_NGRAM, words.length); n >= 1; n--) {
+    for (let i = 0; i + n <= words.length; i++) {
+      if (used.slice(i, i + n).some(Boolean)) continue;
+      const hit = resolveTerm(words.slice(i, i + n).join(' '));
+      if (!hit) continue;
+      found.push(hit);
+      used.fill(true, i, i + n);
+    }
+  }
+  return found;
+}
+
+// Everything a clause asks for: { cuisines, dishes, attributes, dietary, vibe }
+function wantsIn(clause) {
+  const wants = { cuisines: [], dishes: [], attributes: [], dietary: [], vibe: [] };
+  for (const hit of taxonomyTerms(clause)) (hit.kind === 'dish' ? wants.dishes : wants.cuisines).push(hit.id);
+  for (const [need, words] of Object.entries(DIETARY)) {
+    if (words.some(w => has(clause, w))) wants.dietary.push(need);
+  }
+  wants.vibe = VIBES.filter(v => has(clause, v));
+  wants.attributes = ATTRIBUTES.filter(a => has(clause, a));
+  return wants;
+}
+
+// "anything spicy" -> "spicy"
+function cleanTerm(phrase) {
+  let term = phrase.trim();
+  while (FILLER_RE.test(term)) term = term.replace(FILLER_RE, '');
+  return term.replace(/\s+(?:please|instead|anymore|either|too)$/, '').trim();
+}
+
+// A phrase and the taxonomy ids it names ("japanese food" -> ["japanese food", "japanese"])
+const namesFor = (term) => uniq([term, ...taxonomyTerms(term).map(h => h.id)]);
+
+function without(parsed, names, fields) {
+  const next = { ...parsed };
+  for (const f of fields) next[f] = parsed[f].filter(x => !names.includes(x));
+  return next;
+}
+
+// Drops the excludes that name any of `names`, however they were worded
+// ("not japanese food", then "japanese" again)
+function lifted(parsed, names) {
+  return { ...parsed, hard_excludes: parsed.hard_excludes.filter(x => !namesFor(x).some(n => names.includes(n))) };
+}
+
+/* ==================== Budget & radius ==================== */
+
+function budgetFrom(clause, current) {
+  const dollars = clause.match(/(^|\s)(\${1,4})(?=\s|$)/);
+  if (dollars) return dollars[2];
+  const step = CHEAPER_RE.test(clause) ? -1 : PRICIER_RE.test(clause) ? 1 : 0;
+  if (step) {
+    // Without a budget yet, "cheaper" means $ and "fancier" $$$
+    const idx = current ? BUDGETS.indexOf(current) : 1;
+    return BUDGETS[Math.max(0, Math.min(BUDGETS.length - 1, idx + step))];
+  }
+  return BUDGET_WORDS.find(([re]) => re.test(clause))?.[1] ?? current;
+}
+
+function radiusFrom(clause, current) {
+  const m = clause.match(/\bwithin (\d+(?:\.\d+)?)\s*(km|kilometers?|mi|miles?)\b/);
+  if (m) return Math.round(Number(m[1]) * (m[2].startsWith('m') ? 1.609 : 1) * 10) / 10;
+  if (/\bwalking distance\b|\bwalkable\b/.test(clause)) return 1.5;
+  if (CLOSER_RE.test(clause)) return Math.max(MIN_RADIUS_KM, Math.round(current * 5) / 10);
+  if (FARTHER_RE.test(clause)) return Math.min(MAX_RADIUS_KM, current * 2);
+  return current;
+}
+
+/* ==================== Parsing ==================== */
+
+function applyClause(parsed, raw) {
+  let clause = raw;
+  while (LEAD_RE.test(clause)) clause = clause.replace(LEAD_RE, '');
+
+  const removed = clause.match(REMOVE_RE);
+  if (removed) {
+    const term = cleanTerm(removed[1]);
+    if (NO_BUDGET_RE.test(term)) return { ...parsed, budget: '' };
+    return without(parsed, namesFor(term), LIST_FIELDS);
+  }
+
+  const excluded = clause.match(EXCLUDE_RE);
+  if (excluded) {
+    const term = cleanTerm(excluded[1]);
+    if (!term) return parsed;
+    if (NO_BUDGET_RE.test(term)) return { ...parsed, budget: '' };
+    const next = without(parsed, namesFor(term), LIST_FIELDS.filter(f => f !== 'hard_excludes'));
+    return { ...next, hard_excludes: uniq([...next.hard_excludes, term]) };
+  }
+
+  let next = { ...parsed, budget: budgetFrom(clause, parsed.budget), radius_km: radiusFrom(clause, parsed.radius_km) };
+  const allowed = clause.match(ALLOW_RE);
+  if (allowed) return lifted(next, namesFor(cleanTerm(allowed[1] || allowed[2])));
+
+  const override = clause.match(OVERRIDE_RE) || clause.match(/^(.+?)\s+instead$/);
+  const wants = wantsIn(override ? override[1] : clause);
+  // "actually korean" replaces what kind of food, not everything else
+  if (override && (wants.cuisines.length || wants.dishes.length)) next = { ...next, cuisines: [], dishes: [] };
+  for (const [field, values] of Object.entries(wants)) {
+    // Asking for something again lifts an earlier "not"
+    next = lifted(next, values);
+    next[field] = uniq([...next[field], ...values]);
+  }
+  return next;
+}
+
+// text (+ the previous parse, for a follow-up) -> parsed craving:
+// { cuisines, dishes, attributes, dietary, vibe, budget, hard_excludes, radius_km }
+function parseByRules(text, previous = null) {
+  const lower = String(text || '').toLowerCase();
+  const clauses = lower.split(/[,;.!?]|\s+(?:and|but|or|then)\s+/).map(c => c.trim()).filter(Boolean);
+  return clauses.reduce(applyClause, normalizeParsed(previous || {}));
+}
+
+module.exports = {
+  LIST_FIELDS,
+  normalizeParsed,
+  parseByRules,
+};
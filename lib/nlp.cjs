@@ -0,0 +1,96 @@
+// lib/nlp.cjs
+// Mood text -> normalized dining intent + display chips.
+// A follow-up ("actually make it cheaper") refines the previous parse, and the
+// reply carries a diff so clients can update their chips in place.
+// Without OpenAI (no key, or the call fails) lib/nlp-rules.cjs parses instead.
+
+const { getOpenAI } = require('./clients.cjs');
+const { isSandbox } = require('./sandbox/index.cjs');
+const { LIST_FIELDS, normalizeParsed, parseByRules } = require('./nlp-rules.cjs');
+
+const SCHEMA = `cuisines[], dishes[], attributes[], dietary[], vibe[], budget($|$$|$$$|$$$$|""), hard_excludes[], radius_km(number).`;
+
+const SYSTEM = `Extract a normalized JSON of dining intent.
+Return ONLY JSON with keys:
+${SCHEMA}
+Infer conservatively; empty arrays if unknown; radius_km default 5.`;
+
+const REFINE_SYSTEM = `You update a JSON of dining intent with the user's follow-up message.
+The follow-up may add to it, remove from it ("forget the patio"), exclude something
+("skip anything spicy"), or replace part of it ("actually korean instead", "make it cheaper").
+Keep everything the follow-up doesn't touch.
+Return ONLY the full updated JSON with keys:
+${SCHEMA}`;
+
+function chipsFor(parsed = {}) {
+  return [
+    ...new Set([
+      ...(parsed.dishes || []),
+      ...(parsed.cuisines || []),
+      ...(parsed.attributes || []),
+      ...(parsed.vibe || []),
+      ...(parsed.budget ? [parsed.budget] : []),
+      ...(parsed.hard_excludes || []).map(x => `not ${x}`)
+    ].filter(Boolean))
+  ];
+}
+
+// -> { added: [chip], removed: [chip], changes: { field: { added, removed } | { from, to } } }
+function diffParsed(prev, next) {
+  const changes = {};
+  for (const f of LIST_FIELDS) {
+    const added = next[f].filter(x => !prev[f].includes(x));
+    const removed = prev[f].filter(x => !next[f].includes(x));
+    if (added.length || removed.length) changes[f] = { added, removed };
+  }
+  for (const f of ['budget', 'radius_km']) {
+    if (prev[f] !== next[f]) changes[f] = { from: prev[f], to: next[f] };
+  }
+  const before = chipsFor(prev);
+  const after = chipsFor(next);
+  return {
+    added: after.filter(c => !before.includes(c)),
+    removed: before.filter(c => !after.includes(c)),
+    changes
+  };
+}
+
+async function parseWithModel(text, previous) {
+  const messages = previous
+    ? [
+      { role: 'system', content: REFINE_SYSTEM },
+      { role: 'user', content: `Current: ${JSON.stringify(previous)}\nFollow-up: """${text}"""` }
+    ]
+    : [
+      { role: 'system', content: SYSTEM },
+      { role: 'user', content: `User: """${text}"""` }
+    ];
+  const resp = await getOpenAI().chat.completions.create({
+    model: 'gpt-4o-mini',
+    messages,
+    temperature: 0.2,
+    response_format: { type: 'json_object' }
+  });
+  return JSON.parse(resp.choices?.[0]?.message?.content || '{}');
+}
+
+// previous: the `parsed` of an earlier turn, to refine rather than start over;
+// offline: rules only (e.g. the caller's OpenAI budget is spent)
+// -> { parsed, chips, diff, source: 'llm' | 'rules' }
+async function parseQuery(text, { previous = null, offline = false } = {}) {
+  const prev = previous ? normalizeParsed(previous) : null;
+  let raw = null;
+  let source = 'rules';
+  if (!offline && !isSandbox() && process.env.OPENAI_API_KEY) {
+    try {
+      raw = await parseWithModel(text, prev);
+      source = 'llm';
+    } catch (err) {
+      console.warn('parse_query: falling back to rules:', err.message);
+    }
+  }
+  const parsed = normalizeParsed(raw || parseByRules(text, prev));
+  return { parsed, chips: chipsFor(parsed), diff: diffParsed(prev || normalizeParsed(), parsed), source };
+}
+
+module.exports = { parseQuery, chipsFor, diffParsed };
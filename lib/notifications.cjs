@@ -0,0 +1,170 @@
+// lib/notifications.cjs
+// Messages to the guest about their reservation, sent through lib/notify:
+//   confirmed      the booking call ended with a confirmed table
+//   changed        the restaurant agreed to a modify
+//   cancelled      the restaurant cancelled the table
+//   change_failed  a modify or cancel didn't go through; the booking stands
+//   reminder       a reminder from lib/reminders.cjs came due
+// Texts go to the guest phone given when booking; a copy goes by email to the
+// booking account's address when it has one and a provider delivers email.
+// Each attempt is kept on the reservation as
+//   notifications: [{ kind, channel, to, status: 'sent' | 'failed', id, error, at }]
+// A failed send is logged (without the guest's contact details) and recorded,
+// never thrown: the booking flow goes on.
+// 'confirmed' and 'cancelled' go out once: a { kind, status: 'sending' } entry
+// claims them on the stored reservation before anything is sent.
+
+const { createNotifier } = require('./notify/index.cjs');
+const { createConsoleProvider } = require('./notify/console.cjs');
+const { isSandbox } = require('./sandbox/index.cjs');
+const { updateReservation } = require('./reservations.cjs');
+const { getUser } = require('./users.cjs');
+const { normalizePhone } = require('./phone.cjs');
+const { formatDate, formatTime } = require('./call-agent.cjs');
+const { localNow, fromLocalMinutes } = require('./hours.cjs');
+
+// Created on first use, so a misconfigured provider can't stop the server
+// from starting. The problem is logged; the sandbox then prints messages to
+// the console, anywhere else every message is recorded as failed (printing
+// them would leak guest contact details and pass them off as sent).
+let notifier;
+function getNotifier() {
+  if (notifier !== undefined) return notifier;
+  try {
+    notifier = createNotifier();
+  } catch (err) {
+    const fallback = isSandbox() ? 'using the console provider' : 'messages will be recorded as failed';
+    console.error(`Notifications: ${err.message}; ${fallback}`);
+    notifier = isSandbox() ? createConsoleProvider() : unavailableNotifier(err.message);
+  }
+  return notifier;
+}
+
+// Stands in for a provider that couldn't be set up: every send fails
+function unavailableNotifier(reason) {
+  return {
+    name: 'unavailable',
+    channels: ['sms', 'email'],
+    async send() {
+      throw new Error(`Notifications are not configured: ${reason}`);
+    }
+  };
+}
+
+// Sent at most once per reservation
+const ONCE = ['confirmed', 'cancelled'];
+
+const SUBJECTS = {
+  confirmed: 'Your table is booked',
+  changed: 'Your booking was changed',
+  cancelled: 'Your booking was cancelled',
+  change_failed: 'Your booking was not changed',
+  reminder: 'About your booking',
+};
+
+// Epoch ms -> "Thursday, May 1 at 7 PM" on the restaurant's clock
+function localWhen(reservation, at) {
+  const zone = { timeZoneId: reservation.time_zone, utcOffsetMinutes: reservation.utc_offset_minutes ?? undefined };
+  const { date, time } = fromLocalMinutes(localNow(zone, at));
+  return `${formatDate(date)} at ${formatTime(time)}`;
+}
+
+// "a table for 4 on Saturday, January 5 at 8 PM at Thai Orchid"
+function tableText(reservation) {
+  const when = [
+    reservation.date ? ` on ${formatDate(reservation.date)}` : '',
+    reservation.time ? ` at ${formatTime(reservation.time)}` : ''
+  ].join('');
+  return `a table for ${reservation.party_size || '?'}${when} at ${reservation.restaurant?.name || 'the restaurant'}`;
+}
+
+function deadlineText(reservation) {
+  const deadline = reservation.cancellation_policy?.deadline;
+  return deadline ? ` Free cancellation until ${localWhen(reservation, deadline)}.` : '';
+}
+
+// What the guest is told; `text` is used as is (reminders come worded)
+function notificationText(reservation, kind, text) {
+  if (text) return text;
+  const code = reservation.confirmation?.code ? ` Confirmation ${reservation.confirmation.code}.` : '';
+  const change = reservation.change;
+  switch (kind) {
+    case 'confirmed':
+      return `You're booked: ${tableText(reservation)}.${code}${deadlineText(reservation)}`;
+    case 'changed':
+      return `Your booking is now ${tableText(reservation)}.${code}${deadlineText(reservation)}`;
+    case 'cancelled':
+      return `Your booking for ${tableText(reservation)} is cancelled.`;
+    case 'change_failed': {
+      const what = change?.action === 'cancel' ? 'cancel' : 'change';
+      const why = change?.status === 'declined' ? "the restaurant couldn't do it" : "we couldn't reach the restaurant";
+      return `We couldn't ${what} your booking (${why}); you still have ${tableText(reservation)}.`;
+    }
+    default:
+      return `About your booking: ${tableText(reservation)}.`;
+  }
+}
+
+// Where a message about the reservation goes, by channel
+async function recipients(reservation, notifier) {
+  const out = [];
+  const phone = normalizePhone(reservation.guest?.phone);
+  if (phone) out.push({ channel: 'sms', to: phone });
+  if (notifier.channels.includes('email') && reservation.owner_id) {
+    const owner = await getUser(reservation.owner_id);
+    if (owner?.email) out.push({ channel: 'email', to: owner.email });
+  }
+  return out;
+}
+
+// Claims a once-only message on the stored reservation -> the reservation,
+// or null when it was already sent (or is being sent)
+async function claimOnce(reservation, kind) {
+  let claimed = false;
+  const updated = await updateReservation(reservation.id, x => {
+    claimed = !(x.notifications || []).some(n => n.kind === kind);
+    return claimed ? { ...x, notifications: [...(x.notifications || []), { kind, status: 'sending', at: Date.now() }] } : x;
+  });
+  return claimed ? updated : null;
+}
+
+async function notifyGuest(reservation, kind, { text } = {}) {
+  const notifier = getNotifier();
+  if (!notifier || !reservation) return;
+  try {
+    const once = ONCE.includes(kind);
+    if (once) {
+      reservation = await claimOnce(reservation, kind);
+      if (!reservation) return;
+    }
+    const message = `RezKyoo: ${notificationText(reservation, kind, text)}`;
+    const sent = [];
+    for (const { channel, to } of await recipients(reservation, notifier)) {
+      const entry = { kind, channel, to, at: Date.now() };
+      try {
+        const { id } = await notifier.send({ channel, to, subject: SUBJECTS[kind] || SUBJECTS.reminder, text: message });
+        sent.push({ ...entry, status: 'sent', id: id || null });
+      } catch (err) {
+        // Provider errors can quote the number or address they refused
+        console.error(`notify ${kind} (${channel}) failed`, reservation.id, String(err.message).split(to).join('[guest]'));
+        sent.push({ ...entry, status: 'failed', error: err.message });
+      }
+    }
+    // The claim gives way to what was actually sent
+    const claim = (n) => once && n.kind === kind && n.status === 'sending';
+    if (sent.length || once) {
+      await updateReservation(reservation.id, x => ({
+        ...x,
+        notifications: [...(x.notifications || []).filter(n => !claim(n)), ...sent]
+      }));
+    }
+  } catch (err) {
+    console.error('notify error', reservation.id, err);
+  }
+}
+
+module.exports = {
+  localWhen,
+  notificationText,
+  notifyGuest,
+};
@@ -0,0 +1,15 @@
+// lib/notify/console.cjs
+// Local stand-in: prints each message instead of sending it
+
+function createConsoleProvider() {
+  let seq = 0;
+
+  async function send({ channel, to, subject, text }) {
+    console.log(`📨 ${channel} to ${to}${subject ? ` (${subject})` : ''}: ${text}`);
+    return { id: `console_msg_${++seq}_${Date.now().toString(36)}` };
+  }
+
+  return { name: 'console', channels: ['sms', 'email'], send };
+}
+
+module.exports = { createConsoleProvider };
@@ -0,0 +1,30 @@
+// lib/notify/file.cjs
+// Local stand-in: appends each message as a JSON line to NOTIFY_OUTBOX
+// (default ./data/outbox.jsonl), for development and tests to read back
+
+const fs = require('fs/promises');
+const path = require('path');
+
+function createFileProvider() {
+  const file = process.env.NOTIFY_OUTBOX || path.join(process.env.STORE_DIR || './data', 'outbox.jsonl');
+  let seq = 0;
+
+  // Appends go one at a time so lines never interleave
+  let queue = Promise.resolve();
+
+  async function send({ channel, to, subject, text }) {
+    const id = `file_msg_${++seq}_${Date.now().toString(36)}`;
+    const line = JSON.stringify({ id, channel, to, subject: subject || null, text, at: Date.now() }) + '\n';
+    const run = queue.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, line);
+    });
+    queue = run.catch(() => {});
+    await run;
+    return { id };
+  }
+
+  return { name: 'file', channels: ['sms', 'email'], send };
+}
+
+module.exports = { createFileProvider };
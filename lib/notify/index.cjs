@@ -0,0 +1,55 @@
+// lib/notify/index.cjs
+// Pluggable guest notification providers (Telnyx SMS, SMTP email, file outbox, console)
+//
+// A provider is a plain object:
+//   name
+//   channels                                  the channels it delivers: 'sms', 'email'
+//   send({ channel, to, subject, text })      -> { id }; throws when delivery fails
+//
+// NOTIFY_PROVIDER lists providers in order (e.g. "telnyx,smtp"); each message
+// goes to the first one that handles its channel. "off" sends nothing, and is
+// the default outside sandbox mode (where it is "console").
+
+const { createTelnyxSmsProvider } = require('./telnyx.cjs');
+const { createSmtpEmailProvider } = require('./smtp.cjs');
+const { createFileProvider } = require('./file.cjs');
+const { createConsoleProvider } = require('./console.cjs');
+const { isSandbox } = require('../sandbox/index.cjs');
+
+const FACTORIES = {
+  telnyx: createTelnyxSmsProvider,
+  smtp: createSmtpEmailProvider,
+  file: createFileProvider,
+  console: createConsoleProvider,
+};
+
+// Providers that reach a real guest
+const LIVE = ['telnyx', 'smtp'];
+
+// -> { name, channels, send } over the configured providers, or null when off;
+// throws on an unknown or misconfigured provider
+function createNotifier() {
+  const names = String(process.env.NOTIFY_PROVIDER || (isSandbox() ? 'console' : 'off')).toLowerCase()
+    .split(',').map(s => s.trim()).filter(Boolean);
+  if (!names.length || names.includes('off')) return null;
+
+  const providers = names.map(name => {
+    const factory = FACTORIES[name];
+    if (!factory) throw new Error(`Unknown NOTIFY_PROVIDER "${name}"`);
+    // Sandbox mode never texts or emails a real guest, whatever else is configured
+    return isSandbox() && LIVE.includes(name) ? createConsoleProvider() : factory();
+  });
+  const forChannel = (channel) => providers.find(p => p.channels.includes(channel));
+
+  return {
+    name: providers.map(p => p.name).join(','),
+    channels: [...new Set(providers.flatMap(p => p.channels))],
+    async send(message) {
+      const provider = forChannel(message.channel);
+      if (!provider) throw new Error(`No notification provider for ${message.channel}`);
+      return provider.send(message);
+    }
+  };
+}
+
+module.exports = { createNotifier };
@@ -0,0 +1,34 @@
+// lib/notify/telnyx.cjs
+// Text messages through the Telnyx Messaging API
+
+const TELNYX_API = 'https://api.telnyx.com/v2';
+
+function createTelnyxSmsProvider() {
+  const apiKey = process.env.TELNYX_API_KEY;
+  const fromNumber = process.env.TELNYX_SMS_FROM || process.env.TELNYX_FROM_NUMBER;
+  const profileId = process.env.TELNYX_MESSAGING_PROFILE_ID;
+
+  if (!apiKey) throw new Error('Missing TELNYX_API_KEY');
+  if (!fromNumber) throw new Error('Missing TELNYX_SMS_FROM (or TELNYX_FROM_NUMBER)');
+
+  async function send({ to, text }) {
+    const resp = await fetch(`${TELNYX_API}/messages`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ from: fromNumber, to, text, ...(profileId ? { messaging_profile_id: profileId } : {}) })
+    });
+    if (!resp.ok) {
+      const body = await resp.text().catch(() => '');
+      throw new Error(`Telnyx message failed (${resp.status}): ${body.slice(0, 200)}`);
+    }
+    const data = await resp.json().catch(() => ({}));
+    return { id: data.data?.id || null };
+  }
+
+  return { name: 'telnyx', channels: ['sms'], send };
+}
+
+module.exports = { createTelnyxSmsProvider };
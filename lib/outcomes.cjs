@@ -0,0 +1,23 @@
+// lib/outcomes.cjs
+// Call outcomes written to item.result.outcome (app.js switches on these)
+
+const OUTCOMES = Object.freeze({
+  AVAILABLE: 'available',
+  ALTERNATIVE_OFFERED: 'alternative_offered',
+  CREDIT_CARD_REQUIRED: 'credit_card_required',
+  FULLY_BOOKED: 'fully_booked',
+  UNAVAILABLE: 'unavailable',
+  CLOSED: 'closed',
+  NO_RESERVATIONS_POLICY: 'no_reservations_policy',
+  VOICEMAIL: 'voicemail',
+  OPT_OUT: 'opt_out',
+  UNKNOWN: 'unknown',
+});
+
+const OUTCOME_VALUES = Object.freeze(Object.values(OUTCOMES));
+
+function isOutcome(value) {
+  return OUTCOME_VALUES.includes(value);
+}
+
+module.exports = { OUTCOMES, OUTCOME_VALUES, isOutcome };
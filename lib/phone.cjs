@@ -0,0 +1,19 @@
+// lib/phone.cjs
+// Phone number helpers shared by the dialer and anything keyed by phone
+
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '1';
+
+// Best-effort E.164 normalization: "(480) 555-0100" -> "+14805550100".
+// Returns '' when there is nothing dialable.
+function normalizePhone(raw) {
+  const str = String(raw || '').trim();
+  if (!str) return '';
+  const digits = str.replace(/\D/g, '');
+  if (!digits) return '';
+  if (str.startsWith('+')) return `+${digits}`;
+  if (digits.length === 10) return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+  if (digits.length === 11 && digits.startsWith(DEFAULT_COUNTRY_CODE)) return `+${digits}`;
+  return digits.length >= 8 ? `+${digits}` : '';
+}
+
+module.exports = { normalizePhone };
@@ -0,0 +1,201 @@
+// lib/place-history.cjs
+// What past calls taught us about each restaurant, keyed by place_id:
+// outcome tallies, how often they pick up, their reservation policies and
+// how far ahead they tend to be full. Search uses it to skip or down-rank
+// places; the call script uses it to ask the right follow-up up front.
+//
+// { id: place_id, name, calls, answered, unanswered, outcomes: { outcome: n },
+//   policies: { credit_card: n, no_reservations: n, no_reservations_min_party,
+//               refused_party_max, accepted_party_min },
+//   samples: [{ at, outcome, party_size, lead_hours }], last_outcome,
+//   last_called_at, recorded: ['batchId:itemId:attempt'] }
+
+const { store } = require('./store/index.cjs');
+const { OUTCOMES } = require('./outcomes.cjs');
+
+const COLLECTION = 'place_history';
+const HISTORY_TTL_MS = Number(process.env.PLACE_HISTORY_TTL_DAYS || 180) * 24 * 60 * 60 * 1000;
+const MAX_SAMPLES = 30;
+const MAX_RECORDED = 50;
+// A place that never picked up in this many tries is not worth another call
+const UNREACHABLE_MIN_CALLS = 3;
+
+// "we only take reservations for parties of 6 or more" -> 6
+const MIN_PARTY_RES = [
+  /\b(?:parties|groups|tables) of (\d{1,2}) (?:or more|and (?:up|over|above)|\+)/i,
+  /\b(\d{1,2}) (?:or more|and (?:up|over|above)) (?:people|guests|persons)\b/i,
+  /\b(?:under|fewer than|less than|below) (\d{1,2}) (?:people|guests|persons)\b/i,
+];
+
+function minPartyFrom(text) {
+  for (const re of MIN_PARTY_RES) {
+    const m = String(text || '').match(re);
+    if (m) return Number(m[1]);
+  }
+  return null;
+}
+
+// Hours between the call and the time asked about (server clock; good enough for "how far ahead")
+function leadHours(query = {}, item = {}, at = Date.now()) {
+  const slot = item.next_open_slot;
+  const date = query.date || slot?.date;
+  const time = query.time || slot?.time || query.time_window?.start;
+  if (!date || !time) return null;
+  const when = Date.parse(`${date}T${time}:00`);
+  return Number.isFinite(when) ? Math.round((when - at) / 36e5) : null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/* ==================== Recording ==================== */
+
+// One finished call for a batch item. Called again for the same attempt (e.g.
+// once the recording is classified) it is ignored, so nothing counts twice;
+// a retry is a new attempt and counts as another call.
+async function recordCall({ batchId, item, query = {} }) {
+  const placeId = item?.place_id || item?.id;
+  if (!placeId) return null;
+  const key = `${batchId}:${item.id}:${item.attempt || 1}`;
+  const outcome = item.result?.outcome || (item.status === 'machine_detected' ? OUTCOMES.VOICEMAIL : null);
+  // answered = a person picked up; unanswered = nothing at all (voicemail is its own outcome)
+  const answered = !!item.call?.answered_at && outcome !== OUTCOMES.VOICEMAIL;
+  const unanswered = !answered && !outcome;
+  const party = Number(query.party_size) || null;
+  const now = Date.now();
+
+  return store.mutate(COLLECTION, placeId, current => {
+    if (current?.recorded?.includes(key)) return undefined;
+    const h = current || {
+      id: placeId,
+      place_id: placeId,
+      calls: 0,
+      answered: 0,
+      unanswered: 0,
+      outcomes: {},
+      policies: {},
+      samples: [],
+      recorded: [],
+      created_at: now
+    };
+    const policies = { ...h.policies };
+    if (item.result?.credit_card_required || outcome === OUTCOMES.CREDIT_CARD_REQUIRED) {
+      policies.credit_card = (policies.credit_card || 0) + 1;
+    }
+    if (outcome === OUTCOMES.NO_RESERVATIONS_POLICY) {
+      policies.no_reservations = (policies.no_reservations || 0) + 1;
+      policies.no_reservations_min_party = minPartyFrom(item.raw) || policies.no_reservations_min_party || null;
+      if (party) policies.refused_party_max = Math.max(policies.refused_party_max || 0, party);
+    }
+    if (party && [OUTCOMES.AVAILABLE, OUTCOMES.ALTERNATIVE_OFFERED].includes(outcome)) {
+      policies.accepted_party_min = Math.min(policies.accepted_party_min || Infinity, party);
+    }
+
+    const sample = { at: now, outcome, party_size: party, lead_hours: leadHours(query, item, now) };
+    return {
+      ...h,
+      name: item.name || h.name || null,
+      calls: h.calls + 1,
+      answered: h.answered + (answered ? 1 : 0),
+      unanswered: h.unanswered + (unanswered ? 1 : 0),
+      outcomes: outcome ? { ...h.outcomes, [outcome]: (h.outcomes[outcome] || 0) + 1 } : h.outcomes,
+      policies,
+      samples: [...h.samples, sample].slice(-MAX_SAMPLES),
+      last_outcome: outcome || h.last_outcome || null,
+      last_called_at: now,
+      recorded: [...h.recorded, key].slice(-MAX_RECORDED),
+      updated_at: now,
+      expires_at: now + HISTORY_TTL_MS
+    };
+  });
+}
+
+/* ==================== Reading ==================== */
+
+async function getPlaceHistory(placeId) {
+  if (!placeId) return null;
+  return store.get(COLLECTION, String(placeId));
+}
+
+// place_ids -> Map(place_id -> history) for the ones we have
+async function historiesFor(placeIds = []) {
+  const map = new Map();
+  for (const id of new Set(placeIds)) {
+    const h = await getPlaceHistory(id);
+    if (h) map.set(id, h);
+  }
+  return map;
+}
+
+// Public, derived view of a history record
+function summarizeHistory(h) {
+  if (!h) return null;
+  const leadsFor = (outcome) => h.samples
+    .filter(s => s.outcome === outcome && Number.isFinite(s.lead_hours))
+    .map(s => s.lead_hours);
+  return {
+    place_id: h.place_id,
+    name: h.name,
+    calls: h.calls,
+    answer_rate: h.calls ? Math.round((h.answered / h.calls) * 100) / 100 : null,
+    outcomes: h.outcomes,
+    policies: {
+      credit_card_required: (h.policies.credit_card || 0) > 0,
+      no_reservations: (h.policies.no_reservations || 0) > 0,
+      no_reservations_under: h.policies.no_reservations_min_party || null,
+      refused_party_max: h.policies.refused_party_max || null,
+      accepted_party_min: h.policies.accepted_party_min || null,
+    },
+    // Median hours ahead we called when they had a table / were full
+    lead_time: {
+      available_hours: median(leadsFor(OUTCOMES.AVAILABLE)),
+      fully_booked_hours: median(leadsFor(OUTCOMES.FULLY_BOOKED)),
+    },
+    last_outcome: h.last_outcome || null,
+    last_called_at: h.last_called_at || null,
+  };
+}
+
+/* ==================== Using it ==================== */
+
+// -> { code, detail } when history says calling is pointless, else null
+function historyExclusion(h, { party_size } = {}) {
+  if (!h) return null;
+  const party = Number(party_size) || null;
+  const p = h.policies || {};
+  const acceptedSmaller = party && p.accepted_party_min && p.accepted_party_min <= party;
+
+  if (party && p.no_reservations_min_party && party < p.no_reservations_min_party && !acceptedSmaller) {
+    return { code: 'no_reservations_history', detail: `takes no reservations under ${p.no_reservations_min_party} people (past calls)` };
+  }
+  if (party && p.refused_party_max && party <= p.refused_party_max && !acceptedSmaller) {
+    return { code: 'no_reservations_history', detail: `refused reservations for ${p.refused_party_max} before (past calls)` };
+  }
+  if (h.calls >= UNREACHABLE_MIN_CALLS && !h.answered) {
+    return { code: 'unreachable_history', detail: `no answer in ${h.calls} past calls` };
+  }
+  return null;
+}
+
+// What the call script should bring up early (see call-agent openingLine)
+function callHints(h) {
+  if (!h) return null;
+  const hints = {
+    ask_card: (h.policies?.credit_card || 0) > 0,
+    ask_next_opening: (h.outcomes?.[OUTCOMES.FULLY_BOOKED] || 0) >= 2,
+  };
+  return hints.ask_card || hints.ask_next_opening ? hints : null;
+}
+
+module.exports = {
+  recordCall,
+  getPlaceHistory,
+  historiesFor,
+  summarizeHistory,
+  historyExclusion,
+  callHints,
+};
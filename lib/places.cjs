@@ -0,0 +1,180 @@
+// lib/places.cjs
+// Google Geocoding / Places lookups behind a per-kind TTL cache and a
+// concurrency limit. The radius steps of one search and a later "search more"
+// ask for largely the same places, so most of that work is served from cache.
+
+const { gmaps, mapsKey } = require('./clients.cjs');
+const { createCache } = require('./cache.cjs');
+const { mapLimit, sleep } = require('./concurrency.cjs');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_TEXTSEARCH_PAGES = 2;
+const CONCURRENCY = Number(process.env.PLACES_CONCURRENCY || 4);
+// A next_page_token is not usable right away; Google answers INVALID_REQUEST until it is
+const NEXT_PAGE_DELAY_MS = Number(process.env.PLACES_NEXT_PAGE_DELAY_MS || 2000);
+const NEXT_PAGE_RETRIES = 3;
+
+const DETAIL_FIELDS = [
+  'place_id','name','types','business_status','formatted_address',
+  'formatted_phone_number','international_phone_number',
+  'opening_hours','current_opening_hours','utc_offset','geometry',
+  'price_level','rating','user_ratings_total',
+  'editorial_summary','reviews','reservable'
+].join(',');
+
+const cache = createCache({
+  name: 'places',
+  maxEntries: Number(process.env.PLACES_CACHE_MAX || 2000),
+  persistent: (process.env.PLACES_CACHE_BACKEND || 'memory').toLowerCase() === 'store',
+  ttls: {
+    geocode: Number(process.env.PLACES_TTL_GEOCODE_HOURS || 24 * 7) * HOUR_MS,
+    textsearch: Number(process.env.PLACES_TTL_TEXTSEARCH_HOURS || 6) * HOUR_MS,
+    details: Number(process.env.PLACES_TTL_DETAILS_HOURS || 24) * HOUR_MS,
+  }
+});
+
+function apiKey() {
+  const key = mapsKey();
+  if (!key) throw new Error('Missing GOOGLE_MAPS_API_KEY');
+  return key;
+}
+
+// Cache keys: ~100 m of rounding lets nearby centers share text-search results
+const locationKey = (loc) => {
+  if (typeof loc === 'string') return loc.trim().toLowerCase();
+  return `${Number(loc.lat).toFixed(3)},${Number(loc.lng).toFixed(3)}`;
+};
+
+/* ==================== Geocoding ==================== */
+
+// address -> every match Google returns, best first:
+// [{ label, lat, lng, place_id, types, partial_match }]
+async function geocodeCandidates(address) {
+  const norm = String(address || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!norm) return [];
+  const results = await cache.wrap('geocode', norm, async () => {
+    const geo = await gmaps.geocode({ params: { address, key: apiKey() } });
+    const found = (geo.data?.results || []).filter(r => r.geometry?.location).map(r => ({
+      label: r.formatted_address || address,
+      lat: r.geometry.location.lat,
+      lng: r.geometry.location.lng,
+      place_id: r.place_id || null,
+      types: r.types || [],
+      partial_match: !!r.partial_match
+    }));
+    return found.length ? found : null; // misses aren't cached
+  });
+  return Array.isArray(results) ? results : [];
+}
+
+// address -> { lat, lng } | null (first match)
+async function geocode(address) {
+  const [best] = await geocodeCandidates(address);
+  return best ? { lat: best.lat, lng: best.lng } : null;
+}
+
+/* ==================== Text search ==================== */
+
+const isNotReady = (errOrData) =>
+  (errOrData?.status || errOrData?.response?.data?.status) === 'INVALID_REQUEST';
+
+async function textSearchPage(params) {
+  if (!params.pagetoken) return (await gmaps.textSearch({ params })).data;
+
+  // Wait for the token to become valid, then retry while Google still says it isn't
+  for (let attempt = 0; ; attempt++) {
+    await sleep(NEXT_PAGE_DELAY_MS);
+    try {
+      const data = (await gmaps.textSearch({ params })).data;
+      if (!isNotReady(data) || attempt >= NEXT_PAGE_RETRIES) return data;
+    } catch (err) {
+      if (!isNotReady(err) || attempt >= NEXT_PAGE_RETRIES) throw err;
+    }
+  }
+}
+
+// One query, all pages -> summaries in result order
+async function textSearchOne(query, location, radiusMeters) {
+  const key = `${query.toLowerCase()}|${locationKey(location)}|${radiusMeters}`;
+  return cache.wrap('textsearch', key, async () => {
+    const out = [];
+    let page = 0;
+    let pagetoken = undefined;
+    do {
+      const data = await textSearchPage({
+        query,
+        location,     // {lat, lng} OR "lat,lng"
+        radius: radiusMeters,
+        key: apiKey(),
+        pagetoken
+      });
+      for (const r of data?.results || []) {
+        out.push({
+          place_id: r.place_id,
+          name: r.name,
+          rating: r.rating,
+          user_ratings_total: r.user_ratings_total,
+          types: r.types || [],
+          business_status: r.business_status,
+        });
+      }
+      pagetoken = data?.next_page_token;
+      page++;
+    } while (pagetoken && page < MAX_TEXTSEARCH_PAGES);
+    return out;
+  });
+}
+
+// Queries run in parallel (bounded); results are merged in query order, first hit wins
+async function textSearchMulti(queries, location, radiusMeters) {
+  const perQuery = await mapLimit(queries, CONCURRENCY, async (query) => {
+    try {
+      return await textSearchOne(query, location, radiusMeters);
+    } catch (err) {
+      console.error(`text search failed for "${query}"`, err.message);
+      return [];
+    }
+  });
+
+  const out = new Map(); // place_id -> summary
+  for (const results of perQuery) {
+    for (const r of results) if (!out.has(r.place_id)) out.set(r.place_id, r);
+  }
+  return [...out.values()];
+}
+
+/* ==================== Details ==================== */
+
+async function placeDetails(placeId) {
+  return cache.wrap('details', placeId, async () => {
+    const resp = await gmaps.placeDetails({
+      params: { place_id: placeId, key: apiKey(), fields: DETAIL_FIELDS }
+    });
+    return resp.data?.result || null;
+  });
+}
+
+// Failed lookups are dropped; order follows placeIds
+async function hydrateDetails(placeIds) {
+  const detailed = await mapLimit(placeIds, CONCURRENCY, async (pid) => {
+    try {
+      return await placeDetails(pid);
+    } catch (_e) {
+      return null; // ignore failed details
+    }
+  });
+  return detailed.filter(Boolean);
+}
+
+function placesCacheStats() {
+  return cache.stats();
+}
+
+module.exports = {
+  geocode,
+  geocodeCandidates,
+  textSearchMulti,
+  placeDetails,
+  hydrateDetails,
+  placesCacheStats,
+};
@@ -0,0 +1,237 @@
+// lib/quota.cjs
+// Bounds what one caller (and everyone together) can make us spend:
+//   rate limits  searches and dials per fixed window (minute / hour / day),
+//                per caller and globally
+//   budgets      estimated USD per UTC day, per caller and globally
+// A caller is a signed-in user, else the client IP. Every operation has an
+// estimated cost (QUOTA_COSTS_JSON): a search is a round of Places requests,
+// a dial the telephony minutes plus transcription and classification, a parse
+// one OpenAI request. Sandbox mode costs nothing, so only rate limits apply.
+//
+// consume() checks every limit and budget the usage touches and records it
+// only if all pass: each counter is checked and bumped in one store.mutate,
+// and bumps already made are taken back when a later one fails. QUOTA=off
+// skips the whole thing.
+
+const { store } = require('./store/index.cjs');
+const { isSandbox } = require('./sandbox/index.cjs');
+
+const COLLECTION = 'quota';
+
+const WINDOWS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const DEFAULT_LIMITS = {
+  caller: { search: { minute: 5, hour: 60 }, dial: { hour: 40, day: 150 } },
+  global: { search: { minute: 120, day: 5000 }, dial: { hour: 600, day: 3000 } },
+};
+const DEFAULT_COSTS = { search: 0.3, dial: 0.08, parse: 0.002 };
+const ACTION_LABELS = { search: 'searches', dial: 'calls', parse: 'parses' };
+const DEFAULT_BUDGET_USD = 5;
+const DEFAULT_GLOBAL_BUDGET_USD = 250;
+
+const quotaOff = () => /^(off|false|0|none)$/i.test(String(process.env.QUOTA || '').trim());
+
+function fromJson(name, fallback) {
+  const raw = process.env[name];
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn(`Ignoring ${name}:`, err.message);
+    return fallback;
+  }
+}
+
+// { caller|global: { action: { window: max } } }; QUOTA_LIMITS_JSON overrides single entries
+function limits() {
+  const overrides = fromJson('QUOTA_LIMITS_JSON', {});
+  const merged = {};
+  for (const scope of Object.keys(DEFAULT_LIMITS)) {
+    merged[scope] = {};
+    for (const [action, windows] of Object.entries(DEFAULT_LIMITS[scope])) {
+      merged[scope][action] = { ...windows, ...(overrides?.[scope]?.[action] || {}) };
+      for (const [w, max] of Object.entries(merged[scope][action])) {
+        if (!WINDOWS[w] || !(Number(max) >= 0)) delete merged[scope][action][w];
+      }
+    }
+  }
+  return merged;
+}
+
+function costs() {
+  if (isSandbox()) return { search: 0, dial: 0, parse: 0 };
+  return { ...DEFAULT_COSTS, ...fromJson('QUOTA_COSTS_JSON', {}) };
+}
+
+function budgets() {
+  const budget = (name, fallback) => {
+    const n = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(n) ? n : fallback;
+  };
+  return { caller: budget('QUOTA_BUDGET_USD', DEFAULT_BUDGET_USD), global: budget('QUOTA_GLOBAL_BUDGET_USD', DEFAULT_GLOBAL_BUDGET_USD) };
+}
+
+/* ==================== Counters ==================== */
+
+// { user, ip } -> "user:<id>" | "ip:<addr>"
+function callerKey(caller = {}) {
+  if (caller.user?.id) return `user:${caller.user.id}`;
+  return `ip:${caller.ip || 'unknown'}`;
+}
+
+const scopeKeys = (key) => ({ caller: key, global: 'global' });
+const windowStart = (w, now) => Math.floor(now / WINDOWS[w]) * WINDOWS[w];
+const counterId = (key, action, w, now) => `${key}|${action}|${w}|${windowStart(w, now)}`;
+const spendId = (key, now) => `${key}|spend|${windowStart('day', now)}`;
+
+async function readCount(id) {
+  return (await store.get(COLLECTION, id))?.count || 0;
+}
+
+// Adds `fields` to counter `id` if `fits(current)` (default: always) -> whether it did
+async function bump(id, fields, expiresAt, fits = () => true) {
+  let added = false;
+  await store.mutate(COLLECTION, id, current => {
+    added = fits(current || {});
+    if (!added) return undefined;
+    const next = { id, ...current, created_at: current?.created_at || Date.now(), expires_at: expiresAt };
+    for (const [f, n] of Object.entries(fields)) next[f] = (current?.[f] || 0) + n;
+    return next;
+  });
+  return added;
+}
+
+const negate = (fields) => Object.fromEntries(Object.entries(fields).map(([f, n]) => [f, -n]));
+
+const usd = (n) => Math.round(n * 10000) / 10000;
+const costOf = (usage, table) => Object.entries(usage).reduce((sum, [action, n]) => sum + (table[action] || 0) * n, 0);
+
+/* ==================== Checks ==================== */
+
+// usage = { search?, dial?, parse? } -> { ok: true } | { ok: false, status, code, message, retry_after }
+async function consume(caller, usage, now = Date.now()) {
+  if (quotaOff()) return { ok: true };
+  const keys = scopeKeys(callerKey(caller));
+  const table = limits();
+  const added = []; // [id, fields] bumped so far, taken back if a later check fails
+  const refuse = async (result) => {
+    for (const [id, fields] of added) await bump(id, negate(fields));
+    return { ok: false, ...result };
+  };
+
+  // Windows without a limit are counted too (quotaStatus reports them)
+  for (const [scope, key] of Object.entries(keys)) {
+    for (const [action, n] of Object.entries(usage)) {
+      for (const w of Object.keys(WINDOWS)) {
+        const max = table[scope][action]?.[w];
+        const id = counterId(key, action, w, now);
+        const fields = { count: n };
+        if (await bump(id, fields, windowStart(w, now) + WINDOWS[w], c => max === undefined || (c.count || 0) + n <= max)) {
+          added.push([id, fields]);
+          continue;
+        }
+        const who = scope === 'global' ? 'Service-wide' : 'Your';
+        return refuse({
+          status: 429,
+          code: 'rate_limited',
+          message: `${who} limit of ${max} ${ACTION_LABELS[action] || action} per ${w} reached`,
+          retry_after: Math.ceil((windowStart(w, now) + WINDOWS[w] - now) / 1000)
+        });
+      }
+    }
+  }
+
+  const prices = costs();
+  const cost = costOf(usage, prices);
+  const caps = budgets();
+  if (cost > 0) {
+    const by = Object.fromEntries(Object.keys(usage).map(a => [`usd_${a}`, (prices[a] || 0) * usage[a]]));
+    for (const [scope, key] of Object.entries(keys)) {
+      const id = spendId(key, now);
+      const fields = { usd: cost, ...by };
+      if (await bump(id, fields, windowStart('day', now) + WINDOWS.day, c => (c.usd || 0) + cost <= caps[scope])) {
+        added.push([id, fields]);
+        continue;
+      }
+      return refuse({
+        status: 402,
+        code: 'budget_exceeded',
+        message: scope === 'global'
+          ? 'The service has reached its spending limit for today'
+          : `Daily budget of $${caps[scope].toFixed(2)} reached`,
+        retry_after: Math.ceil((windowStart('day', now) + WINDOWS.day - now) / 1000)
+      });
+    }
+  }
+
+  return { ok: true };
+}
+
+// Whether `usage` would fit the budgets right now (nothing is recorded)
+async function withinBudget(caller, usage, now = Date.now()) {
+  if (quotaOff()) return true;
+  const cost = costOf(usage, costs());
+  const caps = budgets();
+  for (const [scope, key] of Object.entries(scopeKeys(callerKey(caller)))) {
+    const spent = (await store.get(COLLECTION, spendId(key, now)))?.usd || 0;
+    if (spent + cost > caps[scope]) return false;
+  }
+  return true;
+}
+
+// Count usage that already happened (e.g. an automatic retry) against a
+// caller key and the global totals; never refuses
+async function recordUsage(key, usage, now = Date.now()) {
+  if (quotaOff() || !key) return;
+  const cost = costOf(usage, costs());
+  for (const k of Object.values(scopeKeys(key))) {
+    for (const [action, n] of Object.entries(usage)) {
+      for (const w of Object.keys(WINDOWS)) {
+        await bump(counterId(k, action, w, now), { count: n }, windowStart(w, now) + WINDOWS[w]);
+      }
+    }
+    if (cost > 0) {
+      const by = Object.fromEntries(Object.keys(usage).map(a => [`usd_${a}`, (costs()[a] || 0) * usage[a]]));
+      await bump(spendId(k, now), { usd: cost, ...by }, windowStart('day', now) + WINDOWS.day);
+    }
+  }
+}
+
+/* ==================== Status ==================== */
+
+// What the caller has left: rate limits per action and window, and today's budget
+async function quotaStatus(caller, now = Date.now()) {
+  if (quotaOff()) return { enabled: false };
+  const key = callerKey(caller);
+  const rate = {};
+  for (const [action, windows] of Object.entries(limits().caller)) {
+    rate[action] = {};
+    for (const [w, max] of Object.entries(windows)) {
+      const used = await readCount(counterId(key, action, w, now));
+      rate[action][w] = { limit: max, used, remaining: Math.max(0, max - used), resets_at: windowStart(w, now) + WINDOWS[w] };
+    }
+  }
+  const spend = (await store.get(COLLECTION, spendId(key, now))) || {};
+  const budget = budgets().caller;
+  const table = costs();
+  return {
+    enabled: true,
+    caller: key.startsWith('user:') ? 'user' : 'ip',
+    rate,
+    budget: {
+      limit_usd: budget,
+      spent_usd: usd(spend.usd || 0),
+      remaining_usd: usd(Math.max(0, budget - (spend.usd || 0))),
+      by_action: Object.fromEntries(Object.keys(table).map(a => [a, usd(spend[`usd_${a}`] || 0)])),
+      resets_at: windowStart('day', now) + WINDOWS.day
+    },
+    costs_usd: table
+  };
+}
+
+module.exports = {
+  callerKey,
+  consume,
+  withinBudget,
+  recordUsage,
+  quotaStatus,
+};
@@ -0,0 +1,287 @@
+// lib/ranking.cjs
+// Explainable candidate ranking: each signal is scored on its own, multiplied
+// by a weight from a named profile and summed. Every ranked place carries the
+// breakdown so you can see why it landed where it did.
+
+const { OUTCOMES } = require('./outcomes.cjs');
+
+/* ==================== Profiles ==================== */
+
+// classic keeps the weights of the original hard-coded combineScore and
+// nothing else; the craving signal itself now also counts vibe terms and
+// takes off for excluded ones (see keywordScore)
+const BUILTIN_PROFILES = {
+  classic: {
+    craving: 0.55, rating: 0.25, popularity: 0.10, reservable: 0.10, hours_unknown: -0.08, dietary: 0,
+    distance: 0, price_fit: 0, vibe: 0, past_outcome: 0,
+    distance_half_life_km: 3
+  },
+  default: {
+    craving: 0.45, rating: 0.20, popularity: 0.08, reservable: 0.10, hours_unknown: -0.08, dietary: 0.05,
+    distance: 0.15, price_fit: 0.06, vibe: 0.06, past_outcome: 0.10,
+    distance_half_life_km: 3
+  },
+  nearby: {
+    craving: 0.30, rating: 0.15, popularity: 0.05, reservable: 0.05, hours_unknown: -0.08, dietary: 0.05,
+    distance: 0.40, price_fit: 0.05, vibe: 0.03, past_outcome: 0.08,
+    distance_half_life_km: 1.5
+  },
+};
+
+const SIGNALS = ['craving', 'rating', 'popularity', 'reservable', 'hours_unknown', 'dietary',
+  'distance', 'price_fit', 'vibe', 'past_outcome'];
+const PARAMS = ['distance_half_life_km'];
+
+// RANKING_PROFILES_JSON adds or overrides profiles: {"name": {weight: n, ...}};
+// a profile with bad weights is left out, with a warning
+function configuredProfiles() {
+  let extra = {};
+  try {
+    extra = JSON.parse(process.env.RANKING_PROFILES_JSON || '{}') || {};
+  } catch (err) {
+    console.warn('RANKING_PROFILES_JSON is not valid JSON; ignoring it');
+  }
+  const profiles = { ...BUILTIN_PROFILES };
+  for (const [name, weights] of Object.entries(extra)) {
+    const error = weights && typeof weights === 'object' ? weightsError(weights) : 'weights must be an object';
+    if (error) {
+      console.warn(`RANKING_PROFILES_JSON profile "${name}" ignored: ${error}`);
+      continue;
+    }
+    profiles[name] = { ...BUILTIN_PROFILES.default, ...(profiles[name] || {}), ...weights };
+  }
+  return profiles;
+}
+
+function defaultProfileName() {
+  return process.env.RANKING_PROFILE || 'default';
+}
+
+// ranking = { profile?: name, weights?: { signal: number } } -> error message or null
+function validateRanking(ranking) {
+  if (ranking === undefined || ranking === null) return null;
+  if (typeof ranking !== 'object') return 'ranking must be an object';
+  if (ranking.profile !== undefined && !configuredProfiles()[ranking.profile]) {
+    return `Unknown ranking profile: ${ranking.profile}`;
+  }
+  return weightsError(ranking.weights || {});
+}
+
+// { signal|param: number } -> error message or null
+function weightsError(weights) {
+  for (const [key, value] of Object.entries(weights)) {
+    if (!SIGNALS.includes(key) && !PARAMS.includes(key)) return `Unknown ranking weight: ${key}`;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `Ranking weight ${key} must be a number`;
+  }
+  if (weights.distance_half_life_km !== undefined && !(weights.distance_half_life_km > 0)) {
+    return 'distance_half_life_km must be greater than 0';
+  }
+  return null;
+}
+
+// -> { name, weights } with per-request weights laid over the named profile
+function resolveProfile(ranking) {
+  const profiles = configuredProfiles();
+  const name = ranking?.profile || defaultProfileName();
+  const base = profiles[name] || profiles.default;
+  const overridden = Object.keys(ranking?.weights || {}).length > 0;
+  return {
+    name: overridden ? `${name}+custom` : name,
+    weights: { ...base, ...(ranking?.weights || {}) }
+  };
+}
+
+/* ==================== Signals ==================== */
+
+// Keyword score against reviews (-0.5..1): positives raise it, "not x" chips
+// and hard excludes that still show up (below the exclusion bar) pull it down
+function keywordScore(reviews = [], craving = {}) {
+  const terms = [
+    ...(craving?.chips || []),
+    ...(craving?.parsed?.dishes || []),
+    ...(craving?.parsed?.attributes || []),
+    ...(craving?.parsed?.cuisines || []),
+    ...(craving?.parsed?.vibe || [])
+  ].map(s => (s || '').toLowerCase()).filter(Boolean);
+
+  const positives = new Set(terms.filter(s => !s.startsWith('not ')));
+  const negatives = new Set([
+    ...terms.filter(s => s.startsWith('not ')).map(s => s.slice(4).trim()),
+    ...(craving?.parsed?.hard_excludes || []).map(s => (s || '').toLowerCase().trim())
+  ].filter(Boolean));
+
+  if (!positives.size && !negatives.size) return 0;
+
+  const text = reviews.map(r => (r?.text || '').toLowerCase()).join(' ');
+  let hits = 0;
+  positives.forEach(n => { if (text.includes(n)) hits++; });
+  let misses = 0;
+  negatives.forEach(n => { if (text.includes(n)) misses++; });
+
+  const positive = positives.size ? Math.min(1, hits / positives.size) : 0;
+  const negative = negatives.size ? misses / negatives.size : 0;
+  return Math.max(-0.5, positive - 0.5 * negative);
+}
+
+function distanceKm(a, b) {
+  if (!a || !b || !Number.isFinite(a.lat) || !Number.isFinite(b.lat)) return null;
+  const rad = x => x * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+// 1 at the center, halving every half-life
+function distanceDecay(km, halfLifeKm) {
+  return km === null ? null : Math.pow(0.5, km / halfLifeKm);
+}
+
+// 1 in the middle of the budget band, 0.75 at its edges, 0 a full level or more outside it
+function priceFit(priceLevel, bounds) {
+  if (!bounds || priceLevel === undefined || priceLevel === null) return null;
+  const level = Number(priceLevel);
+  if (level >= bounds.min && level <= bounds.max) {
+    const mid = (bounds.min + bounds.max) / 2;
+    const half = Math.max(0.5, (bounds.max - bounds.min) / 2);
+    return 1 - 0.25 * Math.abs(level - mid) / half;
+  }
+  const off = level < bounds.min ? bounds.min - level : level - bounds.max;
+  return Math.max(0, 0.5 - 0.5 * off);
+}
+
+// Share of vibe words ("cozy", "date night") found in the summary or reviews
+function vibeMatch(p, vibe = []) {
+  const terms = vibe.map(s => (s || '').toLowerCase().trim()).filter(Boolean);
+  if (!terms.length) return null;
+  const text = [p.editorial_summary?.overview, ...(p.reviews || []).map(r => r?.text)]
+    .map(s => (s || '').toLowerCase()).join(' ');
+  return terms.filter(t => text.includes(t)).length / terms.length;
+}
+
+// How much a past call outcome says about calling this place again
+const OUTCOME_VALUES = {
+  [OUTCOMES.AVAILABLE]: 1,
+  [OUTCOMES.ALTERNATIVE_OFFERED]: 0.8,
+  [OUTCOMES.CREDIT_CARD_REQUIRED]: 0.6,
+  [OUTCOMES.FULLY_BOOKED]: 0.3,
+  [OUTCOMES.UNAVAILABLE]: 0,
+  [OUTCOMES.UNKNOWN]: 0,
+  [OUTCOMES.VOICEMAIL]: -0.3,
+  [OUTCOMES.CLOSED]: -0.5,
+  [OUTCOMES.NO_RESERVATIONS_POLICY]: -1,
+  [OUTCOMES.OPT_OUT]: -1,
+};
+
+// history = { calls, unanswered, outcomes: { outcome: count } } (see ./place-history)
+// -> -1..1, shrunk toward 0 so one lucky call doesn't outweigh everything else.
+// A call nobody picked up counts like voicemail.
+function pastOutcomeScore(history) {
+  if (!history?.calls) return null;
+  let sum = (history.unanswered || 0) * OUTCOME_VALUES[OUTCOMES.VOICEMAIL];
+  for (const [outcome, n] of Object.entries(history.outcomes || {})) {
+    sum += (OUTCOME_VALUES[outcome] || 0) * n;
+  }
+  return Math.max(-1, Math.min(1, sum / (history.calls + 1)));
+}
+
+// ctx = { craving, center, prefs, history: Map(place_id -> history) }
+// Signals without data are null and contribute nothing
+function computeSignals(p, ctx, weights) {
+  const rating = Number(p.rating || 0);                    // 0..5
+  const count = Number(p.user_ratings_total || 0);
+  const loc = p.geometry?.location;
+  const km = distanceKm(ctx.center, loc);
+
+  return {
+    craving: keywordScore(p.reviews || [], ctx.craving),
+    rating: Math.max(0, Math.min(1, (rating - 3.5) / 1.5)), // 3.5→0, 5.0→1
+    popularity: Math.min(1, Math.log1p(count) / Math.log(1000)), // ~0..1
+    reservable: p.reservable === true ? 1 : 0,
+    hours_unknown: p.opening_hours || p.current_opening_hours ? 0 : 1,
+    // Dietary needs the reviews back up beat ones we could not confirm
+    dietary: (p.dietary?.verified?.length || 0) - (p.dietary?.unverified?.length || 0),
+    distance: distanceDecay(km, weights.distance_half_life_km || 3),
+    price_fit: priceFit(p.price_level, ctx.prefs?.priceBounds),
+    vibe: vibeMatch(p, ctx.craving?.parsed?.vibe),
+    past_outcome: pastOutcomeScore(ctx.history?.get(p.place_id)),
+    _distance_km: km
+  };
+}
+
+const round = n => Math.round(n * 1000) / 1000;
+
+// -> { finalScore, breakdown: { profile, total, distance_km, signals: { name: { value, weight, contribution } } } }
+function scorePlace(p, ctx, profile) {
+  const { _distance_km, ...signals } = computeSignals(p, ctx, profile.weights);
+  let total = 0;
+  const parts = {};
+  for (const name of SIGNALS) {
+    const value = signals[name];
+    const weight = profile.weights[name] || 0;
+    const contribution = value === null ? 0 : weight * value;
+    total += contribution;
+    parts[name] = { value: value === null ? null : round(value), weight, contribution: round(contribution) };
+  }
+  return {
+    finalScore: total,
+    cravingScore: signals.craving,
+    breakdown: {
+      profile: profile.name,
+      total: round(total),
+      distance_km: _distance_km === null ? null : round(_distance_km),
+      signals: parts
+    }
+  };
+}
+
+/* ==================== Ranking ==================== */
+
+// Highest score first; ties keep their incoming order
+function rankPlaces(places, ctx, profile) {
+  return places
+    .map((p, i) => ({ p, i, s: scorePlace(p, ctx, profile) }))
+    .sort((a, b) => (b.s.finalScore - a.s.finalScore) || (a.i - b.i))
+    .map(({ p, s }) => ({ ...p, cravingScore: s.cravingScore, finalScore: s.finalScore, score_breakdown: s.breakdown }));
+}
+
+// Rank the same candidates under two profiles and report how positions moved
+function compareProfiles(places, ctx, rankingA, rankingB, k = 5) {
+  const a = rankPlaces(places, ctx, resolveProfile(rankingA));
+  const b = rankPlaces(places, ctx, resolveProfile(rankingB));
+  const rankB = new Map(b.map((p, i) => [p.place_id, i + 1]));
+  const topA = new Set(a.slice(0, k).map(p => p.place_id));
+  const overlap = b.slice(0, k).filter(p => topA.has(p.place_id)).length;
+
+  const side = list => ({
+    profile: list[0]?.score_breakdown.profile || null,
+    ranked: list.map(p => ({ place_id: p.place_id, name: p.name, score: round(p.finalScore), score_breakdown: p.score_breakdown }))
+  });
+
+  return {
+    a: side(a),
+    b: side(b),
+    top_k: k,
+    top_k_overlap: overlap,
+    moves: a.map((p, i) => ({
+      place_id: p.place_id,
+      name: p.name,
+      rank_a: i + 1,
+      rank_b: rankB.get(p.place_id),
+      delta: (i + 1) - rankB.get(p.place_id) // positive: ranks higher under b
+    })).filter(m => m.delta !== 0)
+  };
+}
+
+module.exports = {
+  BUILTIN_PROFILES,
+  SIGNALS,
+  configuredProfiles,
+  defaultProfileName,
+  validateRanking,
+  resolveProfile,
+  keywordScore,
+  distanceKm,
+  rankPlaces,
+  compareProfiles,
+};
@@ -0,0 +1,93 @@
+// lib/reminders.cjs
+// Timed notices about a reservation, kept on it as
+//   reminders: [{ kind, due_at, sent_at, message }]
+// 'cancel_deadline' (scheduled by lib/cancellation-policy.cjs) warns that free
+// cancellation is about to end. Due reminders go to the guest through
+// lib/notifications.cjs; a sent one keeps its text, so clients polling the
+// reservation can show it. With NOTIFY_PROVIDER=off nothing reaches the guest:
+// the reminder is still marked sent, but only lives on the reservation.
+//
+// One timer per reservation, for its earliest unsent reminder; like the batch
+// wake-ups in lib/calls.cjs, timers don't survive a restart and
+// resumeReminders() re-arms them.
+
+const { listReservations, updateReservation } = require('./reservations.cjs');
+const { localWhen, notifyGuest } = require('./notifications.cjs');
+
+const MAX_WAKE_MS = 6 * 60 * 60 * 1000;
+// Reminders only make sense while the table is still booked
+const ACTIVE_STATUSES = ['confirmed', 'modifying'];
+
+const timers = new Map(); // reservationId -> { at, timer }
+
+function reminderMessage(reservation, reminder) {
+  const policy = reservation.cancellation_policy || {};
+  const name = reservation.restaurant?.name || 'the restaurant';
+  const fee = policy.fee_usd
+    ? `a $${policy.fee_usd}${policy.per_person ? ' per person' : ''} no-show fee may apply`
+    : 'the restaurant may charge for a late cancellation';
+  if (reminder.kind === 'cancel_deadline') {
+    return `Free cancellation for your table at ${name} ends ${localWhen(reservation, policy.deadline)}; after that ${fee}.`;
+  }
+  return `Reminder about your table at ${name}.`;
+}
+
+// Unsent reminders of an active reservation whose deadline hasn't passed
+function pendingReminders(reservation, now = Date.now()) {
+  if (!ACTIVE_STATUSES.includes(reservation?.status)) return [];
+  const deadline = reservation.cancellation_policy?.deadline;
+  return (reservation.reminders || []).filter(r => !r.sent_at && !(r.kind === 'cancel_deadline' && deadline <= now));
+}
+
+// Arm (or re-arm) the timer for the reservation's next reminder; one that is
+// no longer booked just loses its timer
+function scheduleReminders(reservation) {
+  if (!reservation) return;
+  const dues = pendingReminders(reservation).map(r => r.due_at);
+  const at = dues.length ? Math.min(...dues) : null;
+  const current = timers.get(reservation.id);
+  if (current && current.at === at) return;
+  if (current) {
+    clearTimeout(current.timer);
+    timers.delete(reservation.id);
+  }
+  if (!at) return;
+  const timer = setTimeout(() => {
+    timers.delete(reservation.id);
+    sendDueReminders(reservation.id).catch(err => console.error('reminder error', reservation.id, err));
+  }, Math.min(MAX_WAKE_MS, Math.max(0, at - Date.now())));
+  timer.unref?.();
+  timers.set(reservation.id, { at, timer });
+}
+
+async function sendDueReminders(reservationId, now = Date.now()) {
+  let sent = [];
+  const updated = await updateReservation(reservationId, x => {
+    sent = [];
+    const due = new Set(pendingReminders(x, now).filter(r => r.due_at <= now));
+    if (!due.size) return x;
+    const reminders = x.reminders.map(r => {
+      if (!due.has(r)) return r;
+      const done = { ...r, sent_at: now, message: reminderMessage(x, r) };
+      sent.push(done);
+      return done;
+    });
+    return { ...x, reminders };
+  });
+  scheduleReminders(updated);
+  for (const r of sent) await notifyGuest(updated, 'reminder', { text: r.message });
+}
+
+// After a restart: re-arm every booked table's reminders
+async function resumeReminders() {
+  for (const status of ACTIVE_STATUSES) {
+    for (const reservation of await listReservations({ status, limit: 500 })) scheduleReminders(reservation);
+  }
+}
+
+module.exports = {
+  reminderMessage,
+  scheduleReminders,
+  sendDueReminders,
+  resumeReminders,
+};
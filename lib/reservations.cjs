@@ -0,0 +1,96 @@
+// lib/reservations.cjs
+// Reservation records created by /reservations/book
+// status: 'pending' -> 'confirmed' | 'failed'
+//         'confirmed' -> 'modifying' -> 'confirmed' (changed or not)
+//         'confirmed' -> 'cancelling' -> 'cancelled' | 'confirmed' (not reached)
+// A modify or cancel request rides on `change` (see startReservationChange in
+// lib/calls.cjs); `history` logs every status change.
+
+const { store } = require('./store/index.cjs');
+const { placeUtcOffset } = require('./hours.cjs');
+
+const COLLECTION = 'reservations';
+
+function newReservationId() {
+  return 'resv_' + Math.random().toString(36).slice(2, 10);
+}
+
+// A held or accepted offer wins; a rejected one falls back to what was asked for
+function bookedTime(item, query) {
+  const offer = item.offer;
+  if (offer && ['held', 'accepted'].includes(offer.status)) return offer.time;
+  if (offer && offer.status !== 'awaiting_decision') return query.time || null;
+  return item.result?.alternative_time || query.time || null;
+}
+
+async function createReservation({ batch, item, guest }) {
+  const now = Date.now();
+  const query = batch.query || {};
+  const place = (batch.restaurants || []).find(r => r.place_id === item.id);
+  const reservation = {
+    id: newReservationId(),
+    batch_id: batch.id,
+    owner_id: batch.owner_id || null,
+    item_id: item.id,
+    place_id: item.id,
+    restaurant: { name: item.name, phone: item.phone, address: place?.formatted_address || null },
+    // Deadlines are worked out in the restaurant's time
+    time_zone: query.time_zone || null,
+    utc_offset_minutes: placeUtcOffset(place) ?? null,
+    quota_key: batch.quota_key || null,
+    party_size: Number(query.party_size) || null,
+    date: query.date || null,
+    time: bookedTime(item, query),
+    guest: { name: guest.name, phone: guest.phone },
+    status: 'pending',
+    confirmation: null,
+    cancellation_policy: null,
+    change: null,
+    reminders: [],
+    history: [{ status: 'pending', at: now, note: 'Booking requested' }],
+    created_at: now,
+    updated_at: now
+  };
+  return store.set(COLLECTION, reservation.id, reservation);
+}
+
+async function getReservation(id) {
+  if (!id) return null;
+  return store.get(COLLECTION, id);
+}
+
+// Newest first, optionally by status
+async function listReservations({ status, limit = 200 } = {}) {
+  return store.list(COLLECTION, { where: status ? { status } : undefined, limit });
+}
+
+// Patch (object, or fn(reservation) -> reservation); status changes land in history
+async function updateReservation(id, patch, note) {
+  return store.mutate(COLLECTION, id, current => {
+    if (!current) return undefined;
+    const next = typeof patch === 'function' ? patch(current) : { ...current, ...patch };
+    const history = next.status !== current.status
+      ? [...(current.history || []), { status: next.status, at: Date.now(), ...(note ? { note } : {}) }]
+      : next.history;
+    return { ...next, history, updated_at: Date.now() };
+  });
+}
+
+// What clients get back (the call internals stay server-side)
+function publicReservation(r) {
+  if (!r) return null;
+  const { call: _call, turns: _turns, quota_key: _quotaKey, ...rest } = r;
+  if (rest.change) {
+    const { call: _changeCall, turns: _changeTurns, ...change } = rest.change;
+    rest.change = change;
+  }
+  return rest;
+}
+
+module.exports = {
+  createReservation,
+  getReservation,
+  listReservations,
+  updateReservation,
+  publicReservation,
+};
@@ -0,0 +1,73 @@
+// lib/retry-policy.cjs
+// Another try for calls that never reached a person:
+//   no_answer    rang out, busy or dropped before anyone picked up
+//   voicemail    answering machine (we leave a message with our callback number first)
+//   dial_failed  the provider would not place the call
+// Each kind has its own attempt limit and backoff (doubling per attempt);
+// CALL_RETRY_JSON overrides them, e.g. {"voicemail":{"attempts":3,"backoff_min":30}}.
+// `attempts` counts the first call, so 1 turns retries off for that kind.
+//
+// withRetry() is pure: calls.cjs runs every ended attempt through it, and a
+// retry waits as 'scheduled' like any other call outside calling hours.
+
+const DEFAULT_RULES = {
+  no_answer: { attempts: 3, backoff_min: 15 },
+  voicemail: { attempts: 2, backoff_min: 45 },
+  dial_failed: { attempts: 2, backoff_min: 5 },
+};
+const MAX_ATTEMPTS = 5;
+const MAX_BACKOFF_MIN = 6 * 60;
+
+function validRule(rule) {
+  const attempts = Number(rule?.attempts);
+  const backoff = Number(rule?.backoff_min);
+  return Number.isInteger(attempts) && attempts >= 1 && attempts <= MAX_ATTEMPTS && Number.isFinite(backoff) && backoff > 0;
+}
+
+function retryRules() {
+  const raw = process.env.CALL_RETRY_JSON;
+  if (!raw) return DEFAULT_RULES;
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (err) {
+    console.warn('Ignoring CALL_RETRY_JSON:', err.message);
+    return DEFAULT_RULES;
+  }
+  const rules = { ...DEFAULT_RULES };
+  for (const [kind, rule] of Object.entries(overrides || {})) {
+    const merged = { ...DEFAULT_RULES[kind], ...rule };
+    if (DEFAULT_RULES[kind] && validRule(merged)) rules[kind] = merged;
+    else console.warn(`Ignoring CALL_RETRY_JSON entry "${kind}"`);
+  }
+  return rules;
+}
+
+// Which retry rule an ended attempt falls under, or null
+function retryKind(item) {
+  if (item.status === 'machine_detected') return 'voicemail';
+  if (item.status === 'error' && DEFAULT_RULES[item.error_code]) return item.error_code;
+  return null;
+}
+
+// Ended attempt -> the same item, or a 'scheduled' one for the next try
+// (retry_after says what happened to the attempt before it)
+function withRetry(item, now = Date.now()) {
+  const kind = retryKind(item);
+  const rule = kind && retryRules()[kind];
+  const attempt = item.attempt || 1;
+  if (!rule || attempt >= rule.attempts) return item;
+  const delayMin = Math.min(MAX_BACKOFF_MIN, rule.backoff_min * 2 ** (attempt - 1));
+  return {
+    ...item,
+    status: 'scheduled',
+    scheduled_for: now + delayMin * 60000,
+    schedule_reason: 'retry',
+    retry_after: kind
+  };
+}
+
+module.exports = {
+  retryRules,
+  withRetry,
+};
@@ -0,0 +1,37 @@
+// lib/sandbox/index.cjs
+// Sandbox mode (SANDBOX=true): the whole search -> call -> status -> book flow
+// runs offline. Google Maps is replaced by fixtures (./maps), parse_query by the
+// rule-based parser (../nlp-rules) and calls by the simulated provider, whose restaurants
+// follow the persona each fixture names (see lib/telephony/simulated.cjs).
+//
+// Fixtures come from ./fixtures.json, or SANDBOX_FIXTURES_PATH.
+
+const fs = require('fs');
+const path = require('path');
+
+const isSandbox = () => /^(1|true|yes|on)$/i.test(String(process.env.SANDBOX || '').trim());
+
+let fixtures = null;
+function getFixtures() {
+  if (!fixtures) {
+    const file = process.env.SANDBOX_FIXTURES_PATH || path.join(__dirname, 'fixtures.json');
+    fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return fixtures;
+}
+
+const lastTenDigits = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// Dialed number -> persona name from the fixtures, or null
+function personaForPhone(to) {
+  if (!isSandbox()) return null;
+  const digits = lastTenDigits(to);
+  const hit = getFixtures().restaurants.find(r => lastTenDigits(r.phone) === digits);
+  return hit?.persona || null;
+}
+
+module.exports = {
+  isSandbox,
+  getFixtures,
+  personaForPhone,
+};
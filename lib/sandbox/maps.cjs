@@ -0,0 +1,114 @@
+// lib/sandbox/maps.cjs
+// Stand-in for the Google Maps client (same call shapes: { params } -> { data })
+// backed by the sandbox fixtures. Unknown addresses geocode to the first area
+// so a demo never dead-ends; areas listed twice (e.g. "springfield") come back
+// as several matches to exercise the ambiguous-location path.
+
+const { getFixtures } = require('./index.cjs');
+const { distanceKm } = require('../ranking.cjs');
+
+const GENERIC_WORDS = new Set(['restaurant', 'restaurants', 'food', 'place', 'places', 'near', 'me']);
+const DEFAULT_TYPES = ['restaurant', 'food', 'point_of_interest', 'establishment'];
+
+const norm = (s) => String(s || '').toLowerCase().trim();
+
+// "11:00-22:00" + closed_days -> Google-style weekly periods
+function periodsFor(hours, closedDays = []) {
+  const [open, close] = String(hours || '').split('-').map(t => t.replace(':', ''));
+  if (!open || !close) return null;
+  return [0, 1, 2, 3, 4, 5, 6]
+    .filter(day => !closedDays.includes(day))
+    .map(day => ({
+      open: { day, time: open },
+      // Closing after midnight belongs to the next day
+      close: { day: close <= open ? (day + 1) % 7 : day, time: close }
+    }));
+}
+
+// Fixture -> a Place Details result
+function toPlace(r) {
+  const fixtures = getFixtures();
+  const periods = periodsFor(r.hours, r.closed_days);
+  return {
+    place_id: r.place_id,
+    name: r.name,
+    types: r.types || DEFAULT_TYPES,
+    business_status: r.business_status || 'OPERATIONAL',
+    ...(r.address ? { formatted_address: r.address } : {}),
+    formatted_phone_number: r.phone,
+    international_phone_number: r.phone ? `+1 ${r.phone.replace(/[()]/g, '').replace(/\s+/, '-')}` : undefined,
+    geometry: { location: { lat: r.lat, lng: r.lng } },
+    utc_offset_minutes: fixtures.utc_offset_minutes,
+    ...(periods ? { opening_hours: { periods } } : {}),
+    price_level: r.price_level,
+    rating: r.rating,
+    user_ratings_total: r.user_ratings_total,
+    ...(r.summary ? { editorial_summary: { overview: r.summary } } : {}),
+    reviews: (r.reviews || []).map((text, i) => ({ author_name: `Guest ${i + 1}`, rating: 5 - (i % 2), text })),
+    reservable: r.reservable === true
+  };
+}
+
+// Every word of the query (minus generic ones) must show up in the fixture
+function matchesQuery(r, query) {
+  const words = norm(query).split(/\s+/).filter(w => w && !GENERIC_WORDS.has(w));
+  if (!words.length) return true;
+  const haystack = norm([r.name, r.cuisine, ...(r.keywords || []), r.summary, ...(r.reviews || [])].join(' '));
+  return words.every(w => haystack.includes(w.replace(/s$/, '')));
+}
+
+function parseLocation(location) {
+  if (location && typeof location === 'object') return { lat: Number(location.lat), lng: Number(location.lng) };
+  const [lat, lng] = String(location || '').split(',').map(Number);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+async function geocode({ params }) {
+  const { areas } = getFixtures();
+  const address = norm(params.address);
+  const hits = areas.filter(a => a.match.some(m => address.includes(m)));
+  if (hits.some(a => a.none)) return { data: { status: 'ZERO_RESULTS', results: [] } };
+  const chosen = hits.length ? hits : [{ ...areas[0], label: `${params.address} (sandbox: ${areas[0].label})` }];
+  return {
+    data: {
+      status: 'OK',
+      results: chosen.map((a, i) => ({
+        formatted_address: a.label,
+        geometry: { location: { lat: a.lat, lng: a.lng } },
+        place_id: `sbx_area_${i}_${norm(a.label).replace(/\W+/g, '_')}`,
+        types: ['locality', 'political'],
+        partial_match: !hits.length
+      }))
+    }
+  };
+}
+
+async function textSearch({ params }) {
+  const center = parseLocation(params.location);
+  const radiusKm = Number(params.radius || 5000) / 1000;
+  const results = getFixtures().restaurants
+    .filter(r => !center || distanceKm(center, r) <= radiusKm)
+    .filter(r => matchesQuery(r, params.query))
+    .sort((a, b) => b.rating - a.rating)
+    .map(r => {
+      const p = toPlace(r);
+      return { place_id: p.place_id, name: p.name, rating: p.rating, user_ratings_total: p.user_ratings_total, types: p.types, business_status: p.business_status };
+    });
+  return { data: { status: results.length ? 'OK' : 'ZERO_RESULTS', results } };
+}
+
+async function placeDetails({ params }) {
+  const r = getFixtures().restaurants.find(x => x.place_id === params.place_id);
+  return { data: r ? { status: 'OK', result: toPlace(r) } : { status: 'NOT_FOUND' } };
+}
+
+async function timezone() {
+  const { time_zone, utc_offset_minutes } = getFixtures();
+  return { data: { status: 'OK', timeZoneId: time_zone, rawOffset: utc_offset_minutes * 60, dstOffset: 0 } };
+}
+
+function createSandboxMaps() {
+  return { geocode, textSearch, placeDetails, timezone };
+}
+
+module.exports = { createSandboxMaps };
@@ -0,0 +1,102 @@
+// lib/search.cjs
+// Hybrid restaurant search: Places text searches synthesized from the cuisine
+// taxonomy (see ./taxonomy), details,
+// eligibility (see ./eligibility), hours, past call outcomes (see ./place-history),
+// Do-Not-Call and ranking (see ./ranking).
+
+const { evaluateHours, resolveTimeZone } = require('./hours.cjs');
+const { checkDnc } = require('./dnc.cjs');
+const { textSearchMulti, hydrateDetails } = require('./places.cjs');
+const { preferencesFrom, checkEligibility } = require('./eligibility.cjs');
+const { synthesizeQueries } = require('./taxonomy.cjs');
+const { resolveProfile, rankPlaces } = require('./ranking.cjs');
+const { historiesFor, historyExclusion, callHints } = require('./place-history.cjs');
+const { mapsKey } = require('./clients.cjs');
+
+const MIN_CANDIDATES = 12;
+
+/* ==================== Ranking context ==================== */
+
+// Past calls for these places; search carries on without them if the store is down
+async function loadHistories(placeIds) {
+  try {
+    return await historiesFor(placeIds);
+  } catch (err) {
+    console.warn('place history unavailable', err.message);
+    return new Map();
+  }
+}
+
+// What the ranking signals need besides the place itself (see ./ranking)
+async function rankingContext({ craving, center, placeIds = [] }) {
+  return { craving, center, prefs: preferencesFrom(craving), history: await loadHistories(placeIds) };
+}
+
+/* ==================== Hybrid search ==================== */
+
+// -> { restaurants (ranked, each with score_breakdown), excluded: [{ place_id, name, reasons: [{ code, detail }] }],
+//      profile, queries: [{ query, weight, source }], radius_km (widest radius searched) }
+// ranking = { profile, weights } picks the weight profile (see ./ranking)
+// party_size lets past "no reservations for parties under N" answers rule places out
+// ranked = false returns every eligible place unranked and uncut (for comparing profiles)
+async function findRestaurantsHybrid({ craving, center, date, time, intent, window, radiusKm = 5, ranking, party_size, ranked = true }) {
+  if (!mapsKey()) throw new Error('Missing GOOGLE_MAPS_API_KEY');
+
+  const radiusStepsKm = [radiusKm, radiusKm + 4, radiusKm + 8];
+  let results = [];
+  const eligible = [];
+  const excluded = [];
+  const parsed = craving?.parsed || {};
+  const ctx = await rankingContext({ craving, center });
+  const { prefs } = ctx;
+  const profile = resolveProfile(ranking);
+  const weighted = synthesizeQueries(parsed, { exclude: prefs.excludes });
+  const queries = weighted.length ? weighted.map(q => q.query) : ['restaurant'];
+
+  // Hours are judged in the restaurant's zone, not the server's
+  const tz = await resolveTimeZone(center, date);
+  const seen = new Set(); // place_ids already judged at a smaller radius
+  let searchedKm = radiusStepsKm[0];
+
+  for (let step = 0; step < radiusStepsKm.length && results.length < MIN_CANDIDATES; step++) {
+    const radiusM = Math.round(radiusStepsKm[step] * 1000);
+    searchedKm = radiusStepsKm[step];
+
+    const candidates = (await textSearchMulti(queries, center, radiusM))
+      .filter(c => !seen.has(c.place_id));
+    candidates.forEach(c => seen.add(c.place_id));
+    const detailed = await hydrateDetails(candidates.map(c => c.place_id));
+    for (const [id, h] of await loadHistories(detailed.map(p => p.place_id))) ctx.history.set(id, h);
+
+    for (const p of detailed) {
+      const check = checkEligibility(p, prefs);
+      const history = ctx.history.get(p.place_id);
+      const skip = historyExclusion(history, { party_size });
+      if (skip) check.reasons.push(skip);
+      const hours = evaluateHours(p, { date, time, intent, window, timeZoneId: tz?.timeZoneId });
+      // No hours info — allow it through (we'll still call)
+      if (hours.open === false) {
+        check.reasons.push({ code: 'closed', detail: 'not open at the requested time' });
+      }
+      if (check.reasons.length) {
+        excluded.push({ place_id: p.place_id, name: p.name, reasons: check.reasons });
+        continue;
+      }
+      eligible.push({ ...p, dietary: check.dietary, next_open_slot: hours.slot, call_hints: callHints(history) });
+    }
+
+    results = ranked ? rankPlaces(eligible, ctx, profile).slice(0, 40) : [...eligible];
+  }
+
+  // Flag anything on the Do-Not-Call registry; those are never dialed
+  for (const p of results) {
+    p.dnc = !!(await checkDnc({ place_id: p.place_id, phone: p.formatted_phone_number || p.international_phone_number }));
+  }
+
+  return { restaurants: results, excluded, profile: profile.name, queries: weighted, radius_km: searchedKm, time_zone: tz?.timeZoneId || null };
+}
+
+module.exports = {
+  findRestaurantsHybrid,
+  rankingContext,
+};
@@ -0,0 +1,729 @@
+// lib/service.cjs
+// Search / call / booking operations shared by the REST routes (index.cjs) and
+// the MCP tools (mcp-server.ts). Inputs use the field names from openapi.json;
+// bad input and missing records throw ServiceError with an HTTP status.
+// Operations on batches and reservations take a second `{ user, ip }` argument,
+// the caller: `user` is signed in (or null); records they don't own read as not
+// found. Searches and dials are charged to the caller (lib/quota.cjs) and fail
+// with 429 / 402 once a rate limit or budget is hit.
+
+const crypto = require('crypto');
+const { createBatch, getBatch, updateBatch, updateItem } = require('./batches.cjs');
+const { startBatchCalls, startBookingCall, startReservationChange, startOfferCallback, reusableCall } = require('./calls.cjs');
+const { createReservation, getReservation, updateReservation, publicReservation } = require('./reservations.cjs');
+const { cancellationDeadline } = require('./cancellation-policy.cjs');
+const { reservationCalendar, calendarFilename } = require('./calendar.cjs');
+const { checkDnc } = require('./dnc.cjs');
+const { placeDetails } = require('./places.cjs');
+const { resolveLocation } = require('./location.cjs');
+const { mapUrlFor } = require('./map.cjs');
+const { findRestaurantsHybrid, rankingContext } = require('./search.cjs');
+const { validateRanking, compareProfiles, configuredProfiles, defaultProfileName } = require('./ranking.cjs');
+const { validatePolicy, resolvePolicy } = require('./batch-policy.cjs');
+const { nextCallAt } = require('./calling-hours.cjs');
+const { getPlaceHistory: loadPlaceHistory, summarizeHistory } = require('./place-history.cjs');
+const { preferencesFrom } = require('./eligibility.cjs');
+const { parseQuery: parseMood } = require('./nlp.cjs');
+const { validateWindow, resolveWindow } = require('./time-window.cjs');
+const { canAccess } = require('./auth.cjs');
+const { callerKey, consume, withinBudget, recordUsage, quotaStatus } = require('./quota.cjs');
+const {
+  createUser, validateGuestProfile, saveGuestProfile, publicUser, createApiKey, listApiKeys, revokeApiKey
+} = require('./users.cjs');
+
+const CALLS_PER_BATCH = 5;
+const MAX_CALLS_PER_BATCH = 10;
+// search_more chains deeper than this are refused: a client re-calling it in
+// a loop would otherwise dial its way through the whole neighbourhood
+const MAX_SEARCH_ROUNDS = 5;
+
+class ServiceError extends Error {
+  // details: extra fields for the response body (e.g. { code, choices })
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const fail = (status, message, details) => { throw new ServiceError(status, message, details); };
+
+// Charge `usage` ({ search?, dial?, parse? }) to the caller, or fail with 429 / 402
+async function charge(caller, usage) {
+  if (!Object.values(usage).some(n => n > 0)) return;
+  const q = await consume(caller, usage);
+  if (!q.ok) fail(q.status, q.message, { code: q.code, retry_after: q.retry_after });
+}
+
+// Restaurants in a pick that will actually be dialed
+const dialCount = (restos) => restos.filter(r => !r.dnc).length;
+
+/* ==================== Batches ==================== */
+
+async function createBatchAndStartCalls(restos, meta, { user = null, ip = null } = {}) {
+  const items = restos.map(r => ({
+    id: r.place_id,
+    place_id: r.place_id,
+    name: r.name,
+    phone: r.formatted_phone_number || r.international_phone_number || '',
+    status: r.dnc ? 'skipped' : 'pending', // 'scheduled' | 'in_progress' | 'completed' | 'error' | 'skipped' | 'machine_detected' | 'cancelled'
+    ...(r.dnc ? { skip_reason: 'do_not_call' } : {}),
+    next_open_slot: r.next_open_slot || null,
+    call_hints: r.call_hints || null, // from past calls (see lib/place-history.cjs)
+    result: null,
+    raw: null
+  }));
+  const batch = await createBatch({
+    owner_id: user?.id || null,
+    quota_key: callerKey({ user, ip }), // automatic redials are charged here
+    // Lets the mapUrl image load without credentials (img tags can't send them)
+    map_key: crypto.randomBytes(8).toString('hex'),
+    status: items.some(x => x.status === 'pending') ? 'in_progress' : 'completed',
+    query: meta,
+    policy: resolvePolicy(meta.policy, items.filter(x => x.status === 'pending').length),
+    restaurants: restos,
+    items
+  });
+
+  // Dial in the background, as the policy allows; progress shows up in /status/:batchId
+  startBatchCalls(batch.id).catch(err => console.error('startBatchCalls error', err));
+
+  return batch;
+}
+
+async function getBatchContext(batchId) {
+  return getBatch(batchId);
+}
+
+// The caller's batch, or a 404 (also for batches someone else owns)
+async function ownBatch(batchId, user, message = 'Batch not found') {
+  const batch = await getBatchContext(batchId);
+  if (!canAccess(batch, user)) fail(404, message);
+  return batch;
+}
+
+// Take the top `n` callable restaurants; DNC-listed ones ranked among them ride
+// along so the UI can show them as skipped instead of silently dropping them.
+function pickForBatch(ranked, n = CALLS_PER_BATCH) {
+  const picked = [];
+  let callable = 0;
+  for (const r of ranked) {
+    if (callable >= n) break;
+    picked.push(r);
+    if (!r.dnc) callable++;
+  }
+  return picked;
+}
+
+function callsPerBatch(maxCalls) {
+  const n = Math.floor(Number(maxCalls));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, MAX_CALLS_PER_BATCH) : CALLS_PER_BATCH;
+}
+
+// Public shape of a restaurant in search responses
+function restaurantSummary(p) {
+  return {
+    id: p.place_id,
+    place_id: p.place_id,
+    name: p.name,
+    rating: p.rating,
+    user_ratings_total: p.user_ratings_total,
+    formatted_phone_number: p.formatted_phone_number || p.international_phone_number || '',
+    price_level: p.price_level,
+    next_open_slot: p.next_open_slot || null,
+    skipped: !!p.dnc,
+    ...(p.score_breakdown ? { score: p.score_breakdown.total, score_breakdown: p.score_breakdown } : {})
+  };
+}
+
+// With `debug: true` responses explain the search: the constraints taken
+// from the craving, the text searches run and every candidate that was
+// dropped, with reasons
+function debugInfo(debug, craving, { excluded, queries }) {
+  return debug ? { debug: { preferences: preferencesFrom(craving), queries, excluded } } : {};
+}
+
+// A bare cuisine still steers the search when no parsed craving was sent
+function cravingFor({ cuisine, craving }) {
+  if (craving?.parsed || !cuisine) return craving;
+  return { ...(craving || {}), parsed: { cuisines: [cuisine] } };
+}
+
+function requireBookingFields({ party_size, date, time, intent, time_window, flexibility_minutes }) {
+  if (!party_size) fail(400, 'Missing party_size');
+  if (!date) fail(400, 'Missing date');
+  const windowError = validateWindow({ time_window, flexibility_minutes });
+  if (windowError) fail(400, windowError);
+  if (intent === 'specific_time' && !time && !time_window) fail(400, 'Missing time for specific_time intent');
+}
+
+function requireRanking(ranking) {
+  const rankingError = validateRanking(ranking);
+  if (rankingError) fail(400, rankingError);
+}
+
+function requirePolicy(policy) {
+  const policyError = validatePolicy(policy);
+  if (policyError) fail(400, policyError);
+}
+
+// Requested batch policy as stored on the batch query (search_more reuses it)
+const policyFor = (policy) => (policy ? { mode: policy.mode, concurrency: policy.concurrency ?? null } : null);
+
+// Window rule fields as stored on the batch query
+function timingFor({ time_window, flexibility_minutes, auto_accept }) {
+  return {
+    time_window: time_window ? { start: time_window.start, end: time_window.end } : null,
+    flexibility_minutes: flexibility_minutes === undefined || flexibility_minutes === null ? null : Number(flexibility_minutes),
+    auto_accept: auto_accept !== false
+  };
+}
+
+// { location, coordinates } -> { lat, lng, accuracy_m, label, source }; an
+// ambiguous address fails with 409 and the choices to pick from
+async function centerFor(input) {
+  const found = await resolveLocation(input);
+  if (found.error) fail(found.status, found.error, { code: found.code, ...(found.choices ? { choices: found.choices } : {}) });
+  return found.center;
+}
+
+// A fuzzy device location searches at least as wide as its accuracy
+function radiusFor(craving, center, fallbackKm) {
+  const km = craving?.parsed?.radius_km || fallbackKm;
+  return center?.accuracy_m ? Math.max(km, Math.min(20, center.accuracy_m / 1000)) : km;
+}
+
+/* ==================== NLP ==================== */
+
+// previous: the `parsed` from an earlier turn, when `text` refines it.
+// Past the caller's budget, parsing falls back to the offline rules.
+async function parseQuery({ text, previous } = {}, caller = {}) {
+  if (!text || !String(text).trim()) fail(400, 'Missing text');
+  if (previous !== undefined && previous !== null && (typeof previous !== 'object' || Array.isArray(previous))) {
+    fail(400, 'previous must be an object');
+  }
+  const offline = !(await withinBudget(caller, { parse: 1 }));
+  const result = await parseMood(String(text), { previous, offline });
+  if (result.source === 'llm') await recordUsage(callerKey(caller), { parse: 1 });
+  return result;
+}
+
+/* ==================== Search ==================== */
+
+// Ranked candidates only; nothing is dialed
+async function findRestaurants(input = {}, caller = {}) {
+  const { cuisine, craving, date, time, intent, party_size, limit = 10, debug, ranking } = input;
+  const windowError = validateWindow(input);
+  if (windowError) fail(400, windowError);
+  requireRanking(ranking);
+  // An ambiguous or unknown location costs nothing
+  const center = await centerFor(input);
+  await charge(caller, { search: 1 });
+
+  const searchCraving = cravingFor({ cuisine, craving });
+  const { restaurants, excluded, queries } = await findRestaurantsHybrid({
+    craving: searchCraving,
+    center,
+    date,
+    time,
+    intent,
+    window: resolveWindow({ ...input, ...timingFor(input) }),
+    radiusKm: radiusFor(craving, center, 5),
+    ranking,
+    party_size
+  });
+  const n = Math.max(1, Math.min(20, Number(limit) || 10));
+  return {
+    center,
+    restaurants: restaurants.slice(0, n).map(restaurantSummary),
+    ...debugInfo(debug, searchCraving, { excluded, queries })
+  };
+}
+
+// Rank one candidate set under two profiles (a/b = { profile, weights }) to
+// tune ranking without a deploy; nothing is dialed
+async function compareRanking(input = {}) {
+  const { cuisine, craving, date, time, intent, a, b, top_k = 5 } = input;
+  if (!a || !b) fail(400, 'Missing ranking profiles a and b');
+  requireRanking(a);
+  requireRanking(b);
+  const windowError = validateWindow(input);
+  if (windowError) fail(400, windowError);
+
+  const center = await centerFor(input);
+  const searchCraving = cravingFor({ cuisine, craving });
+  // Unranked, so neither profile decides which candidates make the cut
+  const { restaurants } = await findRestaurantsHybrid({
+    craving: searchCraving,
+    center,
+    date,
+    time,
+    intent,
+    window: resolveWindow({ ...input, ...timingFor(input) }),
+    radiusKm: radiusFor(craving, center, 5),
+    ranked: false
+  });
+  const ctx = await rankingContext({ craving: searchCraving, center, placeIds: restaurants.map(r => r.place_id) });
+  const k = Math.max(1, Math.min(20, Number(top_k) || 5));
+  return { ok: true, candidates: restaurants.length, ...compareProfiles(restaurants, ctx, a, b, k) };
+}
+
+function listRankingProfiles() {
+  return { ok: true, default: defaultProfileName(), profiles: configuredProfiles() };
+}
+
+// Start a new search + call batch. The search is charged up front, the dials
+// once we know how many restaurants made the pick.
+async function searchAndCall(input = {}, caller = {}) {
+  const { cuisine, location, coordinates, party_size, date, time, intent, craving, max_calls, debug, ranking, policy } = input;
+  if (!location && !coordinates) fail(400, 'Missing location');
+  requireBookingFields(input);
+  requireRanking(ranking);
+  requirePolicy(policy);
+
+  // The resolved center rides on the batch so search_more doesn't geocode again.
+  // An ambiguous or unknown location costs nothing.
+  const center = await centerFor(input);
+  await charge(caller, { search: 1 });
+  const query = {
+    cuisine, location: location || center.label, center, party_size, date, time, intent, craving,
+    ranking: ranking || null, policy: policyFor(policy), ...timingFor(input), round: 1
+  };
+  const searchCraving = cravingFor({ cuisine, craving });
+  const { restaurants, excluded, queries, radius_km, time_zone } = await findRestaurantsHybrid({
+    craving: searchCraving,
+    center,
+    date,
+    time,
+    intent,
+    window: resolveWindow(query),
+    radiusKm: radiusFor(craving, center, 5),
+    ranking,
+    party_size
+  });
+  query.radius_km = radius_km; // drawn on the map
+  query.time_zone = time_zone; // calling hours are judged in it
+
+  const toCall = pickForBatch(restaurants, callsPerBatch(max_calls));
+  await charge(caller, { dial: dialCount(toCall) });
+  const batch = await createBatchAndStartCalls(toCall, query, caller);
+
+  return {
+    batchId: batch.id,
+    mapUrl: mapUrlFor(batch),
+    policy: batch.policy,
+    restaurants: toCall.map(restaurantSummary),
+    query,
+    ...debugInfo(debug, searchCraving, { excluded, queries })
+  };
+}
+
+// Round count and called place_ids live on the root search (the batch that
+// started the chain), so any batch of the chain may be passed to search_more.
+// -> the round claimed, or null past MAX_SEARCH_ROUNDS
+async function claimSearchRound(rootId) {
+  let round = null;
+  const root = await updateBatch(rootId, b => {
+    const rounds = b.search_rounds || b.query?.round || 1;
+    round = rounds < MAX_SEARCH_ROUNDS ? rounds + 1 : null;
+    return round ? { ...b, search_rounds: round } : b;
+  });
+  if (!root) fail(404, 'Original search not found');
+  return round;
+}
+
+// Picks the fresh restaurants for a round and marks them called on the root
+async function claimFreshRestaurants(rootId, restaurants) {
+  let fresh = [];
+  await updateBatch(rootId, b => {
+    const called = new Set(b.called_place_ids || b.restaurants.map(r => r.place_id));
+    fresh = pickForBatch(restaurants.filter(r => !called.has(r.place_id)));
+    return { ...b, called_place_ids: [...called, ...fresh.map(r => r.place_id)] };
+  });
+  return fresh;
+}
+
+// Continue searching (avoid duplicates; next batch). Each batch in the chain
+// counts a round; past MAX_SEARCH_ROUNDS the client has to start over.
+async function searchMore({ original_batch_id, craving, debug, ranking, policy } = {}, caller = {}) {
+  if (!original_batch_id) fail(400, 'Missing original_batch_id');
+  requireRanking(ranking);
+  requirePolicy(policy);
+
+  const prev = await ownBatch(original_batch_id, caller.user, 'Original batch not found');
+  const rootId = prev.query.root_batch_id || prev.id;
+  const round = await claimSearchRound(rootId);
+  if (!round) {
+    fail(429, `search_more is limited to ${MAX_SEARCH_ROUNDS - 1} rounds per search; start a new search instead`, {
+      code: 'search_more_limit'
+    });
+  }
+  try {
+    await charge(caller, { search: 1 });
+  } catch (err) {
+    // Not charged, so the round is not used up
+    await updateBatch(rootId, b => ({ ...b, search_rounds: Math.max(1, (b.search_rounds || 1) - 1) }));
+    throw err;
+  }
+
+  const { location, party_size, date, time, intent, cuisine } = prev.query;
+  const nextCraving = craving || prev.query.craving;
+  const nextRanking = ranking || prev.query.ranking || null;
+  const nextPolicy = policyFor(policy) || prev.query.policy || null;
+
+  // Older batches have no stored center; their address geocode is cached anyway
+  const center = prev.query.center || await centerFor({ location });
+  const searchCraving = cravingFor({ cuisine, craving: nextCraving });
+  const { restaurants, excluded, queries, radius_km, time_zone } = await findRestaurantsHybrid({
+    craving: searchCraving,
+    center,
+    date,
+    time,
+    intent,
+    window: resolveWindow(prev.query),
+    radiusKm: radiusFor(nextCraving, center, 7), // widen a bit
+    ranking: nextRanking,
+    party_size
+  });
+
+  const fresh = await claimFreshRestaurants(rootId, restaurants);
+  try {
+    await charge(caller, { dial: dialCount(fresh) });
+  } catch (err) {
+    // Never dialed: a later round may still call them
+    const ids = new Set(fresh.map(r => r.place_id));
+    await updateBatch(rootId, b => ({ ...b, called_place_ids: (b.called_place_ids || []).filter(id => !ids.has(id)) }));
+    throw err;
+  }
+
+  const batch = await createBatchAndStartCalls(fresh, {
+    cuisine, location, center, radius_km, time_zone, party_size, date, time, intent, craving: nextCraving, ranking: nextRanking,
+    policy: nextPolicy, ...timingFor(prev.query), round, root_batch_id: rootId
+  }, caller);
+
+  return {
+    batchId: batch.id,
+    mapUrl: mapUrlFor(batch),
+    policy: batch.policy,
+    restaurants: fresh.map(restaurantSummary),
+    query: prev.query,
+    ...debugInfo(debug, searchCraving, { excluded, queries })
+  };
+}
+
+// Call one known restaurant (a batch of one), by place_id and/or phone
+async function callRestaurant(input = {}, caller = {}) {
+  const { place_id, name, phone, party_size, date, time, intent = 'specific_time' } = input;
+  if (!place_id && !phone) fail(400, 'Missing place_id or phone');
+  requireBookingFields({ ...input, intent });
+
+  const details = place_id && !phone ? await placeDetails(place_id) : null;
+  if (place_id && !phone && !details) fail(404, 'Restaurant not found');
+
+  const resto = {
+    place_id: place_id || `phone:${phone}`,
+    name: name || details?.name || phone,
+    formatted_phone_number: phone || details?.formatted_phone_number || details?.international_phone_number || '',
+    ...(details?.geometry ? { geometry: details.geometry } : {}),
+    // Calling hours need the restaurant's clock and opening hours
+    ...(details?.opening_hours ? { opening_hours: details.opening_hours } : {}),
+    ...(details ? { utc_offset_minutes: details.utc_offset_minutes ?? details.utc_offset } : {})
+  };
+  if (!resto.formatted_phone_number) fail(400, 'Restaurant has no phone number');
+  resto.dnc = !!(await checkDnc({ place_id, phone: resto.formatted_phone_number }));
+  await charge(caller, { dial: dialCount([resto]) });
+
+  const query = { location: null, party_size, date, time, intent, ...timingFor(input) };
+  const batch = await createBatchAndStartCalls([resto], query, caller);
+  return { batchId: batch.id, mapUrl: mapUrlFor(batch), restaurants: [restaurantSummary(resto)], query };
+}
+
+async function getBatchStatus(batchId, { user = null } = {}) {
+  const batch = await ownBatch(batchId, user);
+  return {
+    ok: true,
+    status: batch.status,  // 'in_progress' | 'completed'
+    mapUrl: mapUrlFor(batch), // versioned; changes whenever a marker's outcome does
+    policy: batch.policy || null, // { mode, concurrency, winner }
+    next_call_at: nextCallAt(batch.items), // earliest scheduled call (epoch ms), or null
+    items: batch.items     // each: { id, place_id, name, phone, status, result, raw, scheduled_for? }
+  };
+}
+
+/* ==================== Place history ==================== */
+
+// What past calls taught us about one restaurant
+async function getPlaceHistory(placeId) {
+  if (!placeId) fail(400, 'Missing place_id');
+  const history = await loadPlaceHistory(placeId);
+  if (!history) fail(404, 'No call history for this place');
+  return { ok: true, history: summarizeHistory(history) };
+}
+
+/* ==================== Offered times ==================== */
+
+// Guest's answer to an offered time -> { status, action (callback to place) } | { error }
+function offerTransition(status, decision, callback) {
+  if (decision === 'accept') {
+    if (status === 'held' || status === 'accepted') return { status, action: null };
+    if (status !== 'awaiting_decision') return { error: `Offer is already ${status}` };
+    return callback === false ? { status: 'accepted', action: null } : { status: 'accepting', action: 'accept' };
+  }
+  if (status === 'held') {
+    return callback === false ? { status: 'rejected', action: null } : { status: 'releasing', action: 'release' };
+  }
+  if (status === 'awaiting_decision' || status === 'accepted') return { status: 'rejected', action: null };
+  return { error: `Offer is already ${status}` };
+}
+
+// Accept or reject the time a restaurant offered. Accepting an offer that is
+// not held yet calls back to take it; rejecting a held one calls back to
+// release it (callback: false skips the call).
+async function decideOffer({ batch_id, item_id, decision, callback } = {}, caller = {}) {
+  if (!batch_id) fail(400, 'Missing batch_id');
+  if (!item_id) fail(400, 'Missing item_id');
+  if (decision !== 'accept' && decision !== 'reject') fail(400, "decision must be 'accept' or 'reject'");
+
+  const batch = await ownBatch(batch_id, caller.user);
+  const item = batch.items.find(x => x.id === item_id);
+  if (!item) fail(404, 'Restaurant not found in batch');
+  if (!item.offer) fail(404, 'No offered time for this restaurant');
+
+  let transition = null;
+  let before = null; // the offer as it was, when this decision changed it
+  const decidedAt = Date.now();
+  const res = await updateItem(batch_id, item_id, x => {
+    transition = offerTransition(x.offer?.status, decision, callback);
+    if (transition.error || transition.status === x.offer.status) return x;
+    before = x.offer;
+    return { ...x, offer: { ...x.offer, status: transition.status, decision, decided_at: decidedAt } };
+  });
+  if (transition.error) fail(409, transition.error);
+
+  if (transition.action) {
+    // The callback is a dial of its own, charged once this decision has won;
+    // a refused charge puts the offer back as it was
+    try {
+      await charge(caller, { dial: 1 });
+    } catch (err) {
+      await updateItem(batch_id, item_id, x => (x.offer?.status === transition.status && x.offer.decided_at === decidedAt
+        ? { ...x, offer: before }
+        : x));
+      throw err;
+    }
+    startOfferCallback(batch_id, item_id, transition.action)
+      .catch(err => console.error('startOfferCallback error', err));
+  }
+  return { ok: true, offer: res.item.offer };
+}
+
+/* ==================== Reservations ==================== */
+
+// Book a table at a restaurant from a batch; places a confirmation call.
+// Guest name and phone default to the caller's saved guest profile;
+// save_guest_profile stores the ones used for next time.
+async function bookReservation({ batch_id, item_id, guest_name, guest_phone, save_guest_profile } = {}, caller = {}) {
+  const { user = null } = caller;
+  if (!batch_id) fail(400, 'Missing batch_id');
+  if (!item_id) fail(400, 'Missing item_id');
+  const name = String(guest_name || user?.guest_profile?.name || '').trim();
+  const phone = String(guest_phone || user?.guest_profile?.phone || '').trim();
+  if (!name) fail(400, 'Missing guest_name');
+  if (!phone) fail(400, 'Missing guest_phone');
+  if (save_guest_profile && !user) fail(401, 'Sign in to save a guest profile');
+  const profileError = save_guest_profile ? validateGuestProfile({ name, phone }) : null;
+  if (profileError) fail(400, profileError === 'Invalid phone' ? 'Invalid guest_phone' : profileError);
+
+  const batch = await ownBatch(batch_id, user);
+  const item = batch.items.find(x => x.id === item_id);
+  if (!item) fail(404, 'Restaurant not found in batch');
+  if (item.status !== 'completed' && item.call?.state !== 'answered') {
+    fail(409, 'Restaurant has not been reached yet');
+  }
+  // Booking on the call that is still open places no dial
+  if (!reusableCall(item)) await charge(caller, { dial: 1 });
+
+  const reservation = await createReservation({
+    batch,
+    item,
+    guest: { name, phone }
+  });
+  if (save_guest_profile) await saveGuestProfile(user.id, { name, phone });
+
+  startBookingCall(reservation, item).catch(err => console.error('startBookingCall error', err));
+
+  return { ok: true, reservation: publicReservation(reservation) };
+}
+
+async function getReservationStatus(reservationId, { user = null } = {}) {
+  const reservation = await getReservation(reservationId);
+  if (!canAccess(reservation, user)) fail(404, 'Reservation not found');
+  return { ok: true, reservation: publicReservation(reservation) };
+}
+
+// An .ics event for a booked table; a change in progress doesn't unbook it
+async function getReservationCalendar(reservationId, { user = null } = {}) {
+  const reservation = await getReservation(reservationId);
+  if (!canAccess(reservation, user)) fail(404, 'Reservation not found');
+  if (!['confirmed', 'modifying', 'cancelling'].includes(reservation.status)) {
+    fail(409, `Reservation is ${reservation.status}`);
+  }
+  return { ok: true, filename: calendarFilename(reservation), ics: reservationCalendar(reservation) };
+}
+
+// The caller's confirmed reservation, ready for a change call
+async function changeableReservation(reservationId, user) {
+  if (!reservationId) fail(400, 'Missing reservation_id');
+  const reservation = await getReservation(reservationId);
+  if (!canAccess(reservation, user)) fail(404, 'Reservation not found');
+  if (reservation.status === 'modifying' || reservation.status === 'cancelling') {
+    fail(409, 'A change to this reservation is already in progress');
+  }
+  if (reservation.status !== 'confirmed') fail(409, `Reservation is ${reservation.status}`);
+  return reservation;
+}
+
+// Set up `change` and call the restaurant about it; the outcome lands in
+// the reservation's status and history
+async function requestChange(reservation, status, change, caller) {
+  const note = change.action === 'cancel' ? 'Cancellation requested' : 'Change requested';
+  let claimed = null; // the reservation as it was, when this request won it
+  const requestedAt = Date.now();
+  const updated = await updateReservation(reservation.id, x => {
+    claimed = x.status === 'confirmed' ? x : null;
+    return claimed ? { ...x, status, change: { ...change, status: 'scheduled', attempt: 0, requested_at: requestedAt } } : x;
+  }, note);
+  if (!claimed) fail(409, 'A change to this reservation is already in progress');
+
+  // Charged only once the claim holds; a refused charge hands the reservation back
+  try {
+    await charge(caller, { dial: 1 });
+  } catch (err) {
+    await updateReservation(reservation.id, x => (x.status === status && x.change?.requested_at === requestedAt
+      ? { ...x, status: 'confirmed', change: claimed.change ?? null }
+      : x), 'Change request withdrawn');
+    throw err;
+  }
+  startReservationChange(reservation.id).catch(err => console.error('startReservationChange error', err));
+  return updated;
+}
+
+// Change party size, date and/or time; places a call to the restaurant
+async function modifyReservation({ reservation_id, party_size, date, time } = {}, caller = {}) {
+  const requested = {};
+  if (party_size !== undefined && party_size !== null) {
+    const n = Number(party_size);
+    if (!Number.isInteger(n) || n < 1 || n > 50) fail(400, 'party_size must be a whole number from 1 to 50');
+    requested.party_size = n;
+  }
+  if (date !== undefined && date !== null) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) fail(400, 'date must be YYYY-MM-DD');
+    requested.date = String(date);
+  }
+  if (time !== undefined && time !== null) {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(String(time))) fail(400, 'time must be HH:MM (24h)');
+    requested.time = String(time);
+  }
+  if (!Object.keys(requested).length) fail(400, 'Nothing to change: send party_size, date or time');
+
+  const reservation = await changeableReservation(reservation_id, caller.user);
+  if (Object.entries(requested).every(([k, v]) => reservation[k] === v)) fail(400, 'The reservation already matches');
+  const updated = await requestChange(reservation, 'modifying', { action: 'modify', requested }, caller);
+  return { ok: true, reservation: publicReservation(updated) };
+}
+
+// Cancel a confirmed reservation; places a call to the restaurant.
+// `late` says the free-cancellation deadline (if any) has already passed.
+async function cancelReservation({ reservation_id, reason } = {}, caller = {}) {
+  const reservation = await changeableReservation(reservation_id, caller.user);
+  const deadline = cancellationDeadline(reservation);
+  const updated = await requestChange(reservation, 'cancelling', {
+    action: 'cancel', reason: reason ? String(reason).slice(0, 200) : null
+  }, caller);
+  return { ok: true, reservation: publicReservation(updated), late: !!deadline && deadline <= Date.now() };
+}
+
+/* ==================== Quota ==================== */
+
+// Rate limits and budget left for the caller
+async function getQuota(caller = {}) {
+  return { ok: true, quota: await quotaStatus(caller) };
+}
+
+/* ==================== Accounts ==================== */
+
+function requireUser(user) {
+  if (!user) fail(401, 'Sign in required');
+}
+
+async function getAccount({ user = null } = {}) {
+  requireUser(user);
+  return { ok: true, user: publicUser(user) };
+}
+
+// Name and callback phone that booking forms prefill
+async function updateGuestProfile(profile, { user = null } = {}) {
+  requireUser(user);
+  const profileError = validateGuestProfile(profile);
+  if (profileError) fail(400, profileError);
+  const updated = await saveGuestProfile(user.id, profile);
+  return { ok: true, guest_profile: updated.guest_profile };
+}
+
+async function listAccountApiKeys({ user = null } = {}) {
+  requireUser(user);
+  return { ok: true, api_keys: await listApiKeys(user.id) };
+}
+
+// The secret comes back once, in `key`
+async function createAccountApiKey({ label } = {}, { user = null } = {}) {
+  requireUser(user);
+  try {
+    return { ok: true, ...(await createApiKey(user.id, { label })) };
+  } catch (err) {
+    fail(409, err.message);
+  }
+}
+
+async function revokeAccountApiKey(keyId, { user = null } = {}) {
+  requireUser(user);
+  if (!(await revokeApiKey(user.id, keyId))) fail(404, 'API key not found');
+  return { ok: true };
+}
+
+// Admin: an account for one of our own clients, with its first API key
+async function createAccount({ name, email, label } = {}) {
+  if (!name && !email) fail(400, 'Missing name or email');
+  const user = await createUser({ name, email });
+  const { key, api_key } = await createApiKey(user.id, { label });
+  return { ok: true, user: publicUser(user), key, api_key };
+}
+
+module.exports = {
+  ServiceError,
+  getBatchContext,
+  ownBatch,
+  parseQuery,
+  findRestaurants,
+  compareRanking,
+  listRankingProfiles,
+  searchAndCall,
+  searchMore,
+  callRestaurant,
+  getBatchStatus,
+  getPlaceHistory,
+  decideOffer,
+  bookReservation,
+  getReservationStatus,
+  getReservationCalendar,
+  modifyReservation,
+  cancelReservation,
+  getQuota,
+  getAccount,
+  updateGuestProfile,
+  listAccountApiKeys,
+  createAccountApiKey,
+  revokeAccountApiKey,
+  createAccount,
+};
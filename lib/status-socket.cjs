@@ -0,0 +1,58 @@
+// lib/status-socket.cjs
+// WebSocket flavour of the batch status stream:
+//   ws://host/status/ws?batchId=...&lastEventId=...&access_token=...
+// Messages are JSON { id, event, data } (same events as the SSE stream).
+// `authorize(req, batchId)` decides whether the caller may watch the batch.
+
+const { subscribeBatch } = require('./events.cjs');
+
+function attachStatusSocket(server, { loadBatch, authorize = async () => true }) {
+  let WebSocketServer;
+  try {
+    ({ WebSocketServer } = require('ws'));
+  } catch (_e) {
+    console.warn('ws not installed; WebSocket status stream disabled (SSE still available)');
+    return null;
+  }
+
+  const wss = new WebSocketServer({ server, path: '/status/ws' });
+
+  wss.on('connection', async (socket, req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const batchId = url.searchParams.get('batchId');
+    const lastEventId = url.searchParams.get('lastEventId');
+    if (!batchId) return socket.close(1008, 'Missing batchId');
+
+    // Registered first: the client can leave while we authorize or subscribe
+    let closed = false;
+    let unsubscribe = null;
+    socket.on('close', () => {
+      closed = true;
+      if (unsubscribe) unsubscribe();
+    });
+
+    try {
+      if (!(await authorize(req, batchId))) return socket.close(1008, 'Batch not found');
+      unsubscribe = await subscribeBatch(batchId, {
+        lastEventId,
+        loadBatch,
+        onEvent: (evt) => {
+          if (socket.readyState !== socket.OPEN) return;
+          socket.send(JSON.stringify(evt));
+          // A finished batch (or a snapshot of one) has nothing more to say
+          if (evt.data?.status === 'completed' && evt.event !== 'item') socket.close(1000, 'Batch completed');
+        }
+      });
+    } catch (err) {
+      console.error('status socket error', err.message);
+      return socket.close(1011, 'Internal error');
+    }
+    // Gone already, or closed on a completed snapshot before there was anything to unsubscribe
+    if (closed || socket.readyState !== socket.OPEN) return unsubscribe?.();
+    if (!unsubscribe) socket.close(1008, 'Batch not found');
+  });
+
+  return wss;
+}
+
+module.exports = { attachStatusSocket };
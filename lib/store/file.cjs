@@ -0,0 +1,127 @@
+// lib/store/file.cjs
+// JSON-file store: one file per document, <collection>/<id>.json under STORE_DIR,
+// so a write only touches the document it changes.
+// Survives restarts on a single instance; use Firestore for several instances.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+function createFileStore({ isExpired, matchesWhere, dir }) {
+  const loaded = new Map(); // collection -> Map(id -> doc)
+
+  // All reads/writes go through one queue so read-modify-write stays atomic
+  let queue = Promise.resolve();
+  const serialize = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const dirFor = (collection) => {
+    if (!/^[\w-]+$/.test(collection)) throw new Error(`Invalid collection name "${collection}"`);
+    return path.join(dir, collection);
+  };
+
+  // Ids may hold ':' or '|' (quota counters); encoding keeps them one safe file name
+  const fileFor = (collection, id) => path.join(dirFor(collection), `${encodeURIComponent(id)}.json`);
+
+  // Write to a temp file then rename, so a crash never leaves half a JSON file
+  async function writeDoc(collection, id, doc) {
+    const file = fileFor(collection, id);
+    await fs.mkdir(dirFor(collection), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(doc));
+    await fs.rename(tmp, file);
+  }
+
+  const removeDoc = (collection, id) => fs.rm(fileFor(collection, id), { force: true });
+
+  // Earlier versions kept a whole collection in <collection>.json; split it up once
+  async function migrateLegacy(collection, docs) {
+    const legacy = path.join(dir, `${collection}.json`);
+    let raw;
+    try {
+      raw = await fs.readFile(legacy, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const [id, doc] of Object.entries(JSON.parse(raw))) {
+      if (docs.has(id)) continue;
+      docs.set(id, doc);
+      await writeDoc(collection, id, doc);
+    }
+    await fs.unlink(legacy);
+  }
+
+  // list() needs every document, so a collection is read in full on first use and cached
+  async function load(collection) {
+    if (loaded.has(collection)) return loaded.get(collection);
+    const docs = new Map();
+    let names = [];
+    try {
+      names = await fs.readdir(dirFor(collection));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue; // leftover temp files
+      const raw = await fs.readFile(path.join(dirFor(collection), name), 'utf8');
+      docs.set(decodeURIComponent(name.slice(0, -'.json'.length)), JSON.parse(raw));
+    }
+    await migrateLegacy(collection, docs);
+    loaded.set(collection, docs);
+    return docs;
+  }
+
+  const get = (collection, id) => serialize(async () => {
+    const doc = (await load(collection)).get(id);
+    return doc && !isExpired(doc) ? doc : null;
+  });
+
+  const set = (collection, id, doc) => serialize(async () => {
+    (await load(collection)).set(id, doc);
+    await writeDoc(collection, id, doc);
+    return doc;
+  });
+
+  const mutate = (collection, id, fn) => serialize(async () => {
+    const docs = await load(collection);
+    const existing = docs.get(id);
+    const current = existing && !isExpired(existing) ? existing : null;
+    const next = fn(current);
+    if (next === undefined) return current;
+    docs.set(id, next);
+    await writeDoc(collection, id, next);
+    return next;
+  });
+
+  const list = (collection, { where, limit = 100 } = {}) => serialize(async () => {
+    return [...(await load(collection)).values()]
+      .filter(doc => !isExpired(doc) && matchesWhere(doc, where))
+      .sort((a, b) => (b.created_at || 0) - (a.created_at || 0))
+      .slice(0, limit);
+  });
+
+  const remove = (collection, id) => serialize(async () => {
+    const docs = await load(collection);
+    if (docs.delete(id)) await removeDoc(collection, id);
+  });
+
+  const purgeExpired = () => serialize(async () => {
+    let removed = 0;
+    for (const [collection, docs] of loaded) {
+      for (const [id, doc] of docs) {
+        if (!isExpired(doc)) continue;
+        docs.delete(id);
+        await removeDoc(collection, id);
+        removed++;
+      }
+    }
+    return removed;
+  });
+
+  return { name: 'file', get, set, mutate, list, remove, purgeExpired };
+}
+
+module.exports = { createFileStore };
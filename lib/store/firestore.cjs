@@ -0,0 +1,90 @@
+// lib/store/firestore.cjs
+// Firestore store; safe to share between server instances.
+// Credentials come from GOOGLE_APPLICATION_CREDENTIALS or FIREBASE_SERVICE_ACCOUNT (JSON).
+//
+// list() with a `where` orders by created_at, which Firestore only serves from a
+// composite index. firestore.indexes.json lists the ones the app queries
+// (batches by status and/or owner_id, reservations by status, api_keys by
+// user_id); deploy it with `firebase deploy --only firestore:indexes`, adding
+// FIRESTORE_PREFIX to each collectionGroup when one is set.
+
+const PURGE_PAGE = 200;
+
+function createFirestoreStore({ isExpired, prefix = '' }) {
+  let db = null;
+
+  // Lazy so firebase-admin is only needed when STORE=firestore
+  function firestore() {
+    if (db) return db;
+    const admin = require('firebase-admin');
+    if (!admin.apps.length) {
+      const sa = process.env.FIREBASE_SERVICE_ACCOUNT;
+      admin.initializeApp({
+        credential: sa ? admin.credential.cert(JSON.parse(sa)) : admin.credential.applicationDefault()
+      });
+    }
+    db = admin.firestore();
+    db.settings({ ignoreUndefinedProperties: true });
+    return db;
+  }
+
+  const col = (collection) => firestore().collection(`${prefix}${collection}`);
+
+  // Firestore rejects nested undefined/functions; round-trip through JSON
+  const clean = (doc) => JSON.parse(JSON.stringify(doc));
+
+  async function get(collection, id) {
+    const snap = await col(collection).doc(id).get();
+    const doc = snap.exists ? snap.data() : null;
+    return doc && !isExpired(doc) ? doc : null;
+  }
+
+  async function set(collection, id, doc) {
+    await col(collection).doc(id).set(clean(doc));
+    return doc;
+  }
+
+  async function mutate(collection, id, fn) {
+    const ref = col(collection).doc(id);
+    return firestore().runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const existing = snap.exists ? snap.data() : null;
+      const current = existing && !isExpired(existing) ? existing : null;
+      const next = fn(current);
+      if (next === undefined) return current;
+      tx.set(ref, clean(next));
+      return next;
+    });
+  }
+
+  async function list(collection, { where = {}, limit = 100 } = {}) {
+    let q = col(collection);
+    for (const [k, v] of Object.entries(where)) q = q.where(k, '==', v);
+    const snap = await q.orderBy('created_at', 'desc').limit(limit).get();
+    return snap.docs.map(d => d.data()).filter(doc => !isExpired(doc));
+  }
+
+  async function remove(collection, id) {
+    await col(collection).doc(id).delete();
+  }
+
+  // A Firestore TTL policy on expires_at can replace this; it is cheap to keep as a backstop
+  async function purgeExpired() {
+    let removed = 0;
+    const collections = await firestore().listCollections();
+    for (const c of collections) {
+      if (prefix && !c.id.startsWith(prefix)) continue;
+      const snap = await c.where('expires_at', '<=', Date.now()).limit(PURGE_PAGE).get();
+      if (snap.empty) continue;
+      const batch = firestore().batch();
+      snap.docs.forEach(d => batch.delete(d.ref));
+      await batch.commit();
+      removed += snap.size;
+    }
+    return removed;
+  }
+
+  return { name: 'firestore', get, set, mutate, list, remove, purgeExpired };
+}
+
+module.exports = { createFirestoreStore };
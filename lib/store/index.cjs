@@ -0,0 +1,45 @@
+// lib/store/index.cjs
+// Document store shared by batches (and anything else that must survive a restart)
+//
+// An adapter is a plain object; every method is async:
+//   get(collection, id)              -> doc | null   (expired docs read as null)
+//   set(collection, id, doc)         -> doc
+//   mutate(collection, id, fn)       -> doc | null   atomic read-modify-write;
+//                                       fn(current | null) returns the next doc,
+//                                       or undefined to leave it untouched
+//   list(collection, { where, limit }) -> docs, newest first; where = { field: value }
+//   remove(collection, id)
+//   purgeExpired()                   -> number of docs removed
+//
+// Docs may carry `expires_at` (ms since epoch) for TTL expiry.
+
+const { createMemoryStore } = require('./memory.cjs');
+const { createFileStore } = require('./file.cjs');
+const { createFirestoreStore } = require('./firestore.cjs');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+function isExpired(doc, now = Date.now()) {
+  return !!(doc && doc.expires_at && doc.expires_at <= now);
+}
+
+// Equality filter on top-level fields, shared by the in-process adapters
+function matchesWhere(doc, where = {}) {
+  return Object.entries(where).every(([k, v]) => doc?.[k] === v);
+}
+
+function createStore() {
+  const kind = (process.env.STORE || 'memory').toLowerCase();
+  if (kind === 'memory') return createMemoryStore({ isExpired, matchesWhere });
+  if (kind === 'file') return createFileStore({ isExpired, matchesWhere, dir: process.env.STORE_DIR || './data' });
+  if (kind === 'firestore') return createFirestoreStore({ isExpired, prefix: process.env.FIRESTORE_PREFIX || '' });
+  throw new Error(`Unknown STORE "${kind}"`);
+}
+
+const store = createStore();
+
+setInterval(() => {
+  store.purgeExpired().catch(err => console.error('store purge error', err));
+}, PURGE_INTERVAL_MS).unref();
+
+module.exports = { store, isExpired, matchesWhere };
@@ -0,0 +1,59 @@
+// lib/store/memory.cjs
+// Process-local store; fine for dev, loses everything on restart
+
+function createMemoryStore({ isExpired, matchesWhere }) {
+  const collections = new Map(); // name -> Map(id -> doc)
+
+  const col = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  const read = (collection, id) => {
+    const doc = col(collection).get(id);
+    return doc && !isExpired(doc) ? doc : null;
+  };
+
+  async function get(collection, id) {
+    return read(collection, id);
+  }
+
+  async function set(collection, id, doc) {
+    col(collection).set(id, doc);
+    return doc;
+  }
+
+  // No await between read and write, so concurrent mutates cannot interleave
+  async function mutate(collection, id, fn) {
+    const current = read(collection, id);
+    const next = fn(current);
+    if (next === undefined) return current;
+    col(collection).set(id, next);
+    return next;
+  }
+
+  async function list(collection, { where, limit = 100 } = {}) {
+    return [...col(collection).values()]
+      .filter(doc => !isExpired(doc) && matchesWhere(doc, where))
+      .sort((a, b) => (b.created_at || 0) - (a.created_at || 0))
+      .slice(0, limit);
+  }
+
+  async function remove(collection, id) {
+    col(collection).delete(id);
+  }
+
+  async function purgeExpired() {
+    let removed = 0;
+    for (const docs of collections.values()) {
+      for (const [id, doc] of docs) {
+        if (isExpired(doc)) { docs.delete(id); removed++; }
+      }
+    }
+    return removed;
+  }
+
+  return { name: 'memory', get, set, mutate, list, remove, purgeExpired };
+}
+
+module.exports = { createMemoryStore };
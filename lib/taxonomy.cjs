@@ -0,0 +1,247 @@
+// lib/taxonomy.cjs
+// Cuisine taxonomy (./cuisines.json, or CUISINE_TAXONOMY_PATH): cuisines with
+// parent links, synonyms / local names and explicit related weights, plus
+// dishes mapped to the cuisines that serve them. Drives query synthesis and
+// widens hard_excludes ("not japanese" also rules out sushi).
+
+const fs = require('fs');
+const path = require('path');
+
+// Similarity multiplies by this per hop up or down the tree, so a parent or
+// child is 0.75, a sibling or grandparent 0.56 and a cousin 0.32
+const HOP_DECAY = 0.75;
+const MIN_SIMILARITY = 0.5;
+// Weight of a cuisine inferred from a dish, relative to the dish itself
+const DISH_CUISINE_WEIGHT = 0.8;
+// Queries below this weight are never worth a text search
+const MIN_QUERY_WEIGHT = 0.3;
+const DEFAULT_QUERY_BUDGET = Number(process.env.CUISINE_QUERY_BUDGET || 8);
+
+const norm = (s) => String(s || '').toLowerCase().trim().replace(/\s+/g, ' ');
+
+/* ==================== Loading ==================== */
+
+function loadData() {
+  const file = process.env.CUISINE_TAXONOMY_PATH || path.join(__dirname, 'cuisines.json');
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Raw data -> lookup indices; unknown parents or dish cuisines fail loudly
+function buildTaxonomy(data) {
+  const cuisines = new Map();
+  const terms = new Map(); // name, synonym or local name -> { kind, id }
+  const dishes = new Map();
+
+  for (const [rawId, c] of Object.entries(data.cuisines || {})) {
+    const id = norm(rawId);
+    cuisines.set(id, {
+      id,
+      parent: c.parent ? norm(c.parent) : null,
+      children: [],
+      searchable: c.searchable !== false,
+      synonyms: (c.synonyms || []).map(norm),
+      related: Object.fromEntries(Object.entries(c.related || {}).map(([k, w]) => [norm(k), Number(w)]))
+    });
+  }
+  for (const c of cuisines.values()) {
+    if (c.parent && !cuisines.has(c.parent)) throw new Error(`Cuisine "${c.id}" has unknown parent "${c.parent}"`);
+    if (c.parent) cuisines.get(c.parent).children.push(c.id);
+    for (const name of [c.id, ...c.synonyms]) terms.set(name, { kind: 'cuisine', id: c.id });
+  }
+
+  for (const [rawId, d] of Object.entries(data.dishes || {})) {
+    const id = norm(rawId);
+    const served = Object.entries(d.cuisines || {}).map(([k, w]) => ({ id: norm(k), weight: Number(w) }));
+    for (const s of served) {
+      if (!cuisines.has(s.id)) throw new Error(`Dish "${id}" maps to unknown cuisine "${s.id}"`);
+    }
+    dishes.set(id, { id, cuisines: served, synonyms: (d.synonyms || []).map(norm) });
+    // A cuisine name wins over a dish synonym that happens to match it
+    for (const name of [id, ...(d.synonyms || []).map(norm)]) {
+      if (!terms.has(name)) terms.set(name, { kind: 'dish', id });
+    }
+  }
+
+  return { cuisines, dishes, terms };
+}
+
+let taxonomy = null;
+function getTaxonomy() {
+  if (!taxonomy) taxonomy = buildTaxonomy(loadData());
+  return taxonomy;
+}
+
+/* ==================== Lookups ==================== */
+
+// "pho" -> { kind: 'dish', id: 'pho' }; "sichuan" -> { kind: 'cuisine', id: 'szechuan' }; unknown -> null.
+// With `loose`, "spicy noodles" falls back to the longest known term inside it.
+function resolveTerm(term, { loose = false } = {}) {
+  const t = norm(term);
+  if (!t) return null;
+  const { terms } = getTaxonomy();
+  const exact = terms.get(t) || terms.get(t.replace(/ (food|cuisine|restaurants?)$/, ''));
+  if (exact || !loose) return exact || null;
+  let best = null;
+  for (const [name, hit] of terms) {
+    if (` ${t} `.includes(` ${name} `) && (!best || name.length > best.name.length)) best = { name, hit };
+  }
+  return best ? best.hit : null;
+}
+
+function ancestors(id) {
+  const { cuisines } = getTaxonomy();
+  const out = [];
+  for (let c = cuisines.get(id); c?.parent; c = cuisines.get(c.parent)) out.push(c.parent);
+  return out;
+}
+
+function descendants(id) {
+  const { cuisines } = getTaxonomy();
+  const out = [];
+  const stack = [...(cuisines.get(id)?.children || [])];
+  while (stack.length) {
+    const next = stack.pop();
+    out.push(next);
+    stack.push(...cuisines.get(next).children);
+  }
+  return out;
+}
+
+// Tree distance in hops through the closest common ancestor, or null
+function hops(a, b) {
+  const up = [a, ...ancestors(a)];
+  const other = [b, ...ancestors(b)];
+  for (let i = 0; i < up.length; i++) {
+    const j = other.indexOf(up[i]);
+    if (j !== -1) return i + j;
+  }
+  return null;
+}
+
+// 0..1; an explicit related weight (either direction) beats tree distance
+function similarity(a, b) {
+  const { cuisines } = getTaxonomy();
+  if (a === b) return 1;
+  const ca = cuisines.get(a);
+  const cb = cuisines.get(b);
+  if (!ca || !cb) return 0;
+  const explicit = Math.max(ca.related[b] || 0, cb.related[a] || 0);
+  if (explicit) return explicit;
+  const d = hops(a, b);
+  return d === null ? 0 : Math.pow(HOP_DECAY, d);
+}
+
+// Cuisines at least `min` similar to `id`, closest first
+function relatedCuisines(id, min = MIN_SIMILARITY) {
+  const { cuisines } = getTaxonomy();
+  return [...cuisines.keys()]
+    .filter(other => other !== id)
+    .map(other => ({ id: other, similarity: similarity(id, other) }))
+    .filter(r => r.similarity >= min)
+    .sort((x, y) => y.similarity - x.similarity);
+}
+
+/* ==================== Exclusions ==================== */
+
+// hard_excludes -> every term they rule out. An excluded cuisine takes its
+// sub-cuisines, synonyms and the dishes only it (or other excluded cuisines)
+// serve; an excluded dish takes its synonyms. Unknown terms pass through.
+// -> [{ term, from }]
+function expandExcludes(hardExcludes = []) {
+  const { cuisines, dishes } = getTaxonomy();
+  const out = new Map();
+  const add = (term, from) => { if (term && !out.has(term)) out.set(term, { term, from }); };
+  const excludedCuisines = new Set();
+
+  for (const raw of hardExcludes) {
+    const term = norm(raw);
+    add(term, term);
+    const hit = resolveTerm(term);
+    if (hit?.kind === 'cuisine') {
+      for (const id of [hit.id, ...descendants(hit.id)]) {
+        excludedCuisines.add(id);
+        add(id, term);
+        cuisines.get(id).synonyms.forEach(s => add(s, term));
+      }
+    } else if (hit?.kind === 'dish') {
+      const dish = dishes.get(hit.id);
+      [dish.id, ...dish.synonyms].forEach(s => add(s, term));
+    }
+  }
+
+  for (const dish of dishes.values()) {
+    const main = dish.cuisines.filter(c => c.weight >= 0.5);
+    if (main.length && main.every(c => excludedCuisines.has(c.id))) {
+      const from = out.get(main[0].id)?.from;
+      [dish.id, ...dish.synonyms].forEach(s => add(s, from));
+    }
+  }
+  return [...out.values()];
+}
+
+/* ==================== Query synthesis ==================== */
+
+// parsed craving -> [{ query, weight, source }], heaviest first, at most `budget`.
+// Asked-for dishes and cuisines weigh 1; cuisines a dish implies and related
+// cuisines weigh less. A query is dropped when the cuisine or dish it stands for
+// is in `exclude` (see expandExcludes); "not american" keeps "latin american".
+function synthesizeQueries(parsed = {}, { budget = DEFAULT_QUERY_BUDGET, exclude = [] } = {}) {
+  const { cuisines, dishes } = getTaxonomy();
+  const excluded = new Set(exclude.map(e => norm(e.term || e)));
+  const weights = new Map();
+  // `term` is the cuisine id, dish id or unknown term the query searches for
+  const put = (query, weight, kind, term) => {
+    const q = norm(query);
+    if (!q || weight < MIN_QUERY_WEIGHT || excluded.has(term)) return;
+    const prev = weights.get(q);
+    if (!prev || prev.weight < weight) weights.set(q, { query: q, weight, source: `${kind}:${term}` });
+  };
+
+  const cuisineWeights = new Map();
+  const wantCuisine = (id, weight) => {
+    if (excluded.has(id)) return;
+    cuisineWeights.set(id, Math.max(cuisineWeights.get(id) || 0, weight));
+  };
+
+  for (const raw of (parsed?.dishes || []).slice(0, 3)) {
+    const hit = resolveTerm(raw, { loose: true });
+    const dish = hit?.kind === 'dish' ? dishes.get(hit.id) : null;
+    if (dish && excluded.has(dish.id)) continue; // "spicy ramen" while ramen is ruled out
+    const name = dish && resolveTerm(raw) ? dish.id : norm(raw); // "phở" -> "pho", "spicy noodles" stays
+    put(`${name} restaurant`, 1, 'dish', name);
+    put(name, 0.9, 'dish', name);
+    if (dish) dish.cuisines.forEach(c => wantCuisine(c.id, DISH_CUISINE_WEIGHT * c.weight));
+    if (hit?.kind === 'cuisine') wantCuisine(hit.id, 1);
+  }
+  for (const raw of parsed?.cuisines || []) {
+    const hit = resolveTerm(raw, { loose: true });
+    if (hit?.kind === 'cuisine') wantCuisine(hit.id, 1);
+    else if (hit?.kind === 'dish') {
+      put(`${hit.id} restaurant`, 1, 'dish', hit.id);
+      dishes.get(hit.id).cuisines.forEach(c => wantCuisine(c.id, DISH_CUISINE_WEIGHT * c.weight));
+    }
+    else put(`${norm(raw)} restaurant`, 1, 'cuisine', norm(raw)); // not in the taxonomy; search it as given
+  }
+
+  for (const [id, weight] of [...cuisineWeights]) {
+    for (const r of relatedCuisines(id)) wantCuisine(r.id, weight * r.similarity);
+  }
+  for (const [id, weight] of cuisineWeights) {
+    if (cuisines.get(id).searchable) put(`${id} restaurant`, weight, 'cuisine', id);
+  }
+
+  return [...weights.values()]
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, Math.max(1, budget))
+    .map(q => ({ ...q, weight: Math.round(q.weight * 100) / 100 }));
+}
+
+module.exports = {
+  buildTaxonomy,
+  getTaxonomy,
+  resolveTerm,
+  similarity,
+  relatedCuisines,
+  expandExcludes,
+  synthesizeQueries,
+};
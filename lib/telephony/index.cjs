@@ -0,0 +1,64 @@
+// lib/telephony/index.cjs
+// Pluggable telephony providers (Telnyx, simulated)
+//
+// A provider is a plain object:
+//   name
+//   dial({ to, clientState })            -> { callId }
+//   answer(callId, clientState)          pick up an incoming call
+//   reject(callId)                       decline an incoming call
+//   listen(callId, clientState)          start transcription/recording once answered
+//   speak(callId, text, clientState)     say something on a live call
+//   hangup(callId, clientState)
+//   parseWebhook(body)                   -> normalized event | null
+//   verifyWebhook(req)                   -> boolean
+//
+// Normalized call events passed to onEvent (or returned by parseWebhook):
+//   { type, callId, clientState, ... }
+//   type: 'initiated' | 'answered' | 'machine_detected' | 'machine_greeting_ended'
+//       | 'speak_ended' | 'speech' { text, final } | 'recording_saved' { url }
+//       | 'hangup' { cause } | 'incoming' { from, to } (no clientState yet)
+
+const { createTelnyxProvider } = require('./telnyx.cjs');
+const { createSimulatedProvider } = require('./simulated.cjs');
+const { isSandbox } = require('../sandbox/index.cjs');
+
+// clientState rides along with every call so webhook events can be routed back
+// to the right batch item without any in-process lookup table.
+function encodeClientState(state) {
+  return Buffer.from(JSON.stringify(state || {})).toString('base64');
+}
+
+function decodeClientState(encoded) {
+  if (!encoded) return {};
+  try {
+    return JSON.parse(Buffer.from(String(encoded), 'base64').toString('utf8'));
+  } catch (_e) {
+    return {};
+  }
+}
+
+function createTelephonyProvider({ onEvent } = {}) {
+  // Sandbox mode never dials a real number, whatever else is configured
+  if (isSandbox()) return createSimulatedProvider({ onEvent });
+
+  // Simulated calls are only ever asked for: outside the sandbox they would
+  // record scripted outcomes (and bookings) for real restaurants
+  const name = (process.env.TELEPHONY_PROVIDER || 'telnyx').toLowerCase();
+  if (name === 'telnyx' && !process.env.TELNYX_API_KEY && !process.env.TELEPHONY_PROVIDER) {
+    throw new Error('Missing TELNYX_API_KEY (set TELEPHONY_PROVIDER=simulated or SANDBOX=true to run without a carrier)');
+  }
+
+  if (name === 'telnyx') {
+    return createTelnyxProvider({ encodeClientState, decodeClientState });
+  }
+  if (name === 'simulated') {
+    return createSimulatedProvider({ onEvent });
+  }
+  throw new Error(`Unknown TELEPHONY_PROVIDER "${name}"`);
+}
+
+module.exports = {
+  createTelephonyProvider,
+  encodeClientState,
+  decodeClientState,
+};
@@ -0,0 +1,171 @@
+// lib/telephony/simulated.cjs
+// Offline provider: fakes ringing, answering and the restaurant's side of the
+// conversation so the whole call flow can run without a carrier. ring() fakes
+// a restaurant calling us back (see POST /voice/simulated/inbound).
+// In sandbox mode each fixture restaurant names its persona (see lib/sandbox);
+// any other number gets one picked from a hash of the phone number.
+
+const { personaForPhone } = require('../sandbox/index.cjs');
+
+const STEP_MS = Number(process.env.SIMULATED_CALL_STEP_MS || 1200);
+// Each delay varies by up to this fraction either way, so calls don't finish in lockstep
+const JITTER = 0.25;
+
+// What the "restaurant" says, one line per agent turn (`callback` lines when
+// we call back about an offered time, `booking` / `change` lines on booking
+// and modify / cancel calls, where a persona has them).
+// `rings` is how many steps pass before the call is picked up (or given up on);
+// `hangs_up` ends the call from their side right after their first line;
+// `by_name` personas are never picked by the phone-number hash.
+const PERSONAS = [
+  { name: 'available', answer: 'human', rings: 2, lines: [
+    'Yes, we have a table for that time.',
+    'Sure, see you then.'
+  ], booking: [
+    "Yes, you're all set, confirmation number is AB123.",
+    "There's a $25 per person no-show fee if you cancel less than 24 hours before."
+  ], change: [
+    "No problem, I've taken care of that for you."
+  ] },
+  { name: 'alternative', answer: 'human', rings: 3, lines: [
+    "We're full then, but I could do 8:30 instead.",
+    "Sure, I'll hold 8:30 for you."
+  ], callback: [
+    'Sure, no problem, I have that noted.'
+  ], change: [
+    "Sorry, we can't do that, we're completely full."
+  ] },
+  { name: 'fully_booked', answer: 'human', rings: 2, lines: [
+    "Sorry, we're fully booked that night.",
+    'Bye now.'
+  ] },
+  { name: 'opt_out', answer: 'human', rings: 2, lines: [
+    "Please take us off your list and don't call here again."
+  ] },
+  { name: 'voicemail', answer: 'machine', rings: 4, lines: [] },
+  { name: 'no_answer', answer: 'none', rings: 6, lines: [] },
+  { name: 'hang_up', answer: 'human', rings: 1, hangs_up: true, by_name: true, lines: [
+    "Sorry, it's a crazy night, I can't talk right now."
+  ] },
+  // A restaurant returning our call
+  { name: 'returning', answer: 'human', rings: 1, by_name: true, lines: [
+    'Hi, yes, we got your message. We have a table for that time.',
+    'Great, see you then.'
+  ] },
+];
+
+const HASHED = PERSONAS.filter(p => !p.by_name);
+// Call kind -> the persona's lines for it
+const KIND_LINES = { offer_callback: 'callback', booking: 'booking', reservation_change: 'change' };
+const RETURNING = PERSONAS.find(p => p.name === 'returning');
+
+function pickPersona(to) {
+  const named = personaForPhone(to);
+  if (named) {
+    const persona = PERSONAS.find(p => p.name === named);
+    if (persona) return persona;
+    console.warn(`unknown sandbox persona "${named}"; picking one by number`);
+  }
+  let h = 0;
+  for (const ch of String(to)) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return HASHED[h % HASHED.length];
+}
+
+const jittered = (ms) => Math.round(ms * (1 - JITTER + Math.random() * 2 * JITTER));
+
+function createSimulatedProvider({ onEvent } = {}) {
+  const calls = new Map(); // callId -> { persona, turns: { [lines]: n }, clientState, ended }
+  let seq = 0;
+
+  const emit = (callId, type, extra = {}) => {
+    const call = calls.get(callId);
+    // A call hangs up once: whichever side ends it first sets the cause
+    if (!call || call.ended) return;
+    if (type === 'hangup') call.ended = true;
+    Promise.resolve()
+      .then(() => onEvent && onEvent({ type, callId, clientState: call.clientState, ...extra }))
+      .catch(err => console.error('simulated call event error', err));
+  };
+
+  const later = (ms, fn) => setTimeout(fn, jittered(ms)).unref?.();
+
+  async function dial({ to, clientState }) {
+    const callId = `sim_call_${++seq}_${Date.now().toString(36)}`;
+    const persona = pickPersona(to);
+    calls.set(callId, { persona, turns: {}, clientState, ended: false });
+
+    later(STEP_MS / 4, () => emit(callId, 'initiated'));
+    later(STEP_MS * (persona.rings || 1), () => {
+      if (persona.answer === 'human') return emit(callId, 'answered');
+      if (persona.answer === 'machine') {
+        emit(callId, 'answered');
+        emit(callId, 'machine_detected');
+        return later(STEP_MS, () => emit(callId, 'machine_greeting_ended'));
+      }
+      emit(callId, 'hangup', { cause: 'no_answer' });
+    });
+
+    return { callId };
+  }
+
+  // A restaurant calling us; handleCallEvent answers or rejects it
+  async function ring({ from }) {
+    const callId = `sim_in_${++seq}_${Date.now().toString(36)}`;
+    calls.set(callId, { persona: RETURNING, turns: {}, clientState: {}, ended: false });
+    later(STEP_MS / 4, () => emit(callId, 'incoming', { from, to: 'simulated' }));
+    return { callId };
+  }
+
+  async function answer(callId, clientState) {
+    const call = calls.get(callId);
+    if (!call) return;
+    call.clientState = clientState;
+    later(STEP_MS / 4, () => emit(callId, 'answered'));
+  }
+
+  async function reject(callId) {
+    later(50, () => emit(callId, 'hangup', { cause: 'call_rejected' }));
+  }
+
+  async function listen(_callId, _clientState) {}
+
+  async function speak(callId, _text, clientState) {
+    const call = calls.get(callId);
+    if (!call || call.ended) return;
+    if (clientState) call.clientState = clientState;
+
+    later(STEP_MS / 2, () => emit(callId, 'speak_ended'));
+    // An answering machine just records; we hang up after our message
+    if (call.persona.answer === 'machine') return;
+    // A call reused for booking switches to the booking lines, from the top
+    const kindLines = KIND_LINES[call.clientState?.kind];
+    const key = kindLines && call.persona[kindLines] ? kindLines : 'lines';
+    const n = call.turns[key] || 0;
+    call.turns[key] = n + 1;
+    const line = call.persona[key][n];
+    later(STEP_MS, () => {
+      if (!line) return emit(callId, 'hangup', { cause: 'normal_clearing' });
+      emit(callId, 'speech', { text: line, final: true });
+      if (call.persona.hangs_up) later(STEP_MS / 4, () => emit(callId, 'hangup', { cause: 'remote_hangup' }));
+    });
+  }
+
+  async function hangup(callId, _clientState) {
+    later(50, () => emit(callId, 'hangup', { cause: 'normal_clearing' }));
+  }
+
+  return {
+    name: 'simulated',
+    dial,
+    ring,
+    answer,
+    reject,
+    listen,
+    speak,
+    hangup,
+    parseWebhook: () => null, // events are delivered directly through onEvent
+    verifyWebhook: () => true,
+  };
+}
+
+module.exports = { createSimulatedProvider, PERSONAS };
@@ -0,0 +1,151 @@
+// lib/telephony/telnyx.cjs
+// Telnyx Call Control v2 provider (REST + webhooks)
+
+const crypto = require('crypto');
+
+const TELNYX_API = 'https://api.telnyx.com/v2';
+const WEBHOOK_TOLERANCE_SEC = 300;
+
+function createTelnyxProvider({ encodeClientState, decodeClientState }) {
+  const apiKey = process.env.TELNYX_API_KEY;
+  const connectionId = process.env.TELNYX_CONNECTION_ID;
+  const fromNumber = process.env.TELNYX_FROM_NUMBER;
+  const publicKey = process.env.TELNYX_PUBLIC_KEY; // for webhook signatures
+  const publicBase = process.env.PUBLIC_BASE_URL;
+
+  if (!apiKey) throw new Error('Missing TELNYX_API_KEY');
+  if (!connectionId) throw new Error('Missing TELNYX_CONNECTION_ID');
+  if (!fromNumber) throw new Error('Missing TELNYX_FROM_NUMBER');
+  // Unsigned webhooks could steer any call through a forged client_state
+  if (!publicKey) throw new Error('Missing TELNYX_PUBLIC_KEY (verifies /voice/webhook signatures)');
+
+  async function request(path, body) {
+    const resp = await fetch(`${TELNYX_API}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body || {})
+    });
+    if (!resp.ok) {
+      const text = await resp.text().catch(() => '');
+      throw new Error(`Telnyx ${path} failed (${resp.status}): ${text.slice(0, 200)}`);
+    }
+    return resp.json().catch(() => ({}));
+  }
+
+  const action = (callId, name, body, clientState) =>
+    request(`/calls/${encodeURIComponent(callId)}/actions/${name}`, {
+      ...body,
+      ...(clientState ? { client_state: encodeClientState(clientState) } : {})
+    });
+
+  async function dial({ to, clientState }) {
+    const resp = await request('/calls', {
+      connection_id: connectionId,
+      to,
+      from: fromNumber,
+      client_state: encodeClientState(clientState),
+      // detect_beep also reports when the greeting is over, so a voicemail lands after the beep
+      answering_machine_detection: 'detect_beep',
+      ...(publicBase ? { webhook_url: `${publicBase}/voice/webhook` } : {})
+    });
+    const callId = resp.data?.call_control_id;
+    if (!callId) throw new Error('Telnyx dial returned no call_control_id');
+    return { callId };
+  }
+
+  async function listen(callId, clientState) {
+    await action(callId, 'transcription_start', {
+      language: 'en',
+      transcription_tracks: 'inbound'
+    }, clientState);
+    await action(callId, 'record_start', { format: 'mp3', channels: 'single' }, clientState);
+  }
+
+  function speak(callId, text, clientState) {
+    return action(callId, 'speak', {
+      payload: text,
+      voice: process.env.TELNYX_VOICE || 'female',
+      language: 'en-US'
+    }, clientState);
+  }
+
+  function hangup(callId, clientState) {
+    return action(callId, 'hangup', {}, clientState);
+  }
+
+  function answer(callId, clientState) {
+    return action(callId, 'answer', publicBase ? { webhook_url: `${publicBase}/voice/webhook` } : {}, clientState);
+  }
+
+  function reject(callId) {
+    return action(callId, 'reject', { cause: 'CALL_REJECTED' });
+  }
+
+  // Map Telnyx event_type -> normalized event
+  function parseWebhook(body) {
+    const data = body?.data;
+    const payload = data?.payload || {};
+    if (!data?.event_type || !payload.call_control_id) return null;
+
+    const base = {
+      callId: payload.call_control_id,
+      clientState: decodeClientState(payload.client_state)
+    };
+
+    switch (data.event_type) {
+      case 'call.initiated':
+        return payload.direction === 'incoming'
+          ? { ...base, type: 'incoming', from: payload.from, to: payload.to }
+          : { ...base, type: 'initiated' };
+      case 'call.answered':
+        return { ...base, type: 'answered' };
+      case 'call.machine.detection.ended':
+        return payload.result === 'machine' ? { ...base, type: 'machine_detected' } : null;
+      case 'call.machine.greeting.ended':
+        return { ...base, type: 'machine_greeting_ended' };
+      case 'call.speak.ended':
+        return { ...base, type: 'speak_ended' };
+      case 'call.transcription': {
+        const t = payload.transcription_data || {};
+        return { ...base, type: 'speech', text: t.transcript || '', final: t.is_final !== false };
+      }
+      case 'call.recording.saved':
+        return { ...base, type: 'recording_saved', url: payload.recording_urls?.mp3 || payload.public_recording_urls?.mp3 || null };
+      case 'call.hangup':
+        return { ...base, type: 'hangup', cause: payload.hangup_cause || 'unknown' };
+      default:
+        return null;
+    }
+  }
+
+  // ed25519 over "<timestamp>|<raw body>", checked against TELNYX_PUBLIC_KEY
+  function verifyWebhook(req) {
+    if (!publicKey) return false;
+    const signature = req.get('telnyx-signature-ed25519');
+    const timestamp = req.get('telnyx-timestamp');
+    if (!signature || !timestamp || !req.rawBody) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE_SEC) return false;
+
+    try {
+      const key = crypto.createPublicKey({
+        key: Buffer.concat([
+          Buffer.from('302a300506032b6570032100', 'hex'),
+          Buffer.from(publicKey, 'base64')
+        ]),
+        format: 'der',
+        type: 'spki'
+      });
+      const signed = Buffer.concat([Buffer.from(`${timestamp}|`), req.rawBody]);
+      return crypto.verify(null, signed, key, Buffer.from(signature, 'base64'));
+    } catch (_e) {
+      return false;
+    }
+  }
+
+  return { name: 'telnyx', dial, answer, reject, listen, speak, hangup, parseWebhook, verifyWebhook };
+}
+
+module.exports = { createTelnyxProvider };
@@ -0,0 +1,69 @@
+// lib/time-window.cjs
+// Acceptable dining windows. A search can carry
+//   time_window: { start: 'HH:MM', end: 'HH:MM' }   explicit window, or
+//   flexibility_minutes: 30                        +/- around `time`
+// and auto_accept (default true): take an offered time inside the window on
+// the spot instead of asking the guest first.
+
+const HHMM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MIN = 24 * 60;
+
+const toMin = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+};
+
+const toHHMM = (min) => {
+  const m = ((min % DAY_MIN) + DAY_MIN) % DAY_MIN;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+};
+
+const isHHMM = (v) => HHMM_RE.test(String(v || ''));
+
+// -> error message for a malformed window rule, or null
+function validateWindow({ time_window, flexibility_minutes } = {}) {
+  if (time_window) {
+    if (!isHHMM(time_window.start) || !isHHMM(time_window.end)) {
+      return 'time_window needs start and end as HH:MM';
+    }
+    if (time_window.start === time_window.end) return 'time_window start and end must differ';
+  }
+  if (flexibility_minutes !== undefined && flexibility_minutes !== null) {
+    const n = Number(flexibility_minutes);
+    if (!Number.isFinite(n) || n < 0 || n > 240) return 'flexibility_minutes must be between 0 and 240';
+  }
+  return null;
+}
+
+// The window a query accepts -> { start, end } (HH:MM; end < start wraps past midnight) | null
+function resolveWindow(query = {}) {
+  const w = query.time_window;
+  if (w && isHHMM(w.start) && isHHMM(w.end)) return { start: w.start, end: w.end };
+
+  const flex = Number(query.flexibility_minutes);
+  if (isHHMM(query.time) && flex > 0) {
+    const at = toMin(query.time);
+    return { start: toHHMM(Math.max(0, at - flex)), end: toHHMM(Math.min(DAY_MIN - 1, at + flex)) };
+  }
+  return null;
+}
+
+function inWindow(window, timeHHMM) {
+  if (!window || !isHHMM(timeHHMM)) return false;
+  const t = toMin(timeHHMM);
+  const start = toMin(window.start);
+  const end = toMin(window.end);
+  return start <= end ? t >= start && t <= end : t >= start || t <= end;
+}
+
+// Should the call agent take this offered time without asking the guest?
+function acceptsOnCall(query = {}, timeHHMM) {
+  return query.auto_accept !== false && inWindow(resolveWindow(query), timeHHMM);
+}
+
+module.exports = {
+  validateWindow,
+  resolveWindow,
+  inWindow,
+  acceptsOnCall,
+};
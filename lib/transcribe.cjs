@@ -0,0 +1,24 @@
+// lib/transcribe.cjs
+// Call recording -> text (OpenAI Whisper)
+
+const { toFile } = require('openai');
+const { getOpenAI } = require('./clients.cjs');
+
+const MAX_RECORDING_BYTES = 25 * 1024 * 1024; // Whisper upload limit
+
+async function transcribeRecording(url) {
+  if (!url) return '';
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`Recording download failed (${resp.status})`);
+  const buf = Buffer.from(await resp.arrayBuffer());
+  if (buf.length > MAX_RECORDING_BYTES) throw new Error('Recording too large to transcribe');
+
+  const out = await getOpenAI().audio.transcriptions.create({
+    file: await toFile(buf, 'call.mp3'),
+    model: 'whisper-1',
+    language: 'en'
+  });
+  return (out.text || '').trim();
+}
+
+module.exports = { transcribeRecording };
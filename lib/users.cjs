@@ -0,0 +1,148 @@
+// lib/users.cjs
+// Guest accounts: { id, name, email, oauth, guest_profile, created_at, updated_at }
+// Users come from an OAuth sign-in (lib/auth.cjs) or are created by an admin;
+// either kind can mint API keys for our own clients.
+//
+// API keys ("rzk_...") are shown once. The store keeps only their SHA-256,
+// which doubles as the key record's id.
+
+const crypto = require('crypto');
+const { store } = require('./store/index.cjs');
+const { normalizePhone } = require('./phone.cjs');
+
+const USERS = 'users';
+const API_KEYS = 'api_keys';
+const KEY_PREFIX = 'rzk_';
+const MAX_KEYS_PER_USER = 10;
+const LAST_USED_GRANULARITY_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+function newUserId() {
+  return 'user_' + crypto.randomBytes(6).toString('hex');
+}
+
+/* ==================== Users ==================== */
+
+async function createUser({ name, email } = {}) {
+  const now = Date.now();
+  const user = {
+    id: newUserId(),
+    name: name || null,
+    email: email || null,
+    oauth: null,
+    guest_profile: null,
+    created_at: now,
+    updated_at: now
+  };
+  return store.set(USERS, user.id, user);
+}
+
+async function getUser(id) {
+  if (!id) return null;
+  return store.get(USERS, id);
+}
+
+// The account behind an OAuth identity, created on first sign-in. The id is
+// derived from issuer + subject so every server sharing a STORE agrees on it.
+async function userForOAuth({ issuer, sub, email, name }) {
+  const id = 'user_' + hashKey(`${issuer}|${sub}`).slice(0, 16);
+  const now = Date.now();
+  return store.mutate(USERS, id, current => ({
+    id,
+    guest_profile: null,
+    created_at: now,
+    ...current,
+    name: name || current?.name || null,
+    email: email || current?.email || null,
+    oauth: { issuer, sub },
+    updated_at: now
+  }));
+}
+
+// { name, phone } -> error message or null
+function validateGuestProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return 'guest_profile must be an object';
+  if (!profile.name || !String(profile.name).trim()) return 'Missing name';
+  if (!normalizePhone(profile.phone)) return 'Invalid phone';
+  return null;
+}
+
+async function saveGuestProfile(userId, { name, phone }) {
+  const guest_profile = { name: String(name).trim(), phone: String(phone).trim(), updated_at: Date.now() };
+  return store.mutate(USERS, userId, current => (current ? { ...current, guest_profile, updated_at: Date.now() } : undefined));
+}
+
+// What clients get back about an account
+function publicUser(user) {
+  if (!user) return null;
+  const { id, name, email, guest_profile, created_at } = user;
+  return { id, name, email, guest_profile: guest_profile || null, signed_in_with: user.oauth ? 'oauth' : 'api_key', created_at };
+}
+
+/* ==================== API keys ==================== */
+
+const isApiKey = (token) => String(token || '').startsWith(KEY_PREFIX);
+
+// -> { key, api_key } where `key` is the secret (never stored, never shown again)
+async function createApiKey(userId, { label } = {}) {
+  const existing = await apiKeyRecords(userId);
+  if (existing.length >= MAX_KEYS_PER_USER) throw new Error(`At most ${MAX_KEYS_PER_USER} API keys per account`);
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const record = {
+    id: hashKey(key),
+    user_id: userId,
+    label: label ? String(label).slice(0, 80) : null,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    created_at: Date.now(),
+    last_used_at: null
+  };
+  await store.set(API_KEYS, record.id, record);
+  return { key, api_key: publicApiKey(record) };
+}
+
+async function apiKeyRecords(userId) {
+  return store.list(API_KEYS, { where: { user_id: userId }, limit: MAX_KEYS_PER_USER * 2 });
+}
+
+async function listApiKeys(userId) {
+  return (await apiKeyRecords(userId)).map(publicApiKey);
+}
+
+// Key ids given to clients are a short form of the hash; -> removed?
+async function revokeApiKey(userId, keyId) {
+  const record = (await apiKeyRecords(userId)).find(k => publicApiKey(k).id === keyId);
+  if (!record) return false;
+  await store.remove(API_KEYS, record.id);
+  return true;
+}
+
+// Secret -> its user, or null
+async function userForApiKey(key) {
+  const record = await store.get(API_KEYS, hashKey(key));
+  if (!record) return null;
+  const now = Date.now();
+  if (!record.last_used_at || now - record.last_used_at > LAST_USED_GRANULARITY_MS) {
+    await store.mutate(API_KEYS, record.id, current => (current ? { ...current, last_used_at: now } : undefined));
+  }
+  return getUser(record.user_id);
+}
+
+function publicApiKey(record) {
+  const { id, label, prefix, created_at, last_used_at } = record;
+  return { id: id.slice(0, 12), label, prefix, created_at, last_used_at };
+}
+
+module.exports = {
+  createUser,
+  getUser,
+  userForOAuth,
+  validateGuestProfile,
+  saveGuestProfile,
+  publicUser,
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  userForApiKey,
+};
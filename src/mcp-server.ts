@@ -0,0 +1,390 @@
+// src/mcp-server.ts
+import "dotenv/config";
+import express from "express";
+import cors from "cors";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { z } from "zod";
+import { createRequire } from "module";
+
+// The backend lib is CommonJS (shared with index.cjs)
+const require = createRequire(import.meta.url);
+const service = require("../lib/service.cjs");
+const { telephony, handleCallEvent, resumeScheduledCalls } = require("../lib/calls.cjs");
+const { resumeReminders } = require("../lib/reminders.cjs");
+const { hasMap, renderBatchMap } = require("../lib/map.cjs");
+const { isSandbox } = require("../lib/sandbox/index.cjs");
+const { authRequired, canAccess, identify, pluginAuth, protectedResource } = require("../lib/auth.cjs");
+
+const PORT = Number(process.env.PORT || 3000);
+const PUBLIC_BASE = process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
+
+const app = express();
+// Quotas key anonymous callers by client IP (see index.cjs)
+app.set("trust proxy", process.env.TRUST_PROXY || "loopback");
+
+// Allow browser-based MCP clients to read the Mcp-Session-Id header
+app.use(cors({
+  origin: true,
+  exposedHeaders: ["Mcp-Session-Id"],
+}));
+app.use(express.json({
+  // keep the raw body around for webhook signature checks
+  verify: (req: any, _res, buf) => { req.rawBody = buf; },
+}));
+
+// ---------------- MCP server & tools ----------------
+const server = new McpServer({ name: "rezkyoo-mcp", version: "1.0.0" });
+
+// Field names and descriptions follow openapi.json so both surfaces accept the same input
+const intent = z.enum(["next_available", "specific_time"]).describe("Reservation type.");
+const craving = z.record(z.string(), z.any()).describe("Parsed craving context including NLP chips and preferences.");
+const hhmm = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/);
+const timing = {
+  time_window: z.object({ start: hhmm, end: hhmm }).optional()
+    .describe("Acceptable seating window (HH:MM 24h), e.g. 18:30-20:30."),
+  flexibility_minutes: z.number().int().min(0).max(240).optional()
+    .describe("Window of +/- this many minutes around `time` when no time_window is given."),
+  auto_accept: z.boolean().optional()
+    .describe("Accept an offered time inside the window on the call (default true)."),
+};
+
+const ranking = z.object({
+  profile: z.string().optional().describe("Weight profile: default, classic, nearby or a configured one."),
+  weights: z.record(z.string(), z.number()).optional()
+    .describe("Per-signal weight overrides (craving, rating, popularity, reservable, hours_unknown, dietary, distance, price_fit, vibe, past_outcome)."),
+}).describe("How candidates are ranked; each result carries a score_breakdown.");
+
+const policy = z.object({
+  mode: z.enum(["parallel", "sequential", "first_confirmed"]).optional()
+    .describe("parallel, sequential in rank order, or first_confirmed (first confirmed table wins; the rest are cancelled or released)."),
+  concurrency: z.number().int().min(1).max(10).optional().describe("Calls in flight at once."),
+}).describe("How the batch works through its restaurants (default from BATCH_POLICY).");
+
+const coordinates = z.object({
+  lat: z.number().min(-90).max(90),
+  lng: z.number().min(-180).max(180),
+  accuracy_m: z.number().min(0).optional().describe("Accuracy radius of the position in meters."),
+}).describe("Search center; use instead of (or with) location for 'near me' or a picked location choice.");
+
+const searchAndCallShape = {
+  cuisine: z.string().optional().describe("Cuisine preference (optional if mood provided)"),
+  location: z.string().optional().describe("Search location (address or 'lat,lng'). An ambiguous one returns choices; resend with coordinates."),
+  coordinates: coordinates.optional(),
+  party_size: z.number().int().positive().describe("Party size"),
+  date: z.string().describe("Date (YYYY-MM-DD)"),
+  time: z.string().optional().describe("Time (HH:MM 24h). Required if intent = 'specific_time' and no time_window is given."),
+  intent,
+  craving: craving.optional(),
+  max_calls: z.number().int().min(1).max(10).optional().describe("Maximum number of restaurants to call in this batch."),
+  policy: policy.optional(),
+  ...timing,
+  debug: z.boolean().optional().describe("Include why candidates were excluded."),
+  ranking: ranking.optional(),
+};
+
+// Service results go back as JSON text plus structuredContent; ServiceErrors become tool errors.
+// `caller` is the second argument of service calls: the user /mcp signed in (see below)
+// and the client IP, which quotas fall back to.
+function toolResult<A>(run: (args: A, caller: { user: unknown; ip: string | null }) => Promise<unknown>) {
+  return async (args: A, extra: any) => {
+    try {
+      const data = await run(args, { user: extra?.authInfo?.extra?.user ?? null, ip: extra?.authInfo?.extra?.ip ?? null });
+      return {
+        content: [{ type: "text" as const, text: JSON.stringify(data) }],
+        structuredContent: data as Record<string, unknown>,
+      };
+    } catch (err: any) {
+      if (!(err instanceof service.ServiceError)) console.error("mcp tool error", err);
+      const message = err instanceof service.ServiceError ? err.message : "Internal error";
+      // Details (e.g. location choices) go along as JSON so the model can act on them
+      const text = err?.details ? JSON.stringify({ message, ...err.details }) : message;
+      return { isError: true, content: [{ type: "text" as const, text }] };
+    }
+  };
+}
+
+server.tool(
+  "parse_query",
+  "Turn a natural-language craving into normalized dining intent (cuisines, dishes, budget, excludes) and chips. Pass the previous `parsed` to refine it with a follow-up; the result includes a diff.",
+  {
+    text: z.string().describe("User's natural-language description of what they are in the mood for (e.g., 'spicy noodles, $$, not sushi'), or a follow-up (e.g., 'actually make it cheaper and skip anything spicy')"),
+    previous: z.record(z.string(), z.any()).optional().describe("`parsed` from an earlier parse_query call; `text` is applied to it as a change")
+  },
+  toolResult((args, caller) => service.parseQuery(args, caller))
+);
+
+server.tool(
+  "find_restaurants",
+  "Search restaurants near a location (ranked, eligibility-filtered). Does not place any calls.",
+  {
+    location: z.string().optional().describe("Search location (address or 'lat,lng')"),
+    coordinates: coordinates.optional(),
+    cuisine: z.string().optional().describe("Cuisine preference (optional if craving provided)"),
+    craving: craving.optional(),
+    date: z.string().optional().describe("Date (YYYY-MM-DD); filters by opening hours"),
+    time: z.string().optional().describe("Time (HH:MM 24h)"),
+    intent: intent.optional(),
+    party_size: z.number().int().positive().optional().describe("Party size; places that refused this size before are left out."),
+    time_window: timing.time_window,
+    flexibility_minutes: timing.flexibility_minutes,
+    limit: z.number().int().min(1).max(20).optional(),
+    debug: z.boolean().optional().describe("Include why candidates were excluded."),
+    ranking: ranking.optional(),
+  },
+  toolResult((args, caller) => service.findRestaurants(args, caller))
+);
+
+server.tool(
+  "search_and_call",
+  "Find restaurants matching the request and start calling them for availability. Returns a batchId to poll.",
+  searchAndCallShape,
+  toolResult((args, caller) => service.searchAndCall(args, caller))
+);
+
+server.tool(
+  "search_more",
+  "Call the next set of restaurants for an earlier batch, skipping ones already called. Each call dials new restaurants and is charged against the caller's quota; ask the user before calling it again. A search allows at most 4 rounds.",
+  {
+    original_batch_id: z.string(),
+    craving: craving.optional(),
+    ranking: ranking.optional(),
+    policy: policy.optional(),
+  },
+  toolResult((args, caller) => service.searchMore(args, caller))
+);
+
+server.tool(
+  "call_restaurant",
+  "Call one specific restaurant (by place_id and/or phone) to ask about availability. Returns a batchId to poll.",
+  {
+    place_id: z.string().optional(),
+    name: z.string().optional(),
+    phone: z.string().optional(),
+    party_size: z.number().int().positive().describe("Party size"),
+    date: z.string().describe("Date (YYYY-MM-DD)"),
+    time: z.string().optional().describe("Time (HH:MM 24h). Required if intent = 'specific_time' and no time_window is given."),
+    intent: intent.optional(),
+    ...timing,
+  },
+  toolResult((args, caller) => service.callRestaurant(args, caller))
+);
+
+server.tool(
+  "get_batch_status",
+  "Return the call status and outcome of every restaurant in a batch. Restaurants outside calling hours are 'scheduled', with the time they will be called.",
+  { batchId: z.string() },
+  toolResult(({ batchId }, caller) => service.getBatchStatus(batchId, caller))
+);
+
+server.tool(
+  "get_place_history",
+  "What past calls taught us about a restaurant: outcomes, answer rate, reservation policies and typical lead times.",
+  { place_id: z.string() },
+  toolResult(({ place_id }) => service.getPlaceHistory(place_id))
+);
+
+server.tool(
+  "decide_offer",
+  "Accept or reject a time a restaurant offered instead of the requested one. May call the restaurant back to take or release it.",
+  {
+    batch_id: z.string(),
+    item_id: z.string().describe("Batch item id (the restaurant's place_id)."),
+    decision: z.enum(["accept", "reject"]),
+    callback: z.boolean().optional().describe("Set false to record the decision without calling back."),
+  },
+  toolResult((args, caller) => service.decideOffer(args, caller))
+);
+
+server.tool(
+  "book_reservation",
+  "Book a table at a restaurant that was reached in a batch; places a confirmation call. Guest name and phone default to the saved guest profile.",
+  {
+    batch_id: z.string().describe("Batch the restaurant was called in."),
+    item_id: z.string().describe("Batch item id (the restaurant's place_id)."),
+    guest_name: z.string().optional().describe("Name to hold the table under (default: saved guest profile)."),
+    guest_phone: z.string().optional().describe("Guest contact phone number (default: saved guest profile)."),
+    save_guest_profile: z.boolean().optional().describe("Remember this name and phone for later bookings."),
+  },
+  toolResult((args, caller) => service.bookReservation(args, caller))
+);
+
+server.tool(
+  "get_reservation_status",
+  "Return reservation status for a given reservationId.",
+  { reservationId: z.string() },
+  toolResult(({ reservationId }, caller) => service.getReservationStatus(reservationId, caller))
+);
+
+server.tool(
+  "get_reservation_calendar",
+  "Return a booked table as an iCalendar (.ics) event: restaurant name and address, party size, and the start in the restaurant's time zone. Offer `ics` to the user as a file named `filename`.",
+  { reservationId: z.string() },
+  toolResult(({ reservationId }, caller) => service.getReservationCalendar(reservationId, caller))
+);
+
+server.tool(
+  "modify_reservation",
+  "Change the party size, date and/or time of a confirmed reservation. Calls the restaurant; the reservation is 'modifying' until it answers, then 'confirmed' with the new details (or the old ones, with the reason on `change`). Poll get_reservation_status.",
+  {
+    reservation_id: z.string(),
+    party_size: z.number().int().min(1).max(50).optional(),
+    date: z.string().optional().describe("New date (YYYY-MM-DD)"),
+    time: z.string().optional().describe("New time (HH:MM 24h)"),
+  },
+  toolResult((args, caller) => service.modifyReservation(args, caller))
+);
+
+server.tool(
+  "cancel_reservation",
+  "Cancel a confirmed reservation. Calls the restaurant; the reservation is 'cancelling' until it answers, then 'cancelled'. `late: true` means the restaurant's free-cancellation deadline has passed and a no-show fee may apply.",
+  {
+    reservation_id: z.string(),
+    reason: z.string().optional().describe("Why the guest is cancelling (kept on the reservation)."),
+  },
+  toolResult((args, caller) => service.cancelReservation(args, caller))
+);
+
+server.tool(
+  "get_guest_profile",
+  "Return the signed-in user's account and saved guest profile (name and callback phone used for bookings).",
+  {},
+  toolResult((_args, caller) => service.getAccount(caller))
+);
+
+server.tool(
+  "save_guest_profile",
+  "Save the name and callback phone that bookings use by default.",
+  {
+    name: z.string().describe("Name to hold tables under."),
+    phone: z.string().describe("Guest contact phone number."),
+  },
+  toolResult((args, caller) => service.updateGuestProfile(args, caller))
+);
+
+server.tool(
+  "get_quota",
+  "Return how many searches and calls the caller has left in each rate-limit window, and today's spend against their budget. Check it before starting more searches.",
+  {},
+  toolResult((_args, caller) => service.getQuota(caller))
+);
+
+// ---------------- Streamable HTTP endpoint (/mcp) ----------------
+// Per the official SDK example: create a transport PER request and pass it the req/res.
+// The caller signs in with an OAuth access token (or an API key); a 401 points
+// MCP clients at the protected resource metadata to start the OAuth flow.
+app.post("/mcp", async (req, res) => {
+  const who = await identify(req);
+  if (who.error || (!who.user && authRequired())) {
+    res.set("WWW-Authenticate", `Bearer resource_metadata="${PUBLIC_BASE}/.well-known/oauth-protected-resource"`);
+    return res.status(who.status || 401).json({ message: who.error || "Sign in required" });
+  }
+  (req as any).auth = { token: who.token || "", clientId: "rezkyoo", scopes: [], extra: { user: who.user, ip: req.ip } };
+
+  const transport = new StreamableHTTPServerTransport({
+    enableJsonResponse: true, // lets simple GET/POST checks return JSON
+  });
+
+  res.on("close", () => {
+    transport.close();
+  });
+
+  await server.connect(transport);
+  await transport.handleRequest(req, res, req.body);
+});
+
+// (Nice for quick checks; spec allows a single endpoint path — usually POST, but this avoids 404s.)
+app.get("/mcp", (_req, res) => {
+  res.status(200).json({ ok: true, hint: "Use POST /mcp for MCP messages" });
+});
+
+// ---------------- Telephony webhook ----------------
+// Calls dialed from MCP tools report back here when PUBLIC_BASE_URL points at this server
+app.post("/voice/webhook", async (req, res) => {
+  try {
+    if (!telephony.verifyWebhook(req)) {
+      return res.status(401).json({ message: "Invalid webhook signature" });
+    }
+    const evt = telephony.parseWebhook(req.body);
+    if (evt) await handleCallEvent(evt);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("voice webhook error", err);
+    res.status(500).json({ message: "Webhook handling failed" });
+  }
+});
+
+// ---------------- Batch maps ----------------
+// mapUrl in tool results points here (PUBLIC_BASE_URL)
+app.get("/status/:batchId/map", async (req, res) => {
+  try {
+    const batch = await service.getBatchContext(req.params.batchId);
+    const keyed = batch?.map_key && req.query.key === batch.map_key;
+    if (!keyed && !canAccess(batch, (await identify(req)).user)) return res.status(404).json({ message: "Map not found" });
+    if (!hasMap(batch)) return res.status(404).json({ message: "Map not found" });
+    const { contentType, body } = await renderBatchMap(batch);
+    res.set("Cache-Control", "no-cache").type(contentType).send(body);
+  } catch (err) {
+    console.error("map error", err);
+    res.status(500).json({ message: "Could not draw map" });
+  }
+});
+
+// ---------------- Health & well-known ----------------
+app.get("/health", (_req, res) => res.json({ ok: true, at: Date.now(), sandbox: isSandbox() }));
+
+// Serve /.well-known (ai-plugin.json & openapi.json)
+app.use("/.well-known", express.static(".well-known", { extensions: ["json"] }));
+
+// Dynamically ensure the OpenAPI server URL matches your tunnel
+app.get("/.well-known/openapi.json", (req, res, next) => {
+  try {
+    const spec = require("../.well-known/openapi.json");
+    spec.servers = [{ url: PUBLIC_BASE }];
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.json(spec);
+  } catch (err) { next(err); }
+});
+
+// OAuth protected resource metadata (RFC 9728): where MCP clients sign in
+app.get(["/.well-known/oauth-protected-resource", "/.well-known/oauth-protected-resource/mcp"], async (_req, res, next) => {
+  try {
+    const metadata = await protectedResource(`${PUBLIC_BASE}/mcp`);
+    if (!metadata) return res.status(404).json({ message: "OAuth is not configured" });
+    res.json(metadata);
+  } catch (err) { next(err); }
+});
+
+// Dynamically ensure the manifest’s api.url points at your tunnel; the file
+// says "auth": { "type": "none" }, replaced only when OAuth is configured
+app.get("/.well-known/ai-plugin.json", async (req, res, next) => {
+  try {
+    const manifest = require("../.well-known/ai-plugin.json");
+    if (manifest?.api?.type === "openapi" && manifest.api.url) {
+      const u = new URL(manifest.api.url, "http://placeholder");
+      manifest.api.url = `${PUBLIC_BASE}${u.pathname}`;
+    }
+    const auth = await pluginAuth();
+    if (auth) manifest.auth = auth;
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.json(manifest);
+  } catch (err) { next(err); }
+});
+
+// ---------------- Start ----------------
+const httpServer = app.listen(PORT, () => {
+  console.log(`✅ MCP server running at ${PUBLIC_BASE}`);
+  console.log(`---`);
+  console.log(`Connector (MCP) URL: ${PUBLIC_BASE}/mcp`);
+  console.log(`Manifest:            ${PUBLIC_BASE}/.well-known/ai-plugin.json`);
+  console.log(`OpenAPI:             ${PUBLIC_BASE}/.well-known/openapi.json`);
+  console.log(`Health:              ${PUBLIC_BASE}/health`);
+  if (isSandbox()) console.log(`Sandbox mode:        fixture restaurants, canned parsing, simulated calls`);
+  console.log(`---`);
+  resumeScheduledCalls().catch((err: unknown) => console.error("resume scheduled calls error", err));
+  resumeReminders().catch((err: unknown) => console.error("resume reminders error", err));
+});
+
+// Longer keep-alives help with streaming stability
+httpServer.keepAliveTimeout = 120_000;
+httpServer.headersTimeout = 125_000;
@@ -0,0 +1,100 @@
+// test/auth.test.cjs
+// OAuth access tokens (lib/auth.cjs): the provider must know the user and
+// must have issued the token to us. The provider is a stubbed fetch.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.OAUTH_ISSUER = 'https://id.example.test';
+process.env.OAUTH_CLIENT_ID = 'rezkyoo';
+delete process.env.OAUTH_CLIENT_SECRET;
+delete process.env.STORE;
+
+const { identify } = require('../lib/auth.cjs');
+const { withEnv } = require('./helpers/env.cjs');
+
+const USERINFO = 'https://id.example.test/userinfo';
+const INTROSPECT = 'https://id.example.test/introspect';
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+// A JWT-shaped access token; the signature is the provider's business, not ours
+let serial = 0;
+const jwt = (claims) => ['e30', Buffer.from(JSON.stringify(claims)).toString('base64url'), `sig${++serial}`].join('.');
+
+// Stubs the provider: discovery, userinfo for `sub` and, optionally, introspection
+function provider(t, { sub = 'abc', userinfoStatus = 200, introspection = null } = {}) {
+  return t.mock.method(globalThis, 'fetch', async (url) => {
+    if (url.endsWith('/.well-known/openid-configuration')) {
+      return json({ userinfo_endpoint: USERINFO, introspection_endpoint: INTROSPECT });
+    }
+    if (url === USERINFO) return userinfoStatus === 200 ? json({ sub, email: 'a@example.test' }) : json({}, userinfoStatus);
+    if (url === INTROSPECT) return json(introspection);
+    throw new Error(`unexpected fetch ${url}`);
+  });
+}
+
+const bearer = (token) => identify({ headers: { authorization: `Bearer ${token}` } });
+
+test('a token issued to our client signs the user in', async (t) => {
+  provider(t);
+  for (const claims of [{ sub: 'abc', aud: 'rezkyoo' }, { aud: ['api', 'rezkyoo'] }, { aud: 'api', azp: 'rezkyoo' }, { client_id: 'rezkyoo' }]) {
+    const { user, status } = await bearer(jwt(claims));
+    assert.equal(status, undefined, JSON.stringify(claims));
+    assert.equal(user.email, 'a@example.test');
+    assert.deepEqual(user.oauth, { issuer: 'https://id.example.test', sub: 'abc' });
+  }
+});
+
+test('a token minted for another app is refused', async (t) => {
+  provider(t);
+  assert.equal((await bearer(jwt({ sub: 'abc', aud: 'other-app', azp: 'other-app' }))).status, 401);
+  assert.equal((await bearer(jwt({ sub: 'abc' }))).status, 401);
+});
+
+test('an opaque token is refused without introspection', async (t) => {
+  provider(t);
+  assert.equal((await bearer('opaque-token')).status, 401);
+});
+
+test('a token for a different user than userinfo reports is refused', async (t) => {
+  provider(t);
+  assert.equal((await bearer(jwt({ sub: 'someone-else', aud: 'rezkyoo' }))).status, 401);
+});
+
+test('introspection decides when a client secret is set', async (t) => {
+  await withEnv({ OAUTH_CLIENT_SECRET: 's3cret' }, async () => {
+    const fetch = provider(t, { introspection: { active: true, sub: 'abc', client_id: 'rezkyoo' } });
+    assert.ok((await bearer('opaque-ours')).user);
+    const call = fetch.mock.calls.find(c => c.arguments[0] === INTROSPECT);
+    assert.equal(call.arguments[1].headers.Authorization, `Basic ${Buffer.from('rezkyoo:s3cret').toString('base64')}`);
+
+    provider(t, { introspection: { active: true, sub: 'abc', client_id: 'other-app' } });
+    assert.equal((await bearer('opaque-theirs')).status, 401);
+    provider(t, { introspection: { active: false } });
+    assert.equal((await bearer('opaque-revoked')).status, 401);
+  });
+});
+
+test('userinfo decides whether the token is still good', async (t) => {
+  provider(t, { userinfoStatus: 401 });
+  assert.equal((await bearer(jwt({ sub: 'abc', aud: 'rezkyoo' }))).status, 401);
+
+  const error = t.mock.method(console, 'error', () => {});
+  provider(t, { userinfoStatus: 500 });
+  assert.equal((await bearer(jwt({ sub: 'abc', aud: 'rezkyoo' }))).status, 503);
+  assert.equal(error.mock.callCount(), 1);
+});
+
+test('without OAUTH_CLIENT_ID no access token is accepted', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  provider(t);
+  await withEnv({ OAUTH_CLIENT_ID: undefined }, async () => {
+    assert.equal((await bearer(jwt({ sub: 'abc', aud: 'rezkyoo' }))).status, 401);
+  });
+  assert.match(warn.mock.calls[0].arguments[0], /OAUTH_CLIENT_ID is not set/);
+});
+
+test('no credentials is an anonymous caller', async () => {
+  assert.deepEqual(await identify({ headers: {}, url: '/batches' }), { user: null });
+});
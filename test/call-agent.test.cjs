@@ -0,0 +1,121 @@
+// test/call-agent.test.cjs
+// What the agent asks for, and how it reads a restaurant's replies
+// (lib/call-agent.cjs): to a hold it asked for on an availability call, and
+// to a change or cancellation
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { describeRequest, nextTurn, nextChangeTurn } = require('../lib/call-agent.cjs');
+
+/* ==================== Asking for a table ==================== */
+
+test('the request names the date when there is one', () => {
+  assert.equal(
+    describeRequest({ party_size: 4, date: '2026-10-23', time: '19:00', intent: 'specific_time' }),
+    'a table for 4 on Friday, October 23 at 7 PM'
+  );
+});
+
+test('the request leaves the date out when there is none', () => {
+  assert.equal(describeRequest({ party_size: 4, time: '19:00', intent: 'specific_time' }), 'a table for 4 at 7 PM');
+  assert.equal(describeRequest({ party_size: 2, intent: 'next_available' }), 'the next available table for 2');
+  assert.doesNotMatch(describeRequest({ party_size: 2, time_window: { start: '18:00', end: '20:00' } }), /today/);
+});
+
+/* ==================== Holding an offered time ==================== */
+
+const QUERY = { party_size: 2, date: '2026-10-23', time: '19:00' };
+const HOLDING = { time: '20:30', in_window: true, status: 'holding', source: 'call', at: 1000 };
+
+// The turn after the restaurant offered 8:30, we asked them to hold it, and they said `replies`
+const holdTurn = (...replies) => nextTurn({
+  query: QUERY,
+  item: { offer: HOLDING },
+  turns: [
+    { speaker: 'restaurant', text: 'We could do 8:30.', at: 900 },
+    { speaker: 'agent', text: 'Could you please hold that for a party of 2?', at: 1000 },
+    ...replies.flatMap((text, i) => [
+      { speaker: 'restaurant', text, at: 1100 + i * 100 },
+      ...(i < replies.length - 1 ? [{ speaker: 'agent', text: 'Sorry, just to check...', at: 1150 + i * 100 }] : [])
+    ])
+  ]
+});
+
+test('a yes holds the offered time', () => {
+  const turn = holdTurn("Sure, it's held for you.");
+  assert.equal(turn.hangup, true);
+  assert.equal(turn.offer.status, 'held');
+});
+
+test('a no gives the offered time up', () => {
+  assert.equal(holdTurn("Sorry, it's just gone.").offer.status, 'unavailable');
+});
+
+for (const reply of ['Hmm, let me check with my manager.', 'Hold on one second.']) {
+  test(`"${reply}" is asked again instead of taken as a hold`, () => {
+    const turn = holdTurn(reply);
+    assert.equal(turn.hangup, false);
+    assert.equal(turn.offer, undefined);
+    assert.match(turn.say, /can you hold 8:30 PM for a party of 2\?/);
+  });
+}
+
+test('a second unclear reply leaves the time for the guest to decide', () => {
+  const turn = holdTurn('Hold on one second.', 'Let me find out, one minute.');
+  assert.equal(turn.hangup, true);
+  assert.equal(turn.offer.status, 'awaiting_decision');
+});
+
+test('a yes after being asked again still holds it', () => {
+  assert.equal(holdTurn('Hold on one second.', 'Yes, got it.').offer.status, 'held');
+});
+
+/* ==================== Changes and cancellations ==================== */
+
+const RESERVATION = { restaurant_name: 'Green Table', party_size: 2, date: '2026-10-23', time: '19:00', guest: { name: 'Sam' } };
+const CANCEL = { action: 'cancel', requested: {} };
+
+// Outcome of the change call after the restaurant's first reply
+const outcomeOf = (reply) => nextChangeTurn({
+  reservation: RESERVATION,
+  change: CANCEL,
+  turns: [{ speaker: 'agent', text: 'Could you please cancel that booking?' }, { speaker: 'restaurant', text: reply }]
+}).outcome;
+
+const DONE = [
+  "Done, it's cancelled.",
+  'All taken care of.',
+  "Sure, I've moved it to eight.",
+  "Not a problem, it's cancelled."
+];
+
+const NOT_DONE = [
+  "No, that's not done.",
+  "We haven't changed anything yet.",
+  "Sorry, we won't be able to move it.",
+  "It isn't cancelled, I can't find the booking.",
+  "Yes, hold on, it's not cancelled yet."
+];
+
+for (const reply of DONE) {
+  test(`"${reply}" confirms the change`, () => {
+    assert.equal(outcomeOf(reply), 'confirmed');
+  });
+}
+
+for (const reply of NOT_DONE) {
+  test(`"${reply}" does not confirm the change`, () => {
+    assert.notEqual(outcomeOf(reply), 'confirmed');
+  });
+}
+
+test('a plain refusal declines the change', () => {
+  assert.equal(outcomeOf("Sorry, we can't cancel within the hour."), 'declined');
+});
+
+test('an unclear reply asks again before giving up', () => {
+  const turn = nextChangeTurn({ reservation: RESERVATION, change: CANCEL, turns: [{ speaker: 'restaurant', text: "No, that's not done." }] });
+  assert.equal(turn.hangup, false);
+  assert.match(turn.say, /is the booking under Sam cancelled/);
+});
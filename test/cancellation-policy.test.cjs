@@ -0,0 +1,112 @@
+// test/cancellation-policy.test.cjs
+// Reading a restaurant's cancellation terms and working out the free-cancel
+// deadline (lib/cancellation-policy.cjs)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCancellationPolicy, cancellationDeadline, withCancellationPolicy } = require('../lib/cancellation-policy.cjs');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Friday 2026-10-23, 19:00 in Phoenix (UTC-7, no daylight saving)
+const RESERVATION = { date: '2026-10-23', time: '19:00', utc_offset_minutes: -420 };
+const START = Date.parse('2026-10-24T02:00:00Z');
+
+/* ==================== parseCancellationPolicy ==================== */
+
+test('a per-person fee with a notice period', () => {
+  const policy = parseCancellationPolicy("You're all set. There's a $25 per person no-show fee if you cancel within 24 hours.");
+  assert.deepEqual(
+    { ...policy, text: undefined },
+    { fee_usd: 25, per_person: true, notice_hours: 24, free: false, text: undefined }
+  );
+  assert.match(policy.text, /no-show fee/);
+});
+
+test('notice given in days or words', () => {
+  assert.equal(parseCancellationPolicy('Please cancel at least two days ahead or we charge $50.').notice_hours, 48);
+  assert.equal(parseCancellationPolicy('Cancellations need an hour of notice.').notice_hours, 1);
+  assert.equal(parseCancellationPolicy('Just cancel by the day before, please.').notice_hours, 24);
+});
+
+test('a fee with no notice period', () => {
+  const policy = parseCancellationPolicy('No-shows are charged 20 dollars.');
+  assert.equal(policy.fee_usd, 20);
+  assert.equal(policy.per_person, false);
+  assert.equal(policy.notice_hours, null);
+});
+
+test('free cancellation', () => {
+  const policy = parseCancellationPolicy('No cancellation fee, you can cancel anytime.');
+  assert.equal(policy.free, true);
+  assert.equal(policy.fee_usd, 0);
+});
+
+test('a "no fee" with a notice period and an amount is not free', () => {
+  const policy = parseCancellationPolicy('No fee if you cancel at least 24 hours ahead, otherwise it is $50.');
+  assert.equal(policy.free, false);
+  assert.equal(policy.fee_usd, 50);
+  assert.equal(policy.notice_hours, 24);
+  assert.equal(cancellationDeadline(RESERVATION, policy), START - 24 * HOUR_MS);
+});
+
+test('nothing said about cancelling', () => {
+  assert.equal(parseCancellationPolicy('Great, see you at seven!'), null);
+  assert.equal(parseCancellationPolicy(''), null);
+  assert.equal(parseCancellationPolicy('Feel free to call if you need to cancel.'), null);
+});
+
+/* ==================== Deadlines ==================== */
+
+test('the deadline is the notice period before the reservation, in restaurant time', () => {
+  const policy = { fee_usd: 25, per_person: true, notice_hours: 24, free: false };
+  assert.equal(cancellationDeadline(RESERVATION, policy), START - 24 * HOUR_MS);
+});
+
+test('a fee without notice needs a day', () => {
+  assert.equal(cancellationDeadline(RESERVATION, { fee_usd: 20, notice_hours: null, free: false }), START - 24 * HOUR_MS);
+});
+
+test('free cancellation has no deadline', () => {
+  assert.equal(cancellationDeadline(RESERVATION, { fee_usd: 0, notice_hours: null, free: true }), null);
+});
+
+/* ==================== withCancellationPolicy ==================== */
+
+const POLICY = { fee_usd: 25, per_person: true, notice_hours: 24, free: false };
+
+// These expect the default three-hour lead
+delete process.env.CANCEL_REMINDER_HOURS;
+
+test('a reminder is scheduled ahead of the deadline', () => {
+  const now = Date.parse('2026-10-20T12:00:00Z');
+  const result = withCancellationPolicy(RESERVATION, POLICY, now);
+  const deadline = START - 24 * HOUR_MS;
+  assert.equal(result.cancellation_policy.deadline, deadline);
+  assert.deepEqual(result.reminders, [{ kind: 'cancel_deadline', due_at: deadline - 3 * HOUR_MS, sent_at: null }]);
+});
+
+test('a deadline closer than the lead time is reminded of right away', () => {
+  const now = START - 25 * HOUR_MS;
+  const [reminder] = withCancellationPolicy(RESERVATION, POLICY, now).reminders;
+  assert.equal(reminder.due_at, now);
+});
+
+test('a passed deadline gets no reminder', () => {
+  const result = withCancellationPolicy(RESERVATION, POLICY, START - HOUR_MS);
+  assert.deepEqual(result.reminders, []);
+  assert.equal(result.cancellation_policy.deadline, START - 24 * HOUR_MS);
+});
+
+test('a new policy replaces the unsent reminder and keeps the sent ones', () => {
+  const now = Date.parse('2026-10-20T12:00:00Z');
+  const sent = { kind: 'cancel_deadline', due_at: 1, sent_at: 2 };
+  const reservation = { ...RESERVATION, reminders: [sent, { kind: 'cancel_deadline', due_at: 3, sent_at: null }] };
+  const result = withCancellationPolicy(reservation, { ...POLICY, notice_hours: 48 }, now);
+  assert.deepEqual(result.reminders.map(r => r.due_at), [1, START - 51 * HOUR_MS]);
+});
+
+test('no policy leaves the reservation as it was', () => {
+  assert.equal(withCancellationPolicy(RESERVATION, null), RESERVATION);
+});
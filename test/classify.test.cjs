@@ -0,0 +1,144 @@
+// test/classify.test.cjs
+// classifyByRules and classifyTranscript against the fixture transcripts in
+// test/fixtures/transcripts (one file per expected outcome)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { classifyByRules, classifyTranscript, extractTimes } = require('../lib/classify.cjs');
+const { getOpenAI } = require('../lib/clients.cjs');
+const { OUTCOMES, OUTCOME_VALUES } = require('../lib/outcomes.cjs');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'transcripts');
+const QUERY = { party_size: 2, date: '2026-10-23', time: '19:00' };
+
+const transcript = (name) => fs.readFileSync(path.join(FIXTURES, `${name}.txt`), 'utf8');
+const fixtureNames = () => fs.readdirSync(FIXTURES).filter(f => f.endsWith('.txt')).map(f => f.slice(0, -4));
+
+// Swaps the OpenAI completion call for the duration of fn
+async function withLLM(create, fn) {
+  const completions = getOpenAI().chat.completions;
+  const original = completions.create;
+  completions.create = create;
+  try {
+    return await fn();
+  } finally {
+    completions.create = original;
+  }
+}
+
+const llmReply = (body) => async () => ({ choices: [{ message: { content: JSON.stringify(body) } }] });
+
+/* ==================== classifyByRules ==================== */
+
+test('every outcome has a fixture transcript', () => {
+  assert.deepEqual(fixtureNames().sort(), [...OUTCOME_VALUES].sort());
+});
+
+for (const name of fixtureNames()) {
+  test(`rules classify ${name}.txt as ${name}`, () => {
+    const result = classifyByRules(transcript(name), { query: QUERY });
+    assert.equal(result.outcome, name);
+    assert.equal(result.source, 'rules');
+    assert.ok(result.confidence > 0 && result.confidence <= 1);
+    assert.ok(result.ai_summary);
+  });
+}
+
+test('rules pick up the offered time, not the requested one', () => {
+  const result = classifyByRules(transcript('alternative_offered'), { query: QUERY });
+  assert.equal(result.alternative_time, '20:30');
+  assert.match(result.ai_summary, /8:30 PM/);
+});
+
+test('rules flag the card requirement', () => {
+  const result = classifyByRules(transcript('credit_card_required'), { query: QUERY });
+  assert.equal(result.credit_card_required, true);
+  assert.equal(result.alternative_time, null);
+});
+
+test('rules only read the restaurant side of a labeled transcript', () => {
+  // The agent says "available"; the restaurant does not
+  const text = 'Agent: Is a table for 2 available at 7:00 PM?\nRestaurant: Unfortunately not tonight.';
+  assert.equal(classifyByRules(text, { query: QUERY }).outcome, OUTCOMES.UNAVAILABLE);
+});
+
+test('an opt-out wins over anything else said', () => {
+  const result = classifyByRules(transcript('opt_out'), { query: QUERY });
+  assert.equal(result.outcome, OUTCOMES.OPT_OUT);
+});
+
+test('an empty transcript is unknown', () => {
+  assert.equal(classifyByRules('', { query: QUERY }).outcome, OUTCOMES.UNKNOWN);
+  assert.equal(classifyByRules(undefined).outcome, OUTCOMES.UNKNOWN);
+});
+
+test('extractTimes reads dinner hours as PM and skips party sizes', () => {
+  assert.deepEqual(extractTimes('table for 4 at 8:30 or 9 pm'), ['20:30', '21:00']);
+  assert.deepEqual(extractTimes("6 o'clock"), ['18:00']);
+  assert.deepEqual(extractTimes('11:15 am'), ['11:15']);
+});
+
+/* ==================== classifyTranscript ==================== */
+
+test('classifyTranscript uses the rules without an OpenAI key', async () => {
+  const saved = process.env.OPENAI_API_KEY;
+  delete process.env.OPENAI_API_KEY;
+  try {
+    const result = await classifyTranscript(transcript('fully_booked'), { query: QUERY });
+    assert.equal(result.outcome, OUTCOMES.FULLY_BOOKED);
+    assert.equal(result.source, 'rules');
+  } finally {
+    if (saved !== undefined) process.env.OPENAI_API_KEY = saved;
+  }
+});
+
+test('classifyTranscript prefers the LLM and clamps its answer', async () => {
+  process.env.OPENAI_API_KEY ||= 'sk-test';
+  let request = null;
+  const result = await withLLM(async (body) => {
+    request = body;
+    return llmReply({ outcome: 'alternative_offered', confidence: 3, summary: 'They offered 8:30.', alternative_time: '20:30' })();
+  }, () => classifyTranscript(transcript('alternative_offered'), { query: QUERY }));
+
+  assert.equal(result.outcome, OUTCOMES.ALTERNATIVE_OFFERED);
+  assert.equal(result.source, 'llm');
+  assert.equal(result.confidence, 1);
+  assert.equal(result.alternative_time, '20:30');
+  assert.equal(result.ai_summary, 'They offered 8:30.');
+  assert.match(request.messages[1].content, /How about 8:30\?/);
+});
+
+test('classifyTranscript drops a malformed alternative time from the LLM', async () => {
+  process.env.OPENAI_API_KEY ||= 'sk-test';
+  const result = await withLLM(
+    llmReply({ outcome: 'alternative_offered', confidence: 0.8, alternative_time: '8:30pm' }),
+    () => classifyTranscript(transcript('alternative_offered'), { query: QUERY })
+  );
+  assert.equal(result.alternative_time, null);
+  assert.match(result.ai_summary, /another time/);
+});
+
+test('classifyTranscript falls back to the rules on an unknown LLM outcome', async (t) => {
+  process.env.OPENAI_API_KEY ||= 'sk-test';
+  t.mock.method(console, 'error', () => {});
+  const result = await withLLM(
+    llmReply({ outcome: 'maybe', confidence: 0.9 }),
+    () => classifyTranscript(transcript('closed'), { query: QUERY })
+  );
+  assert.equal(result.outcome, OUTCOMES.CLOSED);
+  assert.equal(result.source, 'rules');
+});
+
+test('classifyTranscript falls back to the rules when the LLM call fails', async (t) => {
+  process.env.OPENAI_API_KEY ||= 'sk-test';
+  t.mock.method(console, 'error', () => {});
+  const result = await withLLM(
+    async () => { throw new Error('network down'); },
+    () => classifyTranscript(transcript('voicemail'), { query: QUERY })
+  );
+  assert.equal(result.outcome, OUTCOMES.VOICEMAIL);
+  assert.equal(result.source, 'rules');
+});
@@ -0,0 +1,53 @@
+// test/eligibility.test.cjs
+// Dietary needs checked against reviews and the editorial summary (lib/eligibility.cjs)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkEligibility, preferencesFrom } = require('../lib/eligibility.cjs');
+
+const VEGAN = preferencesFrom({ parsed: { dietary: ['vegan'] } });
+
+function place({ summary, reviews = [] } = {}) {
+  return {
+    name: 'Green Table',
+    types: ['restaurant'],
+    business_status: 'OPERATIONAL',
+    formatted_phone_number: '(480) 555-0100',
+    editorial_summary: summary ? { overview: summary } : undefined,
+    reviews: reviews.map(text => ({ text }))
+  };
+}
+
+const dietaryOf = (p) => checkEligibility(p, VEGAN);
+
+test('a negation elsewhere in the review does not count against the need', () => {
+  const result = dietaryOf(place({ reviews: ['No complaints at all, the vegan menu is fantastic.'] }));
+  assert.equal(result.eligible, true);
+  assert.deepEqual(result.dietary.verified, ['vegan']);
+});
+
+test('one review denying the need is not enough to exclude', () => {
+  const result = dietaryOf(place({ reviews: ['Sadly there were no vegan options the night we went.'] }));
+  assert.equal(result.eligible, true);
+  assert.deepEqual(result.dietary.unverified, ['vegan']);
+});
+
+test('two reviews denying the need exclude the place', () => {
+  const result = dietaryOf(place({
+    reviews: ['Sadly there were no vegan options.', "Great steaks, but nothing vegan on the menu."]
+  }));
+  assert.equal(result.eligible, false);
+  assert.deepEqual(result.reasons.map(r => r.code), ['dietary']);
+});
+
+test('the editorial summary denying the need excludes on its own', () => {
+  const result = dietaryOf(place({ summary: 'Classic steakhouse with no vegetarian or vegan dishes.' }));
+  assert.equal(result.eligible, false);
+});
+
+test('no mention at all leaves the need unverified', () => {
+  const result = dietaryOf(place({ reviews: ['Lovely patio and friendly staff.'] }));
+  assert.equal(result.eligible, true);
+  assert.deepEqual(result.dietary.unverified, ['vegan']);
+});
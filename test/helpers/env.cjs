@@ -0,0 +1,27 @@
+// test/helpers/env.cjs
+// Environment switches for tests of modules that read process.env on each call
+
+// Runs fn with the given environment (undefined unsets a variable), then puts
+// the old values back; an async fn is awaited first
+function withEnv(env, fn) {
+  const saved = Object.fromEntries(Object.keys(env).map(k => [k, process.env[k]]));
+  const apply = (values) => {
+    for (const [k, v] of Object.entries(values)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  };
+  apply(env);
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    apply(saved);
+    throw err;
+  }
+  if (result && typeof result.then === 'function') return result.finally(() => apply(saved));
+  apply(saved);
+  return result;
+}
+
+module.exports = { withEnv };
@@ -0,0 +1,142 @@
+// test/hours.test.cjs
+// Opening-hours evaluation (lib/hours.cjs) and the calling window built on it
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isOpenAt, nextOpenSlot, openIntervals, localMinutes, DAY_MIN } = require('../lib/hours.cjs');
+const { callWindow, scheduleItems } = require('../lib/calling-hours.cjs');
+const { withEnv } = require('./helpers/env.cjs');
+
+// Google's shape for a place that never closes
+const ALWAYS_OPEN = { utc_offset_minutes: 0, opening_hours: { periods: [{ open: { day: 0, time: '0000' } }] } };
+
+// Tue-Sun 17:00-22:00, with Friday and Saturday running to 01:00
+const DINNER = {
+  utc_offset_minutes: 0,
+  opening_hours: {
+    periods: [2, 3, 4, 0].map(day => ({ open: { day, time: '1700' }, close: { day, time: '2200' } })).concat(
+      [5, 6].map(day => ({ open: { day, time: '1700' }, close: { day: (day + 1) % 7, time: '0100' } }))
+    )
+  }
+};
+
+// 2026-10-18 is a Sunday
+const WEEK = ['2026-10-18', '2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24'];
+
+/* ==================== 24/7 ==================== */
+
+test('a 24/7 place is open every day of the week', () => {
+  for (const date of WEEK) {
+    for (const time of ['00:00', '03:15', '12:00', '23:59']) {
+      assert.equal(isOpenAt(ALWAYS_OPEN, date, time), true, `${date} ${time}`);
+    }
+  }
+});
+
+test('a 24/7 place is one unbroken interval', () => {
+  const from = Math.floor(localMinutes('2026-10-20') / DAY_MIN);
+  const intervals = openIntervals(ALWAYS_OPEN, from, from + 2);
+  assert.equal(intervals.length, 1);
+  const [s, e] = intervals[0];
+  assert.ok(s <= from * DAY_MIN && e >= (from + 3) * DAY_MIN);
+});
+
+test('a 24/7 place has slots right up to midnight', () => {
+  assert.deepEqual(nextOpenSlot(ALWAYS_OPEN, localMinutes('2026-10-22', '23:40')), { date: '2026-10-22', time: '23:45' });
+});
+
+test('calling hours do not treat a 24/7 place as closed', () => {
+  const now = Date.parse('2026-10-21T10:00:00Z'); // a Wednesday morning
+  assert.deepEqual(callWindow(ALWAYS_OPEN, { now }), { ok: true });
+});
+
+/* ==================== Regular hours ==================== */
+
+test('regular hours are open only while the restaurant is', () => {
+  assert.equal(isOpenAt(DINNER, '2026-10-20', '18:00'), true);
+  assert.equal(isOpenAt(DINNER, '2026-10-20', '22:00'), false);
+  assert.equal(isOpenAt(DINNER, '2026-10-19', '18:00'), false); // closed Mondays
+});
+
+test('an overnight period counts on the morning after', () => {
+  assert.equal(isOpenAt(DINNER, '2026-10-24', '00:30'), true);
+  assert.equal(isOpenAt(DINNER, '2026-10-24', '01:00'), false);
+});
+
+test('the next slot skips a closed day and respects the last seating', () => {
+  assert.deepEqual(nextOpenSlot(DINNER, localMinutes('2026-10-19', '12:00')), { date: '2026-10-20', time: '17:00' });
+  assert.deepEqual(nextOpenSlot(DINNER, localMinutes('2026-10-20', '21:30')), { date: '2026-10-21', time: '17:00' });
+});
+
+test('calling hours wait until an hour before opening', () => {
+  const now = Date.parse('2026-10-20T10:00:00Z'); // Tuesday, 10:00
+  const w = callWindow(DINNER, { now });
+  assert.equal(w.ok, false);
+  assert.equal(w.reason, 'restaurant_closed');
+  assert.equal(w.eta, Date.parse('2026-10-20T16:00:00Z'));
+});
+
+/* ==================== Rush hour ==================== */
+
+// Friday 18:00 (2026-10-23), inside the default fri,sat 18:00-20:30 blackout
+const FRIDAY_RUSH = Date.parse('2026-10-23T18:00:00Z');
+
+const batchFor = (time) => ({
+  query: { date: '2026-10-23', time },
+  restaurants: [{ place_id: 'p1', utc_offset_minutes: 0 }],
+  items: [{ id: 'p1', place_id: 'p1', status: 'pending' }]
+});
+
+test('rush hour waits when there is time after it', () => {
+  const [item] = scheduleItems(batchFor('21:30'), FRIDAY_RUSH);
+  assert.equal(item.status, 'scheduled');
+  assert.equal(item.schedule_reason, 'rush_hour');
+  assert.equal(item.scheduled_for, Date.parse('2026-10-23T20:30:00Z'));
+});
+
+test('a same-evening request is called during rush hour', () => {
+  const [item] = scheduleItems(batchFor('19:00'), FRIDAY_RUSH);
+  assert.equal(item.status, 'pending');
+});
+
+test('rush hour is waived but the restaurant is still waited for', () => {
+  // Friday from 19:30, so calls may start at 18:30; the 20:00 table leaves no time after the rush
+  const LATE_OPENER = { utc_offset_minutes: 0, opening_hours: { periods: [{ open: { day: 5, time: '1930' }, close: { day: 5, time: '2300' } }] } };
+  const batch = { ...batchFor('20:00'), restaurants: [{ place_id: 'p1', ...LATE_OPENER }] };
+  const [item] = scheduleItems(batch, FRIDAY_RUSH);
+  assert.equal(item.status, 'scheduled');
+  assert.equal(item.schedule_reason, 'restaurant_closed');
+  assert.equal(item.scheduled_for, Date.parse('2026-10-23T18:30:00Z'));
+});
+
+test('the waiver never reaches outside calling hours', () => {
+  // Friday 07:00 for a 09:15 table: calling hours open at 09:00, after the 08:45 deadline
+  const [item] = scheduleItems(batchFor('09:15'), Date.parse('2026-10-23T07:00:00Z'));
+  assert.equal(item.status, 'skipped');
+  assert.equal(item.skip_reason, 'outside_calling_hours');
+  assert.equal(item.schedule_reason, 'calling_hours');
+});
+
+/* ==================== Past midnight ==================== */
+
+test('calling hours may run past midnight', () => {
+  withEnv({ CALLING_HOURS: '20:00-02:00', CALL_BLACKOUTS: '' }, () => {
+    assert.deepEqual(callWindow(ALWAYS_OPEN, { now: Date.parse('2026-10-21T01:00:00Z') }), { ok: true });
+    const w = callWindow(ALWAYS_OPEN, { now: Date.parse('2026-10-21T03:00:00Z') });
+    assert.equal(w.reason, 'calling_hours');
+    assert.equal(w.eta, Date.parse('2026-10-21T20:00:00Z'));
+  });
+});
+
+test('a blackout past midnight belongs to the day it starts on', () => {
+  withEnv({ CALLING_HOURS: '00:00-24:00', CALL_BLACKOUTS: 'fri 23:00-01:00' }, () => {
+    const at = (iso) => callWindow(ALWAYS_OPEN, { now: Date.parse(iso) });
+    assert.equal(at('2026-10-23T23:30:00Z').reason, 'rush_hour'); // Friday night
+    const saturday = at('2026-10-24T00:30:00Z');                   // still Friday's blackout
+    assert.equal(saturday.reason, 'rush_hour');
+    assert.equal(saturday.eta, Date.parse('2026-10-24T01:00:00Z'));
+    assert.deepEqual(at('2026-10-23T00:30:00Z'), { ok: true });    // Thursday night
+    assert.deepEqual(at('2026-10-25T00:30:00Z'), { ok: true });    // Saturday night
+  });
+});
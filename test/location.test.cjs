@@ -0,0 +1,64 @@
+// test/location.test.cjs
+// Resolving where to search (lib/location.cjs): coordinates, "near me" and
+// addresses that geocode to several places. Geocoding runs against the
+// sandbox fixtures (lib/sandbox/fixtures.json).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The maps client is picked when lib/clients.cjs loads
+process.env.SANDBOX = 'true';
+
+const { resolveLocation, isNearMe, validateCoordinates } = require('../lib/location.cjs');
+
+test('an address matching far-apart places comes back as choices', async () => {
+  const result = await resolveLocation({ location: 'Springfield' });
+  assert.equal(result.status, 409);
+  assert.equal(result.code, 'ambiguous_location');
+  assert.deepEqual(result.choices.map(c => c.label), ['Springfield, IL, USA', 'Springfield, MO, USA']);
+  assert.ok(result.choices.every(c => Number.isFinite(c.lat) && Number.isFinite(c.lng) && c.place_id));
+});
+
+test('matches close together are one place, anchored on the first', async () => {
+  const result = await resolveLocation({ location: 'Mill Avenue, Tempe near Scottsdale' });
+  assert.equal(result.center.label, 'Tempe, AZ, USA');
+  assert.equal(result.center.source, 'address');
+  assert.equal(result.center.accuracy_m, null);
+});
+
+test('an address with no match is not found', async () => {
+  const result = await resolveLocation({ location: 'Atlantis' });
+  assert.equal(result.status, 400);
+  assert.equal(result.code, 'location_not_found');
+});
+
+test('"near me" needs coordinates', async () => {
+  assert.equal(isNearMe('  Near me '), true);
+  assert.equal(isNearMe('near Mill Avenue'), false);
+  const result = await resolveLocation({ location: 'near me' });
+  assert.equal(result.code, 'location_required');
+
+  const located = await resolveLocation({ location: 'near me', coordinates: { lat: 33.4, lng: -111.9, accuracy_m: 35.6 } });
+  assert.deepEqual(located.center, { lat: 33.4, lng: -111.9, accuracy_m: 36, label: '33.40000,-111.90000', source: 'coordinates' });
+});
+
+test('coordinates win over the text, which is kept as the label', async () => {
+  const { center } = await resolveLocation({ location: 'Springfield', coordinates: { lat: '39.78', lng: '-89.65' } });
+  assert.equal(center.label, 'Springfield');
+  assert.equal(center.lat, 39.78);
+});
+
+test('typed "lat,lng" text is used as coordinates', async () => {
+  const { center } = await resolveLocation({ location: ' 33.4255, -111.94 ' });
+  assert.equal(center.source, 'coordinates');
+  assert.deepEqual([center.lat, center.lng], [33.4255, -111.94]);
+  assert.equal((await resolveLocation({ location: '95.0,10' })).code, 'invalid_coordinates');
+});
+
+test('coordinates are range-checked', async () => {
+  assert.equal(validateCoordinates({ lat: 0, lng: 181 }), 'coordinates.lng must be between -180 and 180');
+  assert.equal(validateCoordinates({ lat: 0, lng: 0, accuracy_m: -1 }), 'coordinates.accuracy_m must be a non-negative number');
+  assert.match(validateCoordinates({ lat: 0, lng: 0, accuracy_m: 60000 }), /too coarse/);
+  assert.equal((await resolveLocation({ coordinates: { lat: 'x', lng: 0 } })).status, 400);
+  assert.equal((await resolveLocation({})).code, 'location_required');
+});
@@ -0,0 +1,26 @@
+// test/map.test.cjs
+// Batch map URLs (lib/map.cjs)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mapUrlFor } = require('../lib/map.cjs');
+const { withEnv } = require('./helpers/env.cjs');
+
+const batch = (extra) => ({ id: 'b 1', query: { center: { lat: 1, lng: 2 } }, items: [], ...extra });
+
+test('mapUrlFor encodes the batch id and map key', () => {
+  withEnv({ PUBLIC_BASE_URL: 'https://example.test/' }, () => {
+    const url = new URL(mapUrlFor(batch({ map_key: 'a&b=c #d' })));
+    assert.equal(url.pathname, '/status/b%201/map');
+    assert.equal(url.searchParams.get('key'), 'a&b=c #d');
+    assert.match(url.searchParams.get('v'), /^[0-9a-f]{10}$/);
+  });
+});
+
+test('mapUrlFor leaves the key out when the batch has none, and is null with nothing to plot', () => {
+  withEnv({ PUBLIC_BASE_URL: 'https://example.test' }, () => {
+    assert.equal(new URL(mapUrlFor(batch())).searchParams.has('key'), false);
+    assert.equal(mapUrlFor({ id: 'b2', items: [] }), null);
+  });
+});
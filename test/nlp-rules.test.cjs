@@ -0,0 +1,72 @@
+// test/nlp-rules.test.cjs
+// The rule-based parse_query (lib/nlp-rules.cjs), read as a change to the
+// previous parse on follow-up turns
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseByRules, normalizeParsed } = require('../lib/nlp-rules.cjs');
+
+// Parses each turn on top of the one before it
+const turns = (...texts) => texts.reduce((previous, text) => parseByRules(text, previous), null);
+
+test('a first turn picks up cuisines, budget, dietary needs, vibe and excludes', () => {
+  assert.deepEqual(parseByRules('thai, $$, not sushi'), normalizeParsed({
+    cuisines: ['thai'], budget: '$$', hard_excludes: ['sushi']
+  }));
+  const parsed = parseByRules('vegan and gluten free, romantic');
+  assert.deepEqual(parsed.dietary, ['vegan', 'gluten-free']);
+  assert.deepEqual(parsed.vibe, ['romantic']);
+  assert.equal(parsed.radius_km, 5);
+});
+
+test('"actually ... instead" replaces the food but keeps everything else', () => {
+  const parsed = turns('thai, $$, not sushi', 'actually korean bbq instead');
+  assert.deepEqual(parsed.cuisines, []);
+  assert.deepEqual(parsed.dishes, ['korean bbq']);
+  assert.equal(parsed.budget, '$$');
+  assert.deepEqual(parsed.hard_excludes, ['sushi']);
+});
+
+test('cheaper and fancier step the budget', () => {
+  assert.equal(turns('thai, $$', 'make it cheaper').budget, '$');
+  assert.equal(turns('thai, $', 'make it cheaper').budget, '$');
+  assert.equal(parseByRules('fancier').budget, '$$$');
+  assert.equal(turns('thai, $$', 'no budget').budget, '');
+});
+
+test('excluding something drops it from the wants', () => {
+  const parsed = turns('spicy thai with a patio', 'skip anything spicy');
+  assert.deepEqual(parsed.attributes, []);
+  assert.deepEqual(parsed.hard_excludes, ['spicy']);
+  assert.deepEqual(parsed.vibe, ['patio']);
+});
+
+test('forgetting something takes it back', () => {
+  const parsed = turns('spicy thai with a patio', 'forget the patio');
+  assert.deepEqual(parsed.vibe, []);
+  assert.deepEqual(parsed.attributes, ['spicy']);
+});
+
+test('an exclude is lifted by allowing or asking for it again, however it was worded', () => {
+  assert.deepEqual(turns('not sushi, not thai', 'sushi is fine').hard_excludes, ['thai']);
+  assert.deepEqual(turns('not japanese food', 'japanese is fine').hard_excludes, []);
+
+  const parsed = turns('not japanese food', 'japanese food');
+  assert.deepEqual(parsed.cuisines, ['japanese']);
+  assert.deepEqual(parsed.hard_excludes, []);
+});
+
+test('radius phrases change the search radius within bounds', () => {
+  assert.equal(turns('thai', 'closer').radius_km, 2.5);
+  assert.equal(turns('thai', 'within 2 miles').radius_km, 3.2);
+  assert.equal(turns('thai', 'within 3 km').radius_km, 3);
+  assert.equal(parseByRules('walking distance').radius_km, 1.5);
+  assert.equal(parseByRules('wider', { radius_km: 20 }).radius_km, 25);
+  assert.equal(parseByRules('closer', { radius_km: 1.5 }).radius_km, 1);
+});
+
+test('a previous parse from a client is normalized first', () => {
+  const parsed = parseByRules('', { cuisines: ['Thai', 'thai', ''], budget: '$$$$$', radius_km: -3, extra: true });
+  assert.deepEqual(parsed, normalizeParsed({ cuisines: ['thai'] }));
+});
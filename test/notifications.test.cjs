@@ -0,0 +1,119 @@
+// test/notifications.test.cjs
+// Choosing notification providers (lib/notify) and sending guest messages
+// once (lib/notifications.cjs)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Messages print, so tests can count them
+process.env.NOTIFY_PROVIDER = 'console';
+delete process.env.SANDBOX;
+
+const { createNotifier } = require('../lib/notify/index.cjs');
+const { notifyGuest } = require('../lib/notifications.cjs');
+const { createReservation, getReservation, updateReservation } = require('../lib/reservations.cjs');
+const { withEnv } = require('./helpers/env.cjs');
+
+// notifyGuest from a fresh copy of lib/notifications.cjs, so it sets up its
+// notifier again under the current environment
+function freshNotifyGuest() {
+  delete require.cache[require.resolve('../lib/notifications.cjs')];
+  return require('../lib/notifications.cjs').notifyGuest;
+}
+
+async function bookedReservation() {
+  const batch = { id: 'b1', query: { party_size: 2, date: '2026-10-23', time: '19:00' }, restaurants: [] };
+  const item = { id: 'p1', name: 'Thai Orchid', phone: '+14805550100' };
+  const reservation = await createReservation({ batch, item, guest: { name: 'Sam', phone: '480-555-0101' } });
+  return updateReservation(reservation.id, { status: 'confirmed', confirmation: { code: 'AB123' } });
+}
+
+/* ==================== Providers ==================== */
+
+test('notifications are off by default outside sandbox mode', () => {
+  withEnv({ NOTIFY_PROVIDER: undefined, SANDBOX: undefined }, () => {
+    assert.equal(createNotifier(), null);
+  });
+});
+
+test('sandbox mode prints to the console by default', () => {
+  withEnv({ NOTIFY_PROVIDER: undefined, SANDBOX: '1' }, () => {
+    assert.equal(createNotifier().name, 'console');
+  });
+});
+
+test('sandbox mode never uses a live provider', () => {
+  withEnv({ NOTIFY_PROVIDER: 'telnyx,smtp', SANDBOX: '1' }, () => {
+    assert.equal(createNotifier().name, 'console,console');
+  });
+});
+
+test('a misconfigured or unknown provider throws', () => {
+  withEnv({ NOTIFY_PROVIDER: 'smtp', SMTP_URL: undefined, SMTP_HOST: undefined }, () => {
+    assert.throws(() => createNotifier(), /SMTP_URL/);
+  });
+  withEnv({ NOTIFY_PROVIDER: 'pigeon' }, () => {
+    assert.throws(() => createNotifier(), /Unknown NOTIFY_PROVIDER "pigeon"/);
+  });
+});
+
+test('smtp handles email only', () => {
+  withEnv({ NOTIFY_PROVIDER: 'smtp', SMTP_HOST: 'localhost', NOTIFY_EMAIL_FROM: 'book@example.com' }, () => {
+    assert.deepEqual(createNotifier().channels, ['email']);
+  });
+});
+
+/* ==================== notifyGuest ==================== */
+
+test('a misconfigured provider records every message as failed, and prints none', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const printed = t.mock.method(console, 'log', () => {});
+  const reservation = await bookedReservation();
+  await withEnv({ NOTIFY_PROVIDER: 'telnyx', TELNYX_API_KEY: undefined }, async () => {
+    await freshNotifyGuest()(reservation, 'confirmed');
+  });
+
+  assert.equal(printed.mock.callCount(), 0);
+  assert.match(errors.mock.calls[0].arguments[0], /TELNYX_API_KEY; messages will be recorded as failed/);
+  for (const call of errors.mock.calls) assert.doesNotMatch(call.arguments.join(' '), /555-?0101/);
+  const [entry] = (await getReservation(reservation.id)).notifications;
+  assert.equal(entry.status, 'failed');
+  assert.match(entry.error, /not configured: Missing TELNYX_API_KEY/);
+});
+
+test('in the sandbox a misconfigured provider falls back to the console', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const printed = t.mock.method(console, 'log', () => {});
+  const reservation = await bookedReservation();
+  await withEnv({ NOTIFY_PROVIDER: 'pigeon', SANDBOX: 'true' }, async () => {
+    await freshNotifyGuest()(reservation, 'reminder', { text: 'Free cancellation ends soon.' });
+  });
+
+  assert.match(printed.mock.calls[0].arguments[0], /sms to \+14805550101 .*Free cancellation ends soon/);
+  const [entry] = (await getReservation(reservation.id)).notifications;
+  assert.equal(entry.status, 'sent');
+});
+
+test('the confirmation goes out once, however often it is triggered', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const printed = t.mock.method(console, 'log', () => {});
+  const reservation = await bookedReservation();
+
+  // Both finalizers hold the same stale copy, without notifications
+  await Promise.all([notifyGuest(reservation, 'confirmed'), notifyGuest(reservation, 'confirmed')]);
+  await notifyGuest(reservation, 'confirmed');
+
+  assert.equal(printed.mock.callCount(), 1);
+  assert.match(printed.mock.calls[0].arguments[0], /You're booked: a table for 2 .* Confirmation AB123/);
+  const { notifications } = await getReservation(reservation.id);
+  assert.deepEqual(notifications.map(n => [n.kind, n.status]), [['confirmed', 'sent']]);
+});
+
+test('other messages are sent every time', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const printed = t.mock.method(console, 'log', () => {});
+  const reservation = await bookedReservation();
+  await notifyGuest(reservation, 'change_failed');
+  await notifyGuest(reservation, 'change_failed');
+  assert.equal(printed.mock.callCount(), 2);
+});
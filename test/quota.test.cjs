@@ -0,0 +1,78 @@
+// test/quota.test.cjs
+// Rate limits and budgets (lib/quota.cjs): counters only move when every
+// check passes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { consume, quotaStatus } = require('../lib/quota.cjs');
+const { withEnv } = require('./helpers/env.cjs');
+
+// 3 calls an hour per caller, no day limit in the way; dials cost $1
+const ENV = {
+  QUOTA: undefined,
+  SANDBOX: undefined,
+  QUOTA_LIMITS_JSON: JSON.stringify({ caller: { dial: { minute: 10, hour: 3, day: 100 } } }),
+  QUOTA_COSTS_JSON: JSON.stringify({ dial: 1 }),
+  QUOTA_BUDGET_USD: '100',
+  QUOTA_GLOBAL_BUDGET_USD: '1000'
+};
+
+// Every test has a caller (and so counters) of its own
+let callers = 0;
+const newCaller = () => ({ ip: `10.0.0.${++callers}` });
+
+const used = async (caller) => {
+  const { rate, budget } = await quotaStatus(caller);
+  return { minute: rate.dial.minute.used, hour: rate.dial.hour.used, spent: budget.spent_usd };
+};
+
+test('usage that fits is counted in every window and the budget', () => withEnv(ENV, async () => {
+  const caller = newCaller();
+  assert.deepEqual(await consume(caller, { dial: 2 }), { ok: true });
+  assert.deepEqual(await used(caller), { minute: 2, hour: 2, spent: 2 });
+}));
+
+test('a refused limit takes back the windows already counted', () => withEnv(ENV, async () => {
+  const caller = newCaller();
+  await consume(caller, { dial: 2 });
+  const refused = await consume(caller, { dial: 2 });
+
+  assert.equal(refused.ok, false);
+  assert.equal(refused.status, 429);
+  assert.equal(refused.code, 'rate_limited');
+  assert.match(refused.message, /Your limit of 3 calls per hour reached/);
+  assert.ok(refused.retry_after > 0 && refused.retry_after <= 3600);
+  // The minute window was bumped before the hour refused, and given back
+  assert.deepEqual(await used(caller), { minute: 2, hour: 2, spent: 2 });
+}));
+
+test('a refused budget takes back every counter', () => withEnv({ ...ENV, QUOTA_BUDGET_USD: '1.5' }, async () => {
+  const caller = newCaller();
+  await consume(caller, { dial: 1 });
+  const refused = await consume(caller, { dial: 1 });
+
+  assert.equal(refused.status, 402);
+  assert.equal(refused.code, 'budget_exceeded');
+  assert.deepEqual(await used(caller), { minute: 1, hour: 1, spent: 1 });
+}));
+
+test('concurrent requests never overshoot a limit', () => withEnv(ENV, async () => {
+  const caller = newCaller();
+  const results = await Promise.all(Array.from({ length: 6 }, () => consume(caller, { dial: 1 })));
+  assert.equal(results.filter(r => r.ok).length, 3);
+  assert.deepEqual(await used(caller), { minute: 3, hour: 3, spent: 3 });
+}));
+
+test('the sandbox costs nothing but still rate limits', () => withEnv({ ...ENV, SANDBOX: 'true' }, async () => {
+  const caller = newCaller();
+  await consume(caller, { dial: 3 });
+  assert.equal((await consume(caller, { dial: 1 })).status, 429);
+  assert.deepEqual(await used(caller), { minute: 3, hour: 3, spent: 0 });
+}));
+
+test('QUOTA=off lets everything through', () => withEnv({ ...ENV, QUOTA: 'off' }, async () => {
+  const caller = newCaller();
+  assert.deepEqual(await consume(caller, { dial: 99 }), { ok: true });
+  assert.deepEqual(await quotaStatus(caller), { enabled: false });
+}));
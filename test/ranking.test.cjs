@@ -0,0 +1,80 @@
+// test/ranking.test.cjs
+// Ranking profiles and signals (lib/ranking.cjs)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { configuredProfiles, validateRanking, resolveProfile, rankPlaces } = require('../lib/ranking.cjs');
+const { withEnv } = require('./helpers/env.cjs');
+
+const CRAVING = { chips: ['pad thai'], parsed: { cuisines: ['thai'] } };
+
+const place = (extra = {}) => ({
+  place_id: 'p1',
+  name: 'Thai Orchid',
+  rating: 4.4,
+  user_ratings_total: 320,
+  reservable: true,
+  opening_hours: { periods: [] },
+  reviews: [{ text: 'Best pad thai in town.' }],
+  ...extra
+});
+
+// The score of the hard-coded ranking that came before profiles
+function originalCombineScore(p, cravingScore) {
+  const normRating = Math.max(0, Math.min(1, (Number(p.rating || 0) - 3.5) / 1.5));
+  const pop = Math.min(1, Math.log1p(Number(p.user_ratings_total || 0)) / Math.log(1000));
+  return 0.55 * cravingScore + 0.25 * normRating + 0.10 * pop + (p.reservable === true ? 0.1 : 0) + (p.opening_hours ? 0 : -0.08);
+}
+
+/* ==================== Profiles ==================== */
+
+test('classic scores like the original ranking', () => {
+  const places = [
+    place(),
+    place({ place_id: 'p2', reservable: false, opening_hours: undefined, dietary: { verified: ['vegan'], unverified: [] } })
+  ];
+  const ranked = rankPlaces(places, { craving: CRAVING }, resolveProfile({ profile: 'classic' }));
+  for (const p of ranked) {
+    assert.ok(Math.abs(p.finalScore - originalCombineScore(p, p.cravingScore)) < 1e-9, p.place_id);
+  }
+});
+
+test('configured profiles fill unset weights from default', () => {
+  withEnv({ RANKING_PROFILES_JSON: JSON.stringify({ quiet: { vibe: 0.2 } }) }, () => {
+    const { quiet, default: base } = configuredProfiles();
+    assert.equal(quiet.vibe, 0.2);
+    assert.equal(quiet.craving, base.craving);
+    assert.equal(validateRanking({ profile: 'quiet' }), null);
+  });
+});
+
+test('a configured profile with bad weights is ignored', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const env = { RANKING_PROFILES_JSON: JSON.stringify({ loud: { vibe: 'high' }, odd: { sparkle: 1 }, flat: { distance_half_life_km: 0 } }) };
+  withEnv(env, () => {
+    const profiles = configuredProfiles();
+    assert.equal(profiles.loud, undefined);
+    assert.equal(profiles.odd, undefined);
+    assert.equal(profiles.flat, undefined);
+    assert.equal(validateRanking({ profile: 'loud' }), 'Unknown ranking profile: loud');
+  });
+  assert.match(warn.mock.calls[0].arguments[0], /"loud" ignored: Ranking weight vibe must be a number/);
+});
+
+test('per-request weights are checked', () => {
+  assert.equal(validateRanking({ weights: { distance: 0.3 } }), null);
+  assert.equal(validateRanking({ weights: { sparkle: 1 } }), 'Unknown ranking weight: sparkle');
+  assert.equal(validateRanking({ weights: { distance_half_life_km: -1 } }), 'distance_half_life_km must be greater than 0');
+  assert.equal(resolveProfile({ profile: 'nearby', weights: { distance: 0.5 } }).name, 'nearby+custom');
+});
+
+/* ==================== Signals ==================== */
+
+test('hours count as known from either opening_hours field', () => {
+  const profile = resolveProfile({ profile: 'classic' });
+  const hoursUnknown = (p) => rankPlaces([p], { craving: CRAVING }, profile)[0].score_breakdown.signals.hours_unknown.value;
+  assert.equal(hoursUnknown(place()), 0);
+  assert.equal(hoursUnknown(place({ opening_hours: undefined, current_opening_hours: { open_now: true } })), 0);
+  assert.equal(hoursUnknown(place({ opening_hours: undefined })), 1);
+});
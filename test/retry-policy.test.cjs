@@ -0,0 +1,78 @@
+// test/retry-policy.test.cjs
+// Retrying calls that never reached a person (lib/retry-policy.cjs)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { retryRules, withRetry } = require('../lib/retry-policy.cjs');
+const { withEnv } = require('./helpers/env.cjs');
+
+const NOW = Date.parse('2026-10-21T12:00:00Z');
+const MIN = 60000;
+
+const noAnswer = (attempt) => ({ id: 'p1', status: 'error', error_code: 'no_answer', attempt });
+
+test('no answer is retried with a doubling backoff until the attempts run out', () => {
+  withEnv({ CALL_RETRY_JSON: undefined }, () => {
+    const first = withRetry(noAnswer(undefined), NOW);
+    assert.equal(first.status, 'scheduled');
+    assert.equal(first.scheduled_for, NOW + 15 * MIN);
+    assert.equal(first.schedule_reason, 'retry');
+    assert.equal(first.retry_after, 'no_answer');
+
+    assert.equal(withRetry(noAnswer(2), NOW).scheduled_for, NOW + 30 * MIN);
+    const last = noAnswer(3);
+    assert.equal(withRetry(last, NOW), last);
+  });
+});
+
+test('voicemail and dial failures follow their own rules', () => {
+  withEnv({ CALL_RETRY_JSON: undefined }, () => {
+    const voicemail = withRetry({ id: 'p1', status: 'machine_detected' }, NOW);
+    assert.equal(voicemail.retry_after, 'voicemail');
+    assert.equal(voicemail.scheduled_for, NOW + 45 * MIN);
+
+    const failed = withRetry({ id: 'p1', status: 'error', error_code: 'dial_failed', attempt: 1 }, NOW);
+    assert.equal(failed.scheduled_for, NOW + 5 * MIN);
+    const again = { id: 'p1', status: 'error', error_code: 'dial_failed', attempt: 2 };
+    assert.equal(withRetry(again, NOW), again);
+  });
+});
+
+test('calls that reached someone, or failed for other reasons, are left alone', () => {
+  withEnv({ CALL_RETRY_JSON: undefined }, () => {
+    for (const item of [
+      { id: 'p1', status: 'completed' },
+      { id: 'p1', status: 'error', error_code: 'invalid_number' },
+      { id: 'p1', status: 'skipped' }
+    ]) {
+      assert.equal(withRetry(item, NOW), item);
+    }
+  });
+});
+
+test('CALL_RETRY_JSON overrides a rule and caps the backoff', () => {
+  withEnv({ CALL_RETRY_JSON: JSON.stringify({ voicemail: { attempts: 5, backoff_min: 200 }, no_answer: { attempts: 1 } }) }, () => {
+    const item = { id: 'p1', status: 'machine_detected', attempt: 4 };
+    assert.equal(withRetry(item, NOW).scheduled_for, NOW + 6 * 60 * MIN);
+    const rung = noAnswer(1);
+    assert.equal(withRetry(rung, NOW), rung);
+  });
+});
+
+test('invalid CALL_RETRY_JSON entries fall back to the defaults', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const defaults = withEnv({ CALL_RETRY_JSON: undefined }, retryRules);
+
+  withEnv({ CALL_RETRY_JSON: JSON.stringify({ no_answer: { attempts: 9 }, hold_music: { attempts: 2, backoff_min: 5 } }) }, () => {
+    assert.deepEqual(retryRules(), defaults);
+  });
+  withEnv({ CALL_RETRY_JSON: '{nope' }, () => {
+    assert.deepEqual(retryRules(), defaults);
+  });
+  assert.deepEqual(warn.mock.calls.map(c => c.arguments[0]), [
+    'Ignoring CALL_RETRY_JSON entry "no_answer"',
+    'Ignoring CALL_RETRY_JSON entry "hold_music"',
+    'Ignoring CALL_RETRY_JSON:'
+  ]);
+});
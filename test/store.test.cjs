@@ -0,0 +1,80 @@
+// test/store.test.cjs
+// Store adapters (lib/store/): mutate is an atomic read-modify-write, and the
+// file adapter keeps one JSON file per document
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { isExpired, matchesWhere } = require('../lib/store/index.cjs');
+const { createMemoryStore } = require('../lib/store/memory.cjs');
+const { createFileStore } = require('../lib/store/file.cjs');
+
+const dirs = [];
+const tmpDir = async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'store-test-'));
+  dirs.push(dir);
+  return dir;
+};
+test.after(() => Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+const adapters = {
+  memory: async () => createMemoryStore({ isExpired, matchesWhere }),
+  file: async () => createFileStore({ isExpired, matchesWhere, dir: await tmpDir() })
+};
+
+for (const [name, make] of Object.entries(adapters)) {
+  test(`${name}: concurrent mutates never lose an update`, async () => {
+    const store = await make();
+    const bump = () => store.mutate('counters', 'c1', (doc) => ({ id: 'c1', n: (doc?.n || 0) + 1 }));
+    await Promise.all(Array.from({ length: 25 }, bump));
+    assert.equal((await store.get('counters', 'c1')).n, 25);
+  });
+
+  test(`${name}: mutate returning undefined leaves the doc unchanged`, async () => {
+    const store = await make();
+    await store.set('counters', 'c1', { id: 'c1', n: 1 });
+    const result = await store.mutate('counters', 'c1', () => undefined);
+    assert.deepEqual(result, { id: 'c1', n: 1 });
+    assert.deepEqual(await store.get('counters', 'c1'), { id: 'c1', n: 1 });
+    assert.equal(await store.mutate('counters', 'missing', () => undefined), null);
+  });
+
+  test(`${name}: expired docs read as null and are purged`, async () => {
+    const store = await make();
+    await store.set('batches', 'old', { id: 'old', expires_at: Date.now() - 1 });
+    await store.set('batches', 'new', { id: 'new', expires_at: Date.now() + 60000 });
+    assert.equal(await store.get('batches', 'old'), null);
+    assert.equal(await store.purgeExpired(), 1);
+    assert.deepEqual((await store.list('batches')).map(d => d.id), ['new']);
+  });
+}
+
+test('file: each document is its own file and survives a restart', async () => {
+  const dir = await tmpDir();
+  const store = createFileStore({ isExpired, matchesWhere, dir });
+  await store.set('quota', 'ip:10.0.0.1|dial', { id: 'ip:10.0.0.1|dial', created_at: 1 });
+  await store.set('quota', 'user:u1|dial', { id: 'user:u1|dial', created_at: 2 });
+  await store.remove('quota', 'user:u1|dial');
+
+  assert.deepEqual(await fs.readdir(path.join(dir, 'quota')), [`${encodeURIComponent('ip:10.0.0.1|dial')}.json`]);
+
+  const reopened = createFileStore({ isExpired, matchesWhere, dir });
+  assert.deepEqual(await reopened.get('quota', 'ip:10.0.0.1|dial'), { id: 'ip:10.0.0.1|dial', created_at: 1 });
+  assert.equal(await reopened.get('quota', 'user:u1|dial'), null);
+});
+
+test('file: a collection saved by the old one-file layout is split up on load', async () => {
+  const dir = await tmpDir();
+  await fs.writeFile(path.join(dir, 'batches.json'), JSON.stringify({
+    b1: { id: 'b1', owner_id: 'u1', created_at: 1 },
+    b2: { id: 'b2', owner_id: 'u2', created_at: 2 }
+  }));
+  const store = createFileStore({ isExpired, matchesWhere, dir });
+
+  assert.deepEqual((await store.list('batches', { where: { owner_id: 'u1' } })).map(d => d.id), ['b1']);
+  assert.deepEqual((await fs.readdir(path.join(dir, 'batches'))).sort(), ['b1.json', 'b2.json']);
+  await assert.rejects(fs.access(path.join(dir, 'batches.json')));
+});
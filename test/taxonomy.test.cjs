@@ -0,0 +1,32 @@
+// test/taxonomy.test.cjs
+// Exclusions in query synthesis (lib/taxonomy.cjs)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { expandExcludes, resolveTerm, synthesizeQueries } = require('../lib/taxonomy.cjs');
+
+const queriesFor = (parsed, hardExcludes) =>
+  synthesizeQueries(parsed, { budget: 20, exclude: expandExcludes(hardExcludes) }).map(q => q.query);
+
+test('"turkey" and "fish" are not cuisine synonyms', () => {
+  assert.equal(resolveTerm('turkey'), null);
+  assert.equal(resolveTerm('fish'), null);
+  assert.equal(resolveTerm('turkish')?.id, 'turkish');
+});
+
+test('no turkey leaves Turkish restaurants in', () => {
+  assert.ok(queriesFor({ cuisines: ['turkish'] }, ['turkey']).includes('turkish restaurant'));
+});
+
+test('excluding a cuisine keeps cuisines that only share a word with it', () => {
+  const queries = queriesFor({ cuisines: ['latin american', 'american'] }, ['american']);
+  assert.ok(queries.includes('latin american restaurant'));
+  assert.ok(!queries.includes('american restaurant'));
+  assert.ok(!queries.includes('bbq restaurant'));
+});
+
+test('excluding a cuisine drops its sub-cuisines and dishes', () => {
+  const queries = queriesFor({ cuisines: ['asian'], dishes: ['sushi'] }, ['japanese']);
+  assert.ok(!queries.some(q => /\b(japanese|sushi)\b/.test(q)), queries.join(', '));
+});
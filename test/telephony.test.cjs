@@ -0,0 +1,57 @@
+// test/telephony.test.cjs
+// Which telephony provider the server dials through (lib/telephony/index.cjs)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTelephonyProvider, encodeClientState, decodeClientState } = require('../lib/telephony/index.cjs');
+const { withEnv } = require('./helpers/env.cjs');
+
+const NOTHING_SET = {
+  SANDBOX: undefined,
+  TELEPHONY_PROVIDER: undefined,
+  TELNYX_API_KEY: undefined,
+  TELNYX_CONNECTION_ID: undefined,
+  TELNYX_FROM_NUMBER: undefined,
+  TELNYX_PUBLIC_KEY: undefined
+};
+
+const TELNYX = {
+  TELNYX_API_KEY: 'KEY',
+  TELNYX_CONNECTION_ID: 'conn',
+  TELNYX_FROM_NUMBER: '+14805550199',
+  TELNYX_PUBLIC_KEY: Buffer.alloc(32).toString('base64')
+};
+
+const providerName = (env) => withEnv({ ...NOTHING_SET, ...env }, () => createTelephonyProvider().name);
+
+test('without a Telnyx key the server refuses to start', () => {
+  assert.throws(() => providerName({}), /Missing TELNYX_API_KEY \(set TELEPHONY_PROVIDER=simulated/);
+});
+
+test('simulated calls have to be asked for', () => {
+  assert.equal(providerName({ TELEPHONY_PROVIDER: 'simulated' }), 'simulated');
+});
+
+test('sandbox mode always simulates, even with Telnyx configured', () => {
+  assert.equal(providerName({ SANDBOX: 'true', ...TELNYX }), 'simulated');
+});
+
+test('Telnyx is the default once it is configured', () => {
+  assert.equal(providerName(TELNYX), 'telnyx');
+});
+
+test('Telnyx needs the webhook public key', () => {
+  assert.throws(() => providerName({ ...TELNYX, TELNYX_PUBLIC_KEY: undefined }), /TELNYX_PUBLIC_KEY/);
+});
+
+test('an unknown provider is refused', () => {
+  assert.throws(() => providerName({ TELEPHONY_PROVIDER: 'pigeon' }), /Unknown TELEPHONY_PROVIDER "pigeon"/);
+});
+
+test('client state survives the round trip, and garbage decodes to nothing', () => {
+  const state = { kind: 'batch_item', batchId: 'b1', itemId: 'p1' };
+  assert.deepEqual(decodeClientState(encodeClientState(state)), state);
+  assert.deepEqual(decodeClientState('not base64 json'), {});
+  assert.deepEqual(decodeClientState(undefined), {});
+});